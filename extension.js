@@ -3,6 +3,17 @@ const { loadAgentSettings } = require('./src/config/agentSettings');
 const { resolveProfile } = require('./src/agent/profiles');
 const { AgentModeRunner } = require('./src/agent/agentModeRunner');
 const { ToolRegistry } = require('./src/tools/toolRegistry');
+const { BackgroundProcessManager } = require('./src/utils/backgroundProcessManager');
+const { SHOW_SCRIPT_COMMANDS_COMMAND, deriveScriptCommands, formatScriptCommands } = require('./src/utils/scriptAllowlist');
+const { getWorkspaceRootPath } = require('./src/utils/workspacePaths');
+const { CheckpointStore, RESTORE_CHECKPOINT_COMMAND } = require('./src/edits/checkpointStore');
+const { FileReadTracker } = require('./src/edits/fileReadTracker');
+const {
+	PROPOSED_EDIT_SCHEME,
+	RESOLVE_EDIT_APPROVAL_COMMAND,
+	SHOW_PROPOSED_EDIT_COMMAND,
+	EditApprovalService
+} = require('./src/edits/editApprovals');
 const { registerLanguageModelTools } = require('./src/lmTools/registerLanguageModelTools');
 
 const PARTICIPANT_ID = 'copilot-agent-participant-js.agent';
@@ -16,13 +27,19 @@ function activate(context) {
 	let settings = loadAgentSettings();
 	let profile = resolveProfile(settings.profile);
 
-	const toolRegistry = new ToolRegistry(settings);
+	const editApprovals = new EditApprovalService();
+	const fileReads = new FileReadTracker();
+	const commandOutput = vscode.window.createOutputChannel('DSX Change Assist Commands');
+	const backgroundProcesses = new BackgroundProcessManager(commandOutput);
+	const toolRegistry = new ToolRegistry(settings, { editApprovals, fileReads, commandOutput, backgroundProcesses });
+	const checkpointStore = new CheckpointStore();
 	const languageModelToolDisposables = registerLanguageModelTools();
 	const runner = new AgentModeRunner({
 		participantId: PARTICIPANT_ID,
 		settings,
 		profile,
-		toolRegistry
+		toolRegistry,
+		checkpointStore
 	});
 
 	const participant = vscode.chat.createChatParticipant(
@@ -33,15 +50,29 @@ function activate(context) {
 	participant.iconPath = new vscode.ThemeIcon('tools');
 	participant.helpTextPrefix = 'DSX Change Assist runs iterative, tool-assisted workflows similar to Copilot Agent Mode.';
 	participant.helpTextPostfix = new vscode.MarkdownString(
-		'Available commands: `/compact`, `/explain`, `/review`, `/tests`, `/fix`, `/new`, `/edit`, `/search`, `/websearch`, `/hello`.\n\n' +
+		'Available commands: `/compact`, `/undo`, `/explain`, `/review`, `/tests`, `/fix`, `/new`, `/edit`, `/search`, `/websearch`, `/hello`.\n\n' +
 		'Use `agentModeParticipant.*` settings to customize behavior.'
 	);
 
 	context.subscriptions.push(
 		participant,
 		toolRegistry,
+		checkpointStore,
+		editApprovals,
+		fileReads,
+		commandOutput,
+		backgroundProcesses,
 		runner,
 		...languageModelToolDisposables,
+		vscode.commands.registerCommand(RESTORE_CHECKPOINT_COMMAND, (checkpointId) => restoreCheckpoint(checkpointStore, checkpointId)),
+		vscode.workspace.registerTextDocumentContentProvider(PROPOSED_EDIT_SCHEME, editApprovals),
+		vscode.commands.registerCommand(RESOLVE_EDIT_APPROVAL_COMMAND, (proposalId, approved) => {
+			if (!editApprovals.resolve(proposalId, approved)) {
+				vscode.window.showInformationMessage('This change was already applied, rejected or cancelled.');
+			}
+		}),
+		vscode.commands.registerCommand(SHOW_PROPOSED_EDIT_COMMAND, (proposalId) => editApprovals.showDiff(proposalId)),
+		vscode.commands.registerCommand(SHOW_SCRIPT_COMMANDS_COMMAND, () => showScriptCommands(commandOutput, settings)),
 		vscode.workspace.onDidChangeConfiguration((event) => {
 			if (!event.affectsConfiguration('agentModeParticipant')) {
 				return;
@@ -56,6 +87,59 @@ function activate(context) {
 	);
 }
 
+/**
+ * Restores an agent turn checkpoint from its chat button and reports the outcome.
+ *
+ * When files changed after the turn, the user must confirm before they are overwritten.
+ *
+ * @param {CheckpointStore} checkpointStore
+ * @param {string} checkpointId
+ * @returns {Promise<void>}
+ */
+async function restoreCheckpoint(checkpointStore, checkpointId) {
+	try {
+		let report = await checkpointStore.restore(checkpointId);
+		if (report.conflicts.length > 0) {
+			const choice = await vscode.window.showWarningMessage(
+				`${report.conflicts.length} file(s) changed after this agent turn: ${report.conflicts.join(', ')}. Undoing the turn overwrites those changes.`,
+				{ modal: true },
+				'Undo Anyway'
+			);
+			if (choice !== 'Undo Anyway') {
+				return;
+			}
+			report = await checkpointStore.restore(checkpointId, { force: true });
+		}
+		const removedFolders = report.removedDirectories.length > 0 ? ` ${report.removedDirectories.length} created folder(s) removed.` : '';
+		const summary = `Reverted agent changes: ${report.restored.length} file(s) restored, ${report.deleted.length} created file(s) deleted.${removedFolders}`;
+		if (report.failed.length > 0) {
+			vscode.window.showWarningMessage(`${summary} Failed: ${report.failed.map((entry) => `${entry.path} (${entry.error})`).join(', ')}`);
+			return;
+		}
+		vscode.window.showInformationMessage(summary);
+	} catch (error) {
+		vscode.window.showWarningMessage(error && error.message ? error.message : String(error));
+	}
+}
+
+/**
+ * Writes the package.json-derived command allowlist with each entry's source to the command output channel.
+ *
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {object} settings - Current participant settings.
+ * @returns {Promise<void>}
+ */
+async function showScriptCommands(outputChannel, settings) {
+	try {
+		const derived = await deriveScriptCommands(getWorkspaceRootPath());
+		outputChannel.appendLine('--- Allowlisted package scripts ---');
+		outputChannel.appendLine(formatScriptCommands(derived, settings.allowPackageScripts));
+		outputChannel.show(true);
+	} catch (error) {
+		vscode.window.showWarningMessage(error && error.message ? error.message : String(error));
+	}
+}
+
 /**
  * Deactivation hook for VS Code extension lifecycle.
  */
@@ -3,10 +3,13 @@
  *
  * Supported action shapes:
  * - {"type":"tool","tool":"...","input":{...}}
+ * - {"type":"tools","calls":[{"tool":"...","input":{...}}, ...]}
+ * - {"type":"plan","steps":["...", ...]}
+ * - {"type":"update_plan","updates":[{"step":1,"status":"done"}, ...]}
  * - {"type":"final","content":"..."}
  *
  * @param {string} rawText - Raw model response.
- * @returns {{type:'tool',tool:string,input:object}|{type:'final',content:string}|null}
+ * @returns {object|null} Normalized action (see `normalizeAction`).
  */
 function parseAgentAction(rawText) {
 	const jsonCandidates = collectJsonCandidates(rawText);
@@ -30,7 +33,7 @@ function parseAgentAction(rawText) {
  * Normalizes arbitrary JSON into the strict action protocol.
  *
  * @param {any} value - Parsed JSON object from model output.
- * @returns {{type:'tool',tool:string,input:object}|{type:'final',content:string}|null}
+ * @returns {{type:'tool',tool:string,input:object}|{type:'tools',calls:Array<{tool:string,input:object}>}|{type:'plan',steps:Array<any>}|{type:'update_plan',updates:Array<object>}|{type:'final',content:string}|null}
  */
 function normalizeAction(value) {
 	if (!value || typeof value !== 'object') {
@@ -44,19 +47,47 @@ function normalizeAction(value) {
 		return { type: 'final', content };
 	}
 
-	if (type === 'tool') {
-		const tool = typeof value.tool === 'string' ? value.tool.trim() : '';
-		if (!tool) {
-			return null;
-		}
+	if (type === 'plan' && Array.isArray(value.steps)) {
+		return { type: 'plan', steps: value.steps };
+	}
+
+	if (type === 'update_plan' && Array.isArray(value.updates)) {
+		return { type: 'update_plan', updates: value.updates };
+	}
 
-		const input = value.input && typeof value.input === 'object' ? value.input : {};
-		return { type: 'tool', tool, input };
+	if ((type === 'tools' || type === 'tool') && Array.isArray(value.calls)) {
+		const calls = value.calls.map(normalizeToolCall).filter(Boolean);
+		return calls.length > 0 ? { type: 'tools', calls } : null;
+	}
+
+	if (type === 'tool') {
+		const call = normalizeToolCall(value);
+		return call ? { type: 'tool', ...call } : null;
 	}
 
 	return null;
 }
 
+/**
+ * Normalizes one `{tool,input}` entry from a single or batched tool action.
+ *
+ * @param {any} value
+ * @returns {{tool:string,input:object}|null}
+ */
+function normalizeToolCall(value) {
+	if (!value || typeof value !== 'object') {
+		return null;
+	}
+
+	const tool = typeof value.tool === 'string' ? value.tool.trim() : '';
+	if (!tool) {
+		return null;
+	}
+
+	const input = value.input && typeof value.input === 'object' ? value.input : {};
+	return { tool, input };
+}
+
 /**
  * Collects possible JSON snippets from free-form model output.
  *
@@ -151,6 +182,35 @@ function extractFirstJsonObject(text) {
  * @returns {string} Structured TOOL_RESULT message.
  */
 function formatToolObservation(toolName, result) {
+	return `TOOL_RESULT\n${JSON.stringify(buildObservationPayload(toolName, result))}`;
+}
+
+/**
+ * Serializes the results of one batched tool turn into a single observation block.
+ *
+ * A single entry keeps the `TOOL_RESULT` shape; several entries become one
+ * `TOOL_RESULTS` array in call order.
+ *
+ * @param {Array<{tool:string,result:object}>} entries - Executed calls with their results.
+ * @returns {string} Structured TOOL_RESULT or TOOL_RESULTS message.
+ */
+function formatToolBatchObservation(entries) {
+	if (entries.length === 1) {
+		return formatToolObservation(entries[0].tool, entries[0].result);
+	}
+
+	const payloads = entries.map((entry) => buildObservationPayload(entry.tool, entry.result));
+	return `TOOL_RESULTS\n${JSON.stringify(payloads)}`;
+}
+
+/**
+ * Builds the serializable observation payload shared by the JSON and native tool protocols.
+ *
+ * @param {string} toolName - Executed tool name.
+ * @param {{ok?:boolean,output?:string,error?:string,metadata?:object}} result - Tool result payload.
+ * @returns {{tool:string,ok:boolean,output:string,error:string|null,metadata?:object}}
+ */
+function buildObservationPayload(toolName, result) {
 	const payload = {
 		tool: toolName,
 		ok: result ? result.ok !== false : false,
@@ -162,10 +222,12 @@ function formatToolObservation(toolName, result) {
 		payload.metadata = result.metadata;
 	}
 
-	return `TOOL_RESULT\n${JSON.stringify(payload)}`;
+	return payload;
 }
 
 module.exports = {
 	parseAgentAction,
-	formatToolObservation
+	formatToolObservation,
+	formatToolBatchObservation,
+	buildObservationPayload
 };
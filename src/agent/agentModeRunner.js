@@ -1,7 +1,36 @@
+const { randomUUID } = require('crypto');
 const vscode = require('vscode');
 const { ModelClient, describeModel } = require('./modelClient');
-const { parseAgentAction, formatToolObservation } = require('./actionProtocol');
-const { toModelMessages, toTranscript } = require('./historyAdapter');
+const { parseAgentAction, formatToolBatchObservation } = require('./actionProtocol');
+const {
+	shouldUseNativeToolCalling,
+	toLanguageModelChatTools,
+	buildToolCallMessage,
+	buildToolResultPart,
+	buildToolResultMessage,
+	isNativeToolFallbackError
+} = require('./nativeToolProtocol');
+const { FinalContentStreamer } = require('./finalContentStreamer');
+const { ContextBudget } = require('./contextBudget');
+const { EditVerifier } = require('./editVerifier');
+const {
+	PLAN_TOOL_NAME,
+	UPDATE_PLAN_TOOL_NAME,
+	PlanTracker,
+	getPlanToolDefinitions,
+	isPlanTool,
+	isPlanningCommand,
+	findUnfinishedPlan
+} = require('./planTracker');
+const {
+	toModelMessages,
+	toTranscript,
+	createCompaction,
+	describeCompaction
+} = require('./historyAdapter');
+const { RESTORE_CHECKPOINT_COMMAND, formatRestoreReport } = require('../edits/checkpointStore');
+
+const MAX_TOOL_CALLS_PER_TURN = 8;
 
 const COMMAND_TOOL_MAP = Object.freeze({
 	websearch: {
@@ -40,10 +69,12 @@ const COMMAND_TOOL_MAP = Object.freeze({
  * Orchestrates request handling for the participant.
  *
  * Supported flows:
- * - `/compact` summary flow
+ * - `/compact` summary flow (the summary replaces the compacted turns in later requests)
+ * - `/undo` restores the file checkpoint of the most recent agent turn
  * - explicit command-to-tool execution (`/search`, `/websearch`, `/hello`)
  * - autonomous lightweight tool trigger for obvious prompts
- * - model-driven iterative agent loop for all remaining tasks
+ * - model-driven iterative agent loop for all remaining tasks, using native
+ *   tool calling when available and the JSON action protocol otherwise
  */
 class AgentModeRunner {
 	/**
@@ -52,12 +83,14 @@ class AgentModeRunner {
 	 * @param {object} options.settings
 	 * @param {object} options.profile
 	 * @param {object} options.toolRegistry
+	 * @param {object} options.checkpointStore - Per-turn file snapshots used for undo.
 	 */
-	constructor({ participantId, settings, profile, toolRegistry }) {
+	constructor({ participantId, settings, profile, toolRegistry, checkpointStore }) {
 		this.participantId = participantId;
 		this.settings = settings;
 		this.profile = profile;
 		this.toolRegistry = toolRegistry;
+		this.checkpointStore = checkpointStore;
 		this.modelClient = new ModelClient(settings);
 	}
 
@@ -89,20 +122,34 @@ class AgentModeRunner {
 	 * @returns {Promise<object>} Chat participant result object.
 	 */
 	async handleRequest(request, chatContext, stream, token) {
+		const checkpoint = this.checkpointStore.createCheckpoint();
+		// Filled in as the turn runs, so a failed turn still records its compaction
+		// and a turn that does not run the agent loop carries an unfinished plan forward.
+		// The session id scopes background processes to this chat.
+		const metadata = { sessionId: findSessionId(chatContext.history) || randomUUID() };
+		const resumedPlanSteps = findUnfinishedPlan(chatContext.history);
+		if (resumedPlanSteps) {
+			metadata.plan = new PlanTracker(resumedPlanSteps).toMetadata();
+		}
+
 		try {
 			if (request && request.command === 'compact') {
-				return await this.handleCompact(request, chatContext, stream, token);
+				return withResultMetadata(await this.handleCompact(request, chatContext, stream, token), metadata);
+			}
+
+			if (request && request.command === 'undo') {
+				return withResultMetadata(await this.handleUndo(chatContext, stream), metadata);
 			}
 
 			const handledToolCommand = await this.tryHandleCommandToolRequest(request, chatContext, stream, token);
 			if (handledToolCommand) {
-				return handledToolCommand;
+				return withResultMetadata(handledToolCommand, metadata);
 			}
 
 			const requestPrompt = extractRequestPrompt(request);
 			if (!requestPrompt && !(request && request.command)) {
 				stream.markdown('Please enter a prompt or command.');
-				return {};
+				return withResultMetadata({}, metadata);
 			}
 
 			const handledAutonomousTool = await this.tryHandleAutonomousToolRequest(
@@ -113,122 +160,470 @@ class AgentModeRunner {
 				token
 			);
 			if (handledAutonomousTool) {
-				return handledAutonomousTool;
+				return withResultMetadata(handledAutonomousTool, metadata);
 			}
 
 			const selectedModel = await this.modelClient.resolveModel(request && request.model);
 			stream.progress(`Using model: ${describeModel(selectedModel)}`);
 
-			const toolDefinitions = this.toolRegistry.getToolDefinitions();
-			const systemPrompt = this.profile.buildSystemPrompt({
-				toolDefinitions,
-				command: request.command,
-				settings: this.settings
+			const autoCompaction = await this.maybeAutoCompact(chatContext, stream, token, selectedModel);
+			if (autoCompaction) {
+				metadata.compaction = autoCompaction;
+			}
+			const planning = isPlanningCommand(request.command) || Boolean(resumedPlanSteps);
+			const plan = new PlanTracker(resumedPlanSteps || []);
+			const loopContext = {
+				request,
+				chatContext,
+				stream,
+				token,
+				selectedModel,
+				toolDefinitions: planning
+					? [...getPlanToolDefinitions(), ...this.toolRegistry.getToolDefinitions()]
+					: this.toolRegistry.getToolDefinitions(),
+				compaction: autoCompaction || undefined,
+				planning,
+				plan,
+				checkpoint,
+				sessionId: metadata.sessionId,
+				verifier: this.settings.verifyEditsWithDiagnostics ? new EditVerifier() : null,
+				metadata
+			};
+
+			if (plan.hasPlan()) {
+				stream.markdown(`Resuming the unfinished plan from the previous turn.\n\n${plan.toMarkdown()}\n\n`);
+			}
+
+			if (shouldUseNativeToolCalling(selectedModel, this.settings)) {
+				const nativeResult = await this.runNativeToolLoop(loopContext);
+				if (nativeResult) {
+					return withResultMetadata(nativeResult, await this.finishCheckpoint(checkpoint, stream, loopContext.metadata));
+				}
+				stream.progress('Native tool calling is unavailable for this model. Using the JSON action protocol.');
+			}
+
+			const result = await this.runJsonProtocolLoop(loopContext);
+			return withResultMetadata(result, await this.finishCheckpoint(checkpoint, stream, loopContext.metadata));
+		} catch (error) {
+			const message = `Agent execution failed: ${error && error.message ? error.message : String(error)}`;
+			stream.warning(message);
+			return withResultMetadata({ errorDetails: { message } }, await this.finishCheckpoint(checkpoint, stream, metadata));
+		}
+	}
+
+	/**
+	 * Seals the turn checkpoint, records it in result metadata and offers an undo button.
+	 *
+	 * @param {object} checkpoint - Checkpoint created for this turn.
+	 * @param {object} stream
+	 * @param {object} metadata - Result metadata, extended in place.
+	 * @returns {Promise<object>} The metadata.
+	 */
+	async finishCheckpoint(checkpoint, stream, metadata) {
+		if (!checkpoint.hasChanges()) {
+			return metadata;
+		}
+
+		await checkpoint.seal();
+		metadata.checkpoint = checkpoint.toMetadata();
+		const { files, directories } = metadata.checkpoint;
+		stream.button({
+			command: RESTORE_CHECKPOINT_COMMAND,
+			title: files.length > 0 ? `Undo changes to ${files.length} file(s)` : `Undo ${directories.length} created folder(s)`,
+			arguments: [checkpoint.id]
+		});
+		return metadata;
+	}
+
+	/**
+	 * Restores the checkpoint of the most recent agent turn that changed files.
+	 *
+	 * @param {object} chatContext
+	 * @param {object} stream
+	 * @returns {Promise<object>}
+	 */
+	async handleUndo(chatContext, stream) {
+		const checkpoint = this.checkpointStore.findLatest(chatContext.history);
+		if (!checkpoint) {
+			stream.markdown('Nothing to undo. No earlier agent turn in this session has file changes that can still be restored.');
+			return {};
+		}
+
+		stream.progress('Restoring files from the last agent turn...');
+		const report = await checkpoint.restore();
+		if (report.conflicts.length > 0) {
+			stream.markdown(`Not undone: these files changed after the last agent turn, and undoing it would overwrite those changes:\n\n${report.conflicts.map((filePath) => `- \`${filePath}\``).join('\n')}`);
+			stream.button({
+				command: RESTORE_CHECKPOINT_COMMAND,
+				title: 'Undo anyway...',
+				arguments: [checkpoint.id]
 			});
+			return {};
+		}
+		stream.markdown(`Reverted the most recent agent turn:\n\n${formatRestoreReport(report)}`);
+		return {};
+	}
 
-			const modelMessages = [
-				vscode.LanguageModelChatMessage.User(systemPrompt),
-				...toModelMessages(chatContext.history),
-				vscode.LanguageModelChatMessage.User(buildTaskPrompt(request))
-			];
-			let previousToolSignature = '';
-			let repeatedToolCallCount = 0;
-			let parseFailureCount = 0;
-			let capabilityRefusalRetryCount = 0;
-
-			for (let iteration = 1; iteration <= this.settings.maxIterations; iteration += 1) {
-				const completion = await this.modelClient.complete(modelMessages, token, selectedModel);
-				const rawResponse = completion.text;
-				const action = parseAgentAction(rawResponse);
-				modelMessages.push(vscode.LanguageModelChatMessage.Assistant(rawResponse));
-
-				if (!action) {
-					parseFailureCount += 1;
-					if (parseFailureCount >= 2) {
-						stream.warning('Model returned non-JSON output; returning raw response.');
-						stream.markdown(rawResponse);
-						return {};
-					}
+	/**
+	 * Runs the agent loop with tools passed as native `LanguageModelChatTool`s.
+	 *
+	 * Returns `null` when the first request fails in `auto` mode before any text
+	 * was streamed, so the caller can fall back to the JSON action protocol
+	 * without repeating output the user already saw.
+	 *
+	 * @param {object} loopContext
+	 * @returns {Promise<object|null>}
+	 */
+	async runNativeToolLoop(loopContext) {
+		const { request, chatContext, stream, token, selectedModel, toolDefinitions } = loopContext;
+		const tools = toLanguageModelChatTools(toolDefinitions);
+		const systemPrompt = this.profile.buildSystemPrompt({
+			toolDefinitions,
+			command: request.command,
+			settings: this.settings,
+			nativeToolCalling: true,
+			planning: loopContext.planning
+		});
 
-					modelMessages.push(vscode.LanguageModelChatMessage.User(
-						'Invalid response format. Reply with exactly one JSON object using either {"type":"tool","tool":"...","input":{...}} or {"type":"final","content":"..."}'
-					));
-					continue;
+		const budget = new ContextBudget({ model: selectedModel, settings: this.settings, token });
+		const modelMessages = buildInitialMessages(systemPrompt, loopContext, budget);
+		const isRepeatedCall = createRepeatedCallGuard();
+		let streamedText = false;
+		const streamText = (text) => {
+			streamedText = true;
+			stream.markdown(text);
+		};
+
+		for (let iteration = 1; iteration <= this.settings.maxIterations; iteration += 1) {
+			await this.fitContextBudget(budget, modelMessages, stream);
+
+			let completion;
+			try {
+				completion = await this.modelClient.completeWithTools(modelMessages, tools, token, selectedModel, streamText);
+			} catch (error) {
+				if (iteration === 1 && !streamedText && this.settings.toolCallingMode === 'auto' && isNativeToolFallbackError(error, token)) {
+					return null;
 				}
-				parseFailureCount = 0;
-
-				if (action.type === 'final') {
-					if (looksLikeSearchCapabilityRefusal(action.content) && capabilityRefusalRetryCount < 1) {
-						capabilityRefusalRetryCount += 1;
-						stream.warning('Search capability is available in this participant. Retrying with tool guidance.');
-						modelMessages.push(vscode.LanguageModelChatMessage.User(
-							'Workspace search is available through search_text. Do not refuse for missing search capability. Use tools and continue.'
-						));
-						continue;
-					}
+				throw error;
+			}
 
-					stream.markdown(action.content || 'Done.');
-					return {};
+			if (completion.toolCalls.length === 0) {
+				if (!completion.text) {
+					stream.markdown('Done.');
 				}
+				return {};
+			}
+
+			modelMessages.push(budget.track(buildToolCallMessage(completion.text, completion.toolCalls), 'assistant'));
+
+			const toolResults = await this.runToolBatch(
+				completion.toolCalls.map((toolCall) => ({ tool: toolCall.name, input: toolCall.input })),
+				isRepeatedCall,
+				loopContext
+			);
+			modelMessages.push(budget.track(buildToolResultMessage(completion.toolCalls.map(
+				(toolCall, index) => buildToolResultPart(toolCall.callId, toolCall.name, toolResults[index])
+			)), 'observation'));
+
+			const verification = await this.verifyEdits(loopContext);
+			if (verification) {
+				modelMessages.push(budget.track(vscode.LanguageModelChatMessage.User(verification), 'observation'));
+			}
+		}
+
+		stream.warning(`Reached iteration limit (${this.settings.maxIterations}). Returning best effort response.`);
 
-				const currentToolSignature = `${action.tool}:${JSON.stringify(action.input || {})}`;
-				if (currentToolSignature === previousToolSignature) {
-					repeatedToolCallCount += 1;
-				} else {
-					previousToolSignature = currentToolSignature;
-					repeatedToolCallCount = 1;
+		modelMessages.push(vscode.LanguageModelChatMessage.User(
+			'Iteration budget reached. Reply with a concise final markdown answer now without calling any tool.'
+		));
+
+		await this.fitContextBudget(budget, modelMessages, stream);
+		const finalCompletion = await this.modelClient.completeWithTools(modelMessages, tools, token, selectedModel, streamText);
+		if (!finalCompletion.text) {
+			stream.markdown('Stopped at the iteration limit before a final answer was produced.');
+		}
+		return {};
+	}
+
+	/**
+	 * Runs the agent loop with the JSON text action protocol.
+	 *
+	 * @param {object} loopContext
+	 * @returns {Promise<object>}
+	 */
+	async runJsonProtocolLoop(loopContext) {
+		const { request, chatContext, stream, token, selectedModel, toolDefinitions } = loopContext;
+		const systemPrompt = this.profile.buildSystemPrompt({
+			toolDefinitions,
+			command: request.command,
+			settings: this.settings,
+			planning: loopContext.planning
+		});
+
+		const budget = new ContextBudget({ model: selectedModel, settings: this.settings, token });
+		const modelMessages = buildInitialMessages(systemPrompt, loopContext, budget);
+		const isRepeatedCall = createRepeatedCallGuard();
+		let parseFailureCount = 0;
+		let capabilityRefusalRetryCount = 0;
+
+		for (let iteration = 1; iteration <= this.settings.maxIterations; iteration += 1) {
+			await this.fitContextBudget(budget, modelMessages, stream);
+			const completion = await this.completeJsonAction(modelMessages, token, selectedModel, stream);
+			const rawResponse = completion.text;
+			const action = parseAgentAction(rawResponse);
+			modelMessages.push(budget.track(vscode.LanguageModelChatMessage.Assistant(rawResponse), 'assistant'));
+
+			if (!action && completion.streamedFinal) {
+				return {};
+			}
+
+			if (!action) {
+				parseFailureCount += 1;
+				if (parseFailureCount >= 2) {
+					stream.warning('Model returned non-JSON output; returning raw response.');
+					stream.markdown(rawResponse);
+					return {};
 				}
 
-				if (repeatedToolCallCount > 2) {
-					stream.warning(`Blocked repeated tool call: ${action.tool}`);
+				modelMessages.push(vscode.LanguageModelChatMessage.User(
+					'Invalid response format. Reply with exactly one JSON object using {"type":"tool","tool":"...","input":{...}}, {"type":"tools","calls":[{"tool":"...","input":{...}}]} or {"type":"final","content":"..."}'
+				));
+				continue;
+			}
+			parseFailureCount = 0;
+
+			if (action.type === 'final') {
+				if (looksLikeSearchCapabilityRefusal(action.content) && capabilityRefusalRetryCount < 1) {
+					capabilityRefusalRetryCount += 1;
+					stream.warning('Search capability is available in this participant. Retrying with tool guidance.');
 					modelMessages.push(vscode.LanguageModelChatMessage.User(
-						formatToolObservation(action.tool, {
-							ok: false,
-							output: '',
-							error: 'Identical tool call repeated too many times. Use different input/tool or return a final response.'
-						})
+						'Workspace search is available through search_text. Do not refuse for missing search capability. Use tools and continue.'
 					));
 					continue;
 				}
 
-				stream.progress(`Running tool: ${action.tool}`);
-				const toolResult = await this.toolRegistry.execute(action.tool, action.input, {
-					request,
-					history: chatContext.history,
-					token
-				});
+				if (!completion.streamedFinal) {
+					stream.markdown(action.content || 'Done.');
+				}
+				return {};
+			}
+
+			const calls = toToolCalls(action);
+			const toolResults = await this.runToolBatch(calls, isRepeatedCall, loopContext);
+			modelMessages.push(budget.track(vscode.LanguageModelChatMessage.User(formatToolBatchObservation(
+				calls.map((call, index) => ({ tool: call.tool, result: toolResults[index] }))
+			)), 'observation'));
 
-				modelMessages.push(vscode.LanguageModelChatMessage.User(
-					formatToolObservation(action.tool, toolResult)
-				));
+			const verification = await this.verifyEdits(loopContext);
+			if (verification) {
+				modelMessages.push(budget.track(vscode.LanguageModelChatMessage.User(verification), 'observation'));
+			}
+		}
+
+		stream.warning(`Reached iteration limit (${this.settings.maxIterations}). Returning best effort response.`);
+
+		modelMessages.push(vscode.LanguageModelChatMessage.User(
+			'Iteration budget reached. Return a concise final response as JSON: {"type":"final","content":"..."}'
+		));
+
+		await this.fitContextBudget(budget, modelMessages, stream);
+		const finalCompletion = await this.completeJsonAction(modelMessages, token, selectedModel, stream);
+		if (finalCompletion.streamedFinal) {
+			return {};
+		}
+
+		const finalAttempt = finalCompletion.text;
+		const finalAction = parseAgentAction(finalAttempt);
+		if (finalAction && finalAction.type === 'final') {
+			stream.markdown(finalAction.content);
+		} else {
+			stream.markdown(finalAttempt);
+		}
+
+		return {};
+	}
+
+	/**
+	 * Checks files written since the last verification for new errors
+	 * (`verifyEditsWithDiagnostics`), so the model sees them before it answers.
+	 *
+	 * @param {object} loopContext
+	 * @returns {Promise<string|null>} Observation text, or null when nothing was checked.
+	 */
+	async verifyEdits(loopContext) {
+		const { verifier, checkpoint, stream, token, metadata } = loopContext;
+		if (!verifier || !verifier.hasUnverifiedEdits(checkpoint) || (token && token.isCancellationRequested)) {
+			return null;
+		}
+
+		stream.progress('Waiting for diagnostics of edited files...');
+		const report = await verifier.verify(checkpoint, token);
+		if (report.newErrors > 0) {
+			stream.progress(`Found ${report.newErrors} new error(s) in edited files; asking the model to address them.`);
+		}
+		metadata.verification = { files: report.files, newErrors: report.newErrors };
+		return report.message;
+	}
+
+	/**
+	 * Applies the context budget before a model request and reports any trimming.
+	 *
+	 * @param {ContextBudget} budget
+	 * @param {Array<any>} modelMessages
+	 * @param {object} stream
+	 * @returns {Promise<void>}
+	 */
+	async fitContextBudget(budget, modelMessages, stream) {
+		const report = await budget.fit(modelMessages);
+		if (!report) {
+			return;
+		}
+
+		stream.progress(
+			`Trimmed context from ${report.before} to ${report.after} tokens (budget ${report.limit}): ` +
+			`${report.shrunk} message(s) shortened, ${report.dropped} history message(s) omitted.`
+		);
+	}
+
+	/**
+	 * Requests a JSON-protocol completion and streams final-action content to the chat as it arrives.
+	 *
+	 * Tool actions and unparseable output stay buffered; `streamedFinal` tells the
+	 * caller the answer is already visible.
+	 *
+	 * @param {Array<any>} modelMessages
+	 * @param {object} token
+	 * @param {any} selectedModel
+	 * @param {object} stream
+	 * @returns {Promise<{text:string,streamedFinal:boolean}>}
+	 */
+	async completeJsonAction(modelMessages, token, selectedModel, stream) {
+		const finalStreamer = new FinalContentStreamer();
+		const completion = await this.modelClient.complete(modelMessages, token, selectedModel, (chunk) => {
+			const content = finalStreamer.push(chunk);
+			if (content) {
+				stream.markdown(content);
 			}
+		});
 
-			stream.warning(`Reached iteration limit (${this.settings.maxIterations}). Returning best effort response.`);
+		return {
+			text: completion.text,
+			streamedFinal: finalStreamer.hasStreamedContent()
+		};
+	}
 
-			modelMessages.push(vscode.LanguageModelChatMessage.User(
-				'Iteration budget reached. Return a concise final response as JSON: {"type":"final","content":"..."}'
+	/**
+	 * Executes all tool calls requested in one model turn.
+	 *
+	 * Consecutive read-only tools run concurrently; mutating tools run alone and in
+	 * call order. Results are returned in call order, and calls beyond the per-turn
+	 * limit are reported as skipped.
+	 *
+	 * @param {Array<{tool:string,input:object}>} calls
+	 * @param {(toolName:string,input:object)=>boolean} isRepeatedCall
+	 * @param {object} loopContext
+	 * @returns {Promise<Array<{ok:boolean,output:string,error?:string,metadata?:object}>>}
+	 */
+	async runToolBatch(calls, isRepeatedCall, loopContext) {
+		const runnableCount = Math.min(calls.length, MAX_TOOL_CALLS_PER_TURN);
+		const results = [];
+		let index = 0;
+
+		while (index < runnableCount) {
+			if (!this.toolRegistry.isReadOnly(calls[index].tool)) {
+				results.push(await this.runGuardedTool(calls[index].tool, calls[index].input, isRepeatedCall, loopContext));
+				index += 1;
+				continue;
+			}
+
+			const groupStart = index;
+			while (index < runnableCount && this.toolRegistry.isReadOnly(calls[index].tool)) {
+				index += 1;
+			}
+
+			const groupResults = await Promise.all(calls.slice(groupStart, index).map(
+				(call) => this.runGuardedTool(call.tool, call.input, isRepeatedCall, loopContext)
 			));
+			results.push(...groupResults);
+		}
+
+		for (let skipped = runnableCount; skipped < calls.length; skipped += 1) {
+			results.push({
+				ok: false,
+				output: '',
+				error: `Skipped: at most ${MAX_TOOL_CALLS_PER_TURN} tool calls run per turn. Request it again in the next turn.`
+			});
+		}
 
-			const finalCompletion = await this.modelClient.complete(modelMessages, token, selectedModel);
-			const finalAttempt = finalCompletion.text;
-			const finalAction = parseAgentAction(finalAttempt);
-			if (finalAction && finalAction.type === 'final') {
-				stream.markdown(finalAction.content);
+		return results;
+	}
+
+	/**
+	 * Executes one model-requested tool call unless it repeats the previous call too often.
+	 *
+	 * @param {string} toolName
+	 * @param {object} input
+	 * @param {(toolName:string,input:object)=>boolean} isRepeatedCall
+	 * @param {object} loopContext
+	 * @returns {Promise<{ok:boolean,output:string,error?:string,metadata?:object}>}
+	 */
+	async runGuardedTool(toolName, input, isRepeatedCall, loopContext) {
+		const { request, chatContext, stream, token } = loopContext;
+		if (isRepeatedCall(toolName, input)) {
+			stream.warning(`Blocked repeated tool call: ${toolName}`);
+			return {
+				ok: false,
+				output: '',
+				error: 'Identical tool call repeated too many times. Use different input/tool or return a final response.'
+			};
+		}
+
+		if (isPlanTool(toolName)) {
+			return this.runPlanTool(toolName, input, loopContext);
+		}
+
+		stream.progress(`Running tool: ${toolName}`);
+		return this.toolRegistry.execute(toolName, input, {
+			request,
+			history: chatContext.history,
+			token,
+			stream,
+			checkpoint: loopContext.checkpoint,
+			sessionId: loopContext.sessionId
+		});
+	}
+
+	/**
+	 * Creates or updates the request plan and renders it as a checklist.
+	 *
+	 * @param {string} toolName - `plan` or `update_plan`.
+	 * @param {object} input
+	 * @param {{plan:PlanTracker,stream:object,metadata:object}} loopContext
+	 * @returns {{ok:boolean,output:string,error?:string}}
+	 */
+	runPlanTool(toolName, input, { plan, stream, metadata }) {
+		try {
+			if (toolName === PLAN_TOOL_NAME) {
+				plan.setPlan(input && input.steps);
 			} else {
-				stream.markdown(finalAttempt);
+				plan.applyUpdates(input && input.updates);
 			}
-
-			return {};
 		} catch (error) {
-			const message = `Agent execution failed: ${error && error.message ? error.message : String(error)}`;
-			stream.warning(message);
-			return { errorDetails: { message } };
+			return { ok: false, output: '', error: error && error.message ? error.message : String(error) };
 		}
+
+		const checklist = plan.toMarkdown();
+		stream.markdown(`\n\n${checklist}\n\n`);
+		metadata.plan = plan.toMetadata();
+		return { ok: true, output: checklist };
 	}
 
 	/**
 	 * Compacts conversation history into a shorter continuation summary.
 	 *
+	 * The summary is stored in result metadata; later requests send it instead of
+	 * the turns it covers.
+	 *
 	 * @param {object} request
 	 * @param {object} chatContext
 	 * @param {object} stream
@@ -245,22 +640,82 @@ class AgentModeRunner {
 		const selectedModel = await this.modelClient.resolveModel(request && request.model);
 		stream.progress(`Using model: ${describeModel(selectedModel)}`);
 
-		const compactPrompt = this.profile.buildCompactPrompt(transcript);
-		const completion = await this.modelClient.complete(
-			[vscode.LanguageModelChatMessage.User(compactPrompt)],
-			token,
-			selectedModel
-		);
-		const response = completion.text;
-		const action = parseAgentAction(response);
+		const summary = await this.summarizeTranscript(transcript, token, selectedModel, stream);
+		if (!summary) {
+			stream.warning('The model returned an empty summary. History was not compacted.');
+			return {};
+		}
 
-		if (action && action.type === 'final') {
-			stream.markdown(action.content);
-		} else {
-			stream.markdown(response);
+		const compaction = createCompaction(chatContext.history, summary, 'command');
+		stream.markdown(`\n\n---\n_${describeCompaction(compaction)}_`);
+		return { metadata: { compaction } };
+	}
+
+	/**
+	 * Compacts history before the agent loop when it exceeds the configured share of the model window.
+	 *
+	 * @param {object} chatContext
+	 * @param {object} stream
+	 * @param {object} token
+	 * @param {any} selectedModel
+	 * @returns {Promise<object|null>} New compaction record, or null when none was needed.
+	 */
+	async maybeAutoCompact(chatContext, stream, token, selectedModel) {
+		const maxInputTokens = Number(selectedModel && selectedModel.maxInputTokens);
+		if (!this.settings.autoCompactHistoryPercent || !Number.isFinite(maxInputTokens) || maxInputTokens <= 0) {
+			return null;
 		}
 
-		return {};
+		const transcript = toTranscript(chatContext.history);
+		if (!transcript) {
+			return null;
+		}
+
+		const threshold = Math.floor(maxInputTokens * (this.settings.autoCompactHistoryPercent / 100));
+		if (await countTextTokens(selectedModel, transcript, token) <= threshold) {
+			return null;
+		}
+
+		stream.progress('Conversation history is large. Compacting earlier turns...');
+		const maxTranscriptChars = Math.floor(maxInputTokens * 0.6) * 4;
+		const boundedTranscript = transcript.length > maxTranscriptChars
+			? `...(earlier transcript truncated)...\n${transcript.slice(transcript.length - maxTranscriptChars)}`
+			: transcript;
+
+		const summary = await this.summarizeTranscript(boundedTranscript, token, selectedModel);
+		if (!summary) {
+			return null;
+		}
+
+		const compaction = createCompaction(chatContext.history, summary, 'auto');
+		stream.markdown(`_${describeCompaction(compaction)}_\n\n`);
+		return compaction;
+	}
+
+	/**
+	 * Asks the model for a continuation summary of a transcript.
+	 *
+	 * When a stream is provided, the summary is shown to the user as it arrives.
+	 *
+	 * @param {string} transcript
+	 * @param {object} token
+	 * @param {any} selectedModel
+	 * @param {object} [stream]
+	 * @returns {Promise<string>}
+	 */
+	async summarizeTranscript(transcript, token, selectedModel, stream) {
+		const messages = [vscode.LanguageModelChatMessage.User(this.profile.buildCompactPrompt(transcript))];
+		const completion = stream
+			? await this.completeJsonAction(messages, token, selectedModel, stream)
+			: await this.modelClient.complete(messages, token, selectedModel);
+
+		const action = parseAgentAction(completion.text);
+		const summary = action && action.type === 'final' ? action.content : completion.text;
+		if (stream && !completion.streamedFinal) {
+			stream.markdown(summary);
+		}
+
+		return String(summary || '').trim();
 	}
 
 	/**
@@ -333,6 +788,125 @@ class AgentModeRunner {
 	}
 }
 
+/**
+ * Creates a tracker that flags identical tool calls repeated more than twice in a row.
+ *
+ * @returns {(toolName:string,input:object)=>boolean}
+ */
+function createRepeatedCallGuard() {
+	let previousSignature = '';
+	let repeatCount = 0;
+
+	return (toolName, input) => {
+		const signature = `${toolName}:${JSON.stringify(input || {})}`;
+		if (signature === previousSignature) {
+			repeatCount += 1;
+		} else {
+			previousSignature = signature;
+			repeatCount = 1;
+		}
+		return repeatCount > 2;
+	};
+}
+
+/**
+ * Builds the initial loop messages and tags them for context budgeting.
+ *
+ * @param {string} systemPrompt
+ * @param {{request:object,chatContext:object,compaction?:object}} loopContext
+ * @param {ContextBudget} budget
+ * @returns {Array<any>}
+ */
+function buildInitialMessages(systemPrompt, { request, chatContext, compaction, plan }, budget) {
+	return [
+		budget.track(vscode.LanguageModelChatMessage.User(systemPrompt), 'pinned'),
+		...toModelMessages(chatContext.history, compaction).map((message) => budget.track(message, 'history')),
+		budget.track(vscode.LanguageModelChatMessage.User(buildTaskPrompt(request, plan)), 'pinned')
+	];
+}
+
+/**
+ * Expands a parsed JSON action into the tool calls it requests.
+ *
+ * Plan actions become calls to the runner-handled plan tools.
+ *
+ * @param {object} action
+ * @returns {Array<{tool:string,input:object}>}
+ */
+function toToolCalls(action) {
+	if (action.type === 'tools') {
+		return action.calls;
+	}
+	if (action.type === 'plan') {
+		return [{ tool: PLAN_TOOL_NAME, input: { steps: action.steps } }];
+	}
+	if (action.type === 'update_plan') {
+		return [{ tool: UPDATE_PLAN_TOOL_NAME, input: { updates: action.updates } }];
+	}
+	return [{ tool: action.tool, input: action.input }];
+}
+
+/**
+ * Returns the chat session id recorded by the latest earlier turn.
+ *
+ * VS Code does not expose a session id to participants, so the first turn of
+ * a chat creates one and every turn copies it into its result metadata.
+ *
+ * @param {Array<object>} history - VS Code chat history entries.
+ * @returns {string|null}
+ */
+function findSessionId(history) {
+	const turns = Array.isArray(history) ? history : [];
+	for (let index = turns.length - 1; index >= 0; index -= 1) {
+		const metadata = turns[index] && turns[index].result && turns[index].result.metadata;
+		if (metadata && typeof metadata.sessionId === 'string' && metadata.sessionId) {
+			return metadata.sessionId;
+		}
+	}
+	return null;
+}
+
+/**
+ * Merges per-request metadata into a chat result so later turns can read it from history.
+ *
+ * @param {object} result
+ * @param {object} metadata
+ * @returns {object}
+ */
+function withResultMetadata(result, metadata) {
+	if (!metadata || Object.keys(metadata).length === 0) {
+		return result;
+	}
+
+	return {
+		...result,
+		metadata: {
+			...(result && result.metadata),
+			...metadata
+		}
+	};
+}
+
+/**
+ * Counts tokens for plain text, estimating characters/4 when the model cannot count.
+ *
+ * @param {any} model
+ * @param {string} text
+ * @param {object} token
+ * @returns {Promise<number>}
+ */
+async function countTextTokens(model, text, token) {
+	try {
+		const tokens = typeof model.countTokens === 'function' ? await model.countTokens(text, token) : NaN;
+		if (Number.isFinite(tokens)) {
+			return tokens;
+		}
+	} catch {
+		// Fall back to the estimate below.
+	}
+	return Math.ceil(text.length / 4);
+}
+
 /**
  * Extracts the user prompt body from a request.
  *
@@ -350,9 +924,10 @@ function extractRequestPrompt(request) {
  * Builds the user-task prompt injected into the model loop.
  *
  * @param {object} request
+ * @param {PlanTracker} [plan] - Plan resumed from the previous turn, if any.
  * @returns {string}
  */
-function buildTaskPrompt(request) {
+function buildTaskPrompt(request, plan) {
 	const userPrompt = extractRequestPrompt(request);
 	const referenceSummary = formatRequestReferences(request);
 	const sections = [];
@@ -373,6 +948,13 @@ function buildTaskPrompt(request) {
 		].join('\n'));
 	}
 
+	if (plan && plan.hasPlan()) {
+		sections.push([
+			'Unfinished plan from the previous turn (continue from the first unfinished step and keep statuses current with update_plan, or replace it with plan if the request changed):',
+			plan.toMarkdown()
+		].join('\n'));
+	}
+
 	sections.push('Work like an agent: gather evidence with tools when needed and finish with type=final.');
 	return sections.join('\n\n');
 }
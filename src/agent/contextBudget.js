@@ -0,0 +1,301 @@
+const vscode = require('vscode');
+
+const SHRUNK_MESSAGE_CHARS = 1200;
+const MIN_SHRUNK_MESSAGE_CHARS = 200;
+const TRUNCATION_MARKER_CHARS = 80;
+const SHRINKABLE_KINDS = new Set(['observation', 'assistant']);
+
+/**
+ * Keeps agent-loop messages under a share of the model's input token window.
+ *
+ * Messages are tagged with a kind when they are added to the loop:
+ * - `pinned`: system prompt and current task (never changed),
+ * - `history`: prior chat turns (dropped oldest-first),
+ * - `assistant`: model responses inside this request (shrunk oldest-first),
+ * - `observation`: tool results (shrunk oldest-first).
+ *
+ * Untracked messages are treated as pinned.
+ */
+class ContextBudget {
+	/**
+	 * @param {object} options
+	 * @param {any} options.model - Resolved language model.
+	 * @param {{contextBudgetPercent:number}} options.settings
+	 * @param {object} [options.token] - Cancellation token forwarded to `countTokens`.
+	 */
+	constructor({ model, settings, token }) {
+		this.model = model;
+		this.token = token;
+		this.kinds = new WeakMap();
+		this.tokenCounts = new WeakMap();
+
+		const maxInputTokens = Number(model && model.maxInputTokens);
+		this.limit = Number.isFinite(maxInputTokens) && maxInputTokens > 0
+			? Math.floor(maxInputTokens * (settings.contextBudgetPercent / 100))
+			: 0;
+	}
+
+	/**
+	 * Tags a message with its budget kind and returns it for inline use.
+	 *
+	 * @param {any} message - Language model chat message.
+	 * @param {'pinned'|'history'|'assistant'|'observation'} kind
+	 * @returns {any}
+	 */
+	track(message, kind) {
+		this.kinds.set(message, kind);
+		return message;
+	}
+
+	/**
+	 * Shrinks or drops messages in place until the total fits the budget.
+	 *
+	 * Order: older observations and assistant turns are truncated first, then the
+	 * oldest history turns are replaced by a single omission note, and finally the
+	 * remaining shrinkable messages are truncated further.
+	 *
+	 * @param {Array<any>} messages - Loop messages, mutated in place.
+	 * @returns {Promise<{before:number,after:number,limit:number,shrunk:number,dropped:number}|null>} Report when anything changed.
+	 */
+	async fit(messages) {
+		if (!this.limit) {
+			return null;
+		}
+
+		const before = await this.countAll(messages);
+		let total = before;
+		if (total <= this.limit) {
+			return null;
+		}
+
+		let shrunk = 0;
+		const shrinkIndexes = messages
+			.map((message, index) => (SHRINKABLE_KINDS.has(this.kinds.get(message)) ? index : -1))
+			.filter((index) => index !== -1);
+
+		for (const index of shrinkIndexes.slice(0, -1)) {
+			if (total <= this.limit) {
+				break;
+			}
+			const shrunkTotal = await this.replaceWithShrunk(messages, index, SHRUNK_MESSAGE_CHARS, total);
+			if (shrunkTotal !== null) {
+				total = shrunkTotal;
+				shrunk += 1;
+			}
+		}
+
+		const dropped = total > this.limit ? await this.dropHistory(messages, total) : 0;
+		if (dropped > 0) {
+			total = await this.countAll(messages);
+		}
+
+		for (let maxChars = SHRUNK_MESSAGE_CHARS; total > this.limit && maxChars >= MIN_SHRUNK_MESSAGE_CHARS; maxChars = Math.floor(maxChars / 2)) {
+			for (let index = 0; index < messages.length && total > this.limit; index += 1) {
+				const shrunkTotal = SHRINKABLE_KINDS.has(this.kinds.get(messages[index]))
+					? await this.replaceWithShrunk(messages, index, maxChars, total)
+					: null;
+				if (shrunkTotal !== null) {
+					total = shrunkTotal;
+					shrunk += 1;
+				}
+			}
+		}
+
+		return { before, after: total, limit: this.limit, shrunk, dropped };
+	}
+
+	/**
+	 * Replaces one message with a truncated copy and returns the new total.
+	 *
+	 * @param {Array<any>} messages
+	 * @param {number} index
+	 * @param {number} maxChars
+	 * @param {number} total
+	 * @returns {Promise<number|null>} New total, or null when the message is already short enough.
+	 */
+	async replaceWithShrunk(messages, index, maxChars, total) {
+		const original = messages[index];
+		if (messageText(original).length <= maxChars) {
+			return null;
+		}
+
+		const replacement = shrinkMessage(original, maxChars);
+		this.kinds.set(replacement, this.kinds.get(original));
+		messages[index] = replacement;
+		return total - await this.count(original) + await this.count(replacement);
+	}
+
+	/**
+	 * Drops history messages oldest-first and inserts one omission note in their place.
+	 *
+	 * @param {Array<any>} messages
+	 * @param {number} total
+	 * @returns {Promise<number>} Number of dropped history messages.
+	 */
+	async dropHistory(messages, total) {
+		const historyIndexes = messages
+			.map((message, index) => (this.kinds.get(message) === 'history' ? index : -1))
+			.filter((index) => index !== -1);
+		if (historyIndexes.length === 0) {
+			return 0;
+		}
+
+		let remaining = total;
+		const droppedIndexes = [];
+		for (const index of historyIndexes) {
+			if (remaining <= this.limit) {
+				break;
+			}
+			remaining -= await this.count(messages[index]);
+			droppedIndexes.push(index);
+		}
+
+		const note = vscode.LanguageModelChatMessage.User(
+			`[${droppedIndexes.length} earlier conversation message(s) omitted to fit the model context window.]`
+		);
+		this.kinds.set(note, 'pinned');
+
+		for (const index of droppedIndexes.reverse()) {
+			messages.splice(index, 1);
+		}
+		messages.splice(historyIndexes[0], 0, note);
+		return droppedIndexes.length;
+	}
+
+	/**
+	 * Counts tokens for all messages.
+	 *
+	 * @param {Array<any>} messages
+	 * @returns {Promise<number>}
+	 */
+	async countAll(messages) {
+		const counts = await Promise.all(messages.map((message) => this.count(message)));
+		return counts.reduce((sum, value) => sum + value, 0);
+	}
+
+	/**
+	 * Counts tokens for one message, caching per message object.
+	 *
+	 * Falls back to a characters/4 estimate when `countTokens` is unavailable or fails.
+	 *
+	 * @param {any} message
+	 * @returns {Promise<number>}
+	 */
+	async count(message) {
+		if (this.tokenCounts.has(message)) {
+			return this.tokenCounts.get(message);
+		}
+
+		let tokens;
+		try {
+			tokens = typeof this.model.countTokens === 'function'
+				? await this.model.countTokens(message, this.token)
+				: NaN;
+		} catch {
+			tokens = NaN;
+		}
+
+		if (!Number.isFinite(tokens)) {
+			tokens = Math.ceil(messageText(message).length / 4);
+		}
+
+		this.tokenCounts.set(message, tokens);
+		return tokens;
+	}
+}
+
+/**
+ * Builds a copy of a message with every large part truncated.
+ *
+ * Tool call/result pairing is preserved: result parts keep their call id and
+ * oversized call inputs are replaced by a short placeholder object.
+ *
+ * @param {any} message
+ * @param {number} maxChars
+ * @returns {any}
+ */
+function shrinkMessage(message, maxChars) {
+	const parts = Array.isArray(message.content)
+		? message.content
+		: [new vscode.LanguageModelTextPart(String(message.content || ''))];
+
+	return new vscode.LanguageModelChatMessage(
+		message.role,
+		parts.map((part) => shrinkPart(part, maxChars)),
+		message.name
+	);
+}
+
+/**
+ * Truncates one message part.
+ *
+ * @param {any} part
+ * @param {number} maxChars
+ * @returns {any}
+ */
+function shrinkPart(part, maxChars) {
+	if (part instanceof vscode.LanguageModelTextPart) {
+		return new vscode.LanguageModelTextPart(truncateMiddle(part.value, maxChars));
+	}
+
+	if (part instanceof vscode.LanguageModelToolResultPart) {
+		return new vscode.LanguageModelToolResultPart(
+			part.callId,
+			part.content.map((inner) => shrinkPart(inner, maxChars))
+		);
+	}
+
+	if (part instanceof vscode.LanguageModelToolCallPart && JSON.stringify(part.input || {}).length > maxChars) {
+		return new vscode.LanguageModelToolCallPart(part.callId, part.name, {
+			omitted: 'Tool input omitted to fit the model context window.'
+		});
+	}
+
+	return part;
+}
+
+/**
+ * Keeps the head and tail of long text and marks the omitted middle.
+ *
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function truncateMiddle(text, maxChars) {
+	const value = String(text || '');
+	if (value.length <= maxChars) {
+		return value;
+	}
+
+	const keptLength = Math.max(0, maxChars - TRUNCATION_MARKER_CHARS);
+	const headLength = Math.ceil(keptLength * 0.7);
+	const tailLength = keptLength - headLength;
+	const omitted = value.length - keptLength;
+	return `${value.slice(0, headLength)}\n...[${omitted} chars omitted to fit the model context window]...\n${value.slice(value.length - tailLength)}`;
+}
+
+/**
+ * Extracts approximate text from a message for token estimation.
+ *
+ * @param {any} message
+ * @returns {string}
+ */
+function messageText(message) {
+	const parts = Array.isArray(message && message.content) ? message.content : [message && message.content];
+	return parts.map((part) => {
+		if (typeof part === 'string') {
+			return part;
+		}
+		if (part && typeof part.value === 'string') {
+			return part.value;
+		}
+		if (part && Array.isArray(part.content)) {
+			return part.content.map((inner) => (inner && typeof inner.value === 'string' ? inner.value : '')).join('');
+		}
+		return part ? JSON.stringify(part.input || '') : '';
+	}).join('');
+}
+
+module.exports = {
+	ContextBudget
+};
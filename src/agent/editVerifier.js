@@ -0,0 +1,120 @@
+const fs = require('fs');
+const vscode = require('vscode');
+const { collectDiagnostics, formatDiagnostic, waitForDiagnosticsToSettle } = require('../utils/diagnostics');
+
+const DIAGNOSTICS_QUIET_MS = 1000;
+const DIAGNOSTICS_TIMEOUT_MS = 8000;
+const MAX_REPORTED_ERRORS = 30;
+
+/**
+ * Checks files edited during an agent turn against the Problems panel.
+ *
+ * Errors present when the turn started are remembered as a baseline, so only
+ * errors the turn introduced are reported. Files that were not open in an
+ * editor at the start may have had no diagnostics yet; their errors are
+ * reported as well but marked as possibly pre-existing.
+ */
+class EditVerifier {
+	constructor() {
+		this.baseline = countErrorsByUri(collectDiagnostics({ minSeverity: 'error' }));
+		this.openAtStart = new Set(vscode.workspace.textDocuments.map((document) => document.uri.toString()));
+		this.verifiedRevision = 0;
+	}
+
+	/**
+	 * Returns true when the checkpoint recorded writes since the last verification.
+	 *
+	 * @param {object} checkpoint - Turn checkpoint.
+	 * @returns {boolean}
+	 */
+	hasUnverifiedEdits(checkpoint) {
+		return checkpoint.revision !== this.verifiedRevision;
+	}
+
+	/**
+	 * Waits for diagnostics of the edited files to settle and reports new errors.
+	 *
+	 * @param {object} checkpoint - Turn checkpoint listing the edited files.
+	 * @param {object} [token] - Cancellation token.
+	 * @returns {Promise<{message:string,newErrors:number,files:number}>}
+	 */
+	async verify(checkpoint, token) {
+		this.verifiedRevision = checkpoint.revision;
+		const uris = new Set();
+		for (const filePath of checkpoint.getFilePaths()) {
+			if (!fs.existsSync(filePath)) {
+				continue;
+			}
+			const uri = vscode.Uri.file(filePath);
+			uris.add(uri.toString());
+			try {
+				// Language servers usually publish diagnostics only for open documents.
+				await vscode.workspace.openTextDocument(uri);
+			} catch {
+				// Binary or unreadable files have no diagnostics to wait for.
+			}
+		}
+
+		if (uris.size === 0) {
+			return { message: 'Diagnostics check after your edits: no edited files remain to check.', newErrors: 0, files: 0 };
+		}
+
+		await waitForDiagnosticsToSettle(uris, { quietMs: DIAGNOSTICS_QUIET_MS, timeoutMs: DIAGNOSTICS_TIMEOUT_MS, token });
+		const remaining = new Map(this.baseline);
+		const newErrors = collectDiagnostics({ uris, minSeverity: 'error' }).filter((entry) => {
+			const key = `${entry.uri}\n${errorKey(entry)}`;
+			const count = remaining.get(key) || 0;
+			remaining.set(key, count - 1);
+			return count <= 0;
+		});
+
+		if (newErrors.length === 0) {
+			return { message: `Diagnostics check after your edits: no new errors in the ${uris.size} edited file(s).`, newErrors: 0, files: uris.size };
+		}
+
+		const lines = newErrors.slice(0, MAX_REPORTED_ERRORS).map((entry) => {
+			const caveat = this.openAtStart.has(entry.uri) ? '' : ' [file was not open before; may be pre-existing]';
+			return `${formatDiagnostic(entry)}${caveat}`;
+		});
+		if (newErrors.length > MAX_REPORTED_ERRORS) {
+			lines.push(`...${newErrors.length - MAX_REPORTED_ERRORS} more...`);
+		}
+		return {
+			message: [
+				`Diagnostics check after your edits: ${newErrors.length} new error(s) in the edited files. Fix them, or explain why they are expected, before giving your final answer:`,
+				...lines
+			].join('\n'),
+			newErrors: newErrors.length,
+			files: uris.size
+		};
+	}
+}
+
+/**
+ * Counts errors per URI and message so later errors can be compared regardless of line shifts.
+ *
+ * @param {Array<{uri:string,message:string,source:string,code:string}>} entries
+ * @returns {Map<string,number>}
+ */
+function countErrorsByUri(entries) {
+	const counts = new Map();
+	for (const entry of entries) {
+		const key = `${entry.uri}\n${errorKey(entry)}`;
+		counts.set(key, (counts.get(key) || 0) + 1);
+	}
+	return counts;
+}
+
+/**
+ * Identifies an error by source, code and message.
+ *
+ * @param {{message:string,source:string,code:string}} entry
+ * @returns {string}
+ */
+function errorKey(entry) {
+	return `${entry.source}|${entry.code}|${entry.message}`;
+}
+
+module.exports = {
+	EditVerifier
+};
@@ -0,0 +1,322 @@
+const FENCE_PREFIX_PATTERN = /^(?:`{0,3}|```(?:j|js|jso|json)?\s*)$/i;
+const SIMPLE_ESCAPES = Object.freeze({
+	'"': '"',
+	'\\': '\\',
+	'/': '/',
+	b: '\b',
+	f: '\f',
+	n: '\n',
+	r: '\r',
+	t: '\t'
+});
+
+/**
+ * Incremental scanner that detects a `{"type":"final","content":"..."}` action
+ * while model chunks arrive and emits the decoded `content` string as it grows.
+ *
+ * Only the top-level object is inspected. Streaming starts when `"type":"final"`
+ * appears before `"content"`; any other shape (tool actions, prose, content
+ * before type) is left to the buffered `parseAgentAction` path.
+ */
+class FinalContentStreamer {
+	constructor() {
+		this.state = 'preamble';
+		this.preamble = '';
+		this.currentKey = '';
+		this.keyBuffer = '';
+		this.valueBuffer = '';
+		this.actionType = '';
+		this.streamingContent = false;
+		this.streamedAny = false;
+		this.escapeBuffer = '';
+		this.pendingHighSurrogate = '';
+		this.skipDepth = 0;
+		this.skipInString = false;
+		this.skipEscapeNext = false;
+	}
+
+	/**
+	 * Feeds one raw chunk and returns newly decoded final content, if any.
+	 *
+	 * @param {string} chunk - Raw model text chunk.
+	 * @returns {string} Decoded content to append to the chat response.
+	 */
+	push(chunk) {
+		let emitted = '';
+		const text = String(chunk || '');
+
+		for (const char of text) {
+			if (this.state === 'done' || this.state === 'abandoned') {
+				break;
+			}
+			emitted += this.consume(char);
+		}
+
+		if (emitted) {
+			this.streamedAny = true;
+		}
+		return emitted;
+	}
+
+	/**
+	 * Returns true once any final content has been emitted.
+	 *
+	 * @returns {boolean}
+	 */
+	hasStreamedContent() {
+		return this.streamedAny;
+	}
+
+	/**
+	 * Advances the state machine by one character.
+	 *
+	 * @param {string} char
+	 * @returns {string} Decoded content produced by this character.
+	 */
+	consume(char) {
+		switch (this.state) {
+			case 'preamble':
+				return this.consumePreamble(char);
+			case 'expectKey':
+				if (char === '"') {
+					this.keyBuffer = '';
+					this.state = 'key';
+				} else if (char === '}') {
+					this.state = 'done';
+				} else if (!isWhitespace(char) && char !== ',') {
+					this.state = 'abandoned';
+				}
+				return '';
+			case 'key':
+				return this.consumeKey(char);
+			case 'expectColon':
+				if (char === ':') {
+					this.state = 'expectValue';
+				} else if (!isWhitespace(char)) {
+					this.state = 'abandoned';
+				}
+				return '';
+			case 'expectValue':
+				return this.consumeValueStart(char);
+			case 'stringValue':
+				return this.consumeStringValue(char);
+			case 'skipValue':
+				this.consumeSkippedValue(char);
+				return '';
+			default:
+				return '';
+		}
+	}
+
+	/**
+	 * Skips an optional markdown fence before the opening brace.
+	 *
+	 * @param {string} char
+	 * @returns {string}
+	 */
+	consumePreamble(char) {
+		if (char === '{') {
+			this.state = FENCE_PREFIX_PATTERN.test(this.preamble.trim()) ? 'expectKey' : 'abandoned';
+			return '';
+		}
+
+		this.preamble += char;
+		if (!FENCE_PREFIX_PATTERN.test(this.preamble.trimStart())) {
+			this.state = 'abandoned';
+		}
+		return '';
+	}
+
+	/**
+	 * Collects one top-level key string.
+	 *
+	 * @param {string} char
+	 * @returns {string}
+	 */
+	consumeKey(char) {
+		if (this.escapeBuffer) {
+			this.keyBuffer += char;
+			this.escapeBuffer = '';
+			return '';
+		}
+
+		if (char === '\\') {
+			this.escapeBuffer = char;
+		} else if (char === '"') {
+			this.currentKey = this.keyBuffer;
+			this.state = 'expectColon';
+		} else {
+			this.keyBuffer += char;
+		}
+		return '';
+	}
+
+	/**
+	 * Dispatches on the first character of a top-level value.
+	 *
+	 * @param {string} char
+	 * @returns {string}
+	 */
+	consumeValueStart(char) {
+		if (isWhitespace(char)) {
+			return '';
+		}
+
+		if (char === '"') {
+			this.valueBuffer = '';
+			this.streamingContent = this.currentKey === 'content' && this.actionType === 'final';
+			this.state = 'stringValue';
+			return '';
+		}
+
+		this.skipDepth = 0;
+		this.skipInString = false;
+		this.skipEscapeNext = false;
+		this.state = 'skipValue';
+		this.consumeSkippedValue(char);
+		return '';
+	}
+
+	/**
+	 * Decodes a top-level string value, emitting it when it is the final content.
+	 *
+	 * @param {string} char
+	 * @returns {string}
+	 */
+	consumeStringValue(char) {
+		if (this.escapeBuffer) {
+			this.escapeBuffer += char;
+			const decoded = decodeEscape(this.escapeBuffer);
+			if (decoded === null) {
+				return '';
+			}
+			this.escapeBuffer = '';
+			return this.appendDecoded(decoded);
+		}
+
+		if (char === '\\') {
+			this.escapeBuffer = char;
+			return '';
+		}
+
+		if (char === '"') {
+			return this.finishStringValue();
+		}
+
+		return this.appendDecoded(char);
+	}
+
+	/**
+	 * Appends decoded characters to the current string value.
+	 *
+	 * High surrogates are held back so emitted chunks never split a code point.
+	 *
+	 * @param {string} decoded
+	 * @returns {string}
+	 */
+	appendDecoded(decoded) {
+		let value = this.pendingHighSurrogate + decoded;
+		this.pendingHighSurrogate = '';
+
+		const lastCode = value.charCodeAt(value.length - 1);
+		if (lastCode >= 0xd800 && lastCode <= 0xdbff) {
+			this.pendingHighSurrogate = value.slice(-1);
+			value = value.slice(0, -1);
+		}
+
+		if (this.streamingContent) {
+			return value;
+		}
+
+		this.valueBuffer += value;
+		return '';
+	}
+
+	/**
+	 * Completes a top-level string value.
+	 *
+	 * @returns {string}
+	 */
+	finishStringValue() {
+		const leftover = this.pendingHighSurrogate;
+		this.pendingHighSurrogate = '';
+
+		if (this.currentKey === 'type') {
+			this.actionType = (this.valueBuffer + leftover).trim().toLowerCase();
+			if (this.actionType !== 'final') {
+				this.state = 'abandoned';
+				return '';
+			}
+		}
+
+		const emitted = this.streamingContent ? leftover : '';
+		this.state = this.streamingContent ? 'done' : 'expectKey';
+		this.streamingContent = false;
+		return emitted;
+	}
+
+	/**
+	 * Skips over a non-string top-level value (object, array, number, literal).
+	 *
+	 * @param {string} char
+	 */
+	consumeSkippedValue(char) {
+		if (this.skipInString) {
+			if (this.skipEscapeNext) {
+				this.skipEscapeNext = false;
+			} else if (char === '\\') {
+				this.skipEscapeNext = true;
+			} else if (char === '"') {
+				this.skipInString = false;
+			}
+			return;
+		}
+
+		if (char === '"') {
+			this.skipInString = true;
+		} else if (char === '{' || char === '[') {
+			this.skipDepth += 1;
+		} else if (char === '}' || char === ']') {
+			if (this.skipDepth === 0) {
+				this.state = 'done';
+				return;
+			}
+			this.skipDepth -= 1;
+		} else if (char === ',' && this.skipDepth === 0) {
+			this.state = 'expectKey';
+		}
+	}
+}
+
+/**
+ * Decodes a JSON string escape sequence once it is complete.
+ *
+ * @param {string} sequence - Escape sequence starting with a backslash.
+ * @returns {string|null} Decoded text, or null while more characters are needed.
+ */
+function decodeEscape(sequence) {
+	const marker = sequence[1];
+	if (marker === 'u') {
+		if (sequence.length < 6) {
+			return null;
+		}
+		const codeUnit = Number.parseInt(sequence.slice(2, 6), 16);
+		return Number.isFinite(codeUnit) ? String.fromCharCode(codeUnit) : '';
+	}
+
+	return Object.prototype.hasOwnProperty.call(SIMPLE_ESCAPES, marker) ? SIMPLE_ESCAPES[marker] : marker;
+}
+
+/**
+ * Checks JSON insignificant whitespace.
+ *
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isWhitespace(char) {
+	return char === ' ' || char === '\n' || char === '\r' || char === '\t';
+}
+
+module.exports = {
+	FinalContentStreamer
+};
@@ -3,16 +3,23 @@ const vscode = require('vscode');
 /**
  * Converts chat history entries into model chat messages.
  *
+ * When a compaction summary exists, it replaces the turns it covers.
+ *
  * @param {Array<object>} history - VS Code chat history entries.
+ * @param {object|null} [compaction] - Compaction to apply; defaults to the latest one in history.
  * @returns {Array<any>} Language model chat messages.
  */
-function toModelMessages(history) {
+function toModelMessages(history, compaction = findLatestCompaction(history)) {
 	const messages = [];
 	if (!Array.isArray(history)) {
 		return messages;
 	}
 
-	for (const turn of history) {
+	if (compaction) {
+		messages.push(vscode.LanguageModelChatMessage.User(formatCompactionSummary(compaction)));
+	}
+
+	for (const turn of history.slice(resolveResumeIndex(compaction))) {
 		const requestText = extractRequestText(turn);
 		if (requestText) {
 			messages.push(vscode.LanguageModelChatMessage.User(requestText));
@@ -31,16 +38,23 @@ function toModelMessages(history) {
 /**
  * Flattens chat history into a readable text transcript.
  *
+ * When a compaction summary exists, it replaces the turns it covers.
+ *
  * @param {Array<object>} history - VS Code chat history entries.
+ * @param {object|null} [compaction] - Compaction to apply; defaults to the latest one in history.
  * @returns {string}
  */
-function toTranscript(history) {
+function toTranscript(history, compaction = findLatestCompaction(history)) {
 	if (!Array.isArray(history) || history.length === 0) {
 		return '';
 	}
 
 	const lines = [];
-	for (const turn of history) {
+	if (compaction) {
+		lines.push(formatCompactionSummary(compaction));
+	}
+
+	for (const turn of history.slice(resolveResumeIndex(compaction))) {
 		const requestText = extractRequestText(turn);
 		if (requestText) {
 			lines.push(`User: ${requestText}`);
@@ -56,6 +70,118 @@ function toTranscript(history) {
 	return lines.join('\n\n');
 }
 
+/**
+ * Finds the most recent compaction stored in response-turn result metadata.
+ *
+ * A `/compact` turn is itself skipped on resume; an automatic compaction keeps
+ * the turn that produced it.
+ *
+ * @param {Array<object>} history - VS Code chat history entries.
+ * @returns {{summary:string,coveredTurns:number,coveredRequests:number,source:string,resumeIndex:number}|null}
+ */
+function findLatestCompaction(history) {
+	if (!Array.isArray(history)) {
+		return null;
+	}
+
+	for (let index = history.length - 1; index >= 0; index -= 1) {
+		const metadata = readResultMetadata(history[index]);
+		const compaction = metadata && metadata.compaction;
+		if (!compaction || typeof compaction.summary !== 'string' || !compaction.summary.trim()) {
+			continue;
+		}
+
+		const coveredTurns = Math.min(index, Math.max(0, Number(compaction.coveredTurns) || 0));
+		return {
+			summary: compaction.summary,
+			coveredTurns,
+			coveredRequests: Number(compaction.coveredRequests) || countRequestTurns(history.slice(0, coveredTurns)),
+			source: compaction.source === 'auto' ? 'auto' : 'command',
+			resumeIndex: compaction.source === 'auto' ? coveredTurns : index + 1
+		};
+	}
+
+	return null;
+}
+
+/**
+ * Creates the compaction record stored in result metadata.
+ *
+ * The record covers every history entry that exists when it is created.
+ *
+ * @param {Array<object>} history - VS Code chat history entries.
+ * @param {string} summary - Model-generated continuation summary.
+ * @param {'command'|'auto'} source - How the compaction was triggered.
+ * @returns {{summary:string,coveredTurns:number,coveredRequests:number,source:string}}
+ */
+function createCompaction(history, summary, source) {
+	const entries = Array.isArray(history) ? history : [];
+	return {
+		summary,
+		coveredTurns: entries.length,
+		coveredRequests: countRequestTurns(entries),
+		source
+	};
+}
+
+/**
+ * Returns the history index where uncompacted turns resume.
+ *
+ * @param {{coveredTurns:number,resumeIndex?:number}|null} compaction
+ * @returns {number}
+ */
+function resolveResumeIndex(compaction) {
+	if (!compaction) {
+		return 0;
+	}
+	return typeof compaction.resumeIndex === 'number' ? compaction.resumeIndex : compaction.coveredTurns;
+}
+
+/**
+ * Describes which turns a compaction replaced, for display in the chat response.
+ *
+ * @param {{coveredRequests:number}} compaction
+ * @returns {string}
+ */
+function describeCompaction(compaction) {
+	const range = compaction.coveredRequests > 1 ? `turns 1-${compaction.coveredRequests}` : 'turn 1';
+	return `Compacted ${range} of this conversation into a summary. Later requests use the summary instead of those turns.`;
+}
+
+/**
+ * Formats a compaction summary as model context.
+ *
+ * @param {{summary:string,coveredRequests:number}} compaction
+ * @returns {string}
+ */
+function formatCompactionSummary(compaction) {
+	return [
+		`Summary of earlier conversation (${compaction.coveredRequests} compacted turn(s)):`,
+		compaction.summary.trim()
+	].join('\n');
+}
+
+/**
+ * Counts user request turns in a history slice.
+ *
+ * @param {Array<object>} history
+ * @returns {number}
+ */
+function countRequestTurns(history) {
+	return history.filter((turn) => Boolean(turn && typeof turn.prompt === 'string')).length;
+}
+
+/**
+ * Reads result metadata from a response turn.
+ *
+ * @param {object} turn
+ * @returns {object|null}
+ */
+function readResultMetadata(turn) {
+	const result = turn && typeof turn === 'object' ? turn.result : undefined;
+	return result && result.metadata && typeof result.metadata === 'object' ? result.metadata : null;
+}
+
 /**
  * Extracts user prompt text from a history turn.
  *
@@ -116,5 +242,8 @@ function extractResponsePartText(part) {
 
 module.exports = {
 	toModelMessages,
-	toTranscript
+	toTranscript,
+	findLatestCompaction,
+	createCompaction,
+	describeCompaction
 };
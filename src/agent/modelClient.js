@@ -28,15 +28,38 @@ class ModelClient {
 	 * @param {Array<any>} messages - Language model messages.
 	 * @param {object} token - Cancellation token.
 	 * @param {any} preferredModel - Request-scoped model, if provided by chat UI.
+	 * @param {(chunk:string)=>void} [onChunk] - Optional observer for each raw text chunk.
 	 * @returns {Promise<{text:string,model:any}>}
 	 */
-	async complete(messages, token, preferredModel) {
+	async complete(messages, token, preferredModel, onChunk) {
 		const model = await this.getModel(preferredModel);
 		const response = await model.sendRequest(messages, {}, token);
-		const text = await streamToText(response.text, token);
+		const text = await streamToText(response.text, token, onChunk);
 		return { text, model };
 	}
 
+	/**
+	 * Sends model messages with native tool definitions and collects text plus tool calls.
+	 *
+	 * @param {Array<any>} messages - Language model messages.
+	 * @param {Array<object>} tools - `LanguageModelChatTool` descriptors.
+	 * @param {object} token - Cancellation token.
+	 * @param {any} preferredModel - Request-scoped model, if provided by chat UI.
+	 * @param {(text:string)=>void} [onText] - Optional observer for each text part as it arrives.
+	 * @returns {Promise<{text:string,toolCalls:Array<any>,model:any}>}
+	 */
+	async completeWithTools(messages, tools, token, preferredModel, onText) {
+		const model = await this.getModel(preferredModel);
+		const options = { tools };
+		if (vscode.LanguageModelChatToolMode) {
+			options.toolMode = vscode.LanguageModelChatToolMode.Auto;
+		}
+
+		const response = await model.sendRequest(messages, options, token);
+		const { text, toolCalls } = await streamToParts(response.stream, token, onText);
+		return { text, toolCalls, model };
+	}
+
 	/**
 	 * Resolves the model that should be used for a request.
 	 *
@@ -123,21 +146,57 @@ function describeModel(model) {
  *
  * @param {AsyncIterable<string|any>} stream - Source stream of response chunks.
  * @param {{isCancellationRequested?:boolean}} token - Optional cancellation token.
+ * @param {(chunk:string)=>void} [onChunk] - Optional observer for each chunk as it arrives.
  * @returns {Promise<string>} Combined, trimmed response text.
  */
-async function streamToText(stream, token) {
+async function streamToText(stream, token, onChunk) {
 	let result = '';
 
 	for await (const chunk of stream) {
 		if (token && token.isCancellationRequested) {
 			break;
 		}
-		result += typeof chunk === 'string' ? chunk : String(chunk);
+		const text = typeof chunk === 'string' ? chunk : String(chunk);
+		result += text;
+		if (onChunk) {
+			onChunk(text);
+		}
 	}
 
 	return result.trim();
 }
 
+/**
+ * Reads a mixed response stream and separates text from native tool calls.
+ *
+ * @param {AsyncIterable<any>} stream - Source stream of response parts.
+ * @param {{isCancellationRequested?:boolean}} token - Optional cancellation token.
+ * @param {(text:string)=>void} [onText] - Optional observer for each text part as it arrives.
+ * @returns {Promise<{text:string,toolCalls:Array<any>}>}
+ */
+async function streamToParts(stream, token, onText) {
+	let text = '';
+	const toolCalls = [];
+
+	for await (const part of stream) {
+		if (token && token.isCancellationRequested) {
+			break;
+		}
+
+		if (part instanceof vscode.LanguageModelToolCallPart) {
+			toolCalls.push(part);
+		} else if (part instanceof vscode.LanguageModelTextPart || typeof part === 'string') {
+			const value = typeof part === 'string' ? part : part.value;
+			text += value;
+			if (onText && value) {
+				onText(value);
+			}
+		}
+	}
+
+	return { text: text.trim(), toolCalls };
+}
+
 module.exports = {
 	ModelClient,
 	describeModel
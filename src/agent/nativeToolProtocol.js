@@ -0,0 +1,126 @@
+const vscode = require('vscode');
+const { buildObservationPayload } = require('./actionProtocol');
+
+const NON_RECOVERABLE_ERROR_CODES = new Set(['NoPermissions', 'Blocked']);
+
+/**
+ * Checks whether the running VS Code build exposes the native tool-calling API surface.
+ *
+ * @returns {boolean}
+ */
+function isNativeToolApiAvailable() {
+	return typeof vscode.LanguageModelToolCallPart === 'function'
+		&& typeof vscode.LanguageModelToolResultPart === 'function'
+		&& typeof vscode.LanguageModelTextPart === 'function';
+}
+
+/**
+ * Decides whether a request should use native tool calling.
+ *
+ * - `json` always uses the text action protocol.
+ * - `native` uses native tool calling whenever the API exists.
+ * - `auto` additionally skips models that report no tool-calling support.
+ *
+ * @param {any} model - Resolved language model.
+ * @param {{toolCallingMode:string}} settings
+ * @returns {boolean}
+ */
+function shouldUseNativeToolCalling(model, settings) {
+	const mode = settings && settings.toolCallingMode;
+	if (mode === 'json' || !isNativeToolApiAvailable()) {
+		return false;
+	}
+
+	if (mode === 'native') {
+		return true;
+	}
+
+	const capabilities = model && model.capabilities;
+	return !(capabilities && capabilities.supportsToolCalling === false);
+}
+
+/**
+ * Converts registry tool definitions into `LanguageModelChatTool` descriptors.
+ *
+ * @param {Array<{name:string,description:string,inputSchema:object}>} toolDefinitions
+ * @returns {Array<{name:string,description:string,inputSchema:object}>}
+ */
+function toLanguageModelChatTools(toolDefinitions) {
+	if (!Array.isArray(toolDefinitions)) {
+		return [];
+	}
+
+	return toolDefinitions.map((tool) => ({
+		name: tool.name,
+		description: tool.description,
+		inputSchema: tool.inputSchema
+	}));
+}
+
+/**
+ * Builds the assistant message that echoes model text and tool calls back into context.
+ *
+ * @param {string} text - Text emitted alongside the tool calls.
+ * @param {Array<any>} toolCalls - `LanguageModelToolCallPart` instances.
+ * @returns {any}
+ */
+function buildToolCallMessage(text, toolCalls) {
+	const parts = [];
+	if (text) {
+		parts.push(new vscode.LanguageModelTextPart(text));
+	}
+	parts.push(...toolCalls);
+	return vscode.LanguageModelChatMessage.Assistant(parts);
+}
+
+/**
+ * Builds one `LanguageModelToolResultPart` for an executed tool call.
+ *
+ * @param {string} callId - Tool call id issued by the model.
+ * @param {string} toolName - Executed tool name.
+ * @param {{ok?:boolean,output?:string,error?:string,metadata?:object}} result - Tool result payload.
+ * @returns {any}
+ */
+function buildToolResultPart(callId, toolName, result) {
+	const payload = buildObservationPayload(toolName, result);
+	return new vscode.LanguageModelToolResultPart(callId, [
+		new vscode.LanguageModelTextPart(JSON.stringify(payload))
+	]);
+}
+
+/**
+ * Builds the user message carrying tool results for the previous assistant turn.
+ *
+ * @param {Array<any>} resultParts - `LanguageModelToolResultPart` instances.
+ * @returns {any}
+ */
+function buildToolResultMessage(resultParts) {
+	return vscode.LanguageModelChatMessage.User(resultParts);
+}
+
+/**
+ * Checks whether a native request failure should fall back to the JSON protocol.
+ *
+ * Permission/blocked errors and cancellations are surfaced instead of retried.
+ *
+ * @param {any} error
+ * @param {{isCancellationRequested?:boolean}} token
+ * @returns {boolean}
+ */
+function isNativeToolFallbackError(error, token) {
+	if (token && token.isCancellationRequested) {
+		return false;
+	}
+
+	const code = error && typeof error.code === 'string' ? error.code : '';
+	return !NON_RECOVERABLE_ERROR_CODES.has(code);
+}
+
+module.exports = {
+	shouldUseNativeToolCalling,
+	toLanguageModelChatTools,
+	buildToolCallMessage,
+	buildToolResultPart,
+	buildToolResultMessage,
+	isNativeToolFallbackError
+};
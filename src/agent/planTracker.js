@@ -0,0 +1,283 @@
+const PLAN_TOOL_NAME = 'plan';
+const UPDATE_PLAN_TOOL_NAME = 'update_plan';
+const PLANNING_COMMANDS = new Set(['new', 'edit', 'fix']);
+const MAX_PLAN_STEPS = 20;
+
+const STATUS_ALIASES = Object.freeze({
+	pending: 'pending',
+	todo: 'pending',
+	'not-started': 'pending',
+	not_started: 'pending',
+	in_progress: 'in_progress',
+	'in-progress': 'in_progress',
+	active: 'in_progress',
+	done: 'done',
+	completed: 'done',
+	complete: 'done',
+	skipped: 'skipped',
+	blocked: 'blocked',
+	failed: 'blocked'
+});
+
+const STATUS_LABELS = Object.freeze({
+	pending: '',
+	in_progress: ' _(in progress)_',
+	done: '',
+	skipped: ' _(skipped)_',
+	blocked: ' _(blocked)_'
+});
+
+/**
+ * Tracks a numbered plan for multi-step requests and renders it as a checklist.
+ *
+ * Steps are `{title, status}` with status one of `pending`, `in_progress`,
+ * `done`, `skipped` or `blocked`.
+ */
+class PlanTracker {
+	/**
+	 * @param {Array<{title:string,status:string}>} [steps] - Steps resumed from a previous turn.
+	 */
+	constructor(steps) {
+		this.steps = normalizePlanSteps(steps);
+	}
+
+	/**
+	 * Returns true when a plan exists.
+	 *
+	 * @returns {boolean}
+	 */
+	hasPlan() {
+		return this.steps.length > 0;
+	}
+
+	/**
+	 * Returns true when every step is done or skipped.
+	 *
+	 * @returns {boolean}
+	 */
+	isComplete() {
+		return this.hasPlan() && this.steps.every((step) => step.status === 'done' || step.status === 'skipped');
+	}
+
+	/**
+	 * Replaces the plan with new steps.
+	 *
+	 * @param {any} steps - Raw steps from the model.
+	 */
+	setPlan(steps) {
+		const normalized = normalizePlanSteps(steps);
+		if (normalized.length === 0) {
+			throw new Error(`${PLAN_TOOL_NAME} requires a non-empty "steps" array.`);
+		}
+		this.steps = normalized;
+	}
+
+	/**
+	 * Applies status updates addressed by 1-based step number.
+	 *
+	 * @param {any} updates - Raw `[{step, status, title?}]` entries from the model.
+	 */
+	applyUpdates(updates) {
+		if (!this.hasPlan()) {
+			throw new Error(`No plan exists yet. Call ${PLAN_TOOL_NAME} first.`);
+		}
+
+		const entries = Array.isArray(updates) ? updates : [];
+		if (entries.length === 0) {
+			throw new Error(`${UPDATE_PLAN_TOOL_NAME} requires a non-empty "updates" array.`);
+		}
+
+		const invalid = entries.find((entry) => !this.steps[Math.trunc(Number(entry && entry.step)) - 1]);
+		if (invalid) {
+			throw new Error(`Plan step ${invalid && invalid.step} does not exist (plan has ${this.steps.length} steps).`);
+		}
+
+		for (const entry of entries) {
+			const step = this.steps[Math.trunc(Number(entry.step)) - 1];
+			step.status = normalizeStatus(entry.status, step.status);
+			if (typeof entry.title === 'string' && entry.title.trim()) {
+				step.title = entry.title.trim();
+			}
+		}
+	}
+
+	/**
+	 * Renders the plan as a markdown checklist.
+	 *
+	 * @returns {string}
+	 */
+	toMarkdown() {
+		const lines = this.steps.map((step, index) => {
+			const checkbox = step.status === 'done' ? '[x]' : '[ ]';
+			return `- ${checkbox} ${index + 1}. ${step.title}${STATUS_LABELS[step.status]}`;
+		});
+		return [`**Plan** (${this.countDone()}/${this.steps.length} done)`, ...lines].join('\n');
+	}
+
+	/**
+	 * Serializes the plan for chat result metadata.
+	 *
+	 * @returns {{steps:Array<{title:string,status:string}>}}
+	 */
+	toMetadata() {
+		return { steps: this.steps.map((step) => ({ title: step.title, status: step.status })) };
+	}
+
+	/**
+	 * Counts finished steps.
+	 *
+	 * @returns {number}
+	 */
+	countDone() {
+		return this.steps.filter((step) => step.status === 'done').length;
+	}
+}
+
+/**
+ * Returns runner-handled tool definitions for creating and updating the plan.
+ *
+ * @returns {Array<{name:string,description:string,inputSchema:object}>}
+ */
+function getPlanToolDefinitions() {
+	return [
+		{
+			name: PLAN_TOOL_NAME,
+			description: 'Create or replace the numbered plan for this task. Shown to the user as a checklist.',
+			inputSchema: {
+				type: 'object',
+				properties: {
+					steps: {
+						type: 'array',
+						description: 'Ordered steps. Each item is a short title or {"title":"...","status":"pending"}.',
+						items: {
+							anyOf: [
+								{ type: 'string' },
+								{
+									type: 'object',
+									properties: {
+										title: { type: 'string' },
+										status: { type: 'string', enum: ['pending', 'in_progress', 'done', 'skipped', 'blocked'] }
+									},
+									required: ['title']
+								}
+							]
+						}
+					}
+				},
+				required: ['steps']
+			}
+		},
+		{
+			name: UPDATE_PLAN_TOOL_NAME,
+			description: 'Update plan step statuses by 1-based step number. Batch it with the tool calls that complete the step.',
+			inputSchema: {
+				type: 'object',
+				properties: {
+					updates: {
+						type: 'array',
+						items: {
+							type: 'object',
+							properties: {
+								step: { type: 'number', description: '1-based step number.' },
+								status: { type: 'string', enum: ['pending', 'in_progress', 'done', 'skipped', 'blocked'] },
+								title: { type: 'string', description: 'Optional new title.' }
+							},
+							required: ['step', 'status']
+						}
+					}
+				},
+				required: ['updates']
+			}
+		}
+	];
+}
+
+/**
+ * Checks whether a tool name is handled by the plan tracker.
+ *
+ * @param {string} toolName
+ * @returns {boolean}
+ */
+function isPlanTool(toolName) {
+	return toolName === PLAN_TOOL_NAME || toolName === UPDATE_PLAN_TOOL_NAME;
+}
+
+/**
+ * Checks whether a slash command should start with a plan.
+ *
+ * @param {string} command
+ * @returns {boolean}
+ */
+function isPlanningCommand(command) {
+	return PLANNING_COMMANDS.has(String(command || '').trim().toLowerCase());
+}
+
+/**
+ * Returns the unfinished plan stored in the previous response turn's result metadata.
+ *
+ * Only the latest response is checked; a turn that resumes a plan carries it
+ * forward in its own metadata.
+ *
+ * @param {Array<object>} history - VS Code chat history entries.
+ * @returns {Array<{title:string,status:string}>|null}
+ */
+function findUnfinishedPlan(history) {
+	if (!Array.isArray(history)) {
+		return null;
+	}
+
+	const lastResponse = [...history].reverse().find((turn) => turn && typeof turn === 'object' && turn.result);
+	const metadata = lastResponse && lastResponse.result.metadata;
+	const plan = metadata && metadata.plan;
+	if (!plan || !Array.isArray(plan.steps)) {
+		return null;
+	}
+
+	const tracker = new PlanTracker(plan.steps);
+	return tracker.hasPlan() && !tracker.isComplete() ? tracker.steps : null;
+}
+
+/**
+ * Normalizes raw plan steps into `{title, status}` entries.
+ *
+ * @param {any} steps
+ * @returns {Array<{title:string,status:string}>}
+ */
+function normalizePlanSteps(steps) {
+	if (!Array.isArray(steps)) {
+		return [];
+	}
+
+	return steps
+		.map((step) => {
+			if (typeof step === 'string') {
+				return { title: step.trim(), status: 'pending' };
+			}
+			const title = step && typeof step.title === 'string' ? step.title.trim() : '';
+			return { title, status: normalizeStatus(step && step.status, 'pending') };
+		})
+		.filter((step) => Boolean(step.title))
+		.slice(0, MAX_PLAN_STEPS);
+}
+
+/**
+ * Maps status synonyms onto supported plan statuses.
+ *
+ * @param {any} value
+ * @param {string} fallback
+ * @returns {string}
+ */
+function normalizeStatus(value, fallback) {
+	const key = String(value || '').trim().toLowerCase();
+	return STATUS_ALIASES[key] || fallback;
+}
+
+module.exports = {
+	PLAN_TOOL_NAME,
+	UPDATE_PLAN_TOOL_NAME,
+	PlanTracker,
+	getPlanToolDefinitions,
+	isPlanTool,
+	isPlanningCommand,
+	findUnfinishedPlan
+};
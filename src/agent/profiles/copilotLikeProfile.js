@@ -11,6 +11,24 @@ const COMMAND_GUIDANCE = {
 	compact: 'Summarize conversation state for continued work with lower token usage.'
 };
 
+/**
+ * Prompt lines about specific tools; each is included only when all of its
+ * tools are registered, so the model is never pointed at a disabled tool.
+ */
+const TOOL_GUIDANCE = [
+	{ tools: ['search_text'], text: 'Workspace-wide search is available via search_text and should be used when asked to search references across files.' },
+	{ tools: ['search_text'], text: 'For duplicate symbol checks or reference updates, run search_text before proposing edits.' },
+	{ tools: ['search_text'], text: 'When search_text returns a cursor and you need the remaining matches, call it again with the same arguments plus that cursor; use beforeContextLines/afterContextLines instead of reading each file to see surrounding code.' },
+	{ tools: ['find_definition', 'find_references', 'workspace_symbols', 'document_symbols', 'search_text'], text: 'To follow code (where a symbol is defined, who calls it, what a file contains), prefer find_definition, find_references, workspace_symbols and document_symbols over text search; fall back to search_text when they return nothing.' },
+	{ tools: ['web_search'], text: 'For general internet questions, current events, or requests to search online, use the web_search tool.' },
+	{ tools: ['hello_world'], text: 'If the user asks to test tool invocation with a hello output, use hello_world.' },
+	{ tools: ['write_file', 'edit_file'], text: 'Use write_file to create/overwrite files and edit_file for precise in-place updates; batch related replacements into one edit_file call with "edits" (one file) or "files" (several files).' },
+	{ tools: ['get_diagnostics'], text: 'After editing code, use get_diagnostics on the changed files to check for new compile or lint errors.' },
+	{ tools: ['rename_symbol'], text: 'To rename a variable, function, class or property, use rename_symbol instead of editing each occurrence.' },
+	{ tools: ['replace_in_files'], text: 'For the same textual change in many files (config keys, log messages), use replace_in_files: preview first, then apply.' },
+	{ tools: ['move_file'], text: 'Use move_file to move or rename files and folders (it lets language services update imports) instead of writing a copy and deleting the original.' }
+];
+
 /**
  * Formats tool definitions for inclusion in the system prompt.
  *
@@ -27,6 +45,19 @@ function formatToolDefinitions(toolDefinitions) {
 		.join('\n');
 }
 
+/**
+ * Returns the tool guidance lines whose tools are all available.
+ *
+ * @param {Array<{name:string}>} toolDefinitions
+ * @returns {string[]}
+ */
+function buildToolGuidance(toolDefinitions) {
+	const available = new Set((Array.isArray(toolDefinitions) ? toolDefinitions : []).map((tool) => tool.name));
+	return TOOL_GUIDANCE
+		.filter((guidance) => guidance.tools.every((name) => available.has(name)))
+		.map((guidance) => guidance.text);
+}
+
 /**
  * Builds the main model system prompt for each request.
  *
@@ -34,29 +65,49 @@ function formatToolDefinitions(toolDefinitions) {
  * @param {Array<object>} options.toolDefinitions
  * @param {string} options.command
  * @param {object} options.settings
+ * @param {boolean} [options.nativeToolCalling] - True when tools are passed through native tool calling.
+ * @param {boolean} [options.planning] - True when the request should keep a visible plan.
  * @returns {string}
  */
-function buildSystemPrompt({ toolDefinitions, command, settings }) {
+function buildSystemPrompt({ toolDefinitions, command, settings, nativeToolCalling, planning }) {
 	const commandHint = command && COMMAND_GUIDANCE[command]
 		? COMMAND_GUIDANCE[command]
 		: 'Solve the user request end-to-end using tools when needed.';
 
-	return [
+	const sections = [
 		'You are DSX Change Assist, a coding agent designed to mimic VS Code Copilot Agent Mode behavior.',
 		'Work iteratively: decide next action, gather evidence via tools, then return a final answer.',
 		`Command intent: ${commandHint}`,
 		`Iteration budget: ${settings.maxIterations}.`,
 		'Never invent tool output and never skip evidence gathering when workspace facts are needed.',
-		'Workspace-wide search is available via search_text and should be used when asked to search references across files.',
-		'For duplicate symbol checks or reference updates, run search_text before proposing edits.',
 		'Use resolved prompt references (for example #file references) as your primary source for exact file paths.',
 		'Avoid repeating identical tool inputs; if a tool fails repeatedly, switch strategy or return a concise blocker.',
-		'For general internet questions, current events, or requests to search online, use the web_search tool.',
-		'If the user asks to test tool invocation with a hello output, use hello_world.',
-		'Use write_file to create/overwrite files and edit_file for precise in-place updates.',
+		...buildToolGuidance(toolDefinitions)
+	];
+
+	if (planning) {
+		sections.push(nativeToolCalling
+			? 'Before changing files, call plan with short numbered steps. Then call update_plan (batched with your other tool calls) as each step starts and finishes.'
+			: 'Before changing files, create a plan with {"type":"plan","steps":["...","..."]}. Then keep it current with {"type":"update_plan","updates":[{"step":1,"status":"done"}]}, or batch {"tool":"update_plan","input":{"updates":[...]}} with other calls in a "tools" action.');
+	}
+
+	if (nativeToolCalling) {
+		return [
+			...sections,
+			'Call tools through the provided function-calling interface; tool results are returned to you automatically.',
+			'Request several independent tool calls in the same turn when possible (for example reading multiple files); one turn uses one iteration.',
+			'When you are ready to answer the user, reply with the markdown answer directly and do not call any tool.'
+		].join('\n\n');
+	}
+
+	return [
+		...sections,
 		'You must answer with strict JSON only (no markdown fences, no extra prose outside JSON).',
 		'When you need a tool, respond with:',
 		'{"type":"tool","tool":"<tool_name>","input":{...},"reason":"short reason"}',
+		'When you need several independent tools at once (for example reading multiple files), batch them in one response:',
+		'{"type":"tools","calls":[{"tool":"<tool_name>","input":{...}},{"tool":"<tool_name>","input":{...}}],"reason":"short reason"}',
+		'Read-only tools in a batch run in parallel; file edits and commands run in the listed order. One batch uses one iteration.',
 		'When you are ready to answer the user, respond with:',
 		'{"type":"final","content":"<markdown answer for user>"}',
 		'Available tools:',
@@ -2,7 +2,10 @@ const vscode = require('vscode');
 
 const DEFAULT_SETTINGS = Object.freeze({
 	maxIterations: 6,
+	contextBudgetPercent: 80,
+	autoCompactHistoryPercent: 50,
 	profile: 'copilotLike',
+	toolCallingMode: 'auto',
 	modelVendor: 'copilot',
 	modelFamily: '',
 	maxReadLines: 250,
@@ -10,21 +13,34 @@ const DEFAULT_SETTINGS = Object.freeze({
 	maxSearchResults: 50,
 	enableFileEditTools: true,
 	maxWriteChars: 200000,
+	maxReplaceFiles: 50,
+	editApprovalMode: 'auto',
+	editWriteMode: 'filesystem',
+	saveAfterEdit: true,
+	formatAfterEdit: false,
+	dirtyFileHandling: 'refuse',
+	staleEditHandling: 'refuse',
+	verifyEditsWithDiagnostics: false,
+	patchFuzz: 2,
 	enableCommandTool: true,
 	allowedCommands: [
-		'npm test',
-		'npm run test',
+		'npm test **',
+		'npm run test **',
 		'npm run lint',
 		'npm run build',
-		'pnpm test',
-		'pnpm run test',
+		'pnpm test **',
+		'pnpm run test **',
 		'pnpm run lint',
 		'pnpm run build',
-		'yarn test',
+		'yarn test **',
 		'yarn lint',
 		'yarn build'
 	],
-	commandTimeoutMs: 120000
+	allowShellOperators: false,
+	allowPackageScripts: false,
+	commandTimeoutMs: 120000,
+	enableTaskTool: true,
+	allowedTasks: ['*build*', '*lint*', '*test*', '*check*']
 });
 
 /**
@@ -60,6 +76,19 @@ function normalizeStringArray(value, fallback) {
 	return normalized.length > 0 ? normalized : [...fallback];
 }
 
+/**
+ * Normalizes a string setting against a fixed set of allowed values.
+ *
+ * @param {any} value - Raw config value.
+ * @param {string[]} allowed - Allowed values.
+ * @param {string} fallback - Fallback when value is not allowed.
+ * @returns {string}
+ */
+function normalizeEnum(value, allowed, fallback) {
+	const normalized = String(value || '').trim();
+	return allowed.includes(normalized) ? normalized : fallback;
+}
+
 /**
  * Loads and validates participant settings from workspace configuration.
  *
@@ -70,7 +99,10 @@ function loadAgentSettings() {
 
 	return {
 		maxIterations: clampInteger(config.get('maxIterations'), 1, 20, DEFAULT_SETTINGS.maxIterations),
+		contextBudgetPercent: clampInteger(config.get('contextBudgetPercent'), 10, 95, DEFAULT_SETTINGS.contextBudgetPercent),
+		autoCompactHistoryPercent: clampInteger(config.get('autoCompactHistoryPercent'), 0, 90, DEFAULT_SETTINGS.autoCompactHistoryPercent),
 		profile: String(config.get('profile', DEFAULT_SETTINGS.profile) || DEFAULT_SETTINGS.profile),
+		toolCallingMode: normalizeEnum(config.get('toolCallingMode'), ['auto', 'native', 'json'], DEFAULT_SETTINGS.toolCallingMode),
 		modelVendor: String(config.get('modelVendor', DEFAULT_SETTINGS.modelVendor) || DEFAULT_SETTINGS.modelVendor),
 		modelFamily: String(config.get('modelFamily', DEFAULT_SETTINGS.modelFamily) || DEFAULT_SETTINGS.modelFamily).trim(),
 		maxReadLines: clampInteger(config.get('maxReadLines'), 20, 2000, DEFAULT_SETTINGS.maxReadLines),
@@ -78,9 +110,22 @@ function loadAgentSettings() {
 		maxSearchResults: clampInteger(config.get('maxSearchResults'), 5, 300, DEFAULT_SETTINGS.maxSearchResults),
 		enableFileEditTools: Boolean(config.get('enableFileEditTools', DEFAULT_SETTINGS.enableFileEditTools)),
 		maxWriteChars: clampInteger(config.get('maxWriteChars'), 1000, 2000000, DEFAULT_SETTINGS.maxWriteChars),
+		maxReplaceFiles: clampInteger(config.get('maxReplaceFiles'), 1, 500, DEFAULT_SETTINGS.maxReplaceFiles),
+		editApprovalMode: normalizeEnum(config.get('editApprovalMode'), ['auto', 'confirm', 'dryRun'], DEFAULT_SETTINGS.editApprovalMode),
+		editWriteMode: normalizeEnum(config.get('editWriteMode'), ['filesystem', 'workspaceEdit'], DEFAULT_SETTINGS.editWriteMode),
+		saveAfterEdit: Boolean(config.get('saveAfterEdit', DEFAULT_SETTINGS.saveAfterEdit)),
+		formatAfterEdit: Boolean(config.get('formatAfterEdit', DEFAULT_SETTINGS.formatAfterEdit)),
+		dirtyFileHandling: normalizeEnum(config.get('dirtyFileHandling'), ['refuse', 'merge'], DEFAULT_SETTINGS.dirtyFileHandling),
+		staleEditHandling: normalizeEnum(config.get('staleEditHandling'), ['refuse', 'warn', 'off'], DEFAULT_SETTINGS.staleEditHandling),
+		verifyEditsWithDiagnostics: Boolean(config.get('verifyEditsWithDiagnostics', DEFAULT_SETTINGS.verifyEditsWithDiagnostics)),
+		patchFuzz: clampInteger(config.get('patchFuzz'), 0, 3, DEFAULT_SETTINGS.patchFuzz),
 		enableCommandTool: Boolean(config.get('enableCommandTool', DEFAULT_SETTINGS.enableCommandTool)),
 		allowedCommands: normalizeStringArray(config.get('allowedCommands'), DEFAULT_SETTINGS.allowedCommands),
-		commandTimeoutMs: clampInteger(config.get('commandTimeoutMs'), 1000, 900000, DEFAULT_SETTINGS.commandTimeoutMs)
+		allowShellOperators: Boolean(config.get('allowShellOperators', DEFAULT_SETTINGS.allowShellOperators)),
+		allowPackageScripts: Boolean(config.get('allowPackageScripts', DEFAULT_SETTINGS.allowPackageScripts)),
+		commandTimeoutMs: clampInteger(config.get('commandTimeoutMs'), 1000, 900000, DEFAULT_SETTINGS.commandTimeoutMs),
+		enableTaskTool: Boolean(config.get('enableTaskTool', DEFAULT_SETTINGS.enableTaskTool)),
+		allowedTasks: normalizeStringArray(config.get('allowedTasks'), DEFAULT_SETTINGS.allowedTasks)
 	};
 }
 
@@ -0,0 +1,380 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHash, randomUUID } = require('crypto');
+const { getWorkspaceRootPath, toPosixRelative } = require('../utils/workspacePaths');
+
+const MAX_CHECKPOINTS = 20;
+const RESTORE_CHECKPOINT_COMMAND = 'copilot-agent-participant-js.restoreCheckpoint';
+
+/**
+ * Keeps per-turn file snapshots so agent edits can be undone.
+ *
+ * A checkpoint is created for every agent turn but only stored once a tool
+ * snapshots its first file. The oldest checkpoints are evicted beyond
+ * `MAX_CHECKPOINTS`; snapshots live in memory for the extension session.
+ */
+class CheckpointStore {
+	constructor() {
+		this.checkpoints = new Map();
+	}
+
+	/**
+	 * Creates an empty checkpoint for one agent turn.
+	 *
+	 * @returns {Checkpoint}
+	 */
+	createCheckpoint() {
+		return new Checkpoint(randomUUID(), this);
+	}
+
+	/**
+	 * Stores a checkpoint once it holds a snapshot and evicts the oldest ones.
+	 *
+	 * @param {Checkpoint} checkpoint
+	 */
+	track(checkpoint) {
+		this.checkpoints.set(checkpoint.id, checkpoint);
+		while (this.checkpoints.size > MAX_CHECKPOINTS) {
+			this.checkpoints.delete(this.checkpoints.keys().next().value);
+		}
+	}
+
+	/**
+	 * Returns a checkpoint that can still be restored.
+	 *
+	 * @param {string} checkpointId
+	 * @returns {Checkpoint|null}
+	 */
+	get(checkpointId) {
+		const checkpoint = this.checkpoints.get(checkpointId);
+		return checkpoint && !checkpoint.restored ? checkpoint : null;
+	}
+
+	/**
+	 * Finds the newest restorable checkpoint referenced by chat history.
+	 *
+	 * @param {Array<object>} history - VS Code chat history entries.
+	 * @returns {Checkpoint|null}
+	 */
+	findLatest(history) {
+		const turns = Array.isArray(history) ? history : [];
+		for (let index = turns.length - 1; index >= 0; index -= 1) {
+			const metadata = turns[index] && turns[index].result && turns[index].result.metadata;
+			const checkpoint = metadata && metadata.checkpoint ? this.get(metadata.checkpoint.id) : null;
+			if (checkpoint) {
+				return checkpoint;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Restores every file snapshotted by a checkpoint.
+	 *
+	 * @param {string} checkpointId
+	 * @param {{force?:boolean}} [options] - See `Checkpoint.restore`.
+	 * @returns {Promise<object>} Restore report, see `Checkpoint.restore`.
+	 */
+	async restore(checkpointId, options) {
+		const checkpoint = this.get(checkpointId);
+		if (!checkpoint) {
+			throw new Error('This checkpoint is no longer available. It was already undone or the extension was reloaded.');
+		}
+		return checkpoint.restore(options);
+	}
+
+	/**
+	 * Disposes stored snapshots.
+	 */
+	dispose() {
+		this.checkpoints.clear();
+	}
+}
+
+/**
+ * File snapshots taken before the first mutation of each file in one turn,
+ * plus the directories the turn created.
+ *
+ * When the turn ends, `seal` records what it left behind so a later restore
+ * can detect files changed since then by other turns or the user.
+ */
+class Checkpoint {
+	/**
+	 * @param {string} id
+	 * @param {CheckpointStore} store
+	 */
+	constructor(id, store) {
+		this.id = id;
+		this.store = store;
+		this.snapshots = new Map();
+		this.createdDirectories = new Set();
+		this.finalState = null;
+		this.tracked = false;
+		this.restored = false;
+		this.revision = 0;
+	}
+
+	/**
+	 * Records the current state of a file unless it was already recorded in this turn.
+	 *
+	 * Missing files are recorded as created so restoring deletes them, along
+	 * with any missing parent directories. Every call bumps `revision`, so
+	 * callers can tell whether files were written since they last looked.
+	 *
+	 * @param {string} filePath - Absolute file path about to change.
+	 * @returns {Promise<void>}
+	 */
+	async snapshot(filePath) {
+		const key = path.resolve(filePath);
+		this.revision += 1;
+		if (!this.snapshots.has(key)) {
+			this.snapshots.set(key, readSnapshot(key).then(async (snapshot) => {
+				if (!snapshot.existed) {
+					await this.snapshotDirectory(path.dirname(key));
+				}
+				return snapshot;
+			}));
+			this.track();
+		}
+		await this.snapshots.get(key);
+	}
+
+	/**
+	 * Records a directory about to be created, and its missing parents, so
+	 * restoring removes them again.
+	 *
+	 * @param {string} dirPath - Absolute directory path.
+	 * @returns {Promise<void>}
+	 */
+	async snapshotDirectory(dirPath) {
+		let current = path.resolve(dirPath);
+		while (!(await pathExists(current))) {
+			this.createdDirectories.add(current);
+			this.track();
+			const parent = path.dirname(current);
+			if (parent === current) {
+				return;
+			}
+			current = parent;
+		}
+	}
+
+	/**
+	 * Stores the checkpoint in its store on the first recorded change.
+	 */
+	track() {
+		if (!this.tracked) {
+			this.tracked = true;
+			this.store.track(this);
+		}
+	}
+
+	/**
+	 * Returns true when at least one file or directory was recorded.
+	 *
+	 * @returns {boolean}
+	 */
+	hasChanges() {
+		return this.snapshots.size > 0 || this.createdDirectories.size > 0;
+	}
+
+	/**
+	 * Lists snapshotted files as absolute paths.
+	 *
+	 * @returns {string[]}
+	 */
+	getFilePaths() {
+		return Array.from(this.snapshots.keys());
+	}
+
+	/**
+	 * Lists snapshotted files as workspace-relative paths.
+	 *
+	 * @returns {string[]}
+	 */
+	getRelativePaths() {
+		return Array.from(this.snapshots.keys()).map(toDisplayPath);
+	}
+
+	/**
+	 * Serializes the checkpoint reference for chat result metadata.
+	 *
+	 * @returns {{id:string,files:string[],directories:string[]}}
+	 */
+	toMetadata() {
+		return { id: this.id, files: this.getRelativePaths(), directories: Array.from(this.createdDirectories).map(toDisplayPath) };
+	}
+
+	/**
+	 * Records the content the turn left in each changed file. Call once the turn ends.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async seal() {
+		const finalState = new Map();
+		for (const filePath of this.snapshots.keys()) {
+			try {
+				finalState.set(filePath, await hashFile(filePath));
+			} catch {
+				// An unreadable file is simply not checked for later changes.
+			}
+		}
+		this.finalState = finalState;
+	}
+
+	/**
+	 * Lists files whose content differs from what the turn left behind.
+	 *
+	 * @returns {Promise<string[]>} Workspace-relative paths; empty before `seal`.
+	 */
+	async findConflicts() {
+		if (!this.finalState) {
+			return [];
+		}
+		const conflicts = [];
+		for (const [filePath, hash] of this.finalState) {
+			if (await hashFile(filePath) !== hash) {
+				conflicts.push(toDisplayPath(filePath));
+			}
+		}
+		return conflicts;
+	}
+
+	/**
+	 * Writes back original contents, deletes files that did not exist before
+	 * and removes directories the turn created once they are empty.
+	 *
+	 * Unless `force` is set, nothing is restored when a file changed since the
+	 * turn ended; the report then only lists those `conflicts`.
+	 *
+	 * @param {{force?:boolean}} [options]
+	 * @returns {Promise<{restored:string[],deleted:string[],removedDirectories:string[],keptDirectories:string[],failed:Array<{path:string,error:string}>,conflicts:string[]}>}
+	 */
+	async restore({ force = false } = {}) {
+		const report = { restored: [], deleted: [], removedDirectories: [], keptDirectories: [], failed: [], conflicts: [] };
+		if (!force) {
+			report.conflicts = await this.findConflicts();
+			if (report.conflicts.length > 0) {
+				return report;
+			}
+		}
+		this.restored = true;
+
+		for (const [filePath, pending] of this.snapshots) {
+			const displayPath = toDisplayPath(filePath);
+			try {
+				const snapshot = await pending;
+				if (snapshot.existed) {
+					await fs.mkdir(path.dirname(filePath), { recursive: true });
+					await fs.writeFile(filePath, snapshot.content);
+					report.restored.push(displayPath);
+				} else {
+					await fs.rm(filePath, { force: true });
+					report.deleted.push(displayPath);
+				}
+			} catch (error) {
+				report.failed.push({ path: displayPath, error: error && error.message ? error.message : String(error) });
+			}
+		}
+
+		// Deepest first; a directory that still holds other files is kept.
+		const directories = Array.from(this.createdDirectories).sort((left, right) => right.length - left.length);
+		for (const dirPath of directories) {
+			try {
+				await fs.rmdir(dirPath);
+				report.removedDirectories.push(toDisplayPath(dirPath));
+			} catch (error) {
+				if (error && (error.code === 'ENOTEMPTY' || error.code === 'EEXIST')) {
+					report.keptDirectories.push(toDisplayPath(dirPath));
+				} else if (!error || error.code !== 'ENOENT') {
+					report.failed.push({ path: toDisplayPath(dirPath), error: error && error.message ? error.message : String(error) });
+				}
+			}
+		}
+
+		return report;
+	}
+}
+
+/**
+ * Reads a file's current bytes, or marks it as not yet existing.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{existed:boolean,content?:Buffer}>}
+ */
+async function readSnapshot(filePath) {
+	try {
+		return { existed: true, content: await fs.readFile(filePath) };
+	} catch (error) {
+		if (error && error.code === 'ENOENT') {
+			return { existed: false };
+		}
+		throw error;
+	}
+}
+
+/**
+ * Hashes a file's current bytes.
+ *
+ * @param {string} filePath
+ * @returns {Promise<string|null>} Null when the file does not exist.
+ */
+async function hashFile(filePath) {
+	const snapshot = await readSnapshot(filePath);
+	return snapshot.existed ? createHash('sha256').update(snapshot.content).digest('hex') : null;
+}
+
+/**
+ * Checks whether a path exists.
+ *
+ * @param {string} targetPath
+ * @returns {Promise<boolean>}
+ */
+async function pathExists(targetPath) {
+	try {
+		await fs.stat(targetPath);
+		return true;
+	} catch (error) {
+		if (error && error.code === 'ENOENT') {
+			return false;
+		}
+		throw error;
+	}
+}
+
+/**
+ * Formats an absolute path relative to the workspace when possible.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toDisplayPath(filePath) {
+	try {
+		return toPosixRelative(getWorkspaceRootPath(), filePath);
+	} catch {
+		return filePath;
+	}
+}
+
+/**
+ * Formats a restore report as user-facing markdown.
+ *
+ * @param {{restored:string[],deleted:string[],removedDirectories:string[],keptDirectories:string[],failed:Array<{path:string,error:string}>}} report
+ * @returns {string}
+ */
+function formatRestoreReport(report) {
+	const lines = [
+		...report.restored.map((filePath) => `- Restored \`${filePath}\``),
+		...report.deleted.map((filePath) => `- Deleted \`${filePath}\` (created by the agent)`),
+		...report.removedDirectories.map((dirPath) => `- Removed folder \`${dirPath}\` (created by the agent)`),
+		...report.keptDirectories.map((dirPath) => `- Kept folder \`${dirPath}\` (created by the agent, but it now holds other files)`),
+		...report.failed.map((entry) => `- Failed to restore \`${entry.path}\`: ${entry.error}`)
+	];
+	return lines.length > 0 ? lines.join('\n') : 'No files needed restoring.';
+}
+
+module.exports = {
+	RESTORE_CHECKPOINT_COMMAND,
+	CheckpointStore,
+	formatRestoreReport
+};
@@ -0,0 +1,183 @@
+const path = require('path');
+const vscode = require('vscode');
+const { randomUUID } = require('crypto');
+
+const PROPOSED_EDIT_SCHEME = 'dsx-proposed-edit';
+const RESOLVE_EDIT_APPROVAL_COMMAND = 'copilot-agent-participant-js.resolveEditApproval';
+const SHOW_PROPOSED_EDIT_COMMAND = 'copilot-agent-participant-js.showProposedEdit';
+const MAX_STAGED_PROPOSALS = 50;
+
+/**
+ * Stages proposed file contents for diff preview and collects Apply/Reject decisions.
+ *
+ * Also serves the proposed contents as a `TextDocumentContentProvider` for the
+ * `dsx-proposed-edit` scheme, so `vscode.diff` can compare them with the file.
+ */
+class EditApprovalService {
+	constructor() {
+		this.proposals = new Map();
+		this.pendingDecisions = new Map();
+	}
+
+	/**
+	 * Serves staged content for proposal URIs.
+	 *
+	 * @param {vscode.Uri} uri
+	 * @returns {string}
+	 */
+	provideTextDocumentContent(uri) {
+		const [id, side] = uri.query.split('&');
+		const proposal = this.proposals.get(id);
+		if (!proposal) {
+			return '';
+		}
+		return side === 'original' ? proposal.originalContent : proposal.proposedContent;
+	}
+
+	/**
+	 * Stages a proposed file change.
+	 *
+	 * @param {object} change
+	 * @param {string} change.filePath - Absolute file path.
+	 * @param {string} change.displayPath - Workspace-relative path for titles.
+	 * @param {string|null} change.originalContent - Current content, or null for a new file.
+	 * @param {string|null} change.proposedContent - Proposed content, or null to delete the file.
+	 * @param {string} [change.movedTo] - Workspace-relative destination when the change moves the file.
+	 * @returns {{id:string,displayPath:string,isDeletion:boolean,movedTo:string|null}}
+	 */
+	stage({ filePath, displayPath, originalContent, proposedContent, movedTo }) {
+		const id = randomUUID();
+		const isDeletion = proposedContent === null;
+		this.proposals.set(id, {
+			id,
+			filePath,
+			displayPath,
+			isNewFile: originalContent === null,
+			isDeletion,
+			movedTo: movedTo || null,
+			originalContent: originalContent || '',
+			proposedContent: proposedContent || ''
+		});
+
+		while (this.proposals.size > MAX_STAGED_PROPOSALS) {
+			this.proposals.delete(this.proposals.keys().next().value);
+		}
+
+		return { id, displayPath, isDeletion, movedTo: movedTo || null };
+	}
+
+	/**
+	 * Opens a diff between the current file and a staged proposal.
+	 *
+	 * @param {string} id - Proposal id.
+	 * @returns {Promise<void>}
+	 */
+	async showDiff(id) {
+		const proposal = this.proposals.get(id);
+		if (!proposal) {
+			vscode.window.showWarningMessage('This proposed change is no longer available.');
+			return;
+		}
+
+		const fileName = path.basename(proposal.filePath);
+		const originalUri = proposal.isNewFile
+			? vscode.Uri.from({ scheme: PROPOSED_EDIT_SCHEME, path: `/${fileName}`, query: `${id}&original` })
+			: vscode.Uri.file(proposal.filePath);
+		const proposedUri = vscode.Uri.from({ scheme: PROPOSED_EDIT_SCHEME, path: `/${fileName}`, query: `${id}&proposed` });
+		const label = proposal.movedTo
+			? `moved to ${proposal.movedTo}`
+			: (proposal.isNewFile ? 'new file' : (proposal.isDeletion ? 'deleted' : 'proposed'));
+
+		await vscode.commands.executeCommand('vscode.diff', originalUri, proposedUri, `${proposal.displayPath} (${label})`, {
+			preview: true
+		});
+	}
+
+	/**
+	 * Opens the diff, posts Apply/Reject buttons and waits for the user's decision.
+	 *
+	 * Cancelling the chat request counts as a rejection.
+	 *
+	 * @param {{id:string,displayPath:string,isDeletion?:boolean,movedTo?:string|null}} proposal
+	 * @param {object} stream - Chat response stream.
+	 * @param {object} [token] - Cancellation token.
+	 * @returns {Promise<boolean>} True when the user approved the change.
+	 */
+	async requestApproval(proposal, stream, token) {
+		const decision = new Promise((resolve) => {
+			this.pendingDecisions.set(proposal.id, resolve);
+		});
+
+		const cancellation = token && typeof token.onCancellationRequested === 'function'
+			? token.onCancellationRequested(() => this.resolve(proposal.id, false))
+			: null;
+
+		stream.markdown(`\n\n${describeProposal(proposal)}:\n\n`);
+		stream.button({ command: RESOLVE_EDIT_APPROVAL_COMMAND, title: 'Apply', arguments: [proposal.id, true] });
+		stream.button({ command: RESOLVE_EDIT_APPROVAL_COMMAND, title: 'Reject', arguments: [proposal.id, false] });
+		stream.button({ command: SHOW_PROPOSED_EDIT_COMMAND, title: 'Show diff', arguments: [proposal.id] });
+		stream.progress(`Waiting for approval: ${proposal.displayPath}`);
+
+		try {
+			await this.showDiff(proposal.id);
+		} catch {
+			// The buttons still allow a decision when the diff view cannot open.
+		}
+
+		try {
+			return await decision;
+		} finally {
+			if (cancellation) {
+				cancellation.dispose();
+			}
+			this.proposals.delete(proposal.id);
+		}
+	}
+
+	/**
+	 * Records an Apply/Reject decision from a chat button.
+	 *
+	 * @param {string} id - Proposal id.
+	 * @param {boolean} approved
+	 * @returns {boolean} False when no decision was pending for the id.
+	 */
+	resolve(id, approved) {
+		const resolveDecision = this.pendingDecisions.get(id);
+		if (!resolveDecision) {
+			return false;
+		}
+		this.pendingDecisions.delete(id);
+		resolveDecision(Boolean(approved));
+		return true;
+	}
+
+	/**
+	 * Rejects pending decisions and clears staged proposals.
+	 */
+	dispose() {
+		for (const id of Array.from(this.pendingDecisions.keys())) {
+			this.resolve(id, false);
+		}
+		this.proposals.clear();
+	}
+}
+
+/**
+ * Describes a proposal for the approval prompt.
+ *
+ * @param {{displayPath:string,isDeletion?:boolean,movedTo?:string|null}} proposal
+ * @returns {string}
+ */
+function describeProposal(proposal) {
+	if (proposal.movedTo) {
+		return `Proposed move of \`${proposal.displayPath}\` to \`${proposal.movedTo}\``;
+	}
+	return `${proposal.isDeletion ? 'Proposed deletion of' : 'Proposed change to'} \`${proposal.displayPath}\``;
+}
+
+module.exports = {
+	PROPOSED_EDIT_SCHEME,
+	RESOLVE_EDIT_APPROVAL_COMMAND,
+	SHOW_PROPOSED_EDIT_COMMAND,
+	EditApprovalService
+};
@@ -0,0 +1,315 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { SHOW_PROPOSED_EDIT_COMMAND } = require('./editApprovals');
+const { applyChangesWithWorkspaceEdit, applyProviderWorkspaceEdit, renameWithWorkspaceEdit } = require('./workspaceEditWriter');
+const { formatStaleConflict } = require('./fileReadTracker');
+
+/**
+ * Reads a UTF-8 file, returning null when it does not exist.
+ *
+ * @param {string} filePath - Absolute file path.
+ * @returns {Promise<string|null>}
+ */
+async function readTextIfExists(filePath) {
+	try {
+		return await fs.readFile(filePath, 'utf8');
+	} catch (error) {
+		if (error && error.code === 'ENOENT') {
+			return null;
+		}
+		throw error;
+	}
+}
+
+/**
+ * Writes new file content according to `editApprovalMode`.
+ *
+ * - `auto` writes immediately.
+ * - `confirm` stages the change, opens a diff and waits for Apply/Reject in chat.
+ * - `dryRun` stages the change for preview and never writes.
+ *
+ * The turn checkpoint snapshots the file right before it is written. A rejected
+ * change throws so the tool reports it as a failed observation. With
+ * `editWriteMode: 'workspaceEdit'` the write goes through a VS Code
+ * `WorkspaceEdit` instead of the file system (see `applyChangesWithWorkspaceEdit`).
+ * Files that changed since the agent last read them are handled according to
+ * `staleEditHandling` (see `checkStaleReads`).
+ *
+ * @param {object} change
+ * @param {string} change.filePath - Absolute file path.
+ * @param {string} change.displayPath - Workspace-relative path for messages.
+ * @param {string|null} change.originalContent - Current content, or null for a new file.
+ * @param {string} change.newContent - Full content to write.
+ * @param {boolean} [change.replacesContent] - True when newContent was not derived from originalContent (a full overwrite).
+ * @param {object} context - Tool context (`settings`, `stream`, `token`, `checkpoint`, `editApprovals`, `fileReads`).
+ * @returns {Promise<{applied:boolean,notes:string[]}>} `notes` describe merges, formatting or save problems.
+ */
+async function applyFileChange(change, context) {
+	return applyFileChanges([change], context);
+}
+
+/**
+ * Writes several file changes as one all-or-nothing batch.
+ *
+ * Every change goes through the approval mode first (in `confirm` mode one
+ * rejection cancels the whole batch before anything is written). A change
+ * with `newContent: null` deletes the file. If a write fails, files already
+ * written by the batch are restored to their original content and the error
+ * is rethrown.
+ *
+ * @param {Array<{filePath:string,displayPath:string,originalContent:string|null,newContent:string|null,replacesContent?:boolean}>} changes
+ * @param {object} context - Tool context (`settings`, `stream`, `token`, `checkpoint`, `editApprovals`, `fileReads`).
+ * @returns {Promise<{applied:boolean,notes:string[]}>}
+ */
+async function applyFileChanges(changes, context) {
+	const staleNotes = await checkStaleReads(changes, context);
+	if (!await approveChanges(changes, context)) {
+		return { applied: false, notes: staleNotes };
+	}
+
+	if (context.checkpoint) {
+		for (const change of changes) {
+			await context.checkpoint.snapshot(change.filePath);
+		}
+	}
+
+	if (context.settings.editWriteMode === 'workspaceEdit') {
+		const { notes } = await applyChangesWithWorkspaceEdit(changes, context.settings);
+		await recordWrites(changes, context);
+		return { applied: true, notes: [...staleNotes, ...notes] };
+	}
+
+	const written = [];
+	for (const change of changes) {
+		try {
+			if (change.newContent === null) {
+				await fs.rm(change.filePath);
+			} else {
+				await fs.mkdir(path.dirname(change.filePath), { recursive: true });
+				await fs.writeFile(change.filePath, change.newContent, 'utf8');
+			}
+			written.push(change);
+		} catch (error) {
+			await rollBackChanges(written);
+			const rollbackNote = written.length > 0 ? ` ${written.length} file(s) already written in this batch were restored.` : '';
+			throw new Error(`Failed to ${change.newContent === null ? 'delete' : 'write'} ${change.displayPath}: ${error && error.message ? error.message : String(error)}.${rollbackNote}`);
+		}
+	}
+	await recordWrites(changes, context);
+	return { applied: true, notes: staleNotes };
+}
+
+/**
+ * Applies a WorkspaceEdit computed by a language provider (such as a rename)
+ * through the approval mode and the turn checkpoint.
+ *
+ * `changes` describe the edit's effect per file for previews; the edit itself
+ * is applied with `vscode.workspace.applyEdit` so open editors stay in sync.
+ *
+ * @param {object} edit - vscode.WorkspaceEdit
+ * @param {Array<{filePath:string,displayPath:string,originalContent:string,newContent:string}>} changes
+ * @param {object} context - Tool context (`settings`, `stream`, `token`, `checkpoint`, `editApprovals`, `fileReads`).
+ * @returns {Promise<{applied:boolean,notes:string[]}>}
+ */
+async function applyProviderEdit(edit, changes, context) {
+	if (!await approveChanges(changes, context)) {
+		return { applied: false, notes: [] };
+	}
+
+	if (context.checkpoint) {
+		for (const change of changes) {
+			await context.checkpoint.snapshot(change.filePath);
+		}
+	}
+
+	const { notes } = await applyProviderWorkspaceEdit(edit, changes, context.settings);
+	await recordWrites(changes, context);
+	return { applied: true, notes };
+}
+
+/**
+ * Moves or renames a file or directory through the approval mode.
+ *
+ * The move is always applied as a `WorkspaceEdit` rename so language services
+ * can update imports. The turn checkpoint snapshots every moved file at both
+ * locations, and the other files language services changed, so `/undo`
+ * reverts the move.
+ *
+ * @param {object} move
+ * @param {string} move.fromPath - Absolute source path.
+ * @param {string} move.toPath - Absolute destination path.
+ * @param {string} move.fromDisplayPath - Workspace-relative source path.
+ * @param {string} move.toDisplayPath - Workspace-relative destination path.
+ * @param {Array<{from:string,to:string}>} move.files - Absolute paths of every file moved.
+ * @param {string|null} move.previewContent - File content, or null for a directory.
+ * @param {boolean} move.overwrite - Replace an existing destination file.
+ * @param {object} context - Tool context (`settings`, `stream`, `token`, `checkpoint`, `editApprovals`, `fileReads`).
+ * @returns {Promise<{applied:boolean,notes:string[]}>}
+ */
+async function applyFileMove(move, context) {
+	const mode = context.settings.editApprovalMode;
+
+	if (mode === 'confirm' || mode === 'dryRun') {
+		if (!context.editApprovals || !context.stream) {
+			throw new Error(`Edit approval mode "${mode}" needs an agent chat request to preview changes.`);
+		}
+
+		const proposedContent = move.previewContent !== null
+			? move.previewContent
+			: move.files.map((file) => path.relative(move.fromPath, file.from).split(path.sep).join('/')).join('\n');
+		const proposal = context.editApprovals.stage({
+			filePath: move.fromPath,
+			displayPath: move.fromDisplayPath,
+			originalContent: move.previewContent,
+			proposedContent,
+			movedTo: move.toDisplayPath
+		});
+		if (mode === 'dryRun') {
+			context.stream.button({ command: SHOW_PROPOSED_EDIT_COMMAND, title: `Show proposed move: ${move.fromDisplayPath}`, arguments: [proposal.id] });
+			return { applied: false, notes: [] };
+		}
+
+		if (!await context.editApprovals.requestApproval(proposal, context.stream, context.token)) {
+			throw new Error(`The user rejected moving ${move.fromDisplayPath} to ${move.toDisplayPath}. Do not retry the same change; ask how to proceed or try a different approach.`);
+		}
+	}
+
+	if (context.checkpoint) {
+		for (const file of move.files) {
+			await context.checkpoint.snapshot(file.from);
+			await context.checkpoint.snapshot(file.to);
+		}
+	}
+
+	await fs.mkdir(path.dirname(move.toPath), { recursive: true });
+	const { notes } = await renameWithWorkspaceEdit(move, context.settings, async (updatedPaths) => {
+		if (context.checkpoint) {
+			for (const filePath of updatedPaths) {
+				await context.checkpoint.snapshot(filePath);
+			}
+		}
+	});
+
+	if (context.fileReads) {
+		context.fileReads.recordMove(move.fromPath, move.toPath);
+	}
+	return { applied: true, notes };
+}
+
+/**
+ * Runs the approval mode for a batch of changes.
+ *
+ * In `confirm` mode one rejection throws for the whole batch; in `dryRun`
+ * mode every change is staged for preview.
+ *
+ * @param {Array<{filePath:string,displayPath:string,originalContent:string|null,newContent:string|null}>} changes
+ * @param {object} context - Tool context (`settings`, `stream`, `token`, `editApprovals`).
+ * @returns {Promise<boolean>} False for a dry run (nothing may be written).
+ */
+async function approveChanges(changes, context) {
+	const mode = context.settings.editApprovalMode;
+	if (mode !== 'confirm' && mode !== 'dryRun') {
+		return true;
+	}
+	if (!context.editApprovals || !context.stream) {
+		throw new Error(`Edit approval mode "${mode}" needs an agent chat request to preview changes.`);
+	}
+
+	for (const { filePath, displayPath, originalContent, newContent } of changes) {
+		const proposal = context.editApprovals.stage({ filePath, displayPath, originalContent, proposedContent: newContent });
+		if (mode === 'dryRun') {
+			context.stream.button({ command: SHOW_PROPOSED_EDIT_COMMAND, title: `Show proposed change: ${displayPath}`, arguments: [proposal.id] });
+			continue;
+		}
+
+		const approved = await context.editApprovals.requestApproval(proposal, context.stream, context.token);
+		if (!approved) {
+			const batchNote = changes.length > 1 ? ` None of the ${changes.length} files in this batch were changed.` : '';
+			throw new Error(`The user rejected the proposed change to ${displayPath}.${batchNote} Do not retry the same change; ask how to proceed or try a different approach.`);
+		}
+	}
+	return mode !== 'dryRun';
+}
+
+/**
+ * Compares each change's current content with the version the agent last read.
+ *
+ * - `refuse` throws for any file that changed since it was read.
+ * - `warn` lets changes computed from the current content through with a note
+ *   to re-read the file, but still refuses full overwrites of a changed file.
+ * - `off` skips the check.
+ *
+ * Files the agent never read are not checked.
+ *
+ * @param {Array<{filePath:string,displayPath:string,originalContent:string|null,replacesContent?:boolean}>} changes
+ * @param {object} context - Tool context (`settings`, `fileReads`).
+ * @returns {Promise<string[]>} Notes for changes allowed in `warn` mode.
+ */
+async function checkStaleReads(changes, context) {
+	const handling = context.settings.staleEditHandling;
+	if (!context.fileReads || handling === 'off') {
+		return [];
+	}
+
+	const notes = [];
+	for (const change of changes) {
+		const conflict = await context.fileReads.check(change.filePath, change.originalContent);
+		if (!conflict) {
+			continue;
+		}
+
+		const description = formatStaleConflict(change.displayPath, conflict);
+		if (handling === 'warn' && !change.replacesContent && change.originalContent !== null) {
+			notes.push(`Warning: ${description}. The change was applied to the current content; re-read the file before further edits.`);
+			continue;
+		}
+		const batchNote = changes.length > 1 ? ` None of the ${changes.length} files in this batch were changed.` : '';
+		throw new Error(`${description}. The edit was refused so those changes are not overwritten.${batchNote} Re-read the file with read_file and retry against its current content.`);
+	}
+	return notes;
+}
+
+/**
+ * Records written files as seen by the agent.
+ *
+ * @param {Array<{filePath:string}>} changes
+ * @param {object} context - Tool context (`fileReads`).
+ * @returns {Promise<void>}
+ */
+async function recordWrites(changes, context) {
+	if (!context.fileReads) {
+		return;
+	}
+	for (const change of changes) {
+		await context.fileReads.recordWrite(change.filePath);
+	}
+}
+
+/**
+ * Restores files written by a failed batch to their original content.
+ *
+ * @param {Array<{filePath:string,originalContent:string|null}>} changes
+ * @returns {Promise<void>}
+ */
+async function rollBackChanges(changes) {
+	for (const change of [...changes].reverse()) {
+		try {
+			if (change.originalContent === null) {
+				await fs.rm(change.filePath, { force: true });
+			} else {
+				await fs.mkdir(path.dirname(change.filePath), { recursive: true });
+				await fs.writeFile(change.filePath, change.originalContent, 'utf8');
+			}
+		} catch {
+			// Best effort; the turn checkpoint can still restore the file.
+		}
+	}
+}
+
+module.exports = {
+	readTextIfExists,
+	applyFileChange,
+	applyFileChanges,
+	applyFileMove,
+	applyProviderEdit
+};
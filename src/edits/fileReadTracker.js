@@ -0,0 +1,176 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHash } = require('crypto');
+const { createHunks } = require('./unifiedDiff');
+
+const MAX_TRACKED_FILES = 500;
+const MAX_KEPT_CONTENT_CHARS = 512 * 1024;
+
+/**
+ * Remembers which version of each file the agent last saw, so edits based on
+ * an outdated read can be detected.
+ *
+ * A version is recorded when read_file returns a file and after the agent
+ * writes one. Each record keeps a content hash and mtime (and the content
+ * itself for small files, to describe what changed).
+ */
+class FileReadTracker {
+	constructor() {
+		this.records = new Map();
+	}
+
+	/**
+	 * Records the content the agent just read.
+	 *
+	 * @param {string} filePath - Absolute file path.
+	 * @param {string} content
+	 * @param {number} [mtimeMs] - File modification time, when known.
+	 */
+	recordRead(filePath, content, mtimeMs) {
+		const key = path.resolve(filePath);
+		this.records.delete(key);
+		this.records.set(key, {
+			hash: hashContent(content),
+			mtimeMs: Number.isFinite(mtimeMs) ? mtimeMs : null,
+			content: content.length <= MAX_KEPT_CONTENT_CHARS ? content : null,
+			seenAt: Date.now()
+		});
+
+		while (this.records.size > MAX_TRACKED_FILES) {
+			this.records.delete(this.records.keys().next().value);
+		}
+	}
+
+	/**
+	 * Records a file the agent just wrote, as it is now on disk (or forgets it
+	 * when it no longer exists).
+	 *
+	 * Reading back from disk keeps the record accurate when the write was
+	 * formatted or merged into an unsaved editor buffer.
+	 *
+	 * @param {string} filePath - Absolute file path.
+	 * @returns {Promise<void>}
+	 */
+	async recordWrite(filePath) {
+		let content;
+		try {
+			content = await fs.readFile(filePath, 'utf8');
+		} catch {
+			this.records.delete(path.resolve(filePath));
+			return;
+		}
+		this.recordRead(filePath, content, await readMtime(filePath));
+	}
+
+	/**
+	 * Moves records after a file or directory was renamed.
+	 *
+	 * @param {string} fromPath - Absolute source path.
+	 * @param {string} toPath - Absolute destination path.
+	 */
+	recordMove(fromPath, toPath) {
+		const from = path.resolve(fromPath);
+		const to = path.resolve(toPath);
+		for (const [key, record] of Array.from(this.records)) {
+			if (key === from || key.startsWith(from + path.sep)) {
+				this.records.delete(key);
+				this.records.set(to + key.slice(from.length), record);
+			}
+		}
+	}
+
+	/**
+	 * Compares current file content with the version the agent last saw.
+	 *
+	 * Files the agent never read are not considered stale.
+	 *
+	 * @param {string} filePath - Absolute file path.
+	 * @param {string|null} currentContent - Content on disk now (null when missing).
+	 * @returns {Promise<{seenAt:number,previousMtimeMs:number|null,currentMtimeMs:number|null,summary:string}|null>} Null when not stale.
+	 */
+	async check(filePath, currentContent) {
+		const record = this.records.get(path.resolve(filePath));
+		if (!record) {
+			return null;
+		}
+
+		const currentMtimeMs = await readMtime(filePath);
+		if (currentContent !== null && hashContent(currentContent) === record.hash) {
+			return null;
+		}
+
+		return {
+			seenAt: record.seenAt,
+			previousMtimeMs: record.mtimeMs,
+			currentMtimeMs,
+			summary: describeChange(record.content, currentContent)
+		};
+	}
+
+	dispose() {
+		this.records.clear();
+	}
+}
+
+/**
+ * Builds a one-line description of a stale file for observations.
+ *
+ * @param {string} displayPath
+ * @param {{seenAt:number,currentMtimeMs:number|null,summary:string}} conflict
+ * @returns {string}
+ */
+function formatStaleConflict(displayPath, conflict) {
+	const modified = conflict.currentMtimeMs ? `, modified at ${new Date(conflict.currentMtimeMs).toLocaleTimeString()}` : '';
+	return `${displayPath} changed since the agent last read it at ${new Date(conflict.seenAt).toLocaleTimeString()}${modified} (${conflict.summary}), probably by the user or another process`;
+}
+
+/**
+ * Summarizes the difference between the last seen and current content.
+ *
+ * @param {string|null} previousContent - Null when the previous content was not kept.
+ * @param {string|null} currentContent - Null when the file no longer exists.
+ * @returns {string}
+ */
+function describeChange(previousContent, currentContent) {
+	if (currentContent === null) {
+		return 'the file was deleted';
+	}
+	if (previousContent === null) {
+		return 'content hash differs';
+	}
+
+	const hunks = createHunks(previousContent, currentContent, 0);
+	const added = hunks.reduce((total, hunk) => total + hunk.lines.filter((line) => line.type === '+').length, 0);
+	const removed = hunks.reduce((total, hunk) => total + hunk.lines.filter((line) => line.type === '-').length, 0);
+	const lines = hunks.map((hunk) => hunk.oldStart).slice(0, 5).join(', ');
+	return `+${added}/-${removed} lines in ${hunks.length} region(s), near line ${lines}`;
+}
+
+/**
+ * Returns the sha256 hex digest of content.
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+function hashContent(content) {
+	return createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Reads a file's mtime, or null when it does not exist.
+ *
+ * @param {string} filePath
+ * @returns {Promise<number|null>}
+ */
+async function readMtime(filePath) {
+	try {
+		return (await fs.stat(filePath)).mtimeMs;
+	} catch {
+		return null;
+	}
+}
+
+module.exports = {
+	FileReadTracker,
+	formatStaleConflict
+};
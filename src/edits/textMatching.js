@@ -0,0 +1,335 @@
+const DEFAULT_INDENT_WIDTH = 4;
+
+/**
+ * Match strategies tried in order by `findEditMatches`; the first one with any
+ * match wins.
+ */
+const MATCH_STRATEGIES = [
+	{ name: 'exact', label: 'exact match', find: findExactMatches },
+	{ name: 'lineEndings', label: 'matched after normalizing line endings', find: findLineEndingMatches },
+	{ name: 'trailingWhitespace', label: 'matched ignoring trailing whitespace', find: (content, oldString, newString) => findLineMatches(content, oldString, newString, null) },
+	{ name: 'indentation', label: 'matched ignoring indentation', find: (content, oldString, newString, options) => findLineMatches(content, oldString, newString, options) }
+];
+
+/**
+ * Finds where `oldString` occurs in content, falling back from an exact match
+ * to progressively more whitespace-tolerant strategies.
+ *
+ * Tolerant strategies compare whole lines. The replacement text is converted
+ * to the file's line endings and, for indentation-insensitive matches,
+ * re-indented to the matched block's depth. The file's indent unit is
+ * detected from the whole file, then taken from the editor's options, and
+ * only guessed from the matched lines when neither is conclusive.
+ *
+ * @param {string} content - File content.
+ * @param {string} oldString - Text to find.
+ * @param {string} newString - Replacement text.
+ * @param {{indentation?:{insertSpaces:boolean,tabSize:number}|null}} [options] - Editor indentation options of the file, if open.
+ * @returns {{strategy:string,label:string,matches:Array<{start:number,end:number,newText:string}>}}
+ */
+function findEditMatches(content, oldString, newString, { indentation = null } = {}) {
+	let fileStyle;
+	const reindentOptions = {
+		// Detecting the file's style scans every line, so only do it when a tolerant match needs it.
+		getFileStyle: () => {
+			if (fileStyle === undefined) {
+				fileStyle = detectFileIndentStyle(content.split(/\r?\n/)) || toIndentStyle(indentation);
+			}
+			return fileStyle;
+		}
+	};
+	for (const strategy of MATCH_STRATEGIES) {
+		const matches = strategy.find(content, oldString, newString, reindentOptions);
+		if (matches.length > 0) {
+			return { strategy: strategy.name, label: strategy.label, matches };
+		}
+	}
+	return { strategy: 'none', label: 'not found', matches: [] };
+}
+
+/**
+ * Finds non-overlapping exact occurrences.
+ *
+ * @param {string} content
+ * @param {string} oldString
+ * @param {string} newString
+ * @returns {Array<{start:number,end:number,newText:string}>}
+ */
+function findExactMatches(content, oldString, newString) {
+	const matches = [];
+	if (!oldString) {
+		return matches;
+	}
+
+	let startIndex = 0;
+	while (true) {
+		const index = content.indexOf(oldString, startIndex);
+		if (index === -1) {
+			return matches;
+		}
+		matches.push({ start: index, end: index + oldString.length, newText: newString });
+		startIndex = index + oldString.length;
+	}
+}
+
+/**
+ * Finds exact occurrences after converting both strings to the file's line endings.
+ *
+ * @param {string} content
+ * @param {string} oldString
+ * @param {string} newString
+ * @returns {Array<{start:number,end:number,newText:string}>}
+ */
+function findLineEndingMatches(content, oldString, newString) {
+	const eol = detectEol(content);
+	const convertedOld = toEol(oldString, eol);
+	if (convertedOld === oldString) {
+		return [];
+	}
+	return findExactMatches(content, convertedOld, toEol(newString, eol));
+}
+
+/**
+ * Finds whole-line blocks equal to `oldString` after trimming trailing
+ * whitespace, and leading whitespace when re-indent options are given.
+ *
+ * @param {string} content
+ * @param {string} oldString
+ * @param {string} newString
+ * @param {{getFileStyle:function}|null} reindentOptions - Set to ignore indentation.
+ * @returns {Array<{start:number,end:number,newText:string}>}
+ */
+function findLineMatches(content, oldString, newString, reindentOptions) {
+	const ignoreIndentation = Boolean(reindentOptions);
+	const eol = detectEol(content);
+	const contentLines = splitLinesWithOffsets(content);
+	const includesFinalNewline = /\r?\n$/.test(oldString);
+	const oldLines = oldString.replace(/\r?\n$/, '').split(/\r?\n/);
+	if (oldLines.every((line) => line.trim() === '')) {
+		return [];
+	}
+
+	const normalize = ignoreIndentation ? (line) => line.trim() : (line) => line.replace(/\s+$/, '');
+	const wanted = oldLines.map(normalize);
+	const matches = [];
+
+	for (let index = 0; index + wanted.length <= contentLines.length; index += 1) {
+		let matched = true;
+		for (let offset = 0; offset < wanted.length; offset += 1) {
+			if (normalize(contentLines[index + offset].text) !== wanted[offset]) {
+				matched = false;
+				break;
+			}
+		}
+		if (!matched) {
+			continue;
+		}
+
+		const first = contentLines[index];
+		const last = contentLines[index + wanted.length - 1];
+		const matchedLines = contentLines.slice(index, index + wanted.length).map((line) => line.text);
+		const replacement = ignoreIndentation
+			? reindent(newString, oldLines, matchedLines, reindentOptions.getFileStyle() || detectIndentStyle(matchedLines))
+			: newString;
+		matches.push({
+			start: first.start,
+			end: includesFinalNewline ? last.end + last.eol.length : last.end,
+			newText: toEol(replacement, eol)
+		});
+		index += wanted.length - 1;
+	}
+
+	return matches;
+}
+
+/**
+ * Re-indents replacement text from the indentation used in `oldLines` to the
+ * indentation of the matched file lines.
+ *
+ * Each replacement line keeps its depth relative to the first non-blank old
+ * line, measured in the old indent unit and rebuilt with the file's unit
+ * (tabs or spaces). The old unit is detected from `oldString` and `newString`
+ * together, since both are written in the same style.
+ *
+ * @param {string} newString
+ * @param {string[]} oldLines
+ * @param {string[]} matchedLines
+ * @param {{unit:string,width:number}} fileStyle
+ * @returns {string}
+ */
+function reindent(newString, oldLines, matchedLines, fileStyle) {
+	const oldStyle = detectIndentStyle(oldLines.concat(newString.split(/\r?\n/)));
+	const oldBase = firstIndentWidth(oldLines, oldStyle);
+	const fileBase = leadingWhitespace(matchedLines.find((line) => line.trim() !== '') || '');
+
+	return newString.split(/(\r?\n)/).map((part) => {
+		if (/^\r?\n$/.test(part) || part.trim() === '') {
+			return part;
+		}
+		const relative = measureIndent(leadingWhitespace(part), oldStyle) - oldBase;
+		const levels = Math.max(0, Math.floor(relative / oldStyle.width));
+		const remainder = Math.max(0, relative - levels * oldStyle.width);
+		return `${fileBase}${fileStyle.unit.repeat(levels)}${' '.repeat(remainder)}${part.trimStart()}`;
+	}).join('');
+}
+
+/**
+ * Detects the indent unit of a set of lines: a tab, or the smallest positive
+ * difference between space indentation widths.
+ *
+ * @param {string[]} lines
+ * @returns {{unit:string,width:number}}
+ */
+function detectIndentStyle(lines) {
+	const indents = lines.filter((line) => line.trim() !== '').map(leadingWhitespace);
+	if (indents.some((indent) => indent.includes('\t'))) {
+		return { unit: '\t', width: 1 };
+	}
+
+	const widths = Array.from(new Set(indents.map((indent) => indent.length))).sort((left, right) => left - right);
+	let width = 0;
+	for (let index = 1; index < widths.length; index += 1) {
+		const step = widths[index] - widths[index - 1];
+		width = width === 0 ? step : Math.min(width, step);
+	}
+	if (width === 0) {
+		width = widths.find((value) => value > 0) || DEFAULT_INDENT_WIDTH;
+	}
+	return { unit: ' '.repeat(width), width };
+}
+
+/**
+ * Detects the indent unit of a whole file: tabs when most indented lines
+ * start with a tab, otherwise the most common change in space indentation
+ * between consecutive lines (changes of one space, such as JSDoc ` * `
+ * continuation lines, are ignored).
+ *
+ * @param {string[]} lines
+ * @returns {{unit:string,width:number}|null} Null when the file has no clear indentation.
+ */
+function detectFileIndentStyle(lines) {
+	const indents = lines.filter((line) => line.trim() !== '').map(leadingWhitespace);
+	const tabIndented = indents.filter((indent) => indent.startsWith('\t')).length;
+	const spaceIndented = indents.filter((indent) => indent.startsWith('  ')).length;
+	if (tabIndented > 0 && tabIndented >= spaceIndented) {
+		return { unit: '\t', width: 1 };
+	}
+
+	const counts = new Map();
+	for (let index = 1; index < indents.length; index += 1) {
+		if (indents[index].includes('\t') || indents[index - 1].includes('\t')) {
+			continue;
+		}
+		const step = Math.abs(indents[index].length - indents[index - 1].length);
+		if (step >= 2) {
+			counts.set(step, (counts.get(step) || 0) + 1);
+		}
+	}
+	let width = 0;
+	counts.forEach((count, step) => {
+		if (width === 0 || count > counts.get(width) || (count === counts.get(width) && step < width)) {
+			width = step;
+		}
+	});
+	return width > 0 ? { unit: ' '.repeat(width), width } : null;
+}
+
+/**
+ * Converts editor indentation options to an indent style.
+ *
+ * @param {{insertSpaces:boolean,tabSize:number}|null} indentation
+ * @returns {{unit:string,width:number}|null}
+ */
+function toIndentStyle(indentation) {
+	if (!indentation) {
+		return null;
+	}
+	if (!indentation.insertSpaces) {
+		return { unit: '\t', width: 1 };
+	}
+	const width = Number(indentation.tabSize) > 0 ? Math.trunc(Number(indentation.tabSize)) : DEFAULT_INDENT_WIDTH;
+	return { unit: ' '.repeat(width), width };
+}
+
+/**
+ * Measures indentation in units of the style (tabs count as one unit).
+ *
+ * @param {string} indent
+ * @param {{unit:string,width:number}} style
+ * @returns {number}
+ */
+function measureIndent(indent, style) {
+	let width = 0;
+	for (const char of indent) {
+		width += char === '\t' ? style.width : 1;
+	}
+	return width;
+}
+
+/**
+ * Returns the indentation width of the first non-blank line.
+ *
+ * @param {string[]} lines
+ * @param {{unit:string,width:number}} style
+ * @returns {number}
+ */
+function firstIndentWidth(lines, style) {
+	const line = lines.find((entry) => entry.trim() !== '');
+	return line ? measureIndent(leadingWhitespace(line), style) : 0;
+}
+
+/**
+ * Returns the leading whitespace of a line.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+function leadingWhitespace(line) {
+	return /^[ \t]*/.exec(line)[0];
+}
+
+/**
+ * Splits content into lines with their start/end offsets and terminators.
+ *
+ * @param {string} content
+ * @returns {Array<{text:string,start:number,end:number,eol:string}>}
+ */
+function splitLinesWithOffsets(content) {
+	const lines = [];
+	const pattern = /([^\r\n]*)(\r\n|\n|$)/g;
+	let match;
+	while ((match = pattern.exec(content)) !== null) {
+		lines.push({ text: match[1], start: match.index, end: match.index + match[1].length, eol: match[2] });
+		if (match[2] === '') {
+			break;
+		}
+	}
+	return lines;
+}
+
+/**
+ * Returns the dominant line ending of content.
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+function detectEol(content) {
+	const crlf = (content.match(/\r\n/g) || []).length;
+	const lf = (content.match(/\n/g) || []).length - crlf;
+	return crlf > lf ? '\r\n' : '\n';
+}
+
+/**
+ * Converts all line endings in text to `eol`.
+ *
+ * @param {string} text
+ * @param {string} eol
+ * @returns {string}
+ */
+function toEol(text, eol) {
+	return text.replace(/\r?\n/g, eol);
+}
+
+module.exports = {
+	findEditMatches
+};
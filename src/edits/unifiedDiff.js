@@ -0,0 +1,534 @@
+const DEV_NULL = '/dev/null';
+const HUNK_HEADER_PATTERN = /^@@+ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@+.*$/;
+const BARE_HUNK_HEADER_PATTERN = /^@@+\s*(.*?)\s*@*$/;
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Parses a unified or git-style diff into per-file patches.
+ *
+ * Recognizes `diff --git` extended headers (new/deleted file mode, rename
+ * from/to), plain `---`/`+++` headers, `a/` and `b/` prefixes and
+ * `\ No newline at end of file` markers. A numbered hunk always takes the
+ * lines its header counts, so removed lines such as `-- x` are not mistaken
+ * for file headers. Hand-written patches often undercount, so after that the
+ * hunk continues until the next hunk or file header, and trailing empty lines
+ * beyond the counts (separators, not ` ` context) are dropped. Headers without
+ * line numbers (`@@ ... @@`) are accepted and located by content.
+ *
+ * @param {string} text - Patch text.
+ * @returns {Array<{type:'modify'|'add'|'delete'|'rename',oldPath:string|null,newPath:string|null,hunks:object[]}>}
+ */
+function parsePatch(text) {
+	const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+	const patches = [];
+	let current = null;
+	let index = 0;
+
+	const startFile = () => {
+		current = { oldPath: null, newPath: null, isNew: false, isDeleted: false, isGit: false, hunks: [] };
+		patches.push(current);
+	};
+
+	while (index < lines.length) {
+		const line = lines[index];
+
+		const gitHeader = /^diff --git (?:"?a\/)?(.+?)"? (?:"?b\/)?(.+?)"?$/.exec(line);
+		if (gitHeader) {
+			startFile();
+			current.isGit = true;
+			current.oldPath = gitHeader[1];
+			current.newPath = gitHeader[2];
+			index += 1;
+			continue;
+		}
+
+		if (line.startsWith('--- ') && (lines[index + 1] || '').startsWith('+++ ')) {
+			if (!current || current.hunks.length > 0 || current.sawFileHeader) {
+				startFile();
+			}
+			current.sawFileHeader = true;
+			current.oldPath = parseHeaderPath(line.slice(4));
+			current.newPath = parseHeaderPath(lines[index + 1].slice(4));
+			current.isNew = current.isNew || current.oldPath === DEV_NULL;
+			current.isDeleted = current.isDeleted || current.newPath === DEV_NULL;
+			index += 2;
+			continue;
+		}
+
+		if (current && /^new file mode /.test(line)) {
+			current.isNew = true;
+		} else if (current && /^deleted file mode /.test(line)) {
+			current.isDeleted = true;
+		} else if (current && /^rename from /.test(line)) {
+			current.oldPath = line.slice('rename from '.length).trim();
+		} else if (current && /^rename to /.test(line)) {
+			current.newPath = line.slice('rename to '.length).trim();
+		} else if (current && (/^Binary files .* differ$/.test(line) || line === 'GIT binary patch')) {
+			throw new Error(`Binary patches are not supported (${current.newPath || current.oldPath}).`);
+		} else if (line.startsWith('@@')) {
+			if (!current) {
+				throw new Error('Patch has a hunk before any file header (expected "--- a/path" and "+++ b/path").');
+			}
+			const { hunk, nextIndex } = readHunk(lines, index);
+			current.hunks.push(hunk);
+			index = nextIndex;
+			continue;
+		}
+
+		index += 1;
+	}
+
+	return patches.map(finalizeFilePatch);
+}
+
+/**
+ * Reads one hunk starting at its `@@` header.
+ *
+ * @param {string[]} lines
+ * @param {number} startIndex
+ * @returns {{hunk:object,nextIndex:number}}
+ */
+function readHunk(lines, startIndex) {
+	const header = lines[startIndex];
+	const numbered = HUNK_HEADER_PATTERN.exec(header);
+	const hunk = {
+		header,
+		oldStart: numbered ? Number(numbered[1]) : null,
+		oldCount: numbered ? toHunkCount(numbered[2]) : null,
+		newStart: numbered ? Number(numbered[3]) : null,
+		newCount: numbered ? toHunkCount(numbered[4]) : null,
+		lines: [],
+		noNewlineOld: false,
+		noNewlineNew: false
+	};
+	if (!numbered && !BARE_HUNK_HEADER_PATTERN.test(header)) {
+		throw new Error(`Invalid hunk header: ${header}`);
+	}
+
+	let index = startIndex + 1;
+	let oldRemaining = numbered ? hunk.oldCount : 0;
+	let newRemaining = numbered ? hunk.newCount : 0;
+	let countedLines = 0;
+	while (index < lines.length) {
+		const line = lines[index];
+		const withinCounts = oldRemaining > 0 || newRemaining > 0;
+		if (!withinCounts && (line.startsWith('@@') || /^diff --git /.test(line) || (line.startsWith('--- ') && (lines[index + 1] || '').startsWith('+++ ')))) {
+			break;
+		}
+
+		if (line.startsWith('\\')) {
+			const previous = hunk.lines[hunk.lines.length - 1];
+			if (previous && previous.type !== '+') {
+				hunk.noNewlineOld = true;
+			}
+			if (previous && previous.type !== '-') {
+				hunk.noNewlineNew = true;
+			}
+		} else if (line === '' || line[0] === ' ') {
+			hunk.lines.push({ type: ' ', text: line.slice(1), blank: line === '' });
+			oldRemaining -= 1;
+			newRemaining -= 1;
+		} else if (line[0] === '-' || line[0] === '+') {
+			hunk.lines.push({ type: line[0], text: line.slice(1) });
+			if (line[0] === '-') {
+				oldRemaining -= 1;
+			} else {
+				newRemaining -= 1;
+			}
+		} else {
+			break;
+		}
+		if (withinCounts) {
+			countedLines = hunk.lines.length;
+		}
+		index += 1;
+	}
+
+	while (hunk.lines.length > countedLines && hunk.lines[hunk.lines.length - 1].blank) {
+		hunk.lines.pop();
+	}
+
+	return { hunk, nextIndex: index };
+}
+
+/**
+ * Reads a hunk header line count; an omitted count means one line.
+ *
+ * @param {string|undefined} value
+ * @returns {number}
+ */
+function toHunkCount(value) {
+	return value === undefined ? 1 : Number(value);
+}
+
+/**
+ * Normalizes paths and decides the change type of a parsed file patch.
+ *
+ * @param {object} patch
+ * @returns {{type:string,oldPath:string|null,newPath:string|null,hunks:object[]}}
+ */
+function finalizeFilePatch(patch) {
+	const strip = (value) => {
+		if (!value || value === DEV_NULL) {
+			return null;
+		}
+		return /^[ab]\//.test(value) && (patch.isGit || /^[ab]\//.test(patch.oldPath || '') || /^[ab]\//.test(patch.newPath || ''))
+			? value.slice(2)
+			: value;
+	};
+
+	const oldPath = patch.isNew ? null : strip(patch.oldPath);
+	const newPath = patch.isDeleted ? null : strip(patch.newPath);
+	if (!oldPath && !newPath) {
+		throw new Error('Patch has a file section without a usable path.');
+	}
+
+	let type = 'modify';
+	if (!oldPath) {
+		type = 'add';
+	} else if (!newPath) {
+		type = 'delete';
+	} else if (oldPath !== newPath) {
+		type = 'rename';
+	}
+	return { type, oldPath, newPath, hunks: patch.hunks };
+}
+
+/**
+ * Parses a `---`/`+++` header path, dropping timestamps and quotes.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function parseHeaderPath(value) {
+	const withoutTimestamp = value.split('\t')[0].trim();
+	const quoted = /^"(.*)"$/.exec(withoutTimestamp);
+	return quoted ? quoted[1] : withoutTimestamp;
+}
+
+/**
+ * Applies hunks to file content, locating each hunk near its expected line.
+ *
+ * Each hunk is first matched with all of its context; with fuzz N, up to N
+ * leading and trailing context lines may be ignored (like GNU patch), but at
+ * least one context line is always kept. Trailing whitespace is ignored when
+ * comparing lines; with `ignoreWhitespace`, all whitespace is collapsed.
+ * Context lines keep the file's own text, so only `-` and `+` lines change the
+ * file. Hunks must apply in order and must not overlap.
+ *
+ * @param {string} content - Original file content.
+ * @param {object[]} hunks - Hunks from `parsePatch`.
+ * @param {{fuzz:number,ignoreWhitespace:boolean}} options
+ * @returns {{content:string,results:Array<{ok:boolean,line:number|null,offset:number,fuzz:number,message:string}>}}
+ */
+function applyHunks(content, hunks, { fuzz, ignoreWhitespace }) {
+	const eol = content.includes('\r\n') ? '\r\n' : '\n';
+	const hadFinalNewline = content === '' || /\n$/.test(content);
+	const lines = content === '' ? [] : content.replace(/\r?\n$/, '').split(/\r?\n/);
+	const normalize = ignoreWhitespace ? (line) => line.trim().replace(/\s+/g, ' ') : (line) => line.replace(/\s+$/, '');
+
+	const results = [];
+	let delta = 0;
+	let minimumStart = 0;
+	let finalNewline = hadFinalNewline;
+
+	for (const hunk of hunks) {
+		const placement = locateHunk(lines, hunk, { fuzz, normalize, delta, minimumStart });
+		if (!placement) {
+			results.push({ ok: false, line: null, offset: 0, fuzz: 0, message: `context not found${fuzz > 0 ? ` (fuzz up to ${fuzz})` : ''}` });
+			continue;
+		}
+
+		const { start, oldLines, body, expected, appliedFuzz } = placement;
+		const newLines = buildReplacement(lines, start, body);
+		lines.splice(start, oldLines.length, ...newLines);
+		delta += newLines.length - oldLines.length;
+		minimumStart = start + newLines.length;
+		if (start + newLines.length === lines.length && (hunk.noNewlineNew || hunk.noNewlineOld)) {
+			finalNewline = !hunk.noNewlineNew;
+		}
+
+		const offset = expected === null ? 0 : start - expected;
+		const notes = [
+			offset !== 0 ? `offset ${offset > 0 ? '+' : ''}${offset} line(s)` : '',
+			appliedFuzz > 0 ? `fuzz ${appliedFuzz}` : ''
+		].filter(Boolean);
+		results.push({
+			ok: true,
+			line: start + 1,
+			offset,
+			fuzz: appliedFuzz,
+			message: `applied at line ${start + 1}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`
+		});
+	}
+
+	const body = lines.join(eol);
+	return {
+		content: lines.length === 0 ? '' : (finalNewline ? body + eol : body),
+		results
+	};
+}
+
+/**
+ * Finds where a hunk applies, trying increasing fuzz and the nearest position to the expected line.
+ *
+ * @param {string[]} lines
+ * @param {object} hunk
+ * @param {{fuzz:number,normalize:function,delta:number,minimumStart:number}} options
+ * @returns {{start:number,oldLines:string[],body:object[],expected:number|null,appliedFuzz:number}|null}
+ */
+function locateHunk(lines, hunk, { fuzz, normalize, delta, minimumStart }) {
+	const leadingContext = countContext(hunk.lines);
+	const trailingContext = countContext([...hunk.lines].reverse());
+	const maxFuzz = Math.min(fuzz, Math.max(leadingContext, trailingContext));
+
+	for (let appliedFuzz = 0; appliedFuzz <= maxFuzz; appliedFuzz += 1) {
+		const dropStart = Math.min(appliedFuzz, leadingContext);
+		const dropEnd = Math.min(appliedFuzz, trailingContext);
+		const body = hunk.lines.slice(dropStart, hunk.lines.length - dropEnd);
+		if (leadingContext + trailingContext > 0 && !body.some((line) => line.type === ' ')) {
+			// Without any context left the hunk would apply blindly at the guessed line.
+			break;
+		}
+		const oldLines = body.filter((line) => line.type !== '+').map((line) => line.text);
+		// `-N,0` inserts after old line N; otherwise old line N is the first line replaced.
+		const expected = hunk.oldStart === null
+			? null
+			: Math.max(0, (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta + dropStart);
+
+		if (oldLines.length === 0) {
+			const start = expected === null ? lines.length : Math.min(Math.max(expected, minimumStart), lines.length);
+			return { start, oldLines, body, expected, appliedFuzz };
+		}
+
+		const start = findNearestBlock(lines, oldLines.map(normalize), normalize, expected === null ? minimumStart : expected, minimumStart);
+		if (start !== -1) {
+			return { start, oldLines, body, expected, appliedFuzz };
+		}
+	}
+	return null;
+}
+
+/**
+ * Builds the lines that replace a located hunk: added lines come from the
+ * patch, context lines are copied from the file at the matched position.
+ *
+ * @param {string[]} lines - File lines.
+ * @param {number} start - Index where the hunk's old lines begin.
+ * @param {Array<{type:string,text:string}>} body - Hunk lines after fuzz trimming.
+ * @returns {string[]}
+ */
+function buildReplacement(lines, start, body) {
+	const replacement = [];
+	let oldIndex = start;
+	for (const line of body) {
+		if (line.type === '+') {
+			replacement.push(line.text);
+			continue;
+		}
+		if (line.type === ' ') {
+			replacement.push(lines[oldIndex]);
+		}
+		oldIndex += 1;
+	}
+	return replacement;
+}
+
+/**
+ * Counts leading context lines of a hunk line list.
+ *
+ * @param {Array<{type:string}>} hunkLines
+ * @returns {number}
+ */
+function countContext(hunkLines) {
+	let count = 0;
+	while (count < hunkLines.length && hunkLines[count].type === ' ') {
+		count += 1;
+	}
+	return count;
+}
+
+/**
+ * Returns the match start closest to `expected`, searching outward, or -1.
+ *
+ * @param {string[]} lines
+ * @param {string[]} block - Normalized block lines.
+ * @param {function} normalize
+ * @param {number} expected
+ * @param {number} minimumStart
+ * @returns {number}
+ */
+function findNearestBlock(lines, block, normalize, expected, minimumStart) {
+	const lastStart = lines.length - block.length;
+	const matchesAt = (start) => {
+		for (let offset = 0; offset < block.length; offset += 1) {
+			if (normalize(lines[start + offset]) !== block[offset]) {
+				return false;
+			}
+		}
+		return true;
+	};
+
+	const origin = Math.min(Math.max(expected, minimumStart), Math.max(lastStart, minimumStart));
+	for (let distance = 0; origin - distance >= minimumStart || origin + distance <= lastStart; distance += 1) {
+		if (origin + distance <= lastStart && matchesAt(origin + distance)) {
+			return origin + distance;
+		}
+		if (distance > 0 && origin - distance >= minimumStart && origin - distance <= lastStart && matchesAt(origin - distance)) {
+			return origin - distance;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Builds the content of a file added by a patch.
+ *
+ * @param {object[]} hunks
+ * @returns {string}
+ */
+function buildAddedContent(hunks) {
+	const added = hunks.flatMap((hunk) => hunk.lines.filter((line) => line.type !== '-').map((line) => line.text));
+	if (added.length === 0) {
+		return '';
+	}
+	const noFinalNewline = hunks.some((hunk) => hunk.noNewlineNew);
+	return `${added.join('\n')}${noFinalNewline ? '' : '\n'}`;
+}
+
+/**
+ * Computes line hunks that turn `oldText` into `newText`, in the shape
+ * returned by `parsePatch`, so they can be re-applied with `applyHunks`.
+ *
+ * Common leading and trailing lines are skipped before a longest-common-
+ * subsequence diff of the middle; very large middles become one replacement.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {number} [contextLines]
+ * @returns {object[]}
+ */
+function createHunks(oldText, newText, contextLines = 3) {
+	const oldLines = splitContentLines(oldText);
+	const newLines = splitContentLines(newText);
+
+	let prefix = 0;
+	while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+		prefix += 1;
+	}
+	let suffix = 0;
+	while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix
+		&& oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+		suffix += 1;
+	}
+
+	const operations = [
+		...oldLines.slice(0, prefix).map((text) => ({ type: ' ', text })),
+		...diffMiddle(oldLines.slice(prefix, oldLines.length - suffix), newLines.slice(prefix, newLines.length - suffix)),
+		...oldLines.slice(oldLines.length - suffix).map((text) => ({ type: ' ', text }))
+	];
+
+	const hunks = [];
+	let oldLine = 0;
+	let current = null;
+	let trailingContext = 0;
+	operations.forEach((operation, index) => {
+		if (operation.type === ' ') {
+			if (current) {
+				const nextChange = operations.findIndex((candidate, candidateIndex) => candidateIndex > index && candidate.type !== ' ');
+				if (nextChange !== -1 && nextChange - index <= contextLines * 2) {
+					current.lines.push(operation);
+				} else if (trailingContext < contextLines) {
+					current.lines.push(operation);
+					trailingContext += 1;
+				} else {
+					current = null;
+				}
+			}
+			oldLine += 1;
+			return;
+		}
+
+		if (!current) {
+			const contextStart = Math.max(0, index - contextLines);
+			const leading = operations.slice(contextStart, index).filter((candidate) => candidate.type === ' ');
+			current = {
+				header: '@@',
+				oldStart: oldLine - leading.length + 1,
+				newStart: null,
+				lines: [...leading],
+				noNewlineOld: false,
+				noNewlineNew: false
+			};
+			hunks.push(current);
+		}
+		trailingContext = 0;
+		current.lines.push(operation);
+		if (operation.type === '-') {
+			oldLine += 1;
+		}
+	});
+
+	return hunks;
+}
+
+/**
+ * Diffs two line arrays with a longest-common-subsequence table.
+ *
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {Array<{type:string,text:string}>}
+ */
+function diffMiddle(oldLines, newLines) {
+	if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+		return [
+			...oldLines.map((text) => ({ type: '-', text })),
+			...newLines.map((text) => ({ type: '+', text }))
+		];
+	}
+
+	const columns = newLines.length + 1;
+	const table = new Uint32Array((oldLines.length + 1) * columns);
+	for (let row = oldLines.length - 1; row >= 0; row -= 1) {
+		for (let column = newLines.length - 1; column >= 0; column -= 1) {
+			table[row * columns + column] = oldLines[row] === newLines[column]
+				? table[(row + 1) * columns + column + 1] + 1
+				: Math.max(table[(row + 1) * columns + column], table[row * columns + column + 1]);
+		}
+	}
+
+	const operations = [];
+	let row = 0;
+	let column = 0;
+	while (row < oldLines.length || column < newLines.length) {
+		if (row < oldLines.length && column < newLines.length && oldLines[row] === newLines[column]) {
+			operations.push({ type: ' ', text: oldLines[row] });
+			row += 1;
+			column += 1;
+		} else if (column < newLines.length && (row === oldLines.length || table[row * columns + column + 1] >= table[(row + 1) * columns + column])) {
+			operations.push({ type: '+', text: newLines[column] });
+			column += 1;
+		} else {
+			operations.push({ type: '-', text: oldLines[row] });
+			row += 1;
+		}
+	}
+	return operations;
+}
+
+/**
+ * Splits content into lines without terminators (no final empty line).
+ *
+ * @param {string} content
+ * @returns {string[]}
+ */
+function splitContentLines(content) {
+	return content === '' ? [] : content.replace(/\r?\n$/, '').split(/\r?\n/);
+}
+
+module.exports = {
+	parsePatch,
+	applyHunks,
+	buildAddedContent,
+	createHunks
+};
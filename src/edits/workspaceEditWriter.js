@@ -0,0 +1,244 @@
+const path = require('path');
+const vscode = require('vscode');
+const { createHunks, applyHunks } = require('./unifiedDiff');
+const { getWorkspaceRootPath, toPosixRelative } = require('../utils/workspacePaths');
+
+const LANGUAGE_SERVICE_SETTLE_MS = 500;
+
+/**
+ * Applies file changes through `vscode.workspace.applyEdit` so open editors,
+ * editor undo and dirty state stay consistent.
+ *
+ * Documents with unsaved changes are refused, or with
+ * `dirtyFileHandling: 'merge'` the agent's change (computed against the disk
+ * content it read) is replayed onto the editor buffer; overlapping changes are
+ * refused as conflicts. Touched documents are optionally formatted and saved;
+ * merged documents are left unsaved so the user's edits are not written
+ * without review.
+ *
+ * @param {Array<{filePath:string,displayPath:string,originalContent:string|null,newContent:string|null}>} changes
+ * @param {{formatAfterEdit:boolean,saveAfterEdit:boolean,dirtyFileHandling:string}} settings
+ * @returns {Promise<{notes:string[]}>}
+ */
+async function applyChangesWithWorkspaceEdit(changes, settings) {
+	const edit = new vscode.WorkspaceEdit();
+	const notes = [];
+	const touched = [];
+
+	for (const change of changes) {
+		const uri = vscode.Uri.file(change.filePath);
+		const openDocument = findOpenDocument(change.filePath);
+
+		if (change.newContent === null) {
+			if (openDocument && openDocument.isDirty) {
+				throw new Error(`${change.displayPath} has unsaved changes in the editor; save or revert them before it is deleted.`);
+			}
+			edit.deleteFile(uri, { ignoreIfNotExists: true });
+			continue;
+		}
+
+		if (change.originalContent === null && !openDocument) {
+			edit.createFile(uri, { overwrite: false, ignoreIfExists: false });
+			edit.insert(uri, new vscode.Position(0, 0), change.newContent);
+			touched.push({ uri, displayPath: change.displayPath, merged: false });
+			continue;
+		}
+
+		const document = openDocument || await vscode.workspace.openTextDocument(uri);
+		let newContent = change.newContent;
+		let merged = false;
+		if (document.isDirty) {
+			newContent = mergeIntoDirtyDocument(document, change, settings);
+			merged = true;
+			notes.push(`${change.displayPath}: merged into unsaved editor changes and left unsaved for review.`);
+		}
+
+		edit.replace(uri, document.validateRange(new vscode.Range(0, 0, document.lineCount, 0)), newContent);
+		touched.push({ uri, displayPath: change.displayPath, merged });
+	}
+
+	if (!await vscode.workspace.applyEdit(edit)) {
+		throw new Error('VS Code rejected the workspace edit; no files were changed.');
+	}
+
+	for (const entry of touched) {
+		const document = await vscode.workspace.openTextDocument(entry.uri);
+		if (settings.formatAfterEdit && await formatDocument(document)) {
+			notes.push(`${entry.displayPath}: formatted.`);
+		}
+		if (settings.saveAfterEdit && !entry.merged && !await document.save()) {
+			notes.push(`${entry.displayPath}: could not be saved; the change is only in the editor.`);
+		}
+	}
+
+	return { notes };
+}
+
+/**
+ * Renames a file or directory with `WorkspaceEdit.renameFile`, so language
+ * services can update imports and references to it.
+ *
+ * Other documents changed while the rename is applied (and shortly after)
+ * are reported; with `saveAfterEdit` the ones that had no unsaved changes
+ * before are saved once `beforeSave` has run (used to checkpoint them).
+ *
+ * @param {{fromPath:string,toPath:string,overwrite:boolean}} move
+ * @param {{saveAfterEdit:boolean}} settings
+ * @param {function(string[]):Promise<void>} [beforeSave] - Receives absolute paths of the other changed files.
+ * @returns {Promise<{updatedPaths:string[],notes:string[]}>}
+ */
+async function renameWithWorkspaceEdit(move, settings, beforeSave) {
+	const from = normalizeForComparison(move.fromPath);
+	const to = normalizeForComparison(move.toPath);
+	const isMovedPath = (filePath) => [from, to].some((root) => filePath === root || filePath.startsWith(root + path.sep));
+	const dirtyBefore = new Set(vscode.workspace.textDocuments
+		.filter((document) => document.isDirty)
+		.map((document) => normalizeForComparison(document.uri.fsPath)));
+
+	const changedDocuments = new Map();
+	const subscription = vscode.workspace.onDidChangeTextDocument((event) => {
+		const filePath = normalizeForComparison(event.document.uri.fsPath);
+		if (event.document.uri.scheme === 'file' && event.contentChanges.length > 0 && !isMovedPath(filePath)) {
+			changedDocuments.set(filePath, event.document);
+		}
+	});
+
+	try {
+		const edit = new vscode.WorkspaceEdit();
+		edit.renameFile(vscode.Uri.file(move.fromPath), vscode.Uri.file(move.toPath), { overwrite: move.overwrite });
+		if (!await vscode.workspace.applyEdit(edit)) {
+			throw new Error('VS Code rejected the rename; nothing was moved.');
+		}
+		await new Promise((resolve) => setTimeout(resolve, LANGUAGE_SERVICE_SETTLE_MS));
+	} finally {
+		subscription.dispose();
+	}
+
+	const updatedPaths = Array.from(changedDocuments.values()).map((document) => document.uri.fsPath);
+	if (updatedPaths.length === 0) {
+		return { updatedPaths, notes: [] };
+	}
+	if (beforeSave) {
+		await beforeSave(updatedPaths);
+	}
+
+	const unsaved = [];
+	for (const [filePath, document] of changedDocuments) {
+		if (!settings.saveAfterEdit || dirtyBefore.has(filePath) || !await document.save()) {
+			unsaved.push(document.uri.fsPath);
+		}
+	}
+
+	const workspaceRoot = getWorkspaceRootPath();
+	const notes = [`Language services updated ${updatedPaths.length} other file(s): ${updatedPaths.map((filePath) => toPosixRelative(workspaceRoot, filePath)).join(', ')}.`];
+	if (unsaved.length > 0) {
+		notes.push(`Left unsaved in the editor: ${unsaved.map((filePath) => toPosixRelative(workspaceRoot, filePath)).join(', ')}.`);
+	}
+	return { updatedPaths, notes };
+}
+
+/**
+ * Applies a WorkspaceEdit built by a language provider (for example a rename)
+ * and saves the documents it changed.
+ *
+ * Documents that already had unsaved changes, or every document when
+ * `saveAfterEdit` is off, are left unsaved and listed in the notes.
+ *
+ * @param {object} edit - vscode.WorkspaceEdit
+ * @param {Array<{filePath:string,displayPath:string}>} changes - Files the edit changes.
+ * @param {{saveAfterEdit:boolean}} settings
+ * @returns {Promise<{notes:string[]}>}
+ */
+async function applyProviderWorkspaceEdit(edit, changes, settings) {
+	const dirtyBefore = new Set(changes
+		.filter((change) => {
+			const document = findOpenDocument(change.filePath);
+			return document && document.isDirty;
+		})
+		.map((change) => change.filePath));
+
+	if (!await vscode.workspace.applyEdit(edit)) {
+		throw new Error('VS Code rejected the workspace edit; no files were changed.');
+	}
+
+	const unsaved = [];
+	for (const change of changes) {
+		const document = await vscode.workspace.openTextDocument(vscode.Uri.file(change.filePath));
+		if (!settings.saveAfterEdit || dirtyBefore.has(change.filePath) || !await document.save()) {
+			unsaved.push(change.displayPath);
+		}
+	}
+	return { notes: unsaved.length > 0 ? [`Left unsaved in the editor: ${unsaved.join(', ')}.`] : [] };
+}
+
+/**
+ * Replays the agent's change onto a dirty document buffer, or throws on refusal or conflict.
+ *
+ * @param {object} document - vscode.TextDocument with unsaved changes.
+ * @param {{displayPath:string,originalContent:string|null,newContent:string}} change
+ * @param {{dirtyFileHandling:string}} settings
+ * @returns {string} Merged buffer content.
+ */
+function mergeIntoDirtyDocument(document, change, settings) {
+	if (settings.dirtyFileHandling !== 'merge') {
+		throw new Error(`${change.displayPath} has unsaved changes in the editor. Ask the user to save or revert it, then re-read the file and retry (agentModeParticipant.dirtyFileHandling is "refuse").`);
+	}
+
+	const hunks = createHunks(change.originalContent || '', change.newContent, 2);
+	const { content, results } = applyHunks(document.getText(), hunks, { fuzz: 0, ignoreWhitespace: false });
+	const conflicts = results.filter((result) => !result.ok).length;
+	if (conflicts > 0) {
+		throw new Error(`${change.displayPath} has unsaved editor changes that conflict with ${conflicts} of ${hunks.length} changed region(s). Ask the user to save or revert the file, then re-read it and retry.`);
+	}
+	return content;
+}
+
+/**
+ * Formats a document with the registered formatter and the editor's indentation options.
+ *
+ * @param {object} document - vscode.TextDocument
+ * @returns {Promise<boolean>} True when formatting changed the document.
+ */
+async function formatDocument(document) {
+	const editorConfig = vscode.workspace.getConfiguration('editor', document.uri);
+	const textEdits = await vscode.commands.executeCommand('vscode.executeFormatDocumentProvider', document.uri, {
+		tabSize: editorConfig.get('tabSize', 4),
+		insertSpaces: editorConfig.get('insertSpaces', true)
+	});
+	if (!Array.isArray(textEdits) || textEdits.length === 0) {
+		return false;
+	}
+
+	const edit = new vscode.WorkspaceEdit();
+	edit.set(document.uri, textEdits);
+	return vscode.workspace.applyEdit(edit);
+}
+
+/**
+ * Finds an open text document for a file path.
+ *
+ * @param {string} filePath
+ * @returns {object|undefined} vscode.TextDocument
+ */
+function findOpenDocument(filePath) {
+	const target = normalizeForComparison(filePath);
+	return vscode.workspace.textDocuments.find((document) => document.uri.scheme === 'file'
+		&& normalizeForComparison(document.uri.fsPath) === target);
+}
+
+/**
+ * Normalizes a path for comparison (case-insensitive on Windows).
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+function normalizeForComparison(filePath) {
+	const resolved = path.resolve(filePath);
+	return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+}
+
+module.exports = {
+	applyChangesWithWorkspaceEdit,
+	applyProviderWorkspaceEdit,
+	renameWithWorkspaceEdit
+};
@@ -0,0 +1,192 @@
+const { getWorkspaceRootPath, resolveWorkspacePath, toPosixRelative } = require('../utils/workspacePaths');
+const { readTextIfExists, applyFileChanges } = require('../edits/fileChanges');
+const { parsePatch, applyHunks, buildAddedContent } = require('../edits/unifiedDiff');
+
+const MAX_FUZZ = 3;
+const MAX_PATCH_FILES = 50;
+
+/**
+ * Builds the apply_patch tool for unified and git-style diffs.
+ *
+ * Every file in the patch is resolved inside the workspace and every hunk is
+ * located before anything is written; the patch then applies all-or-nothing
+ * through the edit approval mode, with a per-hunk report.
+ *
+ * @param {object} settings
+ * @param {number} settings.maxWriteChars - Maximum patch size.
+ * @param {number} settings.patchFuzz - Default number of context lines a hunk may ignore.
+ * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ */
+function createApplyPatchTool(settings) {
+	return {
+		name: 'apply_patch',
+		description: 'Apply a unified diff (git-style or plain ---/+++ headers) to one or more workspace files, including new, deleted and renamed files. Hunks may be offset from their line numbers; the patch applies all-or-nothing with a per-hunk report.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				patch: { type: 'string', description: 'Unified diff text with ---/+++ file headers and @@ hunks. Paths are workspace-relative (a/ and b/ prefixes are accepted).' },
+				fuzz: { type: 'number', description: `Context lines each hunk may ignore at its start and end (0-${MAX_FUZZ}, default ${settings.patchFuzz}).` },
+				ignoreWhitespace: { type: 'boolean', description: 'Compare context and removed lines ignoring whitespace differences.' }
+			},
+			required: ['patch']
+		},
+		/**
+		 * Parses the patch, applies hunks in memory and writes all changed files.
+		 *
+		 * @param {{patch:string,fuzz?:number,ignoreWhitespace?:boolean}} input
+		 * @param {object} context - Tool context passed to `applyFileChanges`.
+		 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+		 */
+		async execute(input, context) {
+			const patchText = typeof input.patch === 'string' ? input.patch : '';
+			if (!patchText.trim()) {
+				throw new Error('apply_patch requires "patch".');
+			}
+			if (patchText.length > settings.maxWriteChars) {
+				throw new Error(`apply_patch payload exceeds maxWriteChars (${settings.maxWriteChars}).`);
+			}
+
+			const filePatches = parsePatch(patchText);
+			if (filePatches.length === 0) {
+				throw new Error('apply_patch found no file headers. Use "--- a/path" and "+++ b/path" lines before each file\'s hunks.');
+			}
+			if (filePatches.length > MAX_PATCH_FILES) {
+				throw new Error(`apply_patch accepts at most ${MAX_PATCH_FILES} files per call.`);
+			}
+
+			const requestedFuzz = Number(input.fuzz);
+			const options = {
+				fuzz: Number.isFinite(requestedFuzz) ? Math.min(MAX_FUZZ, Math.max(0, Math.trunc(requestedFuzz))) : settings.patchFuzz,
+				ignoreWhitespace: Boolean(input.ignoreWhitespace)
+			};
+
+			const workspaceRoot = getWorkspaceRootPath();
+			const reports = [];
+			for (const filePatch of filePatches) {
+				reports.push(await planFilePatch(workspaceRoot, filePatch, options));
+			}
+
+			const claimedPaths = new Map();
+			for (const report of reports) {
+				for (const change of report.changes) {
+					if (claimedPaths.has(change.filePath)) {
+						report.error = report.error || `${change.displayPath} is also changed by another file section of this patch`;
+					}
+					claimedPaths.set(change.filePath, report);
+				}
+			}
+
+			const metadata = {
+				files: reports.map((report) => ({
+					path: report.displayPath,
+					type: report.type,
+					hunks: report.hunks.map((hunk) => ({ ok: hunk.ok, line: hunk.line, offset: hunk.offset, fuzz: hunk.fuzz }))
+				}))
+			};
+
+			const failed = reports.filter((report) => report.error || report.hunks.some((hunk) => !hunk.ok));
+			if (failed.length > 0) {
+				return {
+					ok: false,
+					output: formatReport(reports),
+					error: `apply_patch made no changes; ${failed.length} of ${reports.length} file(s) could not be patched. Re-read the files and regenerate the failing hunks with accurate context.`,
+					metadata
+				};
+			}
+
+			const { applied, notes } = await applyFileChanges(reports.flatMap((report) => report.changes), context);
+			return {
+				ok: true,
+				output: [`${applied ? 'Applied patch to' : 'Dry run, not applied: patch would change'} ${reports.length} file(s):`, formatReport(reports), ...notes].join('\n'),
+				metadata
+			};
+		}
+	};
+}
+
+/**
+ * Applies one file section in memory and returns its planned changes and hunk results.
+ *
+ * @param {string} workspaceRoot
+ * @param {{type:string,oldPath:string|null,newPath:string|null,hunks:object[]}} filePatch
+ * @param {{fuzz:number,ignoreWhitespace:boolean}} options
+ * @returns {Promise<{type:string,displayPath:string,hunks:object[],changes:object[],error?:string}>}
+ */
+async function planFilePatch(workspaceRoot, filePatch, options) {
+	const oldFilePath = filePatch.oldPath ? resolveWorkspacePath(workspaceRoot, filePatch.oldPath) : null;
+	const newFilePath = filePatch.newPath ? resolveWorkspacePath(workspaceRoot, filePatch.newPath) : null;
+	const oldDisplayPath = oldFilePath ? toPosixRelative(workspaceRoot, oldFilePath) : null;
+	const newDisplayPath = newFilePath ? toPosixRelative(workspaceRoot, newFilePath) : null;
+	const report = {
+		type: filePatch.type,
+		displayPath: filePatch.type === 'rename' ? `${oldDisplayPath} -> ${newDisplayPath}` : (newDisplayPath || oldDisplayPath),
+		hunks: [],
+		changes: []
+	};
+
+	if (filePatch.type === 'add') {
+		if (await readTextIfExists(newFilePath) !== null) {
+			report.error = 'file already exists';
+			return report;
+		}
+		report.changes.push({ filePath: newFilePath, displayPath: newDisplayPath, originalContent: null, newContent: buildAddedContent(filePatch.hunks) });
+		return report;
+	}
+
+	const originalContent = await readTextIfExists(oldFilePath);
+	if (originalContent === null) {
+		report.error = 'file does not exist';
+		return report;
+	}
+
+	const { content, results } = applyHunks(originalContent, filePatch.hunks, options);
+	report.hunks = results;
+
+	if (filePatch.type === 'delete') {
+		if (filePatch.hunks.length > 0 && results.every((result) => result.ok) && content.trim() !== '') {
+			report.error = 'the file has content the deletion hunks do not remove';
+			return report;
+		}
+		report.changes.push({ filePath: oldFilePath, displayPath: oldDisplayPath, originalContent, newContent: null });
+		return report;
+	}
+
+	if (filePatch.type === 'rename') {
+		if (await readTextIfExists(newFilePath) !== null) {
+			report.error = `rename target ${newDisplayPath} already exists`;
+			return report;
+		}
+		report.changes.push(
+			{ filePath: oldFilePath, displayPath: oldDisplayPath, originalContent, newContent: null },
+			{ filePath: newFilePath, displayPath: newDisplayPath, originalContent: null, newContent: content }
+		);
+		return report;
+	}
+
+	if (filePatch.hunks.length === 0) {
+		report.error = 'no hunks for this file';
+		return report;
+	}
+	report.changes.push({ filePath: oldFilePath, displayPath: oldDisplayPath, originalContent, newContent: content });
+	return report;
+}
+
+/**
+ * Formats the per-file, per-hunk report.
+ *
+ * @param {Array<{type:string,displayPath:string,hunks:object[],error?:string}>} reports
+ * @returns {string}
+ */
+function formatReport(reports) {
+	return reports.map((report) => {
+		const lines = [`${report.displayPath} (${report.type})${report.error ? `: FAILED, ${report.error}` : ''}`];
+		report.hunks.forEach((hunk, index) => {
+			lines.push(`  hunk #${index + 1} ${hunk.ok ? 'ok' : 'FAILED'}: ${hunk.message}`);
+		});
+		return lines.join('\n');
+	}).join('\n');
+}
+
+module.exports = {
+	createApplyPatchTool
+};
@@ -0,0 +1,252 @@
+const { getWorkspaceRootPath } = require('../utils/workspacePaths');
+const { validateCommand, toProcessArguments } = require('../utils/commandPolicy');
+const { describeStatus } = require('../utils/backgroundProcessManager');
+const { getAllowedCommands } = require('../utils/scriptAllowlist');
+
+const PROCESS_NAME_PATTERN = /^[\w.-]{1,40}$/;
+const STARTUP_CHECK_MS = 500;
+const MAX_READ_CHARS = 8000;
+const DEFAULT_WAIT_MS = 30000;
+
+/**
+ * Builds tools that start, read, wait on and stop named background processes.
+ *
+ * Commands go through the same allowlist and shell-operator policy as
+ * run_command. Processes live in the `backgroundProcesses` manager (tool
+ * context service) under the chat's `sessionId`, so each chat only sees its
+ * own processes, and are stopped when the extension deactivates.
+ * read_process_output is not read-only because it advances the read cursor.
+ *
+ * @param {object} settings
+ * @param {string[]} settings.allowedCommands
+ * @param {boolean} settings.allowShellOperators
+ * @param {boolean} settings.allowPackageScripts
+ * @param {number} settings.commandTimeoutMs - Upper bound for wait_for_process_output.
+ * @returns {Array<{name:string,description:string,inputSchema:object,execute:function}>}
+ */
+function createBackgroundProcessTools(settings) {
+	return [
+		{
+			name: 'start_process',
+			description: 'Start an allowlisted long-running command (dev server, watcher) in the background under a name. Use read_process_output, wait_for_process_output and stop_process with that name.',
+			inputSchema: {
+				type: 'object',
+				properties: {
+					name: { type: 'string', description: 'Short process name, for example "dev-server".' },
+					command: { type: 'string', description: 'Allowlisted command line, for example "npm run dev".' }
+				},
+				required: ['name', 'command']
+			},
+			/**
+			 * Starts the process and reports early exits.
+			 *
+			 * @param {{name:string,command:string}} input
+			 * @param {{backgroundProcesses:object,sessionId:string}} context
+			 * @returns {Promise<{ok:boolean,output:string,error?:string,metadata:object}>}
+			 */
+			async execute(input, context) {
+				const name = requireProcessName(input, 'start_process');
+				const command = typeof input.command === 'string' ? input.command.trim() : '';
+				if (!command) {
+					throw new Error('start_process requires "command".');
+				}
+
+				const cwd = getWorkspaceRootPath();
+				const allowedCommands = await getAllowedCommands(settings, cwd);
+				const { argv, useShell } = validateCommand(command, { ...settings, allowedCommands });
+				const { file, args, shell } = useShell
+					? { file: command, args: [], shell: true }
+					: toProcessArguments(argv);
+				const { manager, sessionId } = requireSession(context);
+				const entry = manager.start(sessionId, name, { command, file, args, shell, cwd });
+
+				await new Promise((resolve) => setTimeout(resolve, STARTUP_CHECK_MS));
+				const { output } = manager.read(sessionId, name, { all: true, maxChars: MAX_READ_CHARS });
+				const status = describeStatus(entry);
+				return {
+					ok: entry.running || entry.exitCode === 0,
+					output: [`Process "${name}" ${status}: ${command}`, output.trim()].filter(Boolean).join('\n'),
+					...(entry.running || entry.exitCode === 0 ? {} : { error: `Process "${name}" ${status}.` }),
+					metadata: toProcessMetadata(entry)
+				};
+			}
+		},
+		{
+			name: 'read_process_output',
+			description: 'Read output of a named background process produced since the last read (or all buffered output).',
+			inputSchema: {
+				type: 'object',
+				properties: {
+					name: { type: 'string', description: 'Process name used with start_process.' },
+					all: { type: 'boolean', description: 'Return all buffered output instead of only new output.' }
+				},
+				required: ['name']
+			},
+			/**
+			 * Returns new or buffered output with the process status.
+			 *
+			 * @param {{name:string,all?:boolean}} input
+			 * @param {{backgroundProcesses:object,sessionId:string}} context
+			 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+			 */
+			async execute(input, context) {
+				const name = requireProcessName(input, 'read_process_output');
+				const { manager, sessionId } = requireSession(context);
+				const entry = manager.get(sessionId, name);
+				const { output, truncated } = manager.read(sessionId, name, { all: Boolean(input.all), maxChars: MAX_READ_CHARS });
+				return {
+					ok: true,
+					output: [
+						`Process "${name}" ${describeStatus(entry)}.`,
+						truncated ? '...(earlier output omitted)...' : '',
+						output.trim() || '(no new output)'
+					].filter(Boolean).join('\n'),
+					metadata: toProcessMetadata(entry)
+				};
+			}
+		},
+		{
+			name: 'wait_for_process_output',
+			description: 'Wait until a named background process prints output matching a regular expression (for example "listening on"), exits, or the timeout passes.',
+			readOnly: true,
+			inputSchema: {
+				type: 'object',
+				properties: {
+					name: { type: 'string', description: 'Process name used with start_process.' },
+					pattern: { type: 'string', description: 'JavaScript regular expression (case-insensitive).' },
+					timeoutMs: { type: 'number', description: `Maximum wait in milliseconds (default ${DEFAULT_WAIT_MS}).` }
+				},
+				required: ['name', 'pattern']
+			},
+			/**
+			 * Waits for the pattern and reports the matching line.
+			 *
+			 * @param {{name:string,pattern:string,timeoutMs?:number}} input
+			 * @param {{backgroundProcesses:object,sessionId:string,token?:object}} context
+			 * @returns {Promise<{ok:boolean,output:string,error?:string,metadata:object}>}
+			 */
+			async execute(input, context) {
+				const name = requireProcessName(input, 'wait_for_process_output');
+				const pattern = compilePattern(input.pattern);
+				const requestedTimeout = Number(input.timeoutMs);
+				const timeoutMs = Math.min(
+					settings.commandTimeoutMs,
+					Number.isFinite(requestedTimeout) && requestedTimeout > 0 ? requestedTimeout : DEFAULT_WAIT_MS
+				);
+
+				const { manager, sessionId } = requireSession(context);
+				const result = await manager.waitFor(sessionId, name, pattern, { timeoutMs, token: context.token });
+				const entry = manager.get(sessionId, name);
+				if (result.matched) {
+					return {
+						ok: true,
+						output: `Matched /${pattern.source}/ in "${name}": ${result.line}`,
+						metadata: toProcessMetadata(entry)
+					};
+				}
+
+				const { output } = manager.read(sessionId, name, { all: true, peek: true, maxChars: 2000 });
+				return {
+					ok: false,
+					output: output.trim() ? `Recent output:\n${output.trim()}` : '(no output)',
+					error: `No output matching /${pattern.source}/ from "${name}": ${result.reason}.`,
+					metadata: toProcessMetadata(entry)
+				};
+			}
+		},
+		{
+			name: 'stop_process',
+			description: 'Stop a named background process and its child processes.',
+			inputSchema: {
+				type: 'object',
+				properties: {
+					name: { type: 'string', description: 'Process name used with start_process.' }
+				},
+				required: ['name']
+			},
+			/**
+			 * Stops the process tree.
+			 *
+			 * @param {{name:string}} input
+			 * @param {{backgroundProcesses:object,sessionId:string}} context
+			 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+			 */
+			async execute(input, context) {
+				const name = requireProcessName(input, 'stop_process');
+				const { manager, sessionId } = requireSession(context);
+				const entry = await manager.stop(sessionId, name);
+				return {
+					ok: true,
+					output: `Process "${name}" ${describeStatus(entry)}.`,
+					metadata: toProcessMetadata(entry)
+				};
+			}
+		}
+	];
+}
+
+/**
+ * Validates the process name input.
+ *
+ * @param {{name?:string}} input
+ * @param {string} toolName
+ * @returns {string}
+ */
+function requireProcessName(input, toolName) {
+	const name = typeof input.name === 'string' ? input.name.trim() : '';
+	if (!PROCESS_NAME_PATTERN.test(name)) {
+		throw new Error(`${toolName} requires "name" (letters, digits, "_", "-" or ".", up to 40 characters).`);
+	}
+	return name;
+}
+
+/**
+ * Returns the process manager and the chat session id from the tool context.
+ *
+ * @param {{backgroundProcesses?:object,sessionId?:string}} context
+ * @returns {{manager:object,sessionId:string}}
+ */
+function requireSession(context) {
+	if (!context || !context.backgroundProcesses || !context.sessionId) {
+		throw new Error('Background processes are not available in this context.');
+	}
+	return { manager: context.backgroundProcesses, sessionId: context.sessionId };
+}
+
+/**
+ * Compiles a model-provided pattern into a case-insensitive regular expression.
+ *
+ * @param {any} pattern
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+	const source = typeof pattern === 'string' ? pattern.trim() : '';
+	if (!source) {
+		throw new Error('wait_for_process_output requires "pattern".');
+	}
+	try {
+		return new RegExp(source, 'i');
+	} catch (error) {
+		throw new Error(`Invalid pattern: ${error.message}`);
+	}
+}
+
+/**
+ * Builds observation metadata for a process entry.
+ *
+ * @param {object} entry
+ * @returns {{name:string,pid:number,running:boolean,exitCode:number|null,uptimeMs:number}}
+ */
+function toProcessMetadata(entry) {
+	return {
+		name: entry.name,
+		pid: entry.pid,
+		running: entry.running,
+		exitCode: entry.exitCode,
+		uptimeMs: Date.now() - entry.startedAt
+	};
+}
+
+module.exports = {
+	createBackgroundProcessTools
+};
@@ -0,0 +1,79 @@
+const { getWorkspaceRootPath, resolveWorkspacePath, toPosixRelative } = require('../utils/workspacePaths');
+const { SEVERITY_NAMES, collectDiagnostics, formatDiagnostic } = require('../utils/diagnostics');
+
+const DEFAULT_MAX_RESULTS = 50;
+const MAX_RESULTS = 300;
+
+/**
+ * Builds the get_diagnostics tool over the Problems panel
+ * (`vscode.languages.getDiagnostics`).
+ *
+ * @returns {{name:string,description:string,readOnly:boolean,inputSchema:object,execute:function}}
+ */
+function createDiagnosticsTool() {
+	return {
+		name: 'get_diagnostics',
+		description: 'List compile, type-check and lint problems reported in VS Code (the Problems panel), optionally for one file or folder and at a minimum severity.',
+		readOnly: true,
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Relative workspace file or folder path. Default: the whole workspace.' },
+				severity: { type: 'string', enum: SEVERITY_NAMES, description: 'Least severe level to include. Default "warning".' },
+				maxResults: { type: 'number', description: `Optional override, default ${DEFAULT_MAX_RESULTS}.` }
+			},
+			required: []
+		},
+		/**
+		 * Collects and formats matching diagnostics.
+		 *
+		 * @param {{path?:string,severity?:string,maxResults?:number}} input
+		 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+		 */
+		async execute(input) {
+			const minSeverity = SEVERITY_NAMES.includes(input.severity) ? input.severity : 'warning';
+			const requestedPath = typeof input.path === 'string' && input.path.trim() ? input.path.trim() : '';
+			const workspaceRoot = getWorkspaceRootPath();
+			const scope = requestedPath ? toPosixRelative(workspaceRoot, resolveWorkspacePath(workspaceRoot, requestedPath)) : '';
+			const fileFilter = scope ? (file) => file === scope || file.startsWith(`${scope}/`) : null;
+
+			const diagnostics = collectDiagnostics({ minSeverity, fileFilter });
+			const counts = SEVERITY_NAMES.map((severity) => ({ severity, count: diagnostics.filter((entry) => entry.severity === severity).length }))
+				.filter((entry) => entry.count > 0);
+			const metadata = Object.fromEntries(counts.map((entry) => [entry.severity, entry.count]));
+			const where = scope ? ` in ${scope}` : '';
+			if (diagnostics.length === 0) {
+				return { ok: true, output: `No problems at severity "${minSeverity}" or above${where}.`, metadata };
+			}
+
+			const limit = toResultLimit(input.maxResults);
+			const fileCount = new Set(diagnostics.map((entry) => entry.uri)).size;
+			const lines = [
+				`${counts.map((entry) => `${entry.count} ${entry.severity}(s)`).join(', ')} in ${fileCount} file(s)${where}:`,
+				...diagnostics.slice(0, limit).map(formatDiagnostic)
+			];
+			if (diagnostics.length > limit) {
+				lines.push(`...${diagnostics.length - limit} more not shown (narrow "path" or raise maxResults)...`);
+			}
+			return { ok: true, output: lines.join('\n'), metadata };
+		}
+	};
+}
+
+/**
+ * Clamps a max-results input.
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+function toResultLimit(value) {
+	const numeric = Number(value);
+	if (!Number.isFinite(numeric)) {
+		return DEFAULT_MAX_RESULTS;
+	}
+	return Math.min(MAX_RESULTS, Math.max(1, Math.trunc(numeric)));
+}
+
+module.exports = {
+	createDiagnosticsTool
+};
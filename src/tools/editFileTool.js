@@ -1,119 +1,245 @@
 const fs = require('fs/promises');
+const vscode = require('vscode');
 const { getWorkspaceRootPath, resolveWorkspacePath, toPosixRelative } = require('../utils/workspacePaths');
+const { applyFileChanges } = require('../edits/fileChanges');
+const { findEditMatches } = require('../edits/textMatching');
+
+const MAX_BATCH_FILES = 20;
+const MAX_EDITS_PER_FILE = 50;
 
 /**
  * Builds the edit_file tool.
  *
+ * Accepts a single `oldString` → `newString` replacement, an ordered `edits`
+ * array for one file, or a `files` array for several files. Every edit is
+ * matched against the file's original content before anything changes, and
+ * the whole batch is written all-or-nothing.
+ *
  * @param {object} settings - Runtime participant settings.
  * @param {number} settings.maxWriteChars - Maximum payload size.
  * @returns {{name:string,description:string,inputSchema:object,execute:function}}
  */
 function createEditFileTool(settings) {
+	const editSchema = {
+		type: 'object',
+		properties: {
+			oldString: { type: 'string', description: 'Exact text to find in the original file content.' },
+			newString: { type: 'string', description: 'Replacement text.' },
+			replaceAll: { type: 'boolean', description: 'Replace all matches instead of exactly one.' }
+		},
+		required: ['oldString', 'newString']
+	};
+
 	return {
 		name: 'edit_file',
-		description: 'Apply exact string replacements in an existing workspace file.',
+		description: 'Apply exact string replacements in existing workspace files. Use oldString/newString for one edit, "edits" for several edits in one file, or "files" for edits across files. All edits are matched against the original content and applied all-or-nothing. Without an exact match, line endings, trailing whitespace and then indentation are ignored, and the replacement is re-indented to the file.',
 		inputSchema: {
 			type: 'object',
 			properties: {
-				path: { type: 'string', description: 'Relative workspace file path.' },
+				path: { type: 'string', description: 'Relative workspace file path (with oldString/newString or edits).' },
 				oldString: { type: 'string', description: 'Exact text to find.' },
 				newString: { type: 'string', description: 'Replacement text.' },
-				replaceAll: { type: 'boolean', description: 'Replace all matches instead of exactly one.' }
+				replaceAll: { type: 'boolean', description: 'Replace all matches instead of exactly one.' },
+				edits: { type: 'array', description: 'Ordered edits for "path". Matches must not overlap.', items: editSchema },
+				files: {
+					type: 'array',
+					description: 'Edits across several files: [{ path, edits }].',
+					items: {
+						type: 'object',
+						properties: {
+							path: { type: 'string', description: 'Relative workspace file path.' },
+							edits: { type: 'array', items: editSchema }
+						},
+						required: ['path', 'edits']
+					}
+				}
 			},
-			required: ['path', 'oldString', 'newString']
+			required: []
 		},
 		/**
-		 * Applies an in-place text replacement edit immediately.
+		 * Validates every edit against original content, then applies the batch, subject to the edit approval mode.
 		 *
-		 * @param {{path:string,oldString:string,newString:string,replaceAll?:boolean}} input
-		 * @returns {Promise<{ok:boolean,output:string}>}
+		 * @param {{path?:string,oldString?:string,newString?:string,replaceAll?:boolean,edits?:object[],files?:object[]}} input
+		 * @param {object} context - Tool context passed to `applyFileChanges`.
+		 * @returns {Promise<{ok:boolean,output:string,metadata?:object}>}
 		 */
-		async execute(input) {
-			const relativePath = typeof input.path === 'string' ? input.path.trim() : '';
-			if (!relativePath) {
-				throw new Error('edit_file requires "path".');
-			}
-
-			const oldString = typeof input.oldString === 'string' ? input.oldString : '';
-			const newString = typeof input.newString === 'string' ? input.newString : '';
-
-			if (!oldString) {
-				throw new Error('edit_file requires non-empty "oldString".');
-			}
-
-			if (oldString.length > settings.maxWriteChars || newString.length > settings.maxWriteChars) {
-				throw new Error(`edit_file payload exceeds maxWriteChars (${settings.maxWriteChars}).`);
-			}
-
+		async execute(input, context) {
+			const fileRequests = normalizeFileRequests(input, settings);
 			const workspaceRoot = getWorkspaceRootPath();
-			const filePath = resolveWorkspacePath(workspaceRoot, relativePath);
-			const workspaceRelativePath = toPosixRelative(workspaceRoot, filePath);
-			const originalContent = await fs.readFile(filePath, 'utf8');
-			const matchCount = countOccurrences(originalContent, oldString);
+			const seenPaths = new Set();
+			const plans = [];
 
-			if (matchCount === 0) {
-				throw new Error(`edit_file could not find oldString in ${workspaceRelativePath}.`);
+			for (const fileRequest of fileRequests) {
+				const filePath = resolveWorkspacePath(workspaceRoot, fileRequest.path);
+				const displayPath = toPosixRelative(workspaceRoot, filePath);
+				if (seenPaths.has(filePath)) {
+					throw new Error(`edit_file lists ${displayPath} more than once; put all of its edits in one entry.`);
+				}
+				seenPaths.add(filePath);
+
+				const originalContent = await fs.readFile(filePath, 'utf8');
+				plans.push({ filePath, displayPath, originalContent, ...planEdits(originalContent, fileRequest.edits, getEditorIndentation(filePath)) });
 			}
 
-			const replaceAll = Boolean(input.replaceAll);
-			if (!replaceAll && matchCount > 1) {
-				throw new Error(`edit_file found ${matchCount} matches; provide a more specific oldString or set replaceAll=true.`);
+			const failedCount = plans.reduce((total, plan) => total + plan.results.filter((result) => !result.ok).length, 0);
+			if (failedCount > 0) {
+				throw new Error(`edit_file made no changes; ${failedCount} edit(s) could not be applied to the original content:\n${formatReport(plans)}`);
 			}
 
-			const replacementsApplied = replaceAll ? matchCount : 1;
-			const updatedContent = replaceAll
-				? originalContent.split(oldString).join(newString)
-				: replaceFirst(originalContent, oldString, newString);
+			const { applied, notes } = await applyFileChanges(plans.map((plan) => ({
+				filePath: plan.filePath,
+				displayPath: plan.displayPath,
+				originalContent: plan.originalContent,
+				newContent: plan.newContent
+			})), context);
 
-			await fs.writeFile(filePath, updatedContent, 'utf8');
+			const replacementCount = plans.reduce((total, plan) => total + plan.results.reduce((sum, result) => sum + result.replacements, 0), 0);
+			const prefix = applied ? 'Edited' : 'Dry run, not applied: would edit';
+			const output = plans.length === 1 && plans[0].results.length === 1
+				? `${prefix} file: ${plans[0].displayPath} (${plans[0].results[0].message})`
+				: `${prefix} ${plans.length} file(s) (${replacementCount} replacement${replacementCount === 1 ? '' : 's'}):\n${formatReport(plans)}`;
 
 			return {
 				ok: true,
-				output: `Edited file: ${workspaceRelativePath} (${replacementsApplied} replacement${replacementsApplied === 1 ? '' : 's'})`
+				output: [output, ...notes].join('\n'),
+				metadata: {
+					files: plans.map((plan) => ({
+						path: plan.displayPath,
+						edits: plan.results.map((result) => ({ replacements: result.replacements, strategy: result.strategy }))
+					}))
+				}
 			};
 		}
 	};
 }
 
 /**
- * Replaces the first occurrence of oldString in the provided value.
+ * Normalizes the single-edit, `edits` and `files` input forms into per-file edit lists.
  *
- * @param {string} value - Original string.
- * @param {string} oldString - Substring to replace.
- * @param {string} newString - Replacement substring.
- * @returns {string} Updated string.
+ * @param {object} input
+ * @param {{maxWriteChars:number}} settings
+ * @returns {Array<{path:string,edits:Array<{oldString:string,newString:string,replaceAll:boolean}>}>}
  */
-function replaceFirst(value, oldString, newString) {
-	const index = value.indexOf(oldString);
-	if (index === -1) {
-		return value;
+function normalizeFileRequests(input, settings) {
+	let fileRequests;
+	if (Array.isArray(input.files) && input.files.length > 0) {
+		fileRequests = input.files.map((entry) => ({
+			path: entry && typeof entry.path === 'string' ? entry.path.trim() : '',
+			edits: entry && Array.isArray(entry.edits) ? entry.edits : []
+		}));
+	} else {
+		const relativePath = typeof input.path === 'string' ? input.path.trim() : '';
+		const edits = Array.isArray(input.edits) && input.edits.length > 0
+			? input.edits
+			: [{ oldString: input.oldString, newString: input.newString, replaceAll: input.replaceAll }];
+		fileRequests = [{ path: relativePath, edits }];
 	}
-	return value.slice(0, index) + newString + value.slice(index + oldString.length);
+
+	if (fileRequests.length > MAX_BATCH_FILES) {
+		throw new Error(`edit_file accepts at most ${MAX_BATCH_FILES} files per call.`);
+	}
+
+	return fileRequests.map((fileRequest, fileIndex) => {
+		const label = fileRequests.length > 1 ? `files[${fileIndex}]` : 'edit_file';
+		if (!fileRequest.path) {
+			throw new Error(`${label} requires "path".`);
+		}
+		if (fileRequest.edits.length === 0) {
+			throw new Error(`${label} requires at least one edit.`);
+		}
+		if (fileRequest.edits.length > MAX_EDITS_PER_FILE) {
+			throw new Error(`${label} has ${fileRequest.edits.length} edits; at most ${MAX_EDITS_PER_FILE} are allowed per file.`);
+		}
+
+		return {
+			path: fileRequest.path,
+			edits: fileRequest.edits.map((edit, editIndex) => {
+				const oldString = edit && typeof edit.oldString === 'string' ? edit.oldString : '';
+				const newString = edit && typeof edit.newString === 'string' ? edit.newString : '';
+				if (!oldString) {
+					throw new Error(`edit_file requires non-empty "oldString" (${fileRequest.path}, edit #${editIndex + 1}).`);
+				}
+				if (oldString.length > settings.maxWriteChars || newString.length > settings.maxWriteChars) {
+					throw new Error(`edit_file payload exceeds maxWriteChars (${settings.maxWriteChars}).`);
+				}
+				return { oldString, newString, replaceAll: Boolean(edit.replaceAll) };
+			})
+		};
+	});
 }
 
 /**
- * Counts non-overlapping occurrences of a substring.
+ * Returns the indentation options of a visible editor showing the file.
  *
- * @param {string} value - Source string.
- * @param {string} search - Substring to search for.
- * @returns {number} Number of matches.
+ * @param {string} filePath
+ * @returns {{insertSpaces:boolean,tabSize:number}|null}
  */
-function countOccurrences(value, search) {
-	if (!search) {
-		return 0;
+function getEditorIndentation(filePath) {
+	const editor = vscode.window.visibleTextEditors.find((candidate) => candidate.document.uri.scheme === 'file'
+		&& candidate.document.uri.fsPath === filePath);
+	if (!editor || typeof editor.options.tabSize !== 'number' || typeof editor.options.insertSpaces !== 'boolean') {
+		return null;
 	}
+	return { insertSpaces: editor.options.insertSpaces, tabSize: editor.options.tabSize };
+}
 
-	let count = 0;
-	let startIndex = 0;
+/**
+ * Matches every edit against the original content and builds the edited content.
+ *
+ * Edits are validated independently (not against each other's output) and
+ * must not overlap; replacements are then applied from the end of the file.
+ * Each edit uses the first strategy of the whitespace-tolerant match ladder
+ * that finds it, and ambiguity is checked within that strategy.
+ *
+ * @param {string} originalContent
+ * @param {Array<{oldString:string,newString:string,replaceAll:boolean}>} edits
+ * @param {{insertSpaces:boolean,tabSize:number}|null} indentation - Editor indentation options, if the file is open.
+ * @returns {{newContent:string,results:Array<{ok:boolean,replacements:number,strategy:string,message:string}>}}
+ */
+function planEdits(originalContent, edits, indentation) {
+	const claimed = [];
+	const results = edits.map((edit, index) => {
+		const { strategy, label, matches } = findEditMatches(originalContent, edit.oldString, edit.newString, { indentation });
+		if (matches.length === 0) {
+			return { ok: false, replacements: 0, strategy, message: 'oldString not found (also tried normalized line endings, trailing whitespace and indentation)' };
+		}
+		if (!edit.replaceAll && matches.length > 1) {
+			const strategyNote = strategy === 'exact' ? '' : ` (${label})`;
+			return { ok: false, replacements: 0, strategy, message: `oldString found ${matches.length} times${strategyNote}; make it more specific or set replaceAll=true` };
+		}
 
-	while (true) {
-		const index = value.indexOf(search, startIndex);
-		if (index === -1) {
-			return count;
+		const ranges = matches.map((match) => ({ ...match, editIndex: index }));
+		const overlap = claimed.find((range) => ranges.some((candidate) => candidate.start < range.end && range.start < candidate.end));
+		if (overlap) {
+			return { ok: false, replacements: 0, strategy, message: `overlaps edit #${overlap.editIndex + 1}` };
 		}
-		count += 1;
-		startIndex = index + search.length;
-	}
+
+		claimed.push(...ranges);
+		const strategyNote = strategy === 'exact' ? '' : `, ${label}`;
+		return { ok: true, replacements: ranges.length, strategy, message: `${ranges.length} replacement${ranges.length === 1 ? '' : 's'}${strategyNote}` };
+	});
+
+	let newContent = originalContent;
+	claimed
+		.sort((left, right) => right.start - left.start)
+		.forEach((range) => {
+			newContent = newContent.slice(0, range.start) + range.newText + newContent.slice(range.end);
+		});
+
+	return { newContent, results };
+}
+
+/**
+ * Formats the per-file, per-edit report.
+ *
+ * @param {Array<{displayPath:string,results:Array<{ok:boolean,message:string}>}>} plans
+ * @returns {string}
+ */
+function formatReport(plans) {
+	return plans.map((plan) => [
+		`${plan.displayPath}:`,
+		...plan.results.map((result, index) => `  #${index + 1} ${result.ok ? 'ok' : 'FAILED'}: ${result.message}`)
+	].join('\n')).join('\n');
 }
 
 module.exports = {
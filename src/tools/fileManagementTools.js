@@ -0,0 +1,293 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { getWorkspaceRootPath, resolveWorkspacePath, toPosixRelative } = require('../utils/workspacePaths');
+const { readTextIfExists, applyFileChanges, applyFileMove } = require('../edits/fileChanges');
+
+const MAX_DIRECTORY_FILES = 200;
+const PROTECTED_DIRECTORIES = new Set(['.git']);
+
+/**
+ * Builds the file management tools: delete_file, move_file and create_directory.
+ *
+ * Paths are resolved inside the workspace, deletions and moves go through the
+ * edit approval mode and the turn checkpoint, and moves are applied as
+ * `WorkspaceEdit` renames so language services can update imports.
+ *
+ * @returns {Array<{name:string,description:string,inputSchema:object,execute:function}>}
+ */
+function createFileManagementTools() {
+	return [
+		createDeleteFileTool(),
+		createMoveFileTool(),
+		createCreateDirectoryTool()
+	];
+}
+
+/**
+ * Builds the delete_file tool.
+ *
+ * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ */
+function createDeleteFileTool() {
+	return {
+		name: 'delete_file',
+		description: `Delete a workspace file, or a directory and everything in it with recursive: true (at most ${MAX_DIRECTORY_FILES} files).`,
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Relative workspace path of the file or directory.' },
+				recursive: { type: 'boolean', description: 'Required to delete a directory and its contents.' }
+			},
+			required: ['path']
+		},
+		/**
+		 * Deletes a file, or every file in a directory as one batch.
+		 *
+		 * @param {{path:string,recursive?:boolean}} input
+		 * @param {object} context - Tool context passed to `applyFileChanges`.
+		 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+		 */
+		async execute(input, context) {
+			const workspaceRoot = getWorkspaceRootPath();
+			const targetPath = resolveTargetPath(workspaceRoot, input.path, 'delete_file');
+			const displayPath = toPosixRelative(workspaceRoot, targetPath);
+			const stats = await statIfExists(targetPath);
+			if (!stats) {
+				throw new Error(`${displayPath} does not exist.`);
+			}
+
+			if (!stats.isDirectory()) {
+				const originalContent = await readTextIfExists(targetPath);
+				const { applied, notes } = await applyFileChanges([
+					{ filePath: targetPath, displayPath, originalContent, newContent: null, replacesContent: true }
+				], context);
+				return {
+					ok: true,
+					output: [`${applied ? '' : 'Dry run, not applied: '}Deleted file: ${displayPath}`, ...notes].join('\n'),
+					metadata: { paths: [displayPath] }
+				};
+			}
+
+			if (!input.recursive) {
+				throw new Error(`${displayPath} is a directory. Pass "recursive": true to delete it and everything in it.`);
+			}
+
+			const files = await listDirectoryFiles(targetPath, displayPath);
+			const changes = [];
+			for (const filePath of files) {
+				changes.push({
+					filePath,
+					displayPath: toPosixRelative(workspaceRoot, filePath),
+					originalContent: await readTextIfExists(filePath),
+					newContent: null,
+					replacesContent: true
+				});
+			}
+
+			const { applied, notes } = changes.length > 0 ? await applyFileChanges(changes, context) : { applied: context.settings.editApprovalMode !== 'dryRun', notes: [] };
+			if (applied) {
+				await fs.rm(targetPath, { recursive: true, force: true });
+			}
+			return {
+				ok: true,
+				output: [`${applied ? '' : 'Dry run, not applied: '}Deleted directory: ${displayPath}/ (${files.length} file(s))`, ...notes].join('\n'),
+				metadata: { paths: changes.map((change) => change.displayPath) }
+			};
+		}
+	};
+}
+
+/**
+ * Builds the move_file tool.
+ *
+ * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ */
+function createMoveFileTool() {
+	return {
+		name: 'move_file',
+		description: 'Move or rename a workspace file or directory. Applied as a VS Code rename so language services can update imports; other files they change are reported.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				from: { type: 'string', description: 'Relative workspace path of the file or directory to move.' },
+				to: { type: 'string', description: 'New relative workspace path. Missing parent directories are created.' },
+				overwrite: { type: 'boolean', description: 'Replace an existing destination file. Default false.' }
+			},
+			required: ['from', 'to']
+		},
+		/**
+		 * Validates both paths and renames through `applyFileMove`.
+		 *
+		 * @param {{from:string,to:string,overwrite?:boolean}} input
+		 * @param {object} context - Tool context passed to `applyFileMove`.
+		 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+		 */
+		async execute(input, context) {
+			const workspaceRoot = getWorkspaceRootPath();
+			const fromPath = resolveTargetPath(workspaceRoot, input.from, 'move_file', '"from"');
+			const toPath = resolveTargetPath(workspaceRoot, input.to, 'move_file', '"to"');
+			const fromDisplayPath = toPosixRelative(workspaceRoot, fromPath);
+			const toDisplayPath = toPosixRelative(workspaceRoot, toPath);
+			const overwrite = Boolean(input.overwrite);
+
+			const stats = await statIfExists(fromPath);
+			if (!stats) {
+				throw new Error(`${fromDisplayPath} does not exist.`);
+			}
+			if (fromPath === toPath) {
+				throw new Error('move_file "from" and "to" are the same path.');
+			}
+			if (toPath.startsWith(fromPath + path.sep)) {
+				throw new Error(`Cannot move ${fromDisplayPath} into itself.`);
+			}
+
+			const targetStats = await statIfExists(toPath);
+			const isCaseRename = targetStats && fromPath.toLowerCase() === toPath.toLowerCase();
+			if (targetStats && !isCaseRename && (!overwrite || targetStats.isDirectory() || stats.isDirectory())) {
+				throw new Error(`${toDisplayPath} already exists.${targetStats.isDirectory() || stats.isDirectory() ? '' : ' Pass "overwrite": true to replace it.'}`);
+			}
+
+			const isDirectory = stats.isDirectory();
+			const files = isDirectory
+				? (await listDirectoryFiles(fromPath, fromDisplayPath)).map((filePath) => ({ from: filePath, to: path.join(toPath, path.relative(fromPath, filePath)) }))
+				: [{ from: fromPath, to: toPath }];
+
+			const { applied, notes } = await applyFileMove({
+				fromPath,
+				toPath,
+				fromDisplayPath,
+				toDisplayPath,
+				files,
+				previewContent: isDirectory ? null : await readTextIfExists(fromPath),
+				overwrite
+			}, context);
+
+			const kind = isDirectory ? `directory (${files.length} file(s))` : 'file';
+			return {
+				ok: true,
+				output: [`${applied ? '' : 'Dry run, not applied: '}Moved ${kind}: ${fromDisplayPath} -> ${toDisplayPath}`, ...notes].join('\n'),
+				metadata: { from: fromDisplayPath, to: toDisplayPath, files: files.length }
+			};
+		}
+	};
+}
+
+/**
+ * Builds the create_directory tool.
+ *
+ * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ */
+function createCreateDirectoryTool() {
+	return {
+		name: 'create_directory',
+		description: 'Create a workspace directory, including missing parent directories.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Relative workspace path of the directory.' }
+			},
+			required: ['path']
+		},
+		/**
+		 * Creates the directory unless the edit approval mode is a dry run.
+		 *
+		 * @param {{path:string}} input
+		 * @param {object} context - Tool context (`settings`, `checkpoint`).
+		 * @returns {Promise<{ok:boolean,output:string}>}
+		 */
+		async execute(input, context) {
+			const workspaceRoot = getWorkspaceRootPath();
+			const targetPath = resolveTargetPath(workspaceRoot, input.path, 'create_directory');
+			const displayPath = toPosixRelative(workspaceRoot, targetPath);
+			const stats = await statIfExists(targetPath);
+			if (stats) {
+				if (!stats.isDirectory()) {
+					throw new Error(`${displayPath} already exists and is a file.`);
+				}
+				return { ok: true, output: `Directory already exists: ${displayPath}/` };
+			}
+
+			if (context.settings.editApprovalMode === 'dryRun') {
+				return { ok: true, output: `Dry run, not applied: Created directory: ${displayPath}/` };
+			}
+			if (context.checkpoint) {
+				await context.checkpoint.snapshotDirectory(targetPath);
+			}
+			await fs.mkdir(targetPath, { recursive: true });
+			return { ok: true, output: `Created directory: ${displayPath}/` };
+		}
+	};
+}
+
+/**
+ * Resolves a tool path inside the workspace, refusing the workspace root and `.git`.
+ *
+ * @param {string} workspaceRoot
+ * @param {any} requestedPath
+ * @param {string} toolName - Used in error messages.
+ * @param {string} [fieldName] - Input field name for error messages. Default '"path"'.
+ * @returns {string} Absolute path.
+ */
+function resolveTargetPath(workspaceRoot, requestedPath, toolName, fieldName = '"path"') {
+	if (typeof requestedPath !== 'string' || !requestedPath.trim()) {
+		throw new Error(`${toolName} requires ${fieldName}.`);
+	}
+
+	const targetPath = resolveWorkspacePath(workspaceRoot, requestedPath);
+	const relativePath = toPosixRelative(workspaceRoot, targetPath);
+	if (!relativePath) {
+		throw new Error(`${toolName} cannot operate on the workspace root.`);
+	}
+	if (PROTECTED_DIRECTORIES.has(relativePath.split('/')[0])) {
+		throw new Error(`${toolName} cannot change ${relativePath}.`);
+	}
+	return targetPath;
+}
+
+/**
+ * Lists every file below a directory, refusing directories over the file limit.
+ *
+ * @param {string} directoryPath
+ * @param {string} displayPath
+ * @returns {Promise<string[]>} Absolute file paths.
+ */
+async function listDirectoryFiles(directoryPath, displayPath) {
+	const files = [];
+	const pending = [directoryPath];
+	while (pending.length > 0) {
+		const current = pending.pop();
+		for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+			const fullPath = path.join(current, entry.name);
+			if (entry.isDirectory()) {
+				pending.push(fullPath);
+				continue;
+			}
+			files.push(fullPath);
+			if (files.length > MAX_DIRECTORY_FILES) {
+				throw new Error(`${displayPath}/ contains more than ${MAX_DIRECTORY_FILES} files; move or delete it in smaller parts.`);
+			}
+		}
+	}
+	return files.sort();
+}
+
+/**
+ * Returns file stats, or null when the path does not exist.
+ *
+ * @param {string} targetPath
+ * @returns {Promise<object|null>} fs.Stats
+ */
+async function statIfExists(targetPath) {
+	try {
+		return await fs.stat(targetPath);
+	} catch (error) {
+		if (error && error.code === 'ENOENT') {
+			return null;
+		}
+		throw error;
+	}
+}
+
+module.exports = {
+	createFileManagementTools
+};
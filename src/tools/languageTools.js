@@ -0,0 +1,550 @@
+const vscode = require('vscode');
+const { getWorkspaceRootPath, resolveWorkspacePath, isInsideWorkspace, toPosixRelative } = require('../utils/workspacePaths');
+const { applyProviderEdit } = require('../edits/fileChanges');
+const { escapeRegExp } = require('../utils/textSearch');
+
+const MAX_RESULTS = 200;
+const MAX_OUTLINE_ENTRIES = 300;
+const MAX_DEFINITION_SNIPPET_LINES = 5;
+const MAX_SNIPPET_CHARS = 200;
+const MAX_RENAME_FILES = 100;
+const MAX_REPORTED_RANGES = 20;
+const SYMBOL_KIND_NAMES = [
+	'File', 'Module', 'Namespace', 'Package', 'Class', 'Method', 'Property', 'Field', 'Constructor', 'Enum',
+	'Interface', 'Function', 'Variable', 'Constant', 'String', 'Number', 'Boolean', 'Array', 'Object', 'Key',
+	'Null', 'EnumMember', 'Struct', 'Event', 'Operator', 'TypeParameter'
+];
+const NO_PROVIDER_HINT = 'The language extension for this file may not be installed or still be starting; search_text is the fallback.';
+
+/**
+ * Builds read-only code navigation tools backed by the language providers
+ * registered in VS Code: find_definition, find_references,
+ * workspace_symbols and document_symbols.
+ *
+ * Positions are 1-based. Results are workspace-relative locations (files
+ * outside the workspace, such as library typings, keep their absolute path)
+ * with a source snippet.
+ *
+ * @param {object} settings
+ * @param {number} settings.maxSearchResults - Default result limit.
+ * @returns {Array<{name:string,description:string,readOnly:boolean,inputSchema:object,execute:function}>}
+ */
+function createLanguageTools(settings) {
+	const positionProperties = {
+		path: { type: 'string', description: 'Relative workspace file path.' },
+		line: { type: 'number', description: '1-based line of the symbol. Optional when "symbol" is given.' },
+		character: { type: 'number', description: '1-based column of the symbol on the line. Default: where "symbol" occurs, else the first non-blank column.' },
+		symbol: { type: 'string', description: 'Symbol name to locate on the line (or its first whole-word occurrence in the file when "line" is omitted).' }
+	};
+
+	return [
+		{
+			name: 'find_definition',
+			description: 'Go to definition: find where the symbol at a file position is defined, using the language server. Returns workspace-relative locations with the defining lines.',
+			readOnly: true,
+			inputSchema: {
+				type: 'object',
+				properties: positionProperties,
+				required: ['path']
+			},
+			/**
+			 * Runs the definition provider at the resolved position.
+			 *
+			 * @param {{path:string,line?:number,character?:number,symbol?:string}} input
+			 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+			 */
+			async execute(input) {
+				const { document, position, label } = await resolveSymbolPosition(input, 'find_definition');
+				const results = await vscode.commands.executeCommand('vscode.executeDefinitionProvider', document.uri, position);
+				const locations = toLocations(results).slice(0, MAX_RESULTS);
+				if (locations.length === 0) {
+					return { ok: true, output: `No definition found for ${label}. ${NO_PROVIDER_HINT}`, metadata: { locations: [] } };
+				}
+
+				const lines = [`Definition(s) of ${label}:`];
+				for (const location of locations) {
+					lines.push(formatLocation(location));
+					lines.push(...(await readSnippetLines(location, MAX_DEFINITION_SNIPPET_LINES)).map((line) => `    ${line}`));
+				}
+				return { ok: true, output: lines.join('\n'), metadata: { locations: locations.map(toLocationMetadata) } };
+			}
+		},
+		{
+			name: 'find_references',
+			description: 'Find references: list every code reference to the symbol at a file position (including its declaration), using the language server rather than text matching.',
+			readOnly: true,
+			inputSchema: {
+				type: 'object',
+				properties: {
+					...positionProperties,
+					maxResults: { type: 'number', description: `Optional override, default ${settings.maxSearchResults}.` }
+				},
+				required: ['path']
+			},
+			/**
+			 * Runs the reference provider at the resolved position.
+			 *
+			 * @param {{path:string,line?:number,character?:number,symbol?:string,maxResults?:number}} input
+			 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+			 */
+			async execute(input) {
+				const { document, position, label } = await resolveSymbolPosition(input, 'find_references');
+				const results = await vscode.commands.executeCommand('vscode.executeReferenceProvider', document.uri, position);
+				const locations = toLocations(results);
+				if (locations.length === 0) {
+					return { ok: true, output: `No references found for ${label}. ${NO_PROVIDER_HINT}`, metadata: { total: 0, locations: [] } };
+				}
+
+				const limit = toResultLimit(input.maxResults, settings.maxSearchResults);
+				const shown = locations.slice(0, limit);
+				const fileCount = new Set(locations.map((location) => location.uri.toString())).size;
+				const lines = [`${locations.length} reference(s) to ${label} in ${fileCount} file(s):`];
+				for (const location of shown) {
+					const [snippet] = await readSnippetLines(location, 1);
+					lines.push(`${formatLocation(location)}: ${snippet || ''}`);
+				}
+				if (shown.length < locations.length) {
+					lines.push(`...${locations.length - shown.length} more not shown (raise maxResults)...`);
+				}
+				return { ok: true, output: lines.join('\n'), metadata: { total: locations.length, locations: shown.map(toLocationMetadata) } };
+			}
+		},
+		{
+			name: 'workspace_symbols',
+			description: 'Search symbols (classes, functions, variables...) by name across the workspace, using the language servers. Returns kind, name, container and location.',
+			readOnly: true,
+			inputSchema: {
+				type: 'object',
+				properties: {
+					query: { type: 'string', description: 'Symbol name or fuzzy name fragment.' },
+					maxResults: { type: 'number', description: `Optional override, default ${settings.maxSearchResults}.` }
+				},
+				required: ['query']
+			},
+			/**
+			 * Runs the workspace symbol provider.
+			 *
+			 * @param {{query:string,maxResults?:number}} input
+			 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+			 */
+			async execute(input) {
+				const query = typeof input.query === 'string' ? input.query.trim() : '';
+				if (!query) {
+					throw new Error('workspace_symbols requires "query".');
+				}
+
+				const symbols = await vscode.commands.executeCommand('vscode.executeWorkspaceSymbolProvider', query);
+				const found = Array.isArray(symbols) ? symbols.filter((symbol) => symbol && symbol.location) : [];
+				if (found.length === 0) {
+					return { ok: true, output: `No symbols matching "${query}". Language servers index symbols once a file of their language has been opened; search_text is the fallback.`, metadata: { total: 0 } };
+				}
+
+				const limit = toResultLimit(input.maxResults, settings.maxSearchResults);
+				const lines = found.slice(0, limit).map((symbol) => {
+					const container = symbol.containerName ? ` (in ${symbol.containerName})` : '';
+					return `${getSymbolKindName(symbol.kind)} ${symbol.name}${container} - ${formatPosition(symbol.location.uri, symbol.location.range.start)}`;
+				});
+				if (found.length > limit) {
+					lines.push(`...${found.length - limit} more not shown (refine the query or raise maxResults)...`);
+				}
+				return { ok: true, output: lines.join('\n'), metadata: { total: found.length } };
+			}
+		},
+		{
+			name: 'document_symbols',
+			description: 'Outline a file: list its symbols (classes, functions, methods...) with nesting and line ranges, using the language server.',
+			readOnly: true,
+			inputSchema: {
+				type: 'object',
+				properties: {
+					path: { type: 'string', description: 'Relative workspace file path.' }
+				},
+				required: ['path']
+			},
+			/**
+			 * Runs the document symbol provider and formats the outline.
+			 *
+			 * @param {{path:string}} input
+			 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+			 */
+			async execute(input) {
+				const { document, displayPath } = await openWorkspaceDocument(input.path, 'document_symbols');
+				const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri);
+				if (!Array.isArray(symbols) || symbols.length === 0) {
+					return { ok: true, output: `No symbols found in ${displayPath}. ${NO_PROVIDER_HINT}`, metadata: { total: 0 } };
+				}
+
+				const lines = [];
+				appendOutline(symbols, 0, lines);
+				const truncated = lines.length > MAX_OUTLINE_ENTRIES;
+				return {
+					ok: true,
+					output: [`Outline of ${displayPath}:`, ...lines.slice(0, MAX_OUTLINE_ENTRIES), ...(truncated ? ['...truncated outline...'] : [])].join('\n'),
+					metadata: { total: lines.length }
+				};
+			}
+		}
+	];
+}
+
+/**
+ * Builds the rename_symbol tool, which renames a symbol everywhere through
+ * the language server's rename provider.
+ *
+ * The provider's WorkspaceEdit is previewed per file through the edit
+ * approval mode, checkpointed for undo and applied with
+ * `vscode.workspace.applyEdit`. Edits outside the workspace are refused.
+ *
+ * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ */
+function createRenameSymbolTool() {
+	return {
+		name: 'rename_symbol',
+		description: 'Rename a symbol (variable, function, class, property...) across the workspace using the language server, including imports and re-exports. Reports every changed file and range.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Relative workspace file path containing the symbol.' },
+				line: { type: 'number', description: '1-based line of the symbol. Optional when "symbol" is given.' },
+				character: { type: 'number', description: '1-based column of the symbol on the line. Default: where "symbol" occurs.' },
+				symbol: { type: 'string', description: 'Current symbol name to locate on the line (or its first whole-word occurrence in the file when "line" is omitted).' },
+				newName: { type: 'string', description: 'New symbol name.' }
+			},
+			required: ['path', 'newName']
+		},
+		/**
+		 * Runs the rename provider and applies its edit.
+		 *
+		 * @param {{path:string,line?:number,character?:number,symbol?:string,newName:string}} input
+		 * @param {object} context - Tool context passed to `applyProviderEdit`.
+		 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
+		 */
+		async execute(input, context) {
+			const newName = typeof input.newName === 'string' ? input.newName.trim() : '';
+			if (!newName || /\s/.test(newName)) {
+				throw new Error('rename_symbol requires "newName" without whitespace.');
+			}
+
+			const { document, position, label } = await resolveSymbolPosition(input, 'rename_symbol');
+			const wordRange = document.getWordRangeAtPosition(position);
+			const oldName = wordRange ? document.getText(wordRange) : (input.symbol || '');
+			if (oldName === newName) {
+				throw new Error(`The symbol at ${label} is already named "${newName}".`);
+			}
+
+			let edit;
+			try {
+				edit = await vscode.commands.executeCommand('vscode.executeDocumentRenameProvider', document.uri, position, newName);
+			} catch (error) {
+				throw new Error(`Cannot rename ${label}: ${error && error.message ? error.message : String(error)}`);
+			}
+			const entries = edit ? edit.entries().filter(([, textEdits]) => textEdits.length > 0) : [];
+			if (entries.length === 0) {
+				throw new Error(`The language server returned no rename edits for ${label}. ${NO_PROVIDER_HINT}`);
+			}
+			if (entries.length > MAX_RENAME_FILES) {
+				throw new Error(`Renaming ${label} would change ${entries.length} files (limit ${MAX_RENAME_FILES}).`);
+			}
+
+			const workspaceRoot = getWorkspaceRootPath();
+			const outside = entries.filter(([uri]) => uri.scheme !== 'file' || !isInsideWorkspace(workspaceRoot, uri.fsPath));
+			if (outside.length > 0) {
+				throw new Error(`Renaming ${label} would change files outside the workspace (${outside.map(([uri]) => toDisplayPath(uri)).join(', ')}); it was not applied.`);
+			}
+
+			const changes = [];
+			const files = [];
+			for (const [uri, textEdits] of entries) {
+				const target = await vscode.workspace.openTextDocument(uri);
+				const displayPath = toPosixRelative(workspaceRoot, uri.fsPath);
+				const sorted = [...textEdits].sort((left, right) => target.offsetAt(left.range.start) - target.offsetAt(right.range.start));
+				changes.push({
+					filePath: uri.fsPath,
+					displayPath,
+					originalContent: target.getText(),
+					newContent: applyTextEdits(target, sorted)
+				});
+				files.push({
+					path: displayPath,
+					ranges: sorted.map((textEdit) => ({
+						line: textEdit.range.start.line + 1,
+						character: textEdit.range.start.character + 1,
+						endLine: textEdit.range.end.line + 1,
+						endCharacter: textEdit.range.end.character + 1
+					}))
+				});
+			}
+
+			const { applied, notes } = await applyProviderEdit(edit, changes, context);
+			const editCount = files.reduce((total, file) => total + file.ranges.length, 0);
+			const lines = [
+				`${applied ? 'Renamed' : 'Dry run, not applied: would rename'} "${oldName}" to "${newName}": ${editCount} edit(s) in ${files.length} file(s):`,
+				...files.map((file) => {
+					const shown = file.ranges.slice(0, MAX_REPORTED_RANGES).map((range) => `${range.line}:${range.character}-${range.endLine}:${range.endCharacter}`);
+					const more = file.ranges.length > MAX_REPORTED_RANGES ? ` (+${file.ranges.length - MAX_REPORTED_RANGES} more)` : '';
+					return `${file.path}: ${shown.join(', ')}${more}`;
+				}),
+				...notes
+			];
+			return { ok: true, output: lines.join('\n'), metadata: { oldName, newName, files } };
+		}
+	};
+}
+
+/**
+ * Opens a workspace file as a text document (which also activates its language extension).
+ *
+ * @param {any} requestedPath
+ * @param {string} toolName - Used in error messages.
+ * @returns {Promise<{document:object,displayPath:string}>}
+ */
+async function openWorkspaceDocument(requestedPath, toolName) {
+	const relativePath = typeof requestedPath === 'string' ? requestedPath.trim() : '';
+	if (!relativePath) {
+		throw new Error(`${toolName} requires "path".`);
+	}
+
+	const workspaceRoot = getWorkspaceRootPath();
+	const filePath = resolveWorkspacePath(workspaceRoot, relativePath);
+	const document = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+	return { document, displayPath: toPosixRelative(workspaceRoot, filePath) };
+}
+
+/**
+ * Resolves the document position a navigation request refers to.
+ *
+ * With `symbol`, the column is where the symbol occurs as a whole word on
+ * `line` (the occurrence nearest to `character`), or its first occurrence in
+ * the file when `line` is omitted.
+ *
+ * @param {{path:string,line?:number,character?:number,symbol?:string}} input
+ * @param {string} toolName - Used in error messages.
+ * @returns {Promise<{document:object,position:object,label:string}>}
+ */
+async function resolveSymbolPosition(input, toolName) {
+	const { document, displayPath } = await openWorkspaceDocument(input.path, toolName);
+	const symbol = typeof input.symbol === 'string' ? input.symbol.trim() : '';
+	const requestedLine = toPositiveInteger(input.line);
+	const requestedCharacter = toPositiveInteger(input.character);
+
+	if (!requestedLine && !symbol) {
+		throw new Error(`${toolName} requires "line" or "symbol".`);
+	}
+	if (requestedLine && requestedLine > document.lineCount) {
+		throw new Error(`${displayPath} has only ${document.lineCount} lines.`);
+	}
+
+	const wordPattern = symbol ? new RegExp(`(?<![\\w$])${escapeRegExp(symbol)}(?![\\w$])`, 'g') : null;
+	let lineIndex = requestedLine ? requestedLine - 1 : -1;
+	let character = requestedCharacter ? requestedCharacter - 1 : null;
+
+	if (wordPattern) {
+		const startLine = lineIndex >= 0 ? lineIndex : 0;
+		const endLine = lineIndex >= 0 ? lineIndex : document.lineCount - 1;
+		let found = null;
+		for (let index = startLine; index <= endLine && found === null; index += 1) {
+			const columns = Array.from(document.lineAt(index).text.matchAll(wordPattern), (match) => match.index);
+			if (columns.length > 0) {
+				const target = character === null ? columns[0] : columns.reduce((best, column) => (Math.abs(column - character) < Math.abs(best - character) ? column : best));
+				found = { line: index, character: target };
+			}
+		}
+		if (!found) {
+			throw new Error(`"${symbol}" was not found ${lineIndex >= 0 ? `on line ${lineIndex + 1} of` : 'in'} ${displayPath}.`);
+		}
+		lineIndex = found.line;
+		character = found.character;
+	}
+
+	if (character === null) {
+		character = document.lineAt(lineIndex).firstNonWhitespaceCharacterIndex;
+	}
+
+	const position = document.validatePosition(new vscode.Position(lineIndex, character));
+	const label = `${symbol ? `"${symbol}" at ` : ''}${displayPath}:${position.line + 1}:${position.character + 1}`;
+	return { document, position, label };
+}
+
+/**
+ * Applies text edits (sorted by start offset, non-overlapping) to a document's text.
+ *
+ * @param {object} document - vscode.TextDocument
+ * @param {object[]} textEdits - vscode.TextEdit[]
+ * @returns {string}
+ */
+function applyTextEdits(document, textEdits) {
+	const text = document.getText();
+	let result = '';
+	let cursor = 0;
+	for (const textEdit of textEdits) {
+		const start = document.offsetAt(textEdit.range.start);
+		result += text.slice(cursor, start) + textEdit.newText;
+		cursor = document.offsetAt(textEdit.range.end);
+	}
+	return result + text.slice(cursor);
+}
+
+/**
+ * Normalizes provider results (Location or LocationLink) into `{uri, range}` entries.
+ *
+ * For a LocationLink, `range` is the symbol name and `fullRange` the whole
+ * definition (used for snippets).
+ *
+ * @param {any} results
+ * @returns {Array<{uri:object,range:object,fullRange?:object}>}
+ */
+function toLocations(results) {
+	const entries = Array.isArray(results) ? results : (results ? [results] : []);
+	return entries
+		.map((entry) => (entry && entry.targetUri
+			? { uri: entry.targetUri, range: entry.targetSelectionRange || entry.targetRange, fullRange: entry.targetRange }
+			: entry))
+		.filter((entry) => entry && entry.uri && entry.range);
+}
+
+/**
+ * Formats a location as `path:line:column`.
+ *
+ * @param {{uri:object,range:object}} location
+ * @returns {string}
+ */
+function formatLocation(location) {
+	return formatPosition(location.uri, location.range.start);
+}
+
+/**
+ * Formats a URI and position as `path:line:column` (workspace-relative when inside the workspace).
+ *
+ * @param {object} uri
+ * @param {{line:number,character:number}} position
+ * @returns {string}
+ */
+function formatPosition(uri, position) {
+	return `${toDisplayPath(uri)}:${position.line + 1}:${position.character + 1}`;
+}
+
+/**
+ * Returns a workspace-relative path, or the absolute path / URI outside the workspace.
+ *
+ * @param {object} uri
+ * @returns {string}
+ */
+function toDisplayPath(uri) {
+	if (uri.scheme !== 'file') {
+		return uri.toString();
+	}
+	const workspaceRoot = getWorkspaceRootPath();
+	return isInsideWorkspace(workspaceRoot, uri.fsPath) ? toPosixRelative(workspaceRoot, uri.fsPath) : uri.fsPath;
+}
+
+/**
+ * Reads trimmed source lines of a location's range (its full range when known).
+ *
+ * @param {{uri:object,range:object,fullRange?:object}} location
+ * @param {number} maxLines
+ * @returns {Promise<string[]>}
+ */
+async function readSnippetLines(location, maxLines) {
+	let document;
+	try {
+		document = await vscode.workspace.openTextDocument(location.uri);
+	} catch {
+		return [];
+	}
+
+	const range = location.fullRange || location.range;
+	const firstLine = range.start.line;
+	const lastLine = Math.min(document.lineCount - 1, firstLine + maxLines - 1, Math.max(firstLine, range.end.line));
+	const lines = [];
+	for (let index = firstLine; index <= lastLine; index += 1) {
+		const text = document.lineAt(index).text.trim();
+		lines.push(text.length > MAX_SNIPPET_CHARS ? `${text.slice(0, MAX_SNIPPET_CHARS)}...` : text);
+	}
+	return lines;
+}
+
+/**
+ * Appends an indented outline of document symbols.
+ *
+ * Handles hierarchical DocumentSymbol results and flat SymbolInformation results.
+ *
+ * @param {object[]} symbols
+ * @param {number} depth
+ * @param {string[]} lines
+ */
+function appendOutline(symbols, depth, lines) {
+	const sorted = [...symbols].sort((left, right) => getSymbolRange(left).start.line - getSymbolRange(right).start.line);
+	for (const symbol of sorted) {
+		if (lines.length > MAX_OUTLINE_ENTRIES) {
+			return;
+		}
+		const range = getSymbolRange(symbol);
+		const detail = symbol.detail ? ` ${symbol.detail}` : '';
+		const container = !symbol.children && symbol.containerName ? ` (in ${symbol.containerName})` : '';
+		lines.push(`${'  '.repeat(depth)}${getSymbolKindName(symbol.kind)} ${symbol.name}${detail}${container} [lines ${range.start.line + 1}-${range.end.line + 1}]`);
+		if (Array.isArray(symbol.children) && symbol.children.length > 0) {
+			appendOutline(symbol.children, depth + 1, lines);
+		}
+	}
+}
+
+/**
+ * Returns the full range of a DocumentSymbol or SymbolInformation.
+ *
+ * @param {object} symbol
+ * @returns {{start:{line:number},end:{line:number}}}
+ */
+function getSymbolRange(symbol) {
+	return symbol.range || symbol.location.range;
+}
+
+/**
+ * Returns the display name of a `vscode.SymbolKind` value.
+ *
+ * @param {number} kind
+ * @returns {string}
+ */
+function getSymbolKindName(kind) {
+	return SYMBOL_KIND_NAMES[kind] || 'Symbol';
+}
+
+/**
+ * Serializes a location for tool metadata.
+ *
+ * @param {{uri:object,range:object}} location
+ * @returns {{path:string,line:number,character:number}}
+ */
+function toLocationMetadata(location) {
+	return { path: toDisplayPath(location.uri), line: location.range.start.line + 1, character: location.range.start.character + 1 };
+}
+
+/**
+ * Converts input into a positive integer, or null.
+ *
+ * @param {any} value
+ * @returns {number|null}
+ */
+function toPositiveInteger(value) {
+	const numeric = Number(value);
+	return Number.isFinite(numeric) && numeric >= 1 ? Math.trunc(numeric) : null;
+}
+
+/**
+ * Clamps a max-results input.
+ *
+ * @param {any} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function toResultLimit(value, fallback) {
+	const numeric = Number(value);
+	if (!Number.isFinite(numeric)) {
+		return fallback;
+	}
+	return Math.min(MAX_RESULTS, Math.max(1, Math.trunc(numeric)));
+}
+
+module.exports = {
+	createLanguageTools,
+	createRenameSymbolTool
+};
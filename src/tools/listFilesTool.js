@@ -10,12 +10,13 @@ const MAX_ENTRIES = 500;
  *
  * @param {object} settings
  * @param {number} settings.maxListDepth
- * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ * @returns {{name:string,description:string,readOnly:boolean,inputSchema:object,execute:function}}
  */
 function createListFilesTool(settings) {
 	return {
 		name: 'list_files',
 		description: 'List files and directories from the workspace.',
+		readOnly: true,
 		inputSchema: {
 			type: 'object',
 			properties: {
@@ -6,12 +6,13 @@ const { getWorkspaceRootPath, resolveWorkspacePath, toPosixRelative } = require(
  *
  * @param {object} settings
  * @param {number} settings.maxReadLines
- * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ * @returns {{name:string,description:string,readOnly:boolean,inputSchema:object,execute:function}}
  */
 function createReadFileTool(settings) {
 	return {
 		name: 'read_file',
 		description: 'Read text content from a workspace file with optional line range.',
+		readOnly: true,
 		inputSchema: {
 			type: 'object',
 			properties: {
@@ -24,10 +25,14 @@ function createReadFileTool(settings) {
 		/**
 		 * Reads file content and returns numbered line output.
 		 *
+		 * The file's content hash and mtime are recorded in `context.fileReads`
+		 * so later edits can detect changes made since this read.
+		 *
 		 * @param {{path:string,startLine?:number,endLine?:number}} input
+		 * @param {object} [context] - Tool context (`fileReads`).
 		 * @returns {Promise<{ok:boolean,output:string}>}
 		 */
-		async execute(input) {
+		async execute(input, context) {
 			const relativePath = typeof input.path === 'string' ? input.path.trim() : '';
 			if (!relativePath) {
 				throw new Error('read_file requires "path".');
@@ -35,7 +40,10 @@ function createReadFileTool(settings) {
 
 			const workspaceRoot = getWorkspaceRootPath();
 			const filePath = resolveWorkspacePath(workspaceRoot, relativePath);
-			const content = await fs.readFile(filePath, 'utf8');
+			const [content, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+			if (context && context.fileReads) {
+				context.fileReads.recordRead(filePath, content, stats.mtimeMs);
+			}
 			const lines = content.split(/\r?\n/);
 
 			if (lines.length === 0) {
@@ -0,0 +1,318 @@
+const { getWorkspaceRootPath, toPosixRelative } = require('../utils/workspacePaths');
+const { readTextIfExists, applyFileChanges } = require('../edits/fileChanges');
+const { createSearchRegExp, findSearchFiles, isSearchableText } = require('../utils/textSearch');
+
+const MAX_PREVIEW_LINES_PER_FILE = 10;
+const MAX_PREVIEW_LINES = 200;
+const MAX_PREVIEW_CHARS = 160;
+
+/**
+ * Builds the replace_in_files tool for workspace-wide search and replace.
+ *
+ * Matching and the searched files are shared with search_text (plain text
+ * or regex, case, whole word, include and exclude globs). Regex replacements support `$1`, `$<name>` and `$&`; plain
+ * text replacements are literal. `preview` (the default) lists every file and
+ * changed line without writing; `apply` writes all files as one batch through
+ * the edit approval mode, refusing when more than `maxReplaceFiles` files
+ * would change or when the file scan stopped at its limit (apply would then
+ * miss files).
+ *
+ * @param {object} settings
+ * @param {number} settings.maxReplaceFiles - Most files one apply may change.
+ * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ */
+function createReplaceInFilesTool(settings) {
+	return {
+		name: 'replace_in_files',
+		description: `Search and replace across workspace files (plain text or regex with capture groups). Use mode "preview" first to see every file and changed line, then mode "apply" to write all files at once (at most ${settings.maxReplaceFiles} files).`,
+		inputSchema: {
+			type: 'object',
+			properties: {
+				query: { type: 'string', description: 'Text or regex pattern to find.' },
+				replacement: { type: 'string', description: 'Replacement text. With isRegex, $1, $<name> and $& insert captured text; use $$ for a literal $.' },
+				isRegex: { type: 'boolean', description: 'Treat query as a JavaScript regex (multiline: ^ and $ match at line breaks).' },
+				isCaseSensitive: { type: 'boolean', description: 'Case-sensitive matching.' },
+				matchWord: { type: 'boolean', description: 'Match whole words only.' },
+				include: { type: 'string', description: 'Glob include pattern. Default **/*.' },
+				exclude: { type: 'string', description: 'Glob exclude pattern, e.g. **/*.test.js or docs/**. node_modules, .git, dist, out and the workspace files.exclude/search.exclude settings are always excluded.' },
+				mode: { type: 'string', enum: ['preview', 'apply'], description: 'preview (default) lists the changes without writing; apply writes them.' },
+				maxFiles: { type: 'number', description: `Refuse to apply when more files would change. Default and upper bound ${settings.maxReplaceFiles}.` }
+			},
+			required: ['query', 'replacement']
+		},
+		/**
+		 * Finds all matches and previews or applies the replacement.
+		 *
+		 * @param {{query:string,replacement:string,isRegex?:boolean,isCaseSensitive?:boolean,matchWord?:boolean,include?:string,exclude?:string,mode?:string,maxFiles?:number}} input
+		 * @param {object} context - Tool context passed to `applyFileChanges`.
+		 * @returns {Promise<{ok:boolean,output:string,error?:string,metadata:object}>}
+		 */
+		async execute(input, context) {
+			const query = typeof input.query === 'string' ? input.query : '';
+			if (!query) {
+				throw new Error('replace_in_files requires "query".');
+			}
+			if (typeof input.replacement !== 'string') {
+				throw new Error('replace_in_files requires "replacement" (use "" to delete matches).');
+			}
+
+			const options = {
+				query,
+				replacement: input.replacement,
+				isRegex: Boolean(input.isRegex),
+				isCaseSensitive: Boolean(input.isCaseSensitive),
+				matchWord: Boolean(input.matchWord),
+				include: typeof input.include === 'string' && input.include.trim() ? input.include.trim() : '**/*',
+				exclude: typeof input.exclude === 'string' && input.exclude.trim() ? input.exclude.trim() : ''
+			};
+			const apply = input.mode === 'apply';
+			const maxFiles = toFileLimit(input.maxFiles, settings.maxReplaceFiles);
+			const regex = createSearchRegExp(options, 'replace_in_files');
+			const token = context ? context.token : undefined;
+
+			const workspaceRoot = getWorkspaceRootPath();
+			const { uris, complete } = await findSearchFiles(options, token);
+			const plans = [];
+			for (const uri of uris.sort((left, right) => left.fsPath.localeCompare(right.fsPath))) {
+				if (token && token.isCancellationRequested) {
+					throw new Error('replace_in_files was cancelled.');
+				}
+				const content = await readTextIfExists(uri.fsPath);
+				if (!isSearchableText(content)) {
+					continue;
+				}
+				const plan = planReplacements(content, regex, options);
+				if (plan.matches.length > 0) {
+					plans.push({ filePath: uri.fsPath, displayPath: toPosixRelative(workspaceRoot, uri.fsPath), originalContent: content, ...plan });
+				}
+			}
+
+			const totalMatches = plans.reduce((total, plan) => total + plan.matches.length, 0);
+			const metadata = {
+				mode: apply ? 'apply' : 'preview',
+				files: plans.map((plan) => ({ path: plan.displayPath, matches: plan.matches.length })),
+				totalMatches,
+				complete
+			};
+			const scanNote = complete ? '' : ` (only the first ${uris.length} files were scanned; narrow "include" or "exclude" to cover the rest)`;
+			if (plans.length === 0) {
+				return { ok: true, output: `No matches for ${describeQuery(options)} in ${uris.length} file(s)${scanNote}.`, metadata };
+			}
+
+			const preview = formatPreview(plans);
+			const summary = `${complete ? '' : 'At least '}${totalMatches} match(es) in ${plans.length} file(s) for ${describeQuery(options)}${scanNote}`;
+			if (!apply) {
+				return { ok: true, output: `Preview (nothing written): ${summary}\n${preview}\nCall again with mode "apply" to write these changes.`, metadata };
+			}
+
+			if (!complete) {
+				return {
+					ok: false,
+					output: `${summary}\n${preview}`,
+					error: `replace_in_files scanned only the first ${uris.length} files matching "include", so apply would miss matches; nothing was written. Narrow "include" or "exclude" until the scan is complete, then apply again.`,
+					metadata
+				};
+			}
+
+			if (plans.length > maxFiles) {
+				return {
+					ok: false,
+					output: `${summary}\n${preview}`,
+					error: `replace_in_files would change ${plans.length} files, more than the limit of ${maxFiles}; nothing was written. Narrow "include", "exclude" or the query and apply in smaller batches.`,
+					metadata
+				};
+			}
+
+			const { applied, notes } = await applyFileChanges(plans.map((plan) => ({
+				filePath: plan.filePath,
+				displayPath: plan.displayPath,
+				originalContent: plan.originalContent,
+				newContent: plan.newContent
+			})), context);
+			return {
+				ok: true,
+				output: [`${applied ? 'Replaced' : 'Dry run, not applied: would replace'} ${summary}:`, preview, ...notes].join('\n'),
+				metadata
+			};
+		}
+	};
+}
+
+/**
+ * Replaces every match in content and records each match with its replacement.
+ *
+ * @param {string} content
+ * @param {RegExp} regex - Global regex.
+ * @param {{replacement:string,isRegex:boolean}} options
+ * @returns {{newContent:string,matches:Array<{index:number,text:string,replacement:string}>}}
+ */
+function planReplacements(content, regex, options) {
+	const matches = [];
+	regex.lastIndex = 0;
+	const newContent = content.replace(regex, (...args) => {
+		const hasGroups = typeof args[args.length - 1] === 'object';
+		const groups = hasGroups ? args[args.length - 1] : undefined;
+		const index = args[args.length - (hasGroups ? 3 : 2)];
+		const captures = args.slice(1, args.length - (hasGroups ? 3 : 2));
+		const replacement = options.isRegex
+			? expandReplacement(options.replacement, args[0], captures, index, content, groups)
+			: options.replacement;
+		matches.push({ index, text: args[0], replacement });
+		return replacement;
+	});
+	return { newContent, matches };
+}
+
+/**
+ * Expands `$` patterns in a regex replacement like `String.prototype.replace`.
+ *
+ * @param {string} template
+ * @param {string} matched
+ * @param {Array<string|undefined>} captures
+ * @param {number} position
+ * @param {string} input
+ * @param {object} [groups]
+ * @returns {string}
+ */
+function expandReplacement(template, matched, captures, position, input, groups) {
+	return template.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, symbol, name) => {
+		if (symbol === '$') {
+			return '$';
+		}
+		if (symbol === '&') {
+			return matched;
+		}
+		if (symbol === '`') {
+			return input.slice(0, position);
+		}
+		if (symbol === '\'') {
+			return input.slice(position + matched.length);
+		}
+		if (name !== undefined) {
+			return groups ? (groups[name] || '') : token;
+		}
+
+		const number = Number(symbol);
+		if (number >= 1 && number <= captures.length) {
+			return captures[number - 1] || '';
+		}
+		const single = Number(symbol[0]);
+		if (symbol.length === 2 && single >= 1 && single <= captures.length) {
+			return (captures[single - 1] || '') + symbol[1];
+		}
+		return token;
+	});
+}
+
+/**
+ * Formats changed lines per file (the original line and the line after replacement).
+ *
+ * @param {Array<{displayPath:string,originalContent:string,matches:Array<{index:number,text:string,replacement:string}>}>} plans
+ * @returns {string}
+ */
+function formatPreview(plans) {
+	const lines = [];
+	let shown = 0;
+	for (const plan of plans) {
+		lines.push(`${plan.displayPath} (${plan.matches.length} match(es))`);
+		const changedLines = groupMatchesByLine(plan.originalContent, plan.matches);
+		for (const changedLine of changedLines.slice(0, MAX_PREVIEW_LINES_PER_FILE)) {
+			if (shown >= MAX_PREVIEW_LINES) {
+				break;
+			}
+			lines.push(`  ${changedLine.line}:${changedLine.column}  ${clip(changedLine.before)}`);
+			lines.push(`  ${' '.repeat(String(changedLine.line).length + String(changedLine.column).length + 1)}-> ${clip(changedLine.after)}`);
+			shown += 1;
+		}
+		if (changedLines.length > MAX_PREVIEW_LINES_PER_FILE) {
+			lines.push(`  ...${changedLines.length - MAX_PREVIEW_LINES_PER_FILE} more changed line(s)...`);
+		}
+	}
+	if (shown >= MAX_PREVIEW_LINES) {
+		lines.push(`...preview truncated to ${MAX_PREVIEW_LINES} lines...`);
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Groups matches by the line they start on and renders each line before and after replacement.
+ *
+ * Matches spanning several lines show the whole span.
+ *
+ * @param {string} content
+ * @param {Array<{index:number,text:string,replacement:string}>} matches - In content order.
+ * @returns {Array<{line:number,column:number,before:string,after:string}>}
+ */
+function groupMatchesByLine(content, matches) {
+	const groups = [];
+	for (const match of matches) {
+		const lineStart = match.index === 0 ? 0 : content.lastIndexOf('\n', match.index - 1) + 1;
+		const last = groups[groups.length - 1];
+		if (last && last.lineStart === lineStart) {
+			last.matches.push(match);
+		} else {
+			groups.push({ lineStart, matches: [match] });
+		}
+	}
+
+	return groups.map((group) => {
+		const lastMatch = group.matches[group.matches.length - 1];
+		const lineEndIndex = content.indexOf('\n', lastMatch.index + lastMatch.text.length);
+		const lineEnd = lineEndIndex === -1 ? content.length : lineEndIndex;
+		let after = '';
+		let cursor = group.lineStart;
+		for (const match of group.matches) {
+			after += content.slice(cursor, match.index) + match.replacement;
+			cursor = match.index + match.text.length;
+		}
+		after += content.slice(cursor, lineEnd);
+
+		return {
+			line: content.slice(0, group.lineStart).split('\n').length,
+			column: group.matches[0].index - group.lineStart + 1,
+			before: content.slice(group.lineStart, lineEnd),
+			after
+		};
+	});
+}
+
+/**
+ * Shortens preview text and shows line breaks as `\n`.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function clip(text) {
+	const singleLine = text.replace(/\r?\n/g, '\\n').trim();
+	return singleLine.length > MAX_PREVIEW_CHARS ? `${singleLine.slice(0, MAX_PREVIEW_CHARS)}...` : singleLine;
+}
+
+/**
+ * Describes the query for summaries.
+ *
+ * @param {{query:string,isRegex:boolean,include:string}} options
+ * @returns {string}
+ */
+function describeQuery(options) {
+	const include = options.include !== '**/*' ? ` in ${options.include}` : '';
+	return `${options.isRegex ? 'regex' : 'text'} ${JSON.stringify(options.query)}${include}`;
+}
+
+/**
+ * Clamps the max-files input to the configured limit.
+ *
+ * @param {any} value
+ * @param {number} limit
+ * @returns {number}
+ */
+function toFileLimit(value, limit) {
+	const numeric = Number(value);
+	if (!Number.isFinite(numeric)) {
+		return limit;
+	}
+	return Math.min(limit, Math.max(1, Math.trunc(numeric)));
+}
+
+module.exports = {
+	createReplaceInFilesTool
+};
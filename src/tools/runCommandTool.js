@@ -1,94 +1,163 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const { getWorkspaceRootPath } = require('../utils/workspacePaths');
+const { validateCommand, toProcessArguments } = require('../utils/commandPolicy');
+const { runProcess } = require('../utils/processRunner');
+const { getAllowedCommands } = require('../utils/scriptAllowlist');
+const { parseTestOutput, formatTestSummary } = require('../utils/testOutputParser');
 
-const execAsync = promisify(exec);
 const MAX_OUTPUT_CHARS = 12000;
+const OUTPUT_HEAD_CHARS = 3000;
+const PROGRESS_INTERVAL_MS = 1000;
+const MAX_PROGRESS_LINE_CHARS = 100;
 
 /**
  * Builds the run_command tool with allowlist safeguards.
  *
+ * Commands are tokenized into argv and run without a shell unless
+ * `allowShellOperators` is enabled and the command actually uses operators.
+ * Output streams to the command output channel and chat progress while the
+ * command runs; cancelling the chat request kills the process tree.
+ * Recognized test-runner output is parsed from the full output (before
+ * truncation) and returned as `metadata.tests` with per-failure locations.
+ *
  * @param {object} settings
  * @param {string[]} settings.allowedCommands
+ * @param {boolean} settings.allowShellOperators
+ * @param {boolean} settings.allowPackageScripts - Also allow the workspace package.json scripts.
  * @param {number} settings.commandTimeoutMs
  * @returns {{name:string,description:string,inputSchema:object,execute:function}}
  */
 function createRunCommandTool(settings) {
 	return {
 		name: 'run_command',
-		description: 'Run an allowlisted shell command from workspace root.',
+		description: 'Run an allowlisted command from workspace root. Run one command per call; chaining, pipes, redirection and substitution are rejected unless enabled in settings.',
 		inputSchema: {
 			type: 'object',
 			properties: {
-				command: { type: 'string', description: 'Allowlisted command to execute.' }
+				command: { type: 'string', description: 'Allowlisted command line, for example "npm test".' }
 			},
 			required: ['command']
 		},
 		/**
-		 * Executes an allowlisted shell command and returns trimmed output.
+		 * Executes an allowlisted command and returns trimmed output with exit details.
 		 *
 		 * @param {{command:string}} input
-		 * @returns {Promise<{ok:boolean,output:string,error?:string}>}
+		 * @param {{token?:object,stream?:object,commandOutput?:object}} context - Tool context.
+		 * @returns {Promise<{ok:boolean,output:string,error?:string,metadata:object}>}
 		 */
-		async execute(input) {
+		async execute(input, context) {
 			const command = typeof input.command === 'string' ? input.command.trim() : '';
 			if (!command) {
 				throw new Error('run_command requires "command".');
 			}
 
-			if (!isAllowlisted(command, settings.allowedCommands)) {
-				throw new Error(`Command is not allowlisted: ${command}`);
-			}
-
 			const cwd = getWorkspaceRootPath();
+			const allowedCommands = await getAllowedCommands(settings, cwd);
+			const { argv, useShell } = validateCommand(command, { ...settings, allowedCommands });
+			const { file, args, shell } = useShell
+				? { file: command, args: [], shell: true }
+				: toProcessArguments(argv);
+			const outputChannel = context && context.commandOutput;
+			const reportProgress = createProgressReporter(command, context && context.stream);
 
-			try {
-				const { stdout, stderr } = await execAsync(command, {
-					cwd,
-					timeout: settings.commandTimeoutMs,
-					windowsHide: true,
-					maxBuffer: 8 * 1024 * 1024
-				});
+			if (outputChannel) {
+				outputChannel.appendLine(`$ ${command}`);
+			}
 
-				const combinedOutput = [stdout, stderr].filter(Boolean).join('\n').trim();
-				return {
-					ok: true,
-					output: trimOutput(combinedOutput || '(command completed with no output)')
-				};
-			} catch (error) {
-				const stderr = error && typeof error.stderr === 'string' ? error.stderr : '';
-				const stdout = error && typeof error.stdout === 'string' ? error.stdout : '';
-				const fallbackMessage = error && error.message ? error.message : 'Unknown command failure';
-				const combinedError = [stdout, stderr].filter(Boolean).join('\n').trim() || fallbackMessage;
+			const result = await runProcess({
+				file,
+				args,
+				shell,
+				cwd,
+				timeoutMs: settings.commandTimeoutMs,
+				token: context && context.token,
+				onOutput: (text) => {
+					if (outputChannel) {
+						outputChannel.append(text);
+					}
+					reportProgress(text);
+				}
+			});
 
-				return {
-					ok: false,
-					output: trimOutput(combinedError),
-					error: `Command failed: ${combinedError}`
-				};
+			const status = describeExit(result, settings.commandTimeoutMs);
+			if (outputChannel) {
+				outputChannel.appendLine(`[${status}]`);
 			}
+
+			const ok = result.exitCode === 0 && !result.timedOut && !result.cancelled;
+			const output = result.output.trim();
+			const tests = parseTestOutput(result.output, { cwd });
+			return {
+				ok,
+				output: [
+					tests ? formatTestSummary(tests) : '',
+					trimOutput(output || '(command completed with no output)')
+				].filter(Boolean).join('\n'),
+				...(ok ? {} : { error: `Command ${status}.` }),
+				metadata: {
+					exitCode: result.exitCode,
+					signal: result.signal,
+					durationMs: result.durationMs,
+					timedOut: result.timedOut,
+					cancelled: result.cancelled,
+					...(tests ? { tests } : {})
+				}
+			};
 		}
 	};
 }
 
 /**
- * Checks if a command starts with an allowlisted prefix.
+ * Creates a throttled reporter that shows the latest output line as chat progress.
  *
  * @param {string} command
- * @param {string[]} allowlist
- * @returns {boolean}
+ * @param {object} [stream] - Chat response stream.
+ * @returns {(text:string)=>void}
  */
-function isAllowlisted(command, allowlist) {
-	const normalizedCommand = command.toLowerCase();
-	return allowlist.some((entry) => {
-		const prefix = String(entry || '').trim().toLowerCase();
-		return Boolean(prefix) && (normalizedCommand === prefix || normalizedCommand.startsWith(`${prefix} `));
-	});
+function createProgressReporter(command, stream) {
+	if (!stream) {
+		return () => { };
+	}
+
+	let lastReportAt = 0;
+	return (text) => {
+		const now = Date.now();
+		const lastLine = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean).pop();
+		if (!lastLine || now - lastReportAt < PROGRESS_INTERVAL_MS) {
+			return;
+		}
+		lastReportAt = now;
+		const line = lastLine.length > MAX_PROGRESS_LINE_CHARS ? `${lastLine.slice(0, MAX_PROGRESS_LINE_CHARS)}...` : lastLine;
+		stream.progress(`${command}: ${line}`);
+	};
+}
+
+/**
+ * Describes how a command ended.
+ *
+ * @param {{exitCode:number|null,signal:string|null,durationMs:number,timedOut:boolean,cancelled:boolean}} result
+ * @param {number} timeoutMs
+ * @returns {string}
+ */
+function describeExit(result, timeoutMs) {
+	const duration = `${(result.durationMs / 1000).toFixed(1)}s`;
+	if (result.cancelled) {
+		return `was cancelled after ${duration}`;
+	}
+	if (result.timedOut) {
+		return `timed out after ${timeoutMs}ms`;
+	}
+	if (result.exitCode === null) {
+		return `was terminated by ${result.signal || 'a signal'} after ${duration}`;
+	}
+	return `exited with code ${result.exitCode} after ${duration}`;
 }
 
 /**
  * Truncates long command output to keep context manageable.
  *
+ * Keeps the beginning and the end, since summaries and failures are usually
+ * printed last.
+ *
  * @param {string} text
  * @returns {string}
  */
@@ -96,7 +165,8 @@ function trimOutput(text) {
 	if (text.length <= MAX_OUTPUT_CHARS) {
 		return text;
 	}
-	return `${text.slice(0, MAX_OUTPUT_CHARS)}\n...output truncated...`;
+	const tailChars = MAX_OUTPUT_CHARS - OUTPUT_HEAD_CHARS;
+	return `${text.slice(0, OUTPUT_HEAD_CHARS)}\n...${text.length - MAX_OUTPUT_CHARS} characters omitted...\n${text.slice(text.length - tailChars)}`;
 }
 
 module.exports = {
@@ -1,17 +1,32 @@
+const crypto = require('crypto');
 const vscode = require('vscode');
-const EXCLUDE_GLOB = '**/{node_modules,.git,dist,out}/**';
+const { readTextIfExists } = require('../edits/fileChanges');
+const { getWorkspaceRootPath, isInsideWorkspace, toPosixRelative } = require('../utils/workspacePaths');
+const { FILE_SCAN_LIMIT, createSearchRegExp, findSearchFiles, isSearchableText, getWorkspaceExcludes, buildExcludeGlob } = require('../utils/textSearch');
+
+const MAX_COLLECTED_LINES = 2000;
+const MAX_CONTEXT_LINES = 10;
+const MAX_LINE_CHARS = 200;
 
 /**
  * Builds the search_text tool backed by VS Code workspace search APIs.
  *
+ * Results are matching lines grouped by workspace-relative file, sorted by
+ * path and line, with 1-based column ranges and optional context lines. Up to
+ * `MAX_COLLECTED_LINES` matching lines are collected per search; `maxResults`
+ * lines are shown per page and the returned cursor continues at the next page.
+ * The cursor is an offset plus a fingerprint of the search, so it is only
+ * accepted for the same query and filters.
+ *
  * @param {object} settings
  * @param {number} settings.maxSearchResults
- * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ * @returns {{name:string,description:string,readOnly:boolean,inputSchema:object,execute:function}}
  */
 function createSearchTextTool(settings) {
 	return {
 		name: 'search_text',
-		description: 'Search text across workspace files via VS Code APIs.',
+		description: 'Search text across workspace files via VS Code APIs. Results are grouped by file with line:column ranges, optional context lines and a cursor for the next page.',
+		readOnly: true,
 		inputSchema: {
 			type: 'object',
 			properties: {
@@ -20,16 +35,20 @@ function createSearchTextTool(settings) {
 				isCaseSensitive: { type: 'boolean', description: 'Case-sensitive search.' },
 				matchWord: { type: 'boolean', description: 'Match whole words only.' },
 				include: { type: 'string', description: 'Glob include pattern. Default **/*.' },
-				maxResults: { type: 'number', description: `Optional override, default ${settings.maxSearchResults}.` }
+				exclude: { type: 'string', description: 'Glob exclude pattern, e.g. **/*.test.js or docs/**. node_modules, .git, dist, out and the workspace files.exclude/search.exclude settings are always excluded.' },
+				beforeContextLines: { type: 'number', description: `Lines of context to show before each match (0-${MAX_CONTEXT_LINES}). Default 0.` },
+				afterContextLines: { type: 'number', description: `Lines of context to show after each match (0-${MAX_CONTEXT_LINES}). Default 0.` },
+				maxResults: { type: 'number', description: `Matching lines per page. Optional override, default ${settings.maxSearchResults}.` },
+				cursor: { type: 'string', description: 'Cursor from a previous search_text result, to continue with the next page. Repeat the other arguments unchanged.' }
 			},
 			required: ['query']
 		},
 		/**
-		 * Executes workspace text search and returns a line-oriented result list.
+		 * Executes workspace text search and returns one page of grouped results.
 		 *
-		 * @param {{query:string,isRegex?:boolean,isCaseSensitive?:boolean,matchWord?:boolean,include?:string,maxResults?:number}} input
+		 * @param {{query:string,isRegex?:boolean,isCaseSensitive?:boolean,matchWord?:boolean,include?:string,exclude?:string,beforeContextLines?:number,afterContextLines?:number,maxResults?:number,cursor?:string}} input
 		 * @param {{token?:object}} context
-		 * @returns {Promise<{ok:boolean,output:string}>}
+		 * @returns {Promise<{ok:boolean,output:string,metadata:object}>}
 		 */
 		async execute(input, context) {
 			const query = typeof input.query === 'string' ? input.query.trim() : '';
@@ -37,23 +56,57 @@ function createSearchTextTool(settings) {
 				throw new Error('search_text requires "query".');
 			}
 
-			const maxResults = toResultLimit(input.maxResults, settings.maxSearchResults);
-			const include = typeof input.include === 'string' && input.include.trim() ? input.include.trim() : '**/*';
 			const options = {
 				query,
 				isRegex: Boolean(input.isRegex),
 				isCaseSensitive: Boolean(input.isCaseSensitive),
 				matchWord: Boolean(input.matchWord),
-				include,
-				maxResults
+				include: typeof input.include === 'string' && input.include.trim() ? input.include.trim() : '**/*',
+				exclude: typeof input.exclude === 'string' && input.exclude.trim() ? input.exclude.trim() : ''
 			};
+			const fingerprint = fingerprintSearch(options);
+			const offset = parseCursor(input.cursor, fingerprint);
+			const pageSize = toResultLimit(input.maxResults, settings.maxSearchResults);
+			const before = toContextLines(input.beforeContextLines);
+			const after = toContextLines(input.afterContextLines);
+			const token = context ? context.token : undefined;
 
-			const collected = await searchWithPreferredApi(options, context ? context.token : undefined);
-
-			return {
-				ok: true,
-				output: collected.length > 0 ? collected.join('\n') : '(no matches found)'
+			const search = await searchWithPreferredApi(options, token);
+			const lines = search.lines.sort((left, right) => left.path.localeCompare(right.path) || left.line - right.line);
+			const totalMatches = lines.reduce((total, entry) => total + entry.ranges.length, 0);
+			const totalFiles = new Set(lines.map((entry) => entry.path)).size;
+			const page = lines.slice(offset, offset + pageSize);
+			const nextOffset = offset + page.length;
+			const nextCursor = nextOffset < lines.length ? `${nextOffset}:${fingerprint}` : null;
+			const metadata = {
+				complete: search.complete,
+				totalMatches,
+				totalLines: lines.length,
+				totalFiles,
+				offset,
+				shown: page.length,
+				nextCursor,
+				files: groupByFile(page).map((group) => ({ path: group.path, lines: group.entries.map((entry) => entry.line) }))
 			};
+
+			if (lines.length === 0) {
+				return { ok: true, output: '(no matches found)', metadata };
+			}
+			if (page.length === 0) {
+				return { ok: true, output: `No more results: the search has ${lines.length} matching line(s). Omit "cursor" to start over.`, metadata };
+			}
+
+			const summary = search.complete
+				? `${totalMatches} match(es) on ${lines.length} line(s) in ${totalFiles} file(s)`
+				: `At least ${totalMatches} match(es) on ${lines.length} line(s) in ${totalFiles} file(s) (${search.stopReason}; narrow include/exclude or the query for a complete count)`;
+			const output = [
+				`${summary}. Showing matching lines ${offset + 1}-${nextOffset} as line:column ranges.`,
+				...(await formatPage(page, before, after))
+			];
+			if (nextCursor) {
+				output.push(`More results: call search_text again with the same arguments and cursor "${nextCursor}".`);
+			}
+			return { ok: true, output: output.join('\n'), metadata };
 		}
 	};
 }
@@ -61,9 +114,9 @@ function createSearchTextTool(settings) {
 /**
  * Searches using findTextInFiles and falls back to file scanning when proposal APIs are unavailable.
  *
- * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean,include:string,maxResults:number}} options
+ * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean,include:string,exclude:string}} options
  * @param {{isCancellationRequested?:boolean}} token
- * @returns {Promise<string[]>}
+ * @returns {Promise<{lines:Array<object>,complete:boolean,stopReason:string}>}
  */
 async function searchWithPreferredApi(options, token) {
 	try {
@@ -79,12 +132,16 @@ async function searchWithPreferredApi(options, token) {
 /**
  * Runs workspace search through `vscode.workspace.findTextInFiles`.
  *
- * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean,include:string,maxResults:number}} options
+ * Results reported for the same line are merged into one entry.
+ *
+ * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean,include:string,exclude:string}} options
  * @param {{isCancellationRequested?:boolean}} token
- * @returns {Promise<string[]>}
+ * @returns {Promise<{lines:Array<object>,complete:boolean,stopReason:string}>}
  */
 async function searchWithFindTextInFiles(options, token) {
-	const collected = [];
+	const rootPath = getWorkspaceRootPath();
+	const byLine = new Map();
+	let truncated = false;
 	const textQuery = {
 		pattern: options.query,
 		isRegExp: options.isRegex,
@@ -93,147 +150,318 @@ async function searchWithFindTextInFiles(options, token) {
 	};
 	const searchOptions = {
 		include: options.include,
-		exclude: EXCLUDE_GLOB,
-		maxResults: options.maxResults
+		exclude: buildExcludeGlob(options.exclude, getWorkspaceExcludes()),
+		maxResults: MAX_COLLECTED_LINES
 	};
 
-	await vscode.workspace.findTextInFiles(
+	const completion = await vscode.workspace.findTextInFiles(
 		textQuery,
 		searchOptions,
 		(result) => {
-			if (collected.length >= options.maxResults) {
+			const ranges = toRangeList(result.ranges);
+			if (!result.uri || ranges.length === 0) {
 				return;
 			}
 
-			const filePath = result.uri && result.uri.fsPath
-				? result.uri.fsPath
-				: String(result.uri);
-			const line = extractLineNumber(result.ranges);
-			const preview = result.preview && typeof result.preview.text === 'string'
-				? result.preview.text.trim()
-				: '';
-			const suffix = typeof line === 'number' ? `:${line}` : '';
-			collected.push(`${filePath}${suffix}: ${preview}`);
+			const line = ranges[0].start.line;
+			const key = `${result.uri.toString()}\n${line}`;
+			let entry = byLine.get(key);
+			if (!entry) {
+				if (byLine.size >= MAX_COLLECTED_LINES) {
+					truncated = true;
+					return;
+				}
+				const preview = result.preview && typeof result.preview.text === 'string' ? result.preview.text.split(/\r?\n/)[0] : '';
+				entry = { uri: result.uri, path: toDisplayPath(rootPath, result.uri), line: line + 1, ranges: [], preview };
+				byLine.set(key, entry);
+			}
+			ranges.forEach((range) => entry.ranges.push(toColumnRange(range)));
 		},
 		token
 	);
 
-	return collected;
+	const limitHit = Boolean(completion && completion.limitHit);
+	return {
+		lines: Array.from(byLine.values()),
+		complete: !truncated && !limitHit,
+		stopReason: `search stopped at ${MAX_COLLECTED_LINES} results`
+	};
 }
 
 /**
- * Fallback search path using stable APIs: find files + open documents + line matching.
+ * Fallback search path using stable APIs: the same file set and matcher as
+ * replace_in_files, applied to the whole file text so multiline regexes
+ * match as they do in workspace search.
  *
- * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean,include:string,maxResults:number}} options
+ * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean,include:string,exclude:string}} options
  * @param {{isCancellationRequested?:boolean}} token
- * @returns {Promise<string[]>}
+ * @returns {Promise<{lines:Array<object>,complete:boolean,stopReason:string}>}
  */
 async function searchWithDocumentScan(options, token) {
-	const matcher = createLineMatcher(options);
+	const regex = createSearchRegExp(options, 'search_text');
+	const rootPath = getWorkspaceRootPath();
 	const collected = [];
-	const fileScanLimit = Math.min(4000, Math.max(200, options.maxResults * 40));
-	const uris = await vscode.workspace.findFiles(options.include, EXCLUDE_GLOB, fileScanLimit, token);
+	const files = await findSearchFiles(options, token);
 
-	for (const uri of uris) {
+	for (const uri of files.uris) {
 		if (token && token.isCancellationRequested) {
-			break;
+			return { lines: collected, complete: false, stopReason: 'search was cancelled' };
 		}
 
-		let text;
-		try {
-			const document = await vscode.workspace.openTextDocument(uri);
-			text = document.getText();
-		} catch {
+		const text = await readFileText(uri);
+		if (!isSearchableText(text)) {
 			continue;
 		}
 
 		const lines = text.split(/\r?\n/);
-		for (let index = 0; index < lines.length; index += 1) {
-			if (matcher(lines[index])) {
-				collected.push(`${uri.fsPath}:${index + 1}: ${lines[index].trim()}`);
-				if (collected.length >= options.maxResults) {
-					return collected;
-				}
+		for (const entry of findTextMatches(text, regex)) {
+			if (collected.length >= MAX_COLLECTED_LINES) {
+				return { lines: collected, complete: false, stopReason: `search stopped at ${MAX_COLLECTED_LINES} matching lines` };
 			}
+			collected.push({ uri, path: toDisplayPath(rootPath, uri), line: entry.line, ranges: entry.ranges, preview: lines[entry.line - 1] });
 		}
 	}
 
-	return collected;
+	return {
+		lines: collected,
+		complete: files.complete,
+		stopReason: `only the first ${FILE_SCAN_LIMIT} files were scanned`
+	};
+}
+
+/**
+ * Matches a global regex over a whole text and groups the matches by the
+ * 1-based line they start on, with column ranges like `toColumnRange`.
+ *
+ * @param {string} text
+ * @param {RegExp} regex - Global regex.
+ * @returns {Array<{line:number,ranges:Array<{start:number,end:number,endLine?:number}>}>}
+ */
+function findTextMatches(text, regex) {
+	const lineStarts = [0];
+	for (let index = text.indexOf('\n'); index >= 0; index = text.indexOf('\n', index + 1)) {
+		lineStarts.push(index + 1);
+	}
+
+	const byLine = new Map();
+	regex.lastIndex = 0;
+	let match = regex.exec(text);
+	while (match) {
+		const startLine = findLineIndex(lineStarts, match.index);
+		const endOffset = match.index + match[0].length;
+		const endLine = findLineIndex(lineStarts, endOffset);
+		const range = { start: match.index - lineStarts[startLine] + 1, end: endOffset - lineStarts[endLine] };
+		if (endLine !== startLine) {
+			range.endLine = endLine + 1;
+		}
+		if (!byLine.has(startLine)) {
+			byLine.set(startLine, { line: startLine + 1, ranges: [] });
+		}
+		byLine.get(startLine).ranges.push(range);
+
+		if (match[0].length === 0) {
+			regex.lastIndex += 1;
+		}
+		match = regex.exec(text);
+	}
+	return Array.from(byLine.values());
 }
 
 /**
- * Creates a line-matching function from search options.
+ * Finds the 0-based line containing an offset.
  *
- * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean}} options
- * @returns {(line:string)=>boolean}
+ * @param {number[]} lineStarts - Ascending offsets where each line starts.
+ * @param {number} offset
+ * @returns {number}
  */
-function createLineMatcher(options) {
-	if (options.isRegex) {
-		const flags = options.isCaseSensitive ? 'g' : 'gi';
-		let regex;
-		try {
-			regex = new RegExp(options.query, flags);
-		} catch (error) {
-			throw new Error(`search_text invalid regex: ${error && error.message ? error.message : String(error)}`);
+function findLineIndex(lineStarts, offset) {
+	let low = 0;
+	let high = lineStarts.length - 1;
+	while (low < high) {
+		const middle = Math.ceil((low + high) / 2);
+		if (lineStarts[middle] <= offset) {
+			low = middle;
+		} else {
+			high = middle - 1;
 		}
+	}
+	return low;
+}
 
-		return (line) => {
-			regex.lastIndex = 0;
-			const match = regex.exec(line);
-			if (!match) {
-				return false;
+/**
+ * Formats one page of matching lines grouped by file, with context lines.
+ *
+ * Match lines read `line:ranges  text`; context lines read `line-  text`, and
+ * `...` separates non-adjacent blocks in the same file.
+ *
+ * @param {Array<{uri:object,path:string,line:number,ranges:Array<object>,preview:string}>} page
+ * @param {number} before
+ * @param {number} after
+ * @returns {Promise<string[]>}
+ */
+async function formatPage(page, before, after) {
+	const output = [];
+	for (const group of groupByFile(page)) {
+		output.push(group.path);
+		const fileLines = await readFileLines(group.entries[0].uri);
+		const matchesByLine = new Map(group.entries.map((entry) => [entry.line, entry]));
+		const shown = new Set();
+		for (const entry of group.entries) {
+			const first = Math.max(1, entry.line - before);
+			const last = fileLines ? Math.min(fileLines.length, entry.line + after) : entry.line;
+			for (let line = fileLines ? first : entry.line; line <= last; line += 1) {
+				shown.add(line);
 			}
-			if (!options.matchWord) {
-				return true;
+		}
+
+		let previous = 0;
+		for (const line of Array.from(shown).sort((left, right) => left - right)) {
+			if (previous > 0 && line > previous + 1 && (before > 0 || after > 0)) {
+				output.push('  ...');
 			}
-			return isWholeWordMatch(line, match.index, match[0].length);
-		};
+			previous = line;
+			const entry = matchesByLine.get(line);
+			const text = fileLines && line <= fileLines.length ? fileLines[line - 1] : (entry ? entry.preview : '');
+			output.push(entry
+				? `  ${line}:${entry.ranges.map(formatColumnRange).join(',')}  ${clip(text)}`
+				: `  ${line}-  ${clip(text)}`);
+		}
 	}
+	return output;
+}
 
-	if (options.matchWord) {
-		const wordRegex = new RegExp(`\\b${escapeRegExp(options.query)}\\b`, options.isCaseSensitive ? '' : 'i');
-		return (line) => wordRegex.test(line);
+/**
+ * Groups entries by display path, keeping their order.
+ *
+ * @param {Array<{path:string}>} entries
+ * @returns {Array<{path:string,entries:Array<object>}>}
+ */
+function groupByFile(entries) {
+	const groups = new Map();
+	for (const entry of entries) {
+		if (!groups.has(entry.path)) {
+			groups.set(entry.path, { path: entry.path, entries: [] });
+		}
+		groups.get(entry.path).entries.push(entry);
 	}
+	return Array.from(groups.values());
+}
 
-	const needle = options.isCaseSensitive ? options.query : options.query.toLowerCase();
-	return (line) => {
-		const candidate = options.isCaseSensitive ? line : line.toLowerCase();
-		return candidate.includes(needle);
-	};
+/**
+ * Reads the current lines of a file, preferring an open editor's unsaved text.
+ *
+ * @param {object} uri
+ * @returns {Promise<string[]|null>} Null when the file cannot be read.
+ */
+async function readFileLines(uri) {
+	const text = await readFileText(uri);
+	return text === null ? null : text.split(/\r?\n/);
 }
 
 /**
- * Checks if a match spans a whole-word boundary.
+ * Reads the current text of a file, preferring an open editor's unsaved text.
  *
- * @param {string} line
- * @param {number} index
- * @param {number} length
- * @returns {boolean}
+ * @param {object} uri
+ * @returns {Promise<string|null>} Null when the file cannot be read.
  */
-function isWholeWordMatch(line, index, length) {
-	const before = index > 0 ? line[index - 1] : '';
-	const after = index + length < line.length ? line[index + length] : '';
-	return !isWordChar(before) && !isWordChar(after);
+async function readFileText(uri) {
+	const document = vscode.workspace.textDocuments.find((candidate) => candidate.uri.toString() === uri.toString());
+	if (document) {
+		return document.getText();
+	}
+	if (uri.scheme !== 'file') {
+		return null;
+	}
+	try {
+		return await readTextIfExists(uri.fsPath);
+	} catch {
+		return null;
+	}
 }
 
 /**
- * Checks whether a character is a word character.
+ * Converts a search range to 1-based inclusive columns; ranges ending on a
+ * later line keep that line.
  *
- * @param {string} value
- * @returns {boolean}
+ * @param {{start:{line:number,character:number},end:{line:number,character:number}}} range
+ * @returns {{start:number,end:number,endLine?:number}}
  */
-function isWordChar(value) {
-	return /[A-Za-z0-9_]/.test(value || '');
+function toColumnRange(range) {
+	const columns = { start: range.start.character + 1, end: range.end.character };
+	if (range.end.line !== range.start.line) {
+		columns.endLine = range.end.line + 1;
+	}
+	return columns;
 }
 
 /**
- * Escapes regex-significant characters in plain text.
+ * Formats a column range as `start-end`, `start-line:end` or `start`.
  *
- * @param {string} value
+ * @param {{start:number,end:number,endLine?:number}} range
  * @returns {string}
  */
-function escapeRegExp(value) {
-	return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function formatColumnRange(range) {
+	if (range.endLine) {
+		return `${range.start}-${range.endLine}:${range.end}`;
+	}
+	return range.end > range.start ? `${range.start}-${range.end}` : String(range.start);
+}
+
+/**
+ * Normalizes search result ranges (one range or an array) to an array.
+ *
+ * @param {any} ranges
+ * @returns {Array<object>}
+ */
+function toRangeList(ranges) {
+	const list = Array.isArray(ranges) ? ranges : [ranges];
+	return list.filter((range) => range && range.start && typeof range.start.line === 'number');
+}
+
+/**
+ * Returns a workspace-relative POSIX path, or the URI itself outside the workspace.
+ *
+ * @param {string} rootPath
+ * @param {object} uri
+ * @returns {string}
+ */
+function toDisplayPath(rootPath, uri) {
+	return uri.scheme === 'file' && isInsideWorkspace(rootPath, uri.fsPath)
+		? toPosixRelative(rootPath, uri.fsPath)
+		: uri.toString();
+}
+
+/**
+ * Hashes the options that decide which lines match, so a cursor is only
+ * reused for the same search.
+ *
+ * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean,include:string,exclude:string}} options
+ * @returns {string}
+ */
+function fingerprintSearch(options) {
+	const key = JSON.stringify([options.query, options.isRegex, options.isCaseSensitive, options.matchWord, options.include, options.exclude]);
+	return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * Parses a `offset:fingerprint` cursor into the offset of the next page.
+ *
+ * @param {any} cursor
+ * @param {string} fingerprint - Fingerprint of the current search.
+ * @returns {number}
+ */
+function parseCursor(cursor, fingerprint) {
+	if (typeof cursor !== 'string' || !cursor.trim()) {
+		return 0;
+	}
+	const match = /^(\d+):([0-9a-f]{8})$/.exec(cursor.trim());
+	if (!match) {
+		throw new Error(`search_text "cursor" must be the value returned by a previous search_text result, got "${cursor}".`);
+	}
+	if (match[2] !== fingerprint) {
+		throw new Error('search_text "cursor" belongs to a search with different query, include or exclude. Repeat the original arguments, or omit "cursor" to start a new search.');
+	}
+	return Number(match[1]);
 }
 
 /**
@@ -250,17 +478,28 @@ function isFindTextInFilesUnsupported(error) {
 }
 
 /**
- * Extracts the first line number from VS Code search ranges.
+ * Trims a line for display and shortens very long lines.
  *
- * @param {any} ranges
- * @returns {number|undefined}
+ * @param {string} text
+ * @returns {string}
+ */
+function clip(text) {
+	const trimmed = String(text || '').trimEnd();
+	return trimmed.length > MAX_LINE_CHARS ? `${trimmed.slice(0, MAX_LINE_CHARS)}...` : trimmed;
+}
+
+/**
+ * Clamps a context-lines input.
+ *
+ * @param {any} value
+ * @returns {number}
  */
-function extractLineNumber(ranges) {
-	const firstRange = Array.isArray(ranges) ? ranges[0] : ranges;
-	if (!firstRange || !firstRange.start || typeof firstRange.start.line !== 'number') {
-		return undefined;
+function toContextLines(value) {
+	const numeric = Number(value);
+	if (!Number.isFinite(numeric)) {
+		return 0;
 	}
-	return firstRange.start.line + 1;
+	return Math.min(MAX_CONTEXT_LINES, Math.max(0, Math.trunc(numeric)));
 }
 
 /**
@@ -0,0 +1,343 @@
+const vscode = require('vscode');
+const { collectDiagnostics, formatDiagnostic } = require('../utils/diagnostics');
+
+const DIAGNOSTIC_SETTLE_MS = 1000;
+const MAX_REPORTED_DIAGNOSTICS = 50;
+
+/**
+ * Builds tools that list and run VS Code tasks (`tasks.json` and detected tasks).
+ *
+ * Only tasks whose label matches `allowedTasks` can run. A run waits for the
+ * task to end, is terminated on timeout or chat cancellation, and reports the
+ * exit code plus the diagnostics its problem matchers published.
+ *
+ * @param {object} settings
+ * @param {string[]} settings.allowedTasks - Label patterns (`*` wildcard or `/regex/`).
+ * @param {number} settings.commandTimeoutMs
+ * @returns {Array<{name:string,description:string,inputSchema:object,execute:function}>}
+ */
+function createTaskTools(settings) {
+	return [
+		{
+			name: 'list_tasks',
+			description: 'List VS Code tasks (from .vscode/tasks.json and task providers such as npm) with their group and whether run_task may run them.',
+			readOnly: true,
+			inputSchema: {
+				type: 'object',
+				properties: {}
+			},
+			/**
+			 * Lists available tasks.
+			 *
+			 * @returns {Promise<{ok:boolean,output:string}>}
+			 */
+			async execute() {
+				const tasks = await vscode.tasks.fetchTasks();
+				if (tasks.length === 0) {
+					return { ok: true, output: '(no tasks found)' };
+				}
+
+				const lines = tasks.map((task) => {
+					const notes = [
+						getTaskGroupName(task),
+						task.isBackground ? 'background' : '',
+						isTaskAllowlisted(task, settings.allowedTasks) ? '' : 'not allowlisted'
+					].filter(Boolean);
+					const detail = task.detail ? ` - ${task.detail}` : '';
+					return `${getTaskLabel(task)}${notes.length > 0 ? ` [${notes.join(', ')}]` : ''}${detail}`;
+				});
+				return { ok: true, output: lines.join('\n') };
+			}
+		},
+		{
+			name: 'run_task',
+			description: 'Run an allowlisted VS Code task by label (as shown by list_tasks), wait for it to finish and return its exit code and problem-matcher diagnostics. Background (watch) tasks are not supported.',
+			inputSchema: {
+				type: 'object',
+				properties: {
+					label: { type: 'string', description: 'Task label, for example "build" or "npm: test".' }
+				},
+				required: ['label']
+			},
+			/**
+			 * Runs the task and collects its diagnostics.
+			 *
+			 * @param {{label:string}} input
+			 * @param {{token?:object,stream?:object}} context
+			 * @returns {Promise<{ok:boolean,output:string,error?:string,metadata:object}>}
+			 */
+			async execute(input, context) {
+				const label = typeof input.label === 'string' ? input.label.trim() : '';
+				if (!label) {
+					throw new Error('run_task requires "label".');
+				}
+
+				const task = findTask(await vscode.tasks.fetchTasks(), label);
+				const taskLabel = getTaskLabel(task);
+				if (!isTaskAllowlisted(task, settings.allowedTasks)) {
+					throw new Error(`Task is not allowlisted: ${taskLabel}`);
+				}
+				if (task.isBackground) {
+					throw new Error(`Task "${taskLabel}" is a background task that does not finish on its own. Use start_process for long-running commands.`);
+				}
+
+				if (context && context.stream) {
+					context.stream.progress(`Running task ${taskLabel}...`);
+				}
+
+				const result = await runTask(task, { timeoutMs: settings.commandTimeoutMs, token: context && context.token });
+				await new Promise((resolve) => setTimeout(resolve, DIAGNOSTIC_SETTLE_MS));
+				const diagnostics = collectDiagnostics({ uris: result.changedUris }).slice(0, MAX_REPORTED_DIAGNOSTICS);
+
+				const status = describeTaskExit(result, settings.commandTimeoutMs);
+				const ok = !result.timedOut && !result.cancelled && (result.exitCode === 0 || result.exitCode === undefined);
+				const errorCount = diagnostics.filter((entry) => entry.severity === 'error').length;
+
+				return {
+					ok,
+					output: [
+						`Task "${taskLabel}" ${status}.`,
+						diagnostics.length > 0
+							? `Problems (${diagnostics.length}):\n${diagnostics.map(formatDiagnostic).join('\n')}`
+							: 'No problems reported by the task.',
+						'Task output is shown in the terminal panel and is not captured.'
+					].join('\n'),
+					...(ok ? {} : { error: `Task ${status}.` }),
+					metadata: {
+						task: taskLabel,
+						exitCode: result.exitCode === undefined ? null : result.exitCode,
+						durationMs: result.durationMs,
+						timedOut: result.timedOut,
+						cancelled: result.cancelled,
+						errors: errorCount,
+						warnings: diagnostics.filter((entry) => entry.severity === 'warning').length
+					}
+				};
+			}
+		}
+	];
+}
+
+/**
+ * Executes a task and resolves when it ends, tracking diagnostics changes meanwhile.
+ *
+ * @param {object} task - vscode.Task
+ * @param {{timeoutMs:number,token?:object}} options
+ * @returns {Promise<{exitCode:number|undefined,durationMs:number,timedOut:boolean,cancelled:boolean,changedUris:Set<string>}>}
+ */
+function runTask(task, { timeoutMs, token }) {
+	return new Promise((resolve, reject) => {
+		const startedAt = Date.now();
+		const changedUris = new Set();
+		const ended = [];
+		let execution = null;
+		let exitCode;
+		let timedOut = false;
+		let cancelled = false;
+		let settled = false;
+		let timer = null;
+		let cancellation = null;
+
+		const disposables = [
+			vscode.languages.onDidChangeDiagnostics((event) => {
+				event.uris.forEach((uri) => changedUris.add(uri.toString()));
+			}),
+			vscode.tasks.onDidEndTaskProcess((event) => {
+				if (execution && isSameExecution(event.execution, execution)) {
+					exitCode = event.exitCode;
+				} else if (!execution) {
+					ended.push({ execution: event.execution, exitCode: event.exitCode });
+				}
+			}),
+			vscode.tasks.onDidEndTask((event) => {
+				if (execution && isSameExecution(event.execution, execution)) {
+					finish();
+				} else if (!execution) {
+					ended.push({ execution: event.execution, ended: true });
+				}
+			})
+		];
+
+		const finish = (error) => {
+			if (settled) {
+				return;
+			}
+			settled = true;
+			disposables.forEach((disposable) => disposable.dispose());
+			if (timer) {
+				clearTimeout(timer);
+			}
+			if (cancellation) {
+				cancellation.dispose();
+			}
+			if (error) {
+				reject(error);
+				return;
+			}
+			resolve({ exitCode, durationMs: Date.now() - startedAt, timedOut, cancelled, changedUris });
+		};
+
+		const terminate = () => {
+			if (execution) {
+				execution.terminate();
+			}
+		};
+
+		Promise.resolve(vscode.tasks.executeTask(task)).then((started) => {
+			execution = started;
+			for (const event of ended.filter((entry) => isSameExecution(entry.execution, started))) {
+				if (event.ended) {
+					finish();
+					return;
+				}
+				exitCode = event.exitCode;
+			}
+
+			if (timeoutMs > 0) {
+				timer = setTimeout(() => {
+					timedOut = true;
+					terminate();
+				}, timeoutMs);
+			}
+			if (token && typeof token.onCancellationRequested === 'function') {
+				cancellation = token.onCancellationRequested(() => {
+					cancelled = true;
+					terminate();
+				});
+				if (token.isCancellationRequested) {
+					cancelled = true;
+					terminate();
+				}
+			}
+		}, finish);
+	});
+}
+
+/**
+ * Finds one task by label, accepting either the bare name or "source: name".
+ *
+ * @param {object[]} tasks
+ * @param {string} label
+ * @returns {object}
+ */
+function findTask(tasks, label) {
+	const wanted = label.toLowerCase();
+	const matches = tasks.filter((task) => getTaskLabel(task).toLowerCase() === wanted || task.name.toLowerCase() === wanted);
+	if (matches.length === 0) {
+		throw new Error(`No task labelled "${label}". Use list_tasks to see available tasks.`);
+	}
+
+	const exact = matches.filter((task) => getTaskLabel(task).toLowerCase() === wanted);
+	if (exact.length === 1) {
+		return exact[0];
+	}
+	if (matches.length > 1) {
+		throw new Error(`Task label "${label}" is ambiguous: ${matches.map(getTaskLabel).join(', ')}`);
+	}
+	return matches[0];
+}
+
+/**
+ * Returns the label VS Code shows for a task ("build" for tasks.json, "npm: test" for provided tasks).
+ *
+ * @param {object} task
+ * @returns {string}
+ */
+function getTaskLabel(task) {
+	return task.source && task.source !== 'Workspace' ? `${task.source}: ${task.name}` : task.name;
+}
+
+/**
+ * Returns the task group name (build, test, ...) if any.
+ *
+ * @param {object} task
+ * @returns {string}
+ */
+function getTaskGroupName(task) {
+	if (!task.group) {
+		return '';
+	}
+	return String(task.group.id || task.group.label || '').toLowerCase();
+}
+
+/**
+ * Checks a task label against `allowedTasks` patterns.
+ *
+ * Patterns match the whole label (or the bare task name) case-insensitively;
+ * `*` matches any text and `/regex/` is used as-is.
+ *
+ * @param {object} task
+ * @param {string[]} allowedTasks
+ * @returns {boolean}
+ */
+function isTaskAllowlisted(task, allowedTasks) {
+	const candidates = [getTaskLabel(task), task.name];
+	return Array.isArray(allowedTasks) && allowedTasks.some((pattern) => {
+		const regex = toLabelPattern(pattern);
+		return regex !== null && candidates.some((candidate) => regex.test(candidate));
+	});
+}
+
+/**
+ * Converts an allowedTasks entry into a regular expression.
+ *
+ * @param {string} pattern
+ * @returns {RegExp|null}
+ */
+function toLabelPattern(pattern) {
+	const value = String(pattern || '').trim();
+	const regexMatch = /^\/(.+)\/$/.exec(value);
+	try {
+		if (regexMatch) {
+			return new RegExp(`^(?:${regexMatch[1]})$`, 'i');
+		}
+		const escaped = value.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+		return new RegExp(`^${escaped}$`, 'i');
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Compares task executions, falling back to task identity when instances differ.
+ *
+ * @param {object} left
+ * @param {object} right
+ * @returns {boolean}
+ */
+function isSameExecution(left, right) {
+	if (left === right) {
+		return true;
+	}
+	return Boolean(left && right && left.task && right.task)
+		&& left.task.name === right.task.name
+		&& left.task.source === right.task.source;
+}
+
+/**
+ * Describes how a task ended.
+ *
+ * @param {{exitCode:number|undefined,durationMs:number,timedOut:boolean,cancelled:boolean}} result
+ * @param {number} timeoutMs
+ * @returns {string}
+ */
+function describeTaskExit(result, timeoutMs) {
+	const duration = `${(result.durationMs / 1000).toFixed(1)}s`;
+	if (result.cancelled) {
+		return `was cancelled after ${duration}`;
+	}
+	if (result.timedOut) {
+		return `timed out after ${timeoutMs}ms`;
+	}
+	if (result.exitCode === undefined) {
+		return `finished after ${duration}`;
+	}
+	return `exited with code ${result.exitCode} after ${duration}`;
+}
+
+module.exports = {
+	createTaskTools,
+	findTask,
+	isTaskAllowlisted,
+	toLabelPattern
+};
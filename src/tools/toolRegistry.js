@@ -1,9 +1,16 @@
 const { createListFilesTool } = require('./listFilesTool');
 const { createReadFileTool } = require('./readFileTool');
 const { createSearchTextTool } = require('./searchTextTool');
+const { createLanguageTools, createRenameSymbolTool } = require('./languageTools');
+const { createDiagnosticsTool } = require('./diagnosticsTool');
 const { createWriteFileTool } = require('./writeFileTool');
 const { createEditFileTool } = require('./editFileTool');
+const { createApplyPatchTool } = require('./applyPatchTool');
+const { createReplaceInFilesTool } = require('./replaceInFilesTool');
+const { createFileManagementTools } = require('./fileManagementTools');
 const { createRunCommandTool } = require('./runCommandTool');
+const { createBackgroundProcessTools } = require('./backgroundProcessTools');
+const { createTaskTools } = require('./taskTools');
 const { createWebSearchTool } = require('./webSearchTool');
 const { createHelloWorldTool } = require('./helloWorldTool');
 
@@ -13,14 +20,17 @@ const { createHelloWorldTool } = require('./helloWorldTool');
  * Responsibilities:
  * - instantiate tool definitions,
  * - expose tool schemas to the model,
+ * - report which tools are read-only (safe to run concurrently),
  * - execute tool handlers with common error formatting.
  */
 class ToolRegistry {
 	/**
 	 * @param {object} settings - Initial participant settings.
+	 * @param {object} [services] - Long-lived services merged into every tool context (for example `editApprovals`).
 	 */
-	constructor(settings) {
+	constructor(settings, services = {}) {
 		this.tools = new Map();
+		this.services = services;
 		this.updateSettings(settings);
 	}
 
@@ -36,16 +46,28 @@ class ToolRegistry {
 		this.register(createListFilesTool(settings));
 		this.register(createReadFileTool(settings));
 		this.register(createSearchTextTool(settings));
+		createLanguageTools(settings).forEach((tool) => this.register(tool));
+		this.register(createDiagnosticsTool(settings));
 		this.register(createWebSearchTool(settings));
 		this.register(createHelloWorldTool(settings));
 
 		if (settings.enableFileEditTools) {
 			this.register(createWriteFileTool(settings));
 			this.register(createEditFileTool(settings));
+			this.register(createApplyPatchTool(settings));
+			this.register(createReplaceInFilesTool(settings));
+			createFileManagementTools(settings).forEach((tool) => this.register(tool));
+			this.register(createRenameSymbolTool(settings));
 		}
 
 		if (settings.enableCommandTool) {
 			this.register(createRunCommandTool(settings));
+			createBackgroundProcessTools(settings).forEach((tool) => this.register(tool));
+		}
+
+		// Tasks can run arbitrary shell lines, so they also need the command tools enabled.
+		if (settings.enableCommandTool && settings.enableTaskTool) {
+			createTaskTools(settings).forEach((tool) => this.register(tool));
 		}
 	}
 
@@ -71,6 +93,17 @@ class ToolRegistry {
 		}));
 	}
 
+	/**
+	 * Checks whether a tool only reads state and is safe to run concurrently.
+	 *
+	 * @param {string} toolName - Registered tool name.
+	 * @returns {boolean}
+	 */
+	isReadOnly(toolName) {
+		const tool = this.tools.get(toolName);
+		return Boolean(tool && tool.readOnly);
+	}
+
 	/**
 	 * Lists all registered tool names.
 	 *
@@ -100,6 +133,7 @@ class ToolRegistry {
 
 		try {
 			return await tool.execute(input || {}, {
+				...this.services,
 				...context,
 				settings: this.settings
 			});
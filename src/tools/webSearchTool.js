@@ -7,12 +7,13 @@ const DEFAULT_TIMEOUT_MS = 15000;
 /**
  * Builds the web_search tool backed by Tavily API.
  *
- * @returns {{name:string,description:string,inputSchema:object,execute:function}}
+ * @returns {{name:string,description:string,readOnly:boolean,inputSchema:object,execute:function}}
  */
 function createWebSearchTool() {
 	return {
 		name: 'web_search',
 		description: 'Search the web using Tavily and return concise results with source URLs.',
+		readOnly: true,
 		inputSchema: {
 			type: 'object',
 			properties: {
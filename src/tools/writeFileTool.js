@@ -1,6 +1,5 @@
-const fs = require('fs/promises');
-const path = require('path');
 const { getWorkspaceRootPath, resolveWorkspacePath, toPosixRelative } = require('../utils/workspacePaths');
+const { readTextIfExists, applyFileChange } = require('../edits/fileChanges');
 
 /**
  * Builds the write_file tool.
@@ -23,12 +22,13 @@ function createWriteFileTool(settings) {
 			required: ['path', 'content']
 		},
 		/**
-		 * Writes or appends file content immediately.
+		 * Writes or appends file content, subject to the edit approval mode.
 		 *
 		 * @param {{path:string,content:string,append?:boolean}} input
+		 * @param {object} context - Tool context passed to `applyFileChange`.
 		 * @returns {Promise<{ok:boolean,output:string}>}
 		 */
-		async execute(input) {
+		async execute(input, context) {
 			const relativePath = typeof input.path === 'string' ? input.path.trim() : '';
 			if (!relativePath) {
 				throw new Error('write_file requires "path".');
@@ -41,43 +41,28 @@ function createWriteFileTool(settings) {
 
 			const workspaceRoot = getWorkspaceRootPath();
 			const filePath = resolveWorkspacePath(workspaceRoot, relativePath);
-			await fs.mkdir(path.dirname(filePath), { recursive: true });
+			const displayPath = toPosixRelative(workspaceRoot, filePath);
 			const append = Boolean(input.append);
-			const existed = await pathExists(filePath);
+			const originalContent = await readTextIfExists(filePath);
+			const existed = originalContent !== null;
 
-			if (append) {
-				await fs.appendFile(filePath, content, 'utf8');
-			} else {
-				await fs.writeFile(filePath, content, 'utf8');
-			}
+			const { applied, notes } = await applyFileChange({
+				filePath,
+				displayPath,
+				originalContent,
+				newContent: append && existed ? originalContent + content : content,
+				replacesContent: !(append && existed)
+			}, context);
 
 			const action = append ? (existed ? 'appended' : 'created+appended') : (existed ? 'updated' : 'created');
 			return {
 				ok: true,
-				output: `File ${action}: ${toPosixRelative(workspaceRoot, filePath)} (${content.length} chars)`
+				output: [`${applied ? '' : 'Dry run, not applied: '}File ${action}: ${displayPath} (${content.length} chars)`, ...notes].join('\n')
 			};
 		}
 	};
 }
 
-/**
- * Checks whether a file exists on disk.
- *
- * @param {string} filePath - Absolute file path.
- * @returns {Promise<boolean>} True when file exists.
- */
-async function pathExists(filePath) {
-	try {
-		await fs.stat(filePath);
-		return true;
-	} catch (error) {
-		if (error && error.code === 'ENOENT') {
-			return false;
-		}
-		throw error;
-	}
-}
-
 module.exports = {
 	createWriteFileTool
 };
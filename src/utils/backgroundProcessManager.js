@@ -0,0 +1,284 @@
+const { spawnProcess, killProcessTree } = require('./processRunner');
+
+const MAX_BUFFERED_CHARS = 256 * 1024;
+const MAX_PROCESSES = 5;
+const STOP_WAIT_MS = 5000;
+
+/**
+ * Tracks named long-running processes (dev servers, watchers) for the extension session.
+ *
+ * Processes belong to the chat session that started them: names are scoped
+ * per session, and one chat cannot read or stop another chat's processes.
+ * `MAX_PROCESSES` applies across all sessions. Each process keeps the most
+ * recent `MAX_BUFFERED_CHARS` of combined output and a read cursor so callers
+ * can fetch only new output. All running processes are stopped on dispose.
+ */
+class BackgroundProcessManager {
+	/**
+	 * @param {object} [outputChannel] - Optional output channel mirroring process output.
+	 */
+	constructor(outputChannel) {
+		this.outputChannel = outputChannel;
+		this.sessions = new Map();
+	}
+
+	/**
+	 * Starts a named process.
+	 *
+	 * A finished process with the same name is replaced; a running one is an error.
+	 *
+	 * @param {string} sessionId - Chat session that owns the process.
+	 * @param {string} name
+	 * @param {{command:string,file:string,args:string[],shell:boolean,cwd:string}} options
+	 * @returns {object} Process entry.
+	 */
+	start(sessionId, name, { command, file, args, shell, cwd }) {
+		if (!this.sessions.has(sessionId)) {
+			this.sessions.set(sessionId, new Map());
+		}
+		const processes = this.sessions.get(sessionId);
+		const existing = processes.get(name);
+		if (existing && existing.running) {
+			throw new Error(`A process named "${name}" is already running (${existing.command}). Stop it first or use another name.`);
+		}
+
+		const runningCount = this.getAllEntries().filter((entry) => entry.running).length;
+		if (runningCount >= MAX_PROCESSES) {
+			throw new Error(`At most ${MAX_PROCESSES} background processes can run at once. Stop one first.`);
+		}
+
+		const child = spawnProcess({ file, args, shell, cwd });
+		const entry = {
+			name,
+			command,
+			child,
+			pid: child.pid,
+			startedAt: Date.now(),
+			running: true,
+			exitCode: null,
+			signal: null,
+			error: null,
+			output: '',
+			totalChars: 0,
+			readOffset: 0,
+			listeners: new Set()
+		};
+		processes.set(name, entry);
+
+		const handleData = (data) => {
+			const text = data.toString('utf8');
+			entry.output += text;
+			entry.totalChars += text.length;
+			if (entry.output.length > MAX_BUFFERED_CHARS) {
+				entry.output = entry.output.slice(entry.output.length - MAX_BUFFERED_CHARS);
+			}
+			if (this.outputChannel) {
+				this.outputChannel.append(text.replace(/^(?=.)/gm, `[${name}] `));
+			}
+			entry.listeners.forEach((listener) => listener());
+		};
+		child.stdout.on('data', handleData);
+		child.stderr.on('data', handleData);
+
+		const handleEnd = (exitCode, signal, error) => {
+			if (!entry.running) {
+				return;
+			}
+			entry.running = false;
+			entry.exitCode = exitCode;
+			entry.signal = signal;
+			entry.error = error ? error.message : null;
+			if (this.outputChannel) {
+				this.outputChannel.appendLine(`[${name}] ${describeStatus(entry)}`);
+			}
+			entry.listeners.forEach((listener) => listener());
+		};
+		child.on('exit', (exitCode, signal) => handleEnd(exitCode, signal, null));
+		child.on('error', (error) => handleEnd(null, null, error));
+
+		if (this.outputChannel) {
+			this.outputChannel.appendLine(`[${name}] $ ${command}`);
+		}
+		return entry;
+	}
+
+	/**
+	 * Returns a process of the session or throws with the session's known names.
+	 *
+	 * @param {string} sessionId
+	 * @param {string} name
+	 * @returns {object}
+	 */
+	get(sessionId, name) {
+		const processes = this.sessions.get(sessionId) || new Map();
+		const entry = processes.get(name);
+		if (!entry) {
+			const names = Array.from(processes.keys());
+			throw new Error(`No background process named "${name}". Known: ${names.length > 0 ? names.join(', ') : '(none)'}`);
+		}
+		return entry;
+	}
+
+	/**
+	 * Returns output produced since the previous read (or the whole buffer) and
+	 * advances the cursor unless `peek` is set.
+	 *
+	 * @param {string} sessionId
+	 * @param {string} name
+	 * @param {{all?:boolean,peek?:boolean,maxChars:number}} options
+	 * @returns {{output:string,truncated:boolean}}
+	 */
+	read(sessionId, name, { all, peek, maxChars }) {
+		const entry = this.get(sessionId, name);
+		const bufferStart = entry.totalChars - entry.output.length;
+		const from = all ? bufferStart : Math.max(entry.readOffset, bufferStart);
+		const text = entry.output.slice(from - bufferStart);
+		const truncated = text.length > maxChars || (!all && entry.readOffset < bufferStart);
+		if (!peek) {
+			entry.readOffset = entry.totalChars;
+		}
+
+		return {
+			output: text.length > maxChars ? text.slice(text.length - maxChars) : text,
+			truncated
+		};
+	}
+
+	/**
+	 * Waits until buffered output matches a pattern, the process exits, the timeout
+	 * passes or the token is cancelled.
+	 *
+	 * Output already buffered since the process started counts, so a readiness
+	 * message printed before the call is still found.
+	 *
+	 * @param {string} sessionId
+	 * @param {string} name
+	 * @param {RegExp} pattern
+	 * @param {{timeoutMs:number,token?:object}} options
+	 * @returns {Promise<{matched:boolean,match:string,line:string,reason:string}>}
+	 */
+	waitFor(sessionId, name, pattern, { timeoutMs, token }) {
+		const entry = this.get(sessionId, name);
+
+		return new Promise((resolve) => {
+			let timer = null;
+			let cancellation = null;
+
+			const finish = (result) => {
+				entry.listeners.delete(check);
+				if (timer) {
+					clearTimeout(timer);
+				}
+				if (cancellation) {
+					cancellation.dispose();
+				}
+				resolve(result);
+			};
+
+			function check() {
+				const match = pattern.exec(entry.output);
+				if (match) {
+					finish({ matched: true, match: match[0], line: findLine(entry.output, match.index), reason: 'matched' });
+				} else if (!entry.running) {
+					finish({ matched: false, match: '', line: '', reason: describeStatus(entry) });
+				}
+			}
+
+			entry.listeners.add(check);
+			timer = setTimeout(() => finish({ matched: false, match: '', line: '', reason: `no match within ${timeoutMs}ms` }), timeoutMs);
+			cancellation = token && typeof token.onCancellationRequested === 'function'
+				? token.onCancellationRequested(() => finish({ matched: false, match: '', line: '', reason: 'cancelled' }))
+				: null;
+			check();
+		});
+	}
+
+	/**
+	 * Stops a named process tree and waits briefly for it to exit.
+	 *
+	 * @param {string} sessionId
+	 * @param {string} name
+	 * @returns {Promise<object>} Process entry.
+	 */
+	async stop(sessionId, name) {
+		const entry = this.get(sessionId, name);
+		if (!entry.running) {
+			return entry;
+		}
+
+		await new Promise((resolve) => {
+			const timer = setTimeout(done, STOP_WAIT_MS);
+			function done() {
+				clearTimeout(timer);
+				entry.listeners.delete(onChange);
+				resolve();
+			}
+			function onChange() {
+				if (!entry.running) {
+					done();
+				}
+			}
+			entry.listeners.add(onChange);
+			killProcessTree(entry.child);
+		});
+		return entry;
+	}
+
+	/**
+	 * Lists the processes of every session.
+	 *
+	 * @returns {object[]}
+	 */
+	getAllEntries() {
+		return Array.from(this.sessions.values()).flatMap((processes) => Array.from(processes.values()));
+	}
+
+	/**
+	 * Stops all running processes.
+	 */
+	dispose() {
+		for (const entry of this.getAllEntries()) {
+			if (entry.running) {
+				killProcessTree(entry.child);
+			}
+		}
+		this.sessions.clear();
+	}
+}
+
+/**
+ * Describes whether a process is running or how it ended.
+ *
+ * @param {object} entry
+ * @returns {string}
+ */
+function describeStatus(entry) {
+	if (entry.running) {
+		return `running (pid ${entry.pid}) for ${Math.round((Date.now() - entry.startedAt) / 1000)}s`;
+	}
+	if (entry.error) {
+		return `failed to start: ${entry.error}`;
+	}
+	if (entry.exitCode === null) {
+		return `stopped by ${entry.signal || 'a signal'}`;
+	}
+	return `exited with code ${entry.exitCode}`;
+}
+
+/**
+ * Returns the full line containing a character index.
+ *
+ * @param {string} text
+ * @param {number} index
+ * @returns {string}
+ */
+function findLine(text, index) {
+	const start = text.lastIndexOf('\n', index) + 1;
+	const end = text.indexOf('\n', index);
+	return text.slice(start, end === -1 ? text.length : end).trim();
+}
+
+module.exports = {
+	BackgroundProcessManager,
+	describeStatus
+};
@@ -0,0 +1,285 @@
+const CHAINING_OPERATORS = new Set(['&&', '||', ';', '&', '\n']);
+const REDIRECTION_OPERATORS = new Set(['>', '>>', '<']);
+const ALWAYS_REJECTED_OPERATORS = new Set(['$(', '`', '(', ')']);
+const OPERATOR_TOKENS = ['&&', '||', '>>', '$(', '${', ';', '&', '|', '>', '<', '`', '(', ')', '\n'];
+const UNSAFE_WINDOWS_ARGUMENT_PATTERN = /["%^&|<>!\r\n]/;
+
+/**
+ * Splits a command line into argv segments the way a POSIX shell would tokenize it,
+ * and records every unquoted shell operator it contains.
+ *
+ * Quoting follows shell rules (`'...'` literal, `"..."` with backslash escapes,
+ * unquoted backslash escapes). Chaining/pipe operators start a new segment;
+ * redirection targets are not part of any segment. Command substitution inside
+ * double quotes is still reported because a shell would run it.
+ *
+ * @param {string} command
+ * @returns {{segments:string[][],operators:string[]}}
+ */
+function parseCommandLine(command) {
+	const text = String(command || '');
+	const segments = [[]];
+	const operators = [];
+	let word = null;
+	let quote = null;
+	let skipNextWord = false;
+
+	const finishWord = () => {
+		if (word === null) {
+			return;
+		}
+		if (skipNextWord) {
+			skipNextWord = false;
+		} else {
+			segments[segments.length - 1].push(word);
+		}
+		word = null;
+	};
+
+	for (let index = 0; index < text.length; index += 1) {
+		const char = text[index];
+
+		if (quote === '\'') {
+			if (char === '\'') {
+				quote = null;
+			} else {
+				word += char;
+			}
+			continue;
+		}
+
+		if (quote === '"') {
+			if (char === '"') {
+				quote = null;
+			} else if (char === '\\' && index + 1 < text.length && '"\\$`\n'.includes(text[index + 1])) {
+				index += 1;
+				word += text[index];
+			} else {
+				if (char === '`' || (char === '$' && text[index + 1] === '(')) {
+					operators.push(char === '`' ? '`' : '$(');
+				} else if (char === '$' && /[A-Za-z_{]/.test(text[index + 1] || '')) {
+					operators.push('$');
+				}
+				word += char;
+			}
+			continue;
+		}
+
+		if (char === '\'' || char === '"') {
+			quote = char;
+			word = word === null ? '' : word;
+			continue;
+		}
+
+		if (char === '\\') {
+			index += 1;
+			word = (word === null ? '' : word) + (text[index] || '');
+			continue;
+		}
+
+		if (char !== '\n' && /\s/.test(char)) {
+			finishWord();
+			continue;
+		}
+
+		const operator = OPERATOR_TOKENS.find((token) => text.startsWith(token, index));
+		if (operator === '${' || (char === '$' && /[A-Za-z_]/.test(text[index + 1] || ''))) {
+			operators.push('$');
+			word = (word === null ? '' : word) + char;
+			continue;
+		}
+
+		if (!operator) {
+			word = (word === null ? '' : word) + char;
+			continue;
+		}
+
+		operators.push(operator);
+		index += operator.length - 1;
+
+		if (REDIRECTION_OPERATORS.has(operator)) {
+			if (word !== null && /^\d+$/.test(word)) {
+				word = null;
+			}
+			finishWord();
+			if (text[index + 1] === '&') {
+				index += 1;
+				while (/\d/.test(text[index + 1] || '')) {
+					index += 1;
+				}
+			} else {
+				skipNextWord = true;
+			}
+			continue;
+		}
+
+		finishWord();
+		if (CHAINING_OPERATORS.has(operator) || operator === '|') {
+			segments.push([]);
+		}
+	}
+
+	if (quote) {
+		throw new Error(`Command has an unterminated ${quote === '"' ? 'double' : 'single'} quote.`);
+	}
+	finishWord();
+
+	return {
+		segments: segments.filter((segment) => segment.length > 0),
+		operators: Array.from(new Set(operators))
+	};
+}
+
+/**
+ * Checks a command against the allowlist and shell-operator policy.
+ *
+ * Without `allowShellOperators`, only a single command without chaining, pipes,
+ * redirection or variable expansion is accepted and it runs without a shell.
+ * With it, every chained/piped command must be allowlisted on its own and the
+ * line runs through a shell. Command substitution and subshells are always
+ * rejected because the commands inside them cannot be checked.
+ *
+ * @param {string} command
+ * @param {{allowedCommands:string[],allowShellOperators:boolean}} settings
+ * @returns {{argv:string[],useShell:boolean}} argv of the first command and whether a shell is needed.
+ */
+function validateCommand(command, settings) {
+	const { segments, operators } = parseCommandLine(command);
+	if (segments.length === 0) {
+		throw new Error('Command is empty.');
+	}
+
+	const rejected = operators.filter((operator) => ALWAYS_REJECTED_OPERATORS.has(operator) || !settings.allowShellOperators);
+	if (rejected.length > 0) {
+		const hint = rejected.some((operator) => ALWAYS_REJECTED_OPERATORS.has(operator))
+			? 'Command substitution and subshells are never allowed.'
+			: 'Run one command at a time (agentModeParticipant.allowShellOperators is off).';
+		throw new Error(`Command uses shell operators that are not allowed: ${rejected.map(describeOperator).join(', ')}. ${hint}`);
+	}
+
+	const blocked = segments.find((argv) => !isCommandAllowlisted(argv, settings.allowedCommands));
+	if (blocked) {
+		throw new Error(`Command is not allowlisted: ${blocked.join(' ')}`);
+	}
+
+	return { argv: segments[0], useShell: operators.length > 0 };
+}
+
+/**
+ * Checks whether argv matches at least one allowlist entry.
+ *
+ * @param {string[]} argv
+ * @param {string[]} allowlist
+ * @returns {boolean}
+ */
+function isCommandAllowlisted(argv, allowlist) {
+	return Array.isArray(allowlist) && allowlist.some((entry) => matchesAllowlistEntry(argv, entry));
+}
+
+/**
+ * Matches argv against one whitespace-separated allowlist entry.
+ *
+ * Entry tokens match arguments position by position:
+ * - a literal token must equal the argument (the executable is case-insensitive),
+ * - `*` matches any single argument,
+ * - `/regex/` must match the whole argument,
+ * - a trailing `**` matches any remaining arguments, including none.
+ *
+ * Without `**`, the argument count must match exactly.
+ *
+ * @param {string[]} argv
+ * @param {string} entry - For example `npm run /test(:\w+)?/ **`.
+ * @returns {boolean}
+ */
+function matchesAllowlistEntry(argv, entry) {
+	const patterns = String(entry || '').trim().split(/\s+/).filter(Boolean);
+	if (patterns.length === 0) {
+		return false;
+	}
+
+	for (let index = 0; index < patterns.length; index += 1) {
+		if (patterns[index] === '**' && index === patterns.length - 1) {
+			return true;
+		}
+		if (index >= argv.length || !matchesArgumentPattern(argv[index], patterns[index], index === 0)) {
+			return false;
+		}
+	}
+
+	return argv.length === patterns.length;
+}
+
+/**
+ * Matches one argument against one allowlist token.
+ *
+ * @param {string} argument
+ * @param {string} pattern
+ * @param {boolean} isExecutable
+ * @returns {boolean}
+ */
+function matchesArgumentPattern(argument, pattern, isExecutable) {
+	if (pattern === '*') {
+		return true;
+	}
+
+	const regexMatch = /^\/(.+)\/$/.exec(pattern);
+	if (regexMatch) {
+		try {
+			return new RegExp(`^(?:${regexMatch[1]})$`).test(argument);
+		} catch {
+			return false;
+		}
+	}
+
+	return isExecutable ? argument.toLowerCase() === pattern.toLowerCase() : argument === pattern;
+}
+
+/**
+ * Builds `execFile`/`spawn` arguments for a validated argv.
+ *
+ * On Windows, package-manager shims such as `npm.cmd` only start through
+ * `cmd.exe`, so argv is re-quoted for it and arguments containing cmd
+ * metacharacters are refused.
+ *
+ * @param {string[]} argv
+ * @returns {{file:string,args:string[],shell:boolean}}
+ */
+function toProcessArguments(argv) {
+	if (process.platform !== 'win32') {
+		return { file: argv[0], args: argv.slice(1), shell: false };
+	}
+
+	const unsafe = argv.find((argument) => UNSAFE_WINDOWS_ARGUMENT_PATTERN.test(argument));
+	if (unsafe !== undefined) {
+		throw new Error(`Argument contains characters that are unsafe for the Windows command shell: ${unsafe}`);
+	}
+
+	const quoted = argv.map((argument) => (argument === '' || /\s/.test(argument) ? `"${argument}"` : argument));
+	return { file: quoted.join(' '), args: [], shell: true };
+}
+
+/**
+ * Describes a shell operator for error messages.
+ *
+ * @param {string} operator
+ * @returns {string}
+ */
+function describeOperator(operator) {
+	if (operator === '\n') {
+		return 'newline';
+	}
+	if (operator === '$') {
+		return '`$` expansion';
+	}
+	if (operator === '`') {
+		return 'backtick substitution';
+	}
+	return `\`${operator}\``;
+}
+
+module.exports = {
+	parseCommandLine,
+	validateCommand,
+	isCommandAllowlisted,
+	toProcessArguments
+};
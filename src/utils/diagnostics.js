@@ -0,0 +1,121 @@
+const vscode = require('vscode');
+const { getWorkspaceRootPath, isInsideWorkspace, toPosixRelative } = require('./workspacePaths');
+
+const SEVERITY_NAMES = ['error', 'warning', 'info', 'hint'];
+
+/**
+ * Reads diagnostics from the Problems panel as plain entries, most severe first.
+ *
+ * @param {object} [options]
+ * @param {Set<string>|null} [options.uris] - Only these URI strings (default: all).
+ * @param {string} [options.minSeverity] - Least severe level to include (default 'hint').
+ * @param {(file:string)=>boolean} [options.fileFilter] - Filter on the display path.
+ * @returns {Array<{uri:string,file:string,line:number,column:number,severity:string,message:string,source:string,code:string}>}
+ */
+function collectDiagnostics({ uris = null, minSeverity = 'hint', fileFilter = null } = {}) {
+	const rootPath = getWorkspaceRootPath();
+	const maxSeverity = Math.max(0, SEVERITY_NAMES.indexOf(minSeverity));
+	const collected = [];
+
+	for (const [uri, diagnostics] of vscode.languages.getDiagnostics()) {
+		if (uris && !uris.has(uri.toString())) {
+			continue;
+		}
+		const file = uri.scheme === 'file' && isInsideWorkspace(rootPath, uri.fsPath)
+			? toPosixRelative(rootPath, uri.fsPath)
+			: uri.toString();
+		if (fileFilter && !fileFilter(file)) {
+			continue;
+		}
+
+		for (const diagnostic of diagnostics) {
+			const severity = SEVERITY_NAMES[diagnostic.severity] || 'error';
+			if (SEVERITY_NAMES.indexOf(severity) > maxSeverity) {
+				continue;
+			}
+			collected.push({
+				uri: uri.toString(),
+				file,
+				line: diagnostic.range.start.line + 1,
+				column: diagnostic.range.start.character + 1,
+				severity,
+				message: diagnostic.message,
+				source: diagnostic.source || '',
+				code: formatDiagnosticCode(diagnostic.code)
+			});
+		}
+	}
+
+	return collected.sort((left, right) => SEVERITY_NAMES.indexOf(left.severity) - SEVERITY_NAMES.indexOf(right.severity)
+		|| left.file.localeCompare(right.file)
+		|| left.line - right.line);
+}
+
+/**
+ * Formats one diagnostic as a single line.
+ *
+ * @param {{file:string,line:number,column:number,severity:string,message:string,source:string,code?:string}} entry
+ * @returns {string}
+ */
+function formatDiagnostic(entry) {
+	const origin = [entry.source, entry.code].filter(Boolean).join(' ');
+	return `${entry.file}:${entry.line}:${entry.column} ${entry.severity}: ${entry.message.split('\n')[0]}${origin ? ` (${origin})` : ''}`;
+}
+
+/**
+ * Waits until diagnostics of the given URIs stop changing.
+ *
+ * Resolves once no change was published for `quietMs`, after `timeoutMs` at
+ * the latest, or when the token is cancelled.
+ *
+ * @param {Set<string>} uris - URI strings to watch.
+ * @param {{quietMs:number,timeoutMs:number,token?:object}} options
+ * @returns {Promise<void>}
+ */
+function waitForDiagnosticsToSettle(uris, { quietMs, timeoutMs, token }) {
+	return new Promise((resolve) => {
+		let quietTimer = null;
+		const disposables = [];
+		const finish = () => {
+			clearTimeout(quietTimer);
+			clearTimeout(timeoutTimer);
+			disposables.forEach((disposable) => disposable.dispose());
+			resolve();
+		};
+		const restartQuietTimer = () => {
+			clearTimeout(quietTimer);
+			quietTimer = setTimeout(finish, quietMs);
+		};
+
+		const timeoutTimer = setTimeout(finish, timeoutMs);
+		disposables.push(vscode.languages.onDidChangeDiagnostics((event) => {
+			if (event.uris.some((uri) => uris.has(uri.toString()))) {
+				restartQuietTimer();
+			}
+		}));
+		if (token && typeof token.onCancellationRequested === 'function') {
+			disposables.push(token.onCancellationRequested(finish));
+		}
+		restartQuietTimer();
+	});
+}
+
+/**
+ * Converts a diagnostic code (string, number or `{value}`) to text.
+ *
+ * @param {any} code
+ * @returns {string}
+ */
+function formatDiagnosticCode(code) {
+	if (code === undefined || code === null) {
+		return '';
+	}
+	return typeof code === 'object' ? String(code.value) : String(code);
+}
+
+module.exports = {
+	SEVERITY_NAMES,
+	collectDiagnostics,
+	formatDiagnostic,
+	waitForDiagnosticsToSettle
+};
@@ -0,0 +1,178 @@
+const { spawn, execFile } = require('child_process');
+
+const MAX_CAPTURED_CHARS = 4 * 1024 * 1024;
+const KILL_GRACE_MS = 2000;
+const PIPE_CLOSE_GRACE_MS = 1000;
+
+/**
+ * Runs a process, streams its output and stops its whole process tree on
+ * timeout or cancellation.
+ *
+ * On POSIX the child leads its own process group so the group can be
+ * signalled; on Windows `taskkill /T` stops the tree. Background children left
+ * behind when the main process exits are stopped too, so they cannot hold the
+ * output pipes open. Captured output keeps the most recent `MAX_CAPTURED_CHARS`
+ * characters.
+ *
+ * @param {object} options
+ * @param {string} options.file - Executable, or the full command line when `shell` is true.
+ * @param {string[]} options.args
+ * @param {boolean} options.shell
+ * @param {string} options.cwd
+ * @param {number} [options.timeoutMs] - Kill the tree after this many milliseconds (0 disables).
+ * @param {object} [options.token] - Cancellation token; cancelling kills the tree.
+ * @param {(text:string)=>void} [options.onOutput] - Receives stdout/stderr chunks as they arrive.
+ * @returns {Promise<{exitCode:number|null,signal:string|null,output:string,durationMs:number,timedOut:boolean,cancelled:boolean}>}
+ */
+function runProcess({ file, args, shell, cwd, timeoutMs, token, onOutput }) {
+	return new Promise((resolve, reject) => {
+		const startedAt = Date.now();
+		const child = spawnProcess({ file, args, shell, cwd });
+
+		let output = '';
+		let timedOut = false;
+		let cancelled = false;
+		let settled = false;
+		let pipeCloseTimer = null;
+
+		const handleData = (data) => {
+			const text = data.toString('utf8');
+			output = appendCaptured(output, text);
+			if (onOutput) {
+				onOutput(text);
+			}
+		};
+		child.stdout.on('data', handleData);
+		child.stderr.on('data', handleData);
+
+		const timer = timeoutMs > 0
+			? setTimeout(() => {
+				timedOut = true;
+				killProcessTree(child);
+			}, timeoutMs)
+			: null;
+
+		const cancellation = token && typeof token.onCancellationRequested === 'function'
+			? token.onCancellationRequested(() => {
+				cancelled = true;
+				killProcessTree(child);
+			})
+			: null;
+
+		const finish = (callback) => {
+			if (settled) {
+				return;
+			}
+			settled = true;
+			if (timer) {
+				clearTimeout(timer);
+			}
+			if (pipeCloseTimer) {
+				clearTimeout(pipeCloseTimer);
+			}
+			if (cancellation) {
+				cancellation.dispose();
+			}
+			callback();
+		};
+
+		const resolveWith = (exitCode, signal) => finish(() => resolve({
+			exitCode,
+			signal,
+			output,
+			durationMs: Date.now() - startedAt,
+			timedOut,
+			cancelled
+		}));
+
+		child.on('error', (error) => finish(() => reject(error)));
+		child.on('exit', (exitCode, signal) => {
+			if (process.platform !== 'win32') {
+				signalProcessGroup(child.pid, 'SIGKILL');
+			}
+			pipeCloseTimer = setTimeout(() => {
+				child.stdout.destroy();
+				child.stderr.destroy();
+				resolveWith(exitCode, signal);
+			}, PIPE_CLOSE_GRACE_MS);
+		});
+		child.on('close', resolveWith);
+
+		if (token && token.isCancellationRequested) {
+			cancelled = true;
+			killProcessTree(child);
+		}
+	});
+}
+
+/**
+ * Spawns a process with piped output as the leader of its own process group
+ * (POSIX) so `killProcessTree` can stop everything it starts.
+ *
+ * @param {{file:string,args:string[],shell:boolean,cwd:string}} options
+ * @returns {import('child_process').ChildProcess}
+ */
+function spawnProcess({ file, args, shell, cwd }) {
+	return spawn(file, args, {
+		cwd,
+		shell,
+		windowsHide: true,
+		detached: process.platform !== 'win32',
+		stdio: ['ignore', 'pipe', 'pipe']
+	});
+}
+
+/**
+ * Stops a child process and everything it started.
+ *
+ * Sends SIGTERM to the process group first and SIGKILL after a grace period.
+ *
+ * @param {import('child_process').ChildProcess} child
+ */
+function killProcessTree(child) {
+	if (!child || !child.pid || child.exitCode !== null || child.signalCode !== null) {
+		return;
+	}
+
+	if (process.platform === 'win32') {
+		execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true }, () => { });
+		return;
+	}
+
+	signalProcessGroup(child.pid, 'SIGTERM');
+	const forceKill = setTimeout(() => signalProcessGroup(child.pid, 'SIGKILL'), KILL_GRACE_MS);
+	forceKill.unref();
+	child.once('close', () => clearTimeout(forceKill));
+}
+
+/**
+ * Signals a POSIX process group, ignoring groups that already exited.
+ *
+ * @param {number} pid - Group leader pid.
+ * @param {string} signal
+ */
+function signalProcessGroup(pid, signal) {
+	try {
+		process.kill(-pid, signal);
+	} catch {
+		// The group already exited.
+	}
+}
+
+/**
+ * Appends output while keeping only the most recent characters.
+ *
+ * @param {string} current
+ * @param {string} text
+ * @returns {string}
+ */
+function appendCaptured(current, text) {
+	const combined = current + text;
+	return combined.length > MAX_CAPTURED_CHARS ? combined.slice(combined.length - MAX_CAPTURED_CHARS) : combined;
+}
+
+module.exports = {
+	runProcess,
+	spawnProcess,
+	killProcessTree
+};
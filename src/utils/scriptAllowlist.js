@@ -0,0 +1,349 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { isInsideWorkspace, toPosixRelative } = require('./workspacePaths');
+
+const SHOW_SCRIPT_COMMANDS_COMMAND = 'copilot-agent-participant-js.showScriptCommands';
+const LOCKFILES = [
+	{ file: 'pnpm-lock.yaml', packageManager: 'pnpm' },
+	{ file: 'yarn.lock', packageManager: 'yarn' },
+	{ file: 'bun.lockb', packageManager: 'bun' },
+	{ file: 'bun.lock', packageManager: 'bun' },
+	{ file: 'package-lock.json', packageManager: 'npm' },
+	{ file: 'npm-shrinkwrap.json', packageManager: 'npm' }
+];
+const SKIP_DIRECTORIES = new Set(['.git', 'node_modules']);
+const MAX_WORKSPACE_PACKAGES = 200;
+
+/**
+ * Returns the allowlist used by run_command and start_process.
+ *
+ * With `allowPackageScripts`, the exact script commands derived from the
+ * workspace package.json files are appended to `allowedCommands`.
+ *
+ * @param {{allowedCommands:string[],allowPackageScripts:boolean}} settings
+ * @param {string} rootPath - Absolute workspace root.
+ * @returns {Promise<string[]>}
+ */
+async function getAllowedCommands(settings, rootPath) {
+	if (!settings.allowPackageScripts) {
+		return settings.allowedCommands;
+	}
+	const derived = await deriveScriptCommands(rootPath);
+	return [...settings.allowedCommands, ...derived.entries.map((entry) => entry.command)];
+}
+
+/**
+ * Derives allowlist entries from the scripts of the root and workspace package.json files.
+ *
+ * The package manager comes from the root lockfile (then the `packageManager`
+ * field, then npm). Workspace packages come from package.json `workspaces`
+ * and pnpm-workspace.yaml `packages`.
+ *
+ * @param {string} rootPath - Absolute workspace root.
+ * @returns {Promise<{packageManager:string,lockfile:string|null,entries:Array<{command:string,script:string,body:string,source:string}>}>}
+ */
+async function deriveScriptCommands(rootPath) {
+	const rootManifest = await readManifest(path.join(rootPath, 'package.json'));
+	const { packageManager, lockfile } = await detectPackageManager(rootPath, rootManifest);
+	const entries = [];
+	if (!rootManifest) {
+		return { packageManager, lockfile, entries };
+	}
+
+	addScriptEntries(entries, { rootPath, manifestPath: path.join(rootPath, 'package.json'), manifest: rootManifest, packageManager, workspace: null });
+
+	const workspaceDirectories = await findWorkspaceDirectories(rootPath, rootManifest);
+	for (const directory of workspaceDirectories) {
+		const manifestPath = path.join(directory, 'package.json');
+		const manifest = await readManifest(manifestPath);
+		if (!manifest) {
+			continue;
+		}
+		const workspace = typeof manifest.name === 'string' && manifest.name.trim()
+			? manifest.name.trim()
+			: `./${toPosixRelative(rootPath, directory)}`;
+		addScriptEntries(entries, { rootPath, manifestPath, manifest, packageManager, workspace });
+	}
+
+	const seen = new Set();
+	return {
+		packageManager,
+		lockfile,
+		entries: entries.filter((entry) => !seen.has(entry.command) && seen.add(entry.command))
+	};
+}
+
+/**
+ * Detects the package manager from lockfiles in the workspace root.
+ *
+ * @param {string} rootPath
+ * @param {object|null} rootManifest
+ * @returns {Promise<{packageManager:string,lockfile:string|null}>}
+ */
+async function detectPackageManager(rootPath, rootManifest) {
+	for (const candidate of LOCKFILES) {
+		if (await pathExists(path.join(rootPath, candidate.file))) {
+			return { packageManager: candidate.packageManager, lockfile: candidate.file };
+		}
+	}
+
+	const declared = rootManifest && typeof rootManifest.packageManager === 'string'
+		? rootManifest.packageManager.split('@')[0]
+		: '';
+	return {
+		packageManager: ['npm', 'pnpm', 'yarn', 'bun'].includes(declared) ? declared : 'npm',
+		lockfile: null
+	};
+}
+
+/**
+ * Adds one allowlist entry per script of a manifest.
+ *
+ * Script names containing whitespace or allowlist pattern syntax are skipped
+ * because they cannot be matched literally.
+ *
+ * @param {object[]} entries
+ * @param {{rootPath:string,manifestPath:string,manifest:object,packageManager:string,workspace:string|null}} options
+ */
+function addScriptEntries(entries, { rootPath, manifestPath, manifest, packageManager, workspace }) {
+	const scripts = manifest.scripts && typeof manifest.scripts === 'object' ? manifest.scripts : {};
+	const source = toPosixRelative(rootPath, manifestPath);
+
+	for (const [script, body] of Object.entries(scripts)) {
+		if (!script || /\s/.test(script) || script === '*' || script === '**' || /^\/.*\/$/.test(script)) {
+			continue;
+		}
+		for (const command of buildScriptCommands(packageManager, script, workspace)) {
+			entries.push({ command, script, body: String(body), source });
+		}
+	}
+}
+
+/**
+ * Builds the exact command lines that run a script with a package manager.
+ *
+ * @param {string} packageManager
+ * @param {string} script
+ * @param {string|null} workspace - Workspace package name or ./path; null for the root package.
+ * @returns {string[]}
+ */
+function buildScriptCommands(packageManager, script, workspace) {
+	if (workspace) {
+		if (packageManager === 'pnpm') {
+			return [`pnpm --filter ${workspace} run ${script}`];
+		}
+		if (packageManager === 'yarn') {
+			return workspace.startsWith('./') ? [] : [`yarn workspace ${workspace} run ${script}`];
+		}
+		if (packageManager === 'bun') {
+			return [`bun run --filter ${workspace} ${script}`];
+		}
+		return [`npm run ${script} --workspace ${workspace}`];
+	}
+
+	const commands = [`${packageManager} run ${script}`];
+	if (script === 'test') {
+		commands.push(`${packageManager} test`);
+	}
+	return commands;
+}
+
+/**
+ * Resolves workspace package directories from `workspaces` and pnpm-workspace.yaml.
+ *
+ * Patterns support `*` and `**` segments; negated patterns exclude matches.
+ *
+ * @param {string} rootPath
+ * @param {object} rootManifest
+ * @returns {Promise<string[]>}
+ */
+async function findWorkspaceDirectories(rootPath, rootManifest) {
+	const declared = Array.isArray(rootManifest.workspaces)
+		? rootManifest.workspaces
+		: (rootManifest.workspaces && Array.isArray(rootManifest.workspaces.packages) ? rootManifest.workspaces.packages : []);
+	const patterns = [...declared, ...await readPnpmWorkspacePatterns(rootPath)]
+		.map((pattern) => String(pattern || '').trim().replace(/^\.\//, '').replace(/\/+$/, ''))
+		.filter(Boolean);
+
+	const included = new Set();
+	for (const pattern of patterns.filter((entry) => !entry.startsWith('!'))) {
+		for (const directory of await expandDirectoryPattern(rootPath, pattern.split('/'))) {
+			if (isInsideWorkspace(rootPath, directory) && directory !== rootPath) {
+				included.add(directory);
+			}
+		}
+	}
+
+	for (const pattern of patterns.filter((entry) => entry.startsWith('!'))) {
+		for (const directory of await expandDirectoryPattern(rootPath, pattern.slice(1).split('/'))) {
+			included.delete(directory);
+		}
+	}
+
+	return Array.from(included).sort().slice(0, MAX_WORKSPACE_PACKAGES);
+}
+
+/**
+ * Expands a directory pattern one segment at a time.
+ *
+ * @param {string} basePath
+ * @param {string[]} segments
+ * @returns {Promise<string[]>}
+ */
+async function expandDirectoryPattern(basePath, segments) {
+	if (segments.length === 0) {
+		return [basePath];
+	}
+
+	const [segment, ...rest] = segments;
+	if (!segment.includes('*')) {
+		return (await isDirectory(path.join(basePath, segment))) ? expandDirectoryPattern(path.join(basePath, segment), rest) : [];
+	}
+
+	const children = await listDirectories(basePath);
+	const results = [];
+	if (segment === '**') {
+		results.push(...await expandDirectoryPattern(basePath, rest));
+		for (const child of children) {
+			results.push(...await expandDirectoryPattern(child, segments));
+		}
+		return results;
+	}
+
+	const matcher = new RegExp(`^${segment.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+	for (const child of children.filter((entry) => matcher.test(path.basename(entry)))) {
+		results.push(...await expandDirectoryPattern(child, rest));
+	}
+	return results;
+}
+
+/**
+ * Reads the `packages` list of pnpm-workspace.yaml.
+ *
+ * @param {string} rootPath
+ * @returns {Promise<string[]>}
+ */
+async function readPnpmWorkspacePatterns(rootPath) {
+	let text;
+	try {
+		text = await fs.readFile(path.join(rootPath, 'pnpm-workspace.yaml'), 'utf8');
+	} catch {
+		return [];
+	}
+
+	const patterns = [];
+	let inPackages = false;
+	for (const line of text.split(/\r?\n/)) {
+		if (/^packages:\s*$/.test(line)) {
+			inPackages = true;
+			continue;
+		}
+		if (inPackages && /^\S/.test(line)) {
+			break;
+		}
+		const item = inPackages ? /^\s+-\s*(['"]?)(.+?)\1\s*$/.exec(line) : null;
+		if (item) {
+			patterns.push(item[2]);
+		}
+	}
+	return patterns;
+}
+
+/**
+ * Formats derived script commands for review, grouped by source file.
+ *
+ * @param {{packageManager:string,lockfile:string|null,entries:object[]}} derived
+ * @param {boolean} enabled - Whether `allowPackageScripts` is on.
+ * @returns {string}
+ */
+function formatScriptCommands(derived, enabled) {
+	const lines = [
+		`Package manager: ${derived.packageManager} (${derived.lockfile ? `from ${derived.lockfile}` : 'no lockfile found'})`,
+		`agentModeParticipant.allowPackageScripts is ${enabled ? 'on: these commands are allowlisted' : 'off: these commands are not allowlisted'}.`
+	];
+
+	if (derived.entries.length === 0) {
+		lines.push('(no package.json scripts found)');
+		return lines.join('\n');
+	}
+
+	let currentSource = null;
+	for (const entry of derived.entries) {
+		if (entry.source !== currentSource) {
+			currentSource = entry.source;
+			lines.push('', `${entry.source}:`);
+		}
+		lines.push(`  ${entry.command}    # scripts["${entry.script}"]: ${entry.body}`);
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Reads and parses a package.json file.
+ *
+ * @param {string} manifestPath
+ * @returns {Promise<object|null>}
+ */
+async function readManifest(manifestPath) {
+	try {
+		const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+		return manifest && typeof manifest === 'object' ? manifest : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Lists child directories, skipping dependency and VCS folders.
+ *
+ * @param {string} directory
+ * @returns {Promise<string[]>}
+ */
+async function listDirectories(directory) {
+	try {
+		const entries = await fs.readdir(directory, { withFileTypes: true });
+		return entries
+			.filter((entry) => entry.isDirectory() && !SKIP_DIRECTORIES.has(entry.name))
+			.map((entry) => path.join(directory, entry.name));
+	} catch {
+		return [];
+	}
+}
+
+/**
+ * Checks whether a path exists.
+ *
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function pathExists(filePath) {
+	try {
+		await fs.access(filePath);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Checks whether a path is a directory.
+ *
+ * @param {string} directory
+ * @returns {Promise<boolean>}
+ */
+async function isDirectory(directory) {
+	try {
+		return (await fs.stat(directory)).isDirectory();
+	} catch {
+		return false;
+	}
+}
+
+module.exports = {
+	SHOW_SCRIPT_COMMANDS_COMMAND,
+	getAllowedCommands,
+	deriveScriptCommands,
+	buildScriptCommands,
+	findWorkspaceDirectories,
+	formatScriptCommands
+};
@@ -0,0 +1,500 @@
+const path = require('path');
+
+const MAX_FAILURES = 20;
+const MAX_MESSAGE_CHARS = 600;
+const MAX_STACK_LINES = 8;
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[A-Za-z]/g;
+const STACK_LINE_PATTERN = /^\s*(?:at\s|❯\s)/;
+const LOCATION_PATTERN = /((?:[A-Za-z]:)?[^\s()'"`:]*\.(?:[cm]?[jt]sx?|vue|svelte)):(\d+)(?::(\d+))?/;
+
+/**
+ * Parses test runner output into pass/fail counts and failure details.
+ *
+ * Supported formats, tried in order: JUnit XML, Jest, Vitest, Mocha and
+ * TAP (including node:test). Returns null when no format is recognized.
+ *
+ * @param {string} output - Raw combined stdout/stderr (ANSI colors allowed).
+ * @param {{cwd?:string}} [options] - `cwd` makes failure file paths workspace-relative.
+ * @returns {{framework:string,passed:number,failed:number,skipped:number,total:number,failures:Array<{name:string,file:string|null,line:number|null,message:string,stack:string}>}|null}
+ */
+function parseTestOutput(output, options = {}) {
+	const text = String(output || '').replace(ANSI_PATTERN, '').replace(/\r\n?/g, '\n');
+	const parsers = [parseJUnitXml, parseJest, parseVitest, parseMocha, parseTap];
+
+	for (const parser of parsers) {
+		const result = parser(text);
+		if (result) {
+			return finalizeResult(result, options.cwd);
+		}
+	}
+	return null;
+}
+
+/**
+ * Parses JUnit XML reports (`<testsuites>`/`<testsuite>` with `<testcase>` entries).
+ *
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseJUnitXml(text) {
+	if (!/<testsuites?[\s>]/.test(text)) {
+		return null;
+	}
+
+	const result = createResult('junit');
+	const casePattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+	let match;
+	while ((match = casePattern.exec(text)) !== null) {
+		const attributes = parseXmlAttributes(match[1]);
+		const body = match[2] || '';
+		const failure = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+
+		if (failure) {
+			const failureAttributes = parseXmlAttributes(failure[2]);
+			const details = decodeXmlEntities(stripCdata(failure[3] || ''));
+			result.failed += 1;
+			result.failures.push({
+				name: [attributes.classname, attributes.name].filter(Boolean).join(' › '),
+				file: attributes.file || null,
+				line: attributes.line ? Number(attributes.line) : null,
+				message: failureAttributes.message || firstLines(details, 3),
+				stack: details
+			});
+		} else if (/<skipped\b/.test(body)) {
+			result.skipped += 1;
+		} else {
+			result.passed += 1;
+		}
+	}
+
+	return result.passed + result.failed + result.skipped > 0 ? result : null;
+}
+
+/**
+ * Parses Jest output (`Tests: 1 failed, 3 passed, 4 total` and `●` failure blocks).
+ *
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseJest(text) {
+	const summary = /^Tests:\s+(.+)$/m.exec(text);
+	if (!summary) {
+		return null;
+	}
+
+	const result = createResult('jest');
+	applyCountList(result, summary[1].split(','));
+
+	const lines = text.split('\n');
+	for (let index = 0; index < lines.length; index += 1) {
+		const header = /^\s*● (.+)$/.exec(lines[index]);
+		if (!header || /^Console\b/.test(header[1])) {
+			continue;
+		}
+
+		const block = [];
+		for (index += 1; index < lines.length; index += 1) {
+			if (/^\s*● /.test(lines[index]) || /^(?:PASS|FAIL)\s/.test(lines[index]) || /^Test Suites:/.test(lines[index])) {
+				index -= 1;
+				break;
+			}
+			block.push(lines[index]);
+		}
+
+		const messageLines = block.filter((line) => !STACK_LINE_PATTERN.test(line) && !/^\s*>?\s*\d+\s*\|/.test(line) && !/^\s*\|/.test(line));
+		result.failures.push(buildFailure(header[1], messageLines, block.filter((line) => STACK_LINE_PATTERN.test(line))));
+	}
+
+	return result;
+}
+
+/**
+ * Parses Vitest output (`Tests  1 failed | 3 passed (4)` and `FAIL file > test` blocks).
+ *
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseVitest(text) {
+	const summary = /^\s*Tests\s{2,}(.+?)\s*\((\d+)\)\s*$/m.exec(text);
+	if (!summary) {
+		return null;
+	}
+
+	const result = createResult('vitest');
+	applyCountList(result, summary[1].split('|'));
+	result.total = Number(summary[2]);
+
+	const lines = text.split('\n');
+	for (let index = 0; index < lines.length; index += 1) {
+		const header = /^\s*FAIL\s+(.+?\s>\s.+)$/.exec(lines[index]);
+		if (!header) {
+			continue;
+		}
+
+		const block = [];
+		for (index += 1; index < lines.length; index += 1) {
+			if (/^\s*FAIL\s/.test(lines[index]) || /^\s*⎯{3,}/.test(lines[index]) || /^\s*Test Files\s/.test(lines[index])) {
+				index -= 1;
+				break;
+			}
+			block.push(lines[index]);
+		}
+
+		const messageLines = block.filter((line) => !STACK_LINE_PATTERN.test(line) && !/^\s*\d+\s*\|/.test(line) && !/^\s*\|/.test(line));
+		result.failures.push(buildFailure(header[1].trim(), messageLines, block.filter((line) => STACK_LINE_PATTERN.test(line))));
+	}
+
+	return result;
+}
+
+/**
+ * Parses Mocha spec-reporter output (`N passing`, `N failing` and numbered failures).
+ *
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseMocha(text) {
+	const passing = /^\s*(\d+) passing\b/m.exec(text);
+	const failing = /^\s*(\d+) failing\b/m.exec(text);
+	if (!passing && !failing) {
+		return null;
+	}
+
+	const result = createResult('mocha');
+	result.passed = passing ? Number(passing[1]) : 0;
+	result.failed = failing ? Number(failing[1]) : 0;
+	const pending = /^\s*(\d+) pending\b/m.exec(text);
+	result.skipped = pending ? Number(pending[1]) : 0;
+
+	if (!failing) {
+		return result;
+	}
+
+	const details = text.slice(failing.index + failing[0].length);
+	const blocks = details.split(/^\s*\d+\) /m).slice(1);
+	for (const block of blocks) {
+		const lines = block.split('\n');
+		const titleEnd = lines.findIndex((line) => /:\s*$/.test(line));
+		const titleLines = titleEnd === -1 ? lines.slice(0, 1) : lines.slice(0, titleEnd + 1);
+		const rest = titleEnd === -1 ? lines.slice(1) : lines.slice(titleEnd + 1);
+		const name = titleLines.map((line) => line.trim()).join(' › ').replace(/:\s*$/, '');
+
+		result.failures.push(buildFailure(
+			name,
+			rest.filter((line) => !STACK_LINE_PATTERN.test(line)),
+			rest.filter((line) => STACK_LINE_PATTERN.test(line))
+		));
+	}
+
+	return result;
+}
+
+/**
+ * Parses TAP output, including node:test YAML diagnostics and `# pass`/`# fail` totals.
+ *
+ * Failing parents whose only failure is a failing subtest are not reported twice.
+ *
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseTap(text) {
+	const lines = text.split('\n');
+	const testLinePattern = /^(\s*)(not )?ok \d+(?:\s+-)?\s*(.*?)(?:\s+#\s*(SKIP|TODO)\b.*)?$/i;
+	if (!lines.some((line) => testLinePattern.test(line))) {
+		return null;
+	}
+
+	const result = createResult('tap');
+	for (let index = 0; index < lines.length; index += 1) {
+		const match = testLinePattern.exec(lines[index]);
+		if (!match) {
+			continue;
+		}
+
+		const isTopLevel = match[1].length === 0;
+		const { diagnostics, endIndex } = readTapDiagnostics(lines, index + 1);
+		index = endIndex;
+
+		if (isTopLevel) {
+			if (match[4]) {
+				result.skipped += 1;
+			} else if (match[2]) {
+				result.failed += 1;
+			} else {
+				result.passed += 1;
+			}
+		}
+
+		if (!match[2] || match[4] || diagnostics.failureType === 'subtestsFailed') {
+			continue;
+		}
+
+		const location = LOCATION_PATTERN.exec(diagnostics.location || '');
+		result.failures.push({
+			name: match[3].trim(),
+			file: location ? location[1] : null,
+			line: location ? Number(location[2]) : null,
+			message: diagnostics.error || diagnostics.message || '',
+			stack: diagnostics.stack || ''
+		});
+	}
+
+	applyTapTotals(result, text);
+	return result;
+}
+
+/**
+ * Reads the indented YAML diagnostics block (`---` ... `...`) after a TAP test line.
+ *
+ * @param {string[]} lines
+ * @param {number} startIndex
+ * @returns {{diagnostics:object,endIndex:number}}
+ */
+function readTapDiagnostics(lines, startIndex) {
+	const diagnostics = {};
+	if (!/^\s*---\s*$/.test(lines[startIndex] || '')) {
+		return { diagnostics, endIndex: startIndex - 1 };
+	}
+
+	let index = startIndex + 1;
+	while (index < lines.length && !/^\s*\.\.\.\s*$/.test(lines[index])) {
+		const entry = /^(\s*)([A-Za-z_]+):\s*(.*)$/.exec(lines[index]);
+		if (!entry) {
+			index += 1;
+			continue;
+		}
+
+		const keyIndent = entry[1].length;
+		let value = entry[3];
+		if (/^[|>][-+]?$/.test(value)) {
+			const blockLines = [];
+			while (index + 1 < lines.length && (lines[index + 1].trim() === '' || indentOf(lines[index + 1]) > keyIndent)) {
+				index += 1;
+				blockLines.push(lines[index].trim());
+			}
+			value = blockLines.join('\n').trim();
+		} else {
+			value = value.replace(/^(['"])([\s\S]*)\1$/, '$2');
+		}
+
+		if (keyIndent === indentOf(lines[startIndex]) + 2 || !(entry[2] in diagnostics)) {
+			diagnostics[entry[2]] = value;
+		}
+		index += 1;
+	}
+
+	return { diagnostics, endIndex: index };
+}
+
+/**
+ * Uses node:test summary comments (`# pass 3`, `# fail 1`, ...) when present.
+ *
+ * @param {object} result
+ * @param {string} text
+ */
+function applyTapTotals(result, text) {
+	const readTotal = (label) => {
+		const match = new RegExp(`^#\\s*${label}\\s+(\\d+)\\s*$`, 'm').exec(text);
+		return match ? Number(match[1]) : null;
+	};
+
+	const passed = readTotal('pass');
+	const failed = readTotal('fail');
+	if (passed === null && failed === null) {
+		return;
+	}
+
+	result.passed = passed || 0;
+	result.failed = failed || 0;
+	result.skipped = (readTotal('skipped') || 0) + (readTotal('todo') || 0);
+	const total = readTotal('tests');
+	if (total !== null) {
+		result.total = total;
+	}
+}
+
+/**
+ * Applies `N failed`, `N passed`, ... fragments to a result.
+ *
+ * @param {object} result
+ * @param {string[]} parts
+ */
+function applyCountList(result, parts) {
+	for (const part of parts) {
+		const match = /(\d+)\s+(failed|passed|skipped|todo|pending|total)/.exec(part);
+		if (!match) {
+			continue;
+		}
+		const count = Number(match[1]);
+		if (match[2] === 'failed') {
+			result.failed = count;
+		} else if (match[2] === 'passed') {
+			result.passed = count;
+		} else if (match[2] === 'total') {
+			result.total = count;
+		} else {
+			result.skipped += count;
+		}
+	}
+}
+
+/**
+ * Builds one failure entry from message and stack lines.
+ *
+ * @param {string} name
+ * @param {string[]} messageLines
+ * @param {string[]} stackLines
+ * @returns {{name:string,file:string|null,line:number|null,message:string,stack:string}}
+ */
+function buildFailure(name, messageLines, stackLines) {
+	const stack = stackLines.map((line) => line.trim());
+	const frame = stack.find((line) => LOCATION_PATTERN.test(line) && !/node_modules|node:internal|\(node:/.test(line));
+	const location = frame ? LOCATION_PATTERN.exec(frame) : null;
+
+	return {
+		name: name.trim(),
+		file: location ? location[1] : null,
+		line: location ? Number(location[2]) : null,
+		message: messageLines.map((line) => line.trim()).filter(Boolean).join('\n'),
+		stack: stack.join('\n')
+	};
+}
+
+/**
+ * Creates an empty result for a framework.
+ *
+ * @param {string} framework
+ * @returns {object}
+ */
+function createResult(framework) {
+	return { framework, passed: 0, failed: 0, skipped: 0, total: 0, failures: [] };
+}
+
+/**
+ * Fills totals, relativizes paths and bounds failure details.
+ *
+ * @param {object} result
+ * @param {string} [cwd]
+ * @returns {object}
+ */
+function finalizeResult(result, cwd) {
+	if (!result.total) {
+		result.total = result.passed + result.failed + result.skipped;
+	}
+
+	result.failures = result.failures.slice(0, MAX_FAILURES).map((failure) => ({
+		name: failure.name,
+		file: failure.file ? toRelativePath(failure.file, cwd) : null,
+		line: Number.isFinite(failure.line) ? failure.line : null,
+		message: truncate(failure.message, MAX_MESSAGE_CHARS),
+		stack: failure.stack.split('\n').slice(0, MAX_STACK_LINES).join('\n')
+	}));
+	return result;
+}
+
+/**
+ * Makes an absolute path relative to cwd when it lies inside it.
+ *
+ * @param {string} filePath
+ * @param {string} [cwd]
+ * @returns {string}
+ */
+function toRelativePath(filePath, cwd) {
+	const value = filePath.replace(/^file:\/\//, '');
+	if (!cwd || !path.isAbsolute(value)) {
+		return value;
+	}
+	const relative = path.relative(cwd, value);
+	return relative.startsWith('..') || path.isAbsolute(relative) ? value : relative.split(path.sep).join('/');
+}
+
+/**
+ * Parses XML attributes into an object with decoded values.
+ *
+ * @param {string} source
+ * @returns {Object<string,string>}
+ */
+function parseXmlAttributes(source) {
+	const attributes = {};
+	const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+	let match;
+	while ((match = pattern.exec(source || '')) !== null) {
+		attributes[match[1]] = decodeXmlEntities(match[3] !== undefined ? match[3] : match[4]);
+	}
+	return attributes;
+}
+
+/**
+ * Decodes the predefined XML entities and numeric character references.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeXmlEntities(value) {
+	return String(value || '')
+		.replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(Number.parseInt(hex, 16)))
+		.replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(Number(decimal)))
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, '\'')
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * Unwraps CDATA sections.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function stripCdata(value) {
+	return value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+}
+
+/**
+ * Returns the first non-empty lines of a text.
+ *
+ * @param {string} value
+ * @param {number} count
+ * @returns {string}
+ */
+function firstLines(value, count) {
+	return value.split('\n').map((line) => line.trim()).filter(Boolean).slice(0, count).join('\n');
+}
+
+/**
+ * Counts leading whitespace.
+ *
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+	return /^\s*/.exec(line || '')[0].length;
+}
+
+/**
+ * Truncates text with an ellipsis marker.
+ *
+ * @param {string} value
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function truncate(value, maxChars) {
+	const text = String(value || '');
+	return text.length > maxChars ? `${text.slice(0, maxChars)}...` : text;
+}
+
+/**
+ * Formats a one-line summary of a parsed test run.
+ *
+ * @param {{framework:string,passed:number,failed:number,skipped:number,total:number}} result
+ * @returns {string}
+ */
+function formatTestSummary(result) {
+	return `Tests (${result.framework}): ${result.failed} failed, ${result.passed} passed, ${result.skipped} skipped, ${result.total} total`;
+}
+
+module.exports = {
+	parseTestOutput,
+	formatTestSummary
+};
@@ -0,0 +1,155 @@
+const vscode = require('vscode');
+
+const DEFAULT_EXCLUDES = ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/out/**'];
+const FILE_SCAN_LIMIT = 5000;
+const MAX_SEARCH_FILE_CHARS = 1000000;
+
+/**
+ * Builds the global regex shared by search_text and replace_in_files.
+ *
+ * Plain-text queries are escaped; whole-word matching requires a non-word
+ * character (or the text boundary) on both sides of the match. Regex queries
+ * are multiline, so `^` and `$` match at line breaks like workspace search.
+ *
+ * @param {{query:string,isRegex:boolean,isCaseSensitive:boolean,matchWord:boolean}} options
+ * @param {string} toolName - Used in error messages.
+ * @returns {RegExp}
+ */
+function createSearchRegExp(options, toolName) {
+	let source = options.isRegex ? options.query : escapeRegExp(options.query);
+	if (options.matchWord) {
+		source = `(?<![A-Za-z0-9_])(?:${source})(?![A-Za-z0-9_])`;
+	}
+
+	try {
+		return new RegExp(source, `g${options.isCaseSensitive ? '' : 'i'}${options.isRegex ? 'm' : ''}`);
+	} catch (error) {
+		throw new Error(`${toolName} invalid regex: ${error && error.message ? error.message : String(error)}`);
+	}
+}
+
+/**
+ * Finds the workspace files a search may read: the include glob minus the
+ * default excludes, the workspace's exclude settings and the caller's
+ * exclude glob.
+ *
+ * @param {{include:string,exclude:string}} options
+ * @param {{isCancellationRequested?:boolean}} [token]
+ * @returns {Promise<{uris:Array<object>,complete:boolean}>} `complete` is false when `FILE_SCAN_LIMIT` was reached.
+ */
+async function findSearchFiles(options, token) {
+	const uris = await vscode.workspace.findFiles(options.include, buildExcludeGlob(options.exclude, getWorkspaceExcludes()), FILE_SCAN_LIMIT, token);
+	return { uris, complete: uris.length < FILE_SCAN_LIMIT };
+}
+
+/**
+ * Checks whether file content should be searched: not binary and not too large.
+ *
+ * @param {string|null} content
+ * @returns {boolean}
+ */
+function isSearchableText(content) {
+	return typeof content === 'string' && content.length <= MAX_SEARCH_FILE_CHARS && !content.includes('\0');
+}
+
+/**
+ * Returns the globs enabled in the workspace's `files.exclude` and
+ * `search.exclude` settings.
+ *
+ * An exclude glob passed to `findFiles` replaces `files.exclude`, so these
+ * are added back explicitly. Conditional entries (`{ when: ... }`) are
+ * skipped.
+ *
+ * @returns {string[]}
+ */
+function getWorkspaceExcludes() {
+	const patterns = [];
+	for (const section of ['files', 'search']) {
+		const excludes = vscode.workspace.getConfiguration(section).get('exclude') || {};
+		for (const [pattern, enabled] of Object.entries(excludes)) {
+			if (enabled === true && !patterns.includes(pattern)) {
+				patterns.push(pattern);
+			}
+		}
+	}
+	return patterns;
+}
+
+/**
+ * Combines the default excludes, workspace excludes and the caller's exclude
+ * glob into one glob.
+ *
+ * VS Code globs do not support nested braces, so braces in each pattern are
+ * expanded into separate patterns first.
+ *
+ * @param {string} exclude
+ * @param {string[]} [workspaceExcludes]
+ * @returns {string}
+ */
+function buildExcludeGlob(exclude, workspaceExcludes = []) {
+	const patterns = [...DEFAULT_EXCLUDES];
+	for (const pattern of workspaceExcludes.concat(exclude ? [exclude] : []).flatMap(expandBraces)) {
+		if (!patterns.includes(pattern)) {
+			patterns.push(pattern);
+		}
+	}
+	return `{${patterns.join(',')}}`;
+}
+
+/**
+ * Expands `{a,b}` alternatives in a glob into separate patterns.
+ *
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+function expandBraces(pattern) {
+	const open = pattern.indexOf('{');
+	if (open < 0) {
+		return [pattern];
+	}
+
+	let depth = 0;
+	let partStart = open + 1;
+	const alternatives = [];
+	for (let index = open; index < pattern.length; index += 1) {
+		const char = pattern[index];
+		if (char === '{') {
+			depth += 1;
+		} else if (char === '}') {
+			depth -= 1;
+			if (depth === 0) {
+				alternatives.push(pattern.slice(partStart, index));
+				const prefix = pattern.slice(0, open);
+				const suffix = pattern.slice(index + 1);
+				return alternatives.flatMap((alternative) => expandBraces(`${prefix}${alternative}${suffix}`));
+			}
+		} else if (char === ',' && depth === 1) {
+			alternatives.push(pattern.slice(partStart, index));
+			partStart = index + 1;
+		}
+	}
+	// Unbalanced braces are passed through for VS Code to interpret.
+	return [pattern];
+}
+
+/**
+ * Escapes regex-significant characters in plain text.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+	return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+	DEFAULT_EXCLUDES,
+	FILE_SCAN_LIMIT,
+	createSearchRegExp,
+	findSearchFiles,
+	isSearchableText,
+	getWorkspaceExcludes,
+	buildExcludeGlob,
+	expandBraces,
+	escapeRegExp
+};
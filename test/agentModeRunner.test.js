@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+installFakeVscode();
+const { AgentModeRunner } = require('../src/agent/agentModeRunner');
+
+const SETTINGS = { maxIterations: 4, contextBudgetPercent: 80, toolCallingMode: 'auto' };
+
+/**
+ * Creates a runner whose model client and tool registry are replaced by the given fakes.
+ *
+ * @param {object} modelClient
+ * @param {object} [toolRegistry]
+ * @returns {AgentModeRunner}
+ */
+function createRunner(modelClient, toolRegistry = {}) {
+	const runner = new AgentModeRunner({
+		participantId: 'test.agent',
+		settings: SETTINGS,
+		profile: { buildSystemPrompt: () => 'system prompt' },
+		toolRegistry,
+		checkpointStore: null
+	});
+	runner.modelClient = modelClient;
+	return runner;
+}
+
+/**
+ * Creates the loop context of a request, with a chat stream that records its calls.
+ *
+ * @returns {{loopContext:object,events:Array<Array<string>>}}
+ */
+function createLoopContext() {
+	const events = [];
+	const stream = {
+		markdown: (text) => events.push(['markdown', text]),
+		warning: (text) => events.push(['warning', text]),
+		progress: () => { }
+	};
+	return {
+		events,
+		loopContext: {
+			request: { prompt: 'where is parseConfig defined?' },
+			chatContext: { history: [] },
+			stream,
+			token: { isCancellationRequested: false },
+			selectedModel: {},
+			toolDefinitions: [],
+			metadata: {}
+		}
+	};
+}
+
+test('a streamed final answer that refuses to search is retried with tool guidance', async () => {
+	const responses = [
+		'{"type":"final","content":"Workspace search is unavailable, so I cannot look."}',
+		'{"type":"final","content":"It is defined in src/config.js."}'
+	];
+	const runner = createRunner({
+		complete: async (messages, token, model, onChunk) => {
+			const text = responses.shift();
+			onChunk(text);
+			return { text };
+		}
+	});
+	const { loopContext, events } = createLoopContext();
+
+	await runner.runJsonProtocolLoop(loopContext);
+
+	assert.deepEqual(events, [
+		['markdown', 'Workspace search is unavailable, so I cannot look.'],
+		['warning', 'Search capability is available in this participant. Retrying with tool guidance.'],
+		['markdown', 'It is defined in src/config.js.']
+	]);
+});
+
+test('native tool calling falls back to the JSON protocol only when nothing was streamed', async () => {
+	const failBeforeText = createRunner({
+		completeWithTools: async () => {
+			throw new Error('tools are not supported');
+		}
+	});
+	assert.equal(await failBeforeText.runNativeToolLoop(createLoopContext().loopContext), null);
+
+	const failAfterText = createRunner({
+		completeWithTools: async (messages, tools, token, model, onText) => {
+			onText('Looking at the');
+			throw new Error('connection reset');
+		}
+	});
+	const { loopContext, events } = createLoopContext();
+	await assert.rejects(failAfterText.runNativeToolLoop(loopContext), /connection reset/);
+	assert.deepEqual(events, [['markdown', 'Looking at the']]);
+});
+
+test('runToolBatch runs consecutive read-only tools together and mutating tools alone, in call order', async () => {
+	const log = [];
+	const toolRegistry = {
+		isReadOnly: (name) => name.startsWith('read'),
+		execute: async (name, input) => {
+			log.push(`start ${input.id}`);
+			await new Promise((resolve) => setTimeout(resolve, input.delayMs || 0));
+			log.push(`end ${input.id}`);
+			return { ok: true, output: input.id };
+		}
+	};
+	const runner = createRunner({}, toolRegistry);
+	const calls = [
+		{ tool: 'read_file', input: { id: 'r1', delayMs: 20 } },
+		{ tool: 'read_file', input: { id: 'r2' } },
+		{ tool: 'edit_file', input: { id: 'w1' } },
+		{ tool: 'read_file', input: { id: 'r3' } },
+		...Array.from({ length: 6 }, (unused, index) => ({ tool: 'edit_file', input: { id: `w${index + 2}` } }))
+	];
+
+	const results = await runner.runToolBatch(calls, () => false, createLoopContext().loopContext);
+
+	assert.deepEqual(log.slice(0, 6), ['start r1', 'start r2', 'end r2', 'end r1', 'start w1', 'end w1']);
+	assert.deepEqual(results.slice(0, 8).map((result) => result.output), ['r1', 'r2', 'w1', 'r3', 'w2', 'w3', 'w4', 'w5']);
+	assert.deepEqual(results.slice(8).map((result) => result.ok), [false, false]);
+	assert.match(results[8].error, /^Skipped: at most 8 tool calls run per turn/);
+});
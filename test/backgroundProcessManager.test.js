@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BackgroundProcessManager } = require('../src/utils/backgroundProcessManager');
+
+// Prints a readiness line, then one more line, then idles until stopped.
+const SERVER_SCRIPT = 'console.log("ready on 3000"); setTimeout(() => console.log("request"), 100); setInterval(() => {}, 1000);';
+
+/**
+ * Starts the test server script as a background process.
+ *
+ * @param {BackgroundProcessManager} manager
+ * @param {string} sessionId
+ * @param {string} name
+ * @returns {object} Process entry.
+ */
+function startServer(manager, sessionId, name) {
+	return manager.start(sessionId, name, {
+		command: 'node server.js',
+		file: process.execPath,
+		args: ['-e', SERVER_SCRIPT],
+		shell: false,
+		cwd: __dirname
+	});
+}
+
+test('processes are scoped to the chat session that started them', (t) => {
+	const manager = new BackgroundProcessManager();
+	t.after(() => manager.dispose());
+	startServer(manager, 'session-1', 'server');
+
+	assert.throws(() => manager.get('session-2', 'server'), /No background process named "server". Known: \(none\)/);
+	assert.throws(() => startServer(manager, 'session-1', 'server'), /already running/);
+	startServer(manager, 'session-2', 'server');
+	assert.equal(manager.getAllEntries().length, 2);
+});
+
+test('read returns new output and peek leaves the cursor in place', async (t) => {
+	const manager = new BackgroundProcessManager();
+	t.after(() => manager.dispose());
+	startServer(manager, 'session-1', 'server');
+
+	const ready = await manager.waitFor('session-1', 'server', /request/, { timeoutMs: 5000 });
+	assert.equal(ready.matched, true);
+
+	assert.equal(manager.read('session-1', 'server', { peek: true, maxChars: 1000 }).output, 'ready on 3000\nrequest\n');
+	assert.equal(manager.read('session-1', 'server', { maxChars: 1000 }).output, 'ready on 3000\nrequest\n');
+	assert.equal(manager.read('session-1', 'server', { maxChars: 1000 }).output, '');
+	assert.deepEqual(manager.read('session-1', 'server', { all: true, maxChars: 8 }), { output: 'request\n', truncated: true });
+});
+
+test('stop ends the process and waitFor reports the exit', async (t) => {
+	const manager = new BackgroundProcessManager();
+	t.after(() => manager.dispose());
+	startServer(manager, 'session-1', 'server');
+
+	const entry = await manager.stop('session-1', 'server');
+	assert.equal(entry.running, false);
+	const result = await manager.waitFor('session-1', 'server', /never printed/, { timeoutMs: 5000 });
+	assert.equal(result.matched, false);
+	assert.doesNotMatch(result.reason, /no match within/);
+});
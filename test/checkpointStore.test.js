@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { CheckpointStore, formatRestoreReport } = require('../src/edits/checkpointStore');
+
+let workspaceRoot;
+
+test.beforeEach(async () => {
+	workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-store-'));
+	vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(workspaceRoot) }];
+	await fs.writeFile(path.join(workspaceRoot, 'a.txt'), 'original');
+});
+
+test.afterEach(async () => {
+	vscode.workspace.workspaceFolders = undefined;
+	await fs.rm(workspaceRoot, { recursive: true, force: true });
+});
+
+/**
+ * Simulates an agent turn that edits a.txt, creates new/deep/b.txt and an empty folder.
+ *
+ * @param {CheckpointStore} store
+ * @returns {Promise<object>} The sealed checkpoint.
+ */
+async function runTurn(store) {
+	const checkpoint = store.createCheckpoint();
+	const filePath = path.join(workspaceRoot, 'a.txt');
+	const newFilePath = path.join(workspaceRoot, 'new', 'deep', 'b.txt');
+	const emptyDirPath = path.join(workspaceRoot, 'empty');
+
+	await checkpoint.snapshot(filePath);
+	await fs.writeFile(filePath, 'agent edit');
+	await checkpoint.snapshot(newFilePath);
+	await fs.mkdir(path.dirname(newFilePath), { recursive: true });
+	await fs.writeFile(newFilePath, 'b');
+	await checkpoint.snapshotDirectory(emptyDirPath);
+	await fs.mkdir(emptyDirPath);
+	await checkpoint.seal();
+	return checkpoint;
+}
+
+test('restore reverts files and removes folders the turn created', async () => {
+	const store = new CheckpointStore();
+	const checkpoint = await runTurn(store);
+
+	assert.deepEqual(checkpoint.toMetadata().directories.sort(), ['empty', 'new', 'new/deep']);
+	const report = await store.restore(checkpoint.id);
+
+	assert.deepEqual(report.restored, ['a.txt']);
+	assert.deepEqual(report.deleted, ['new/deep/b.txt']);
+	assert.deepEqual(report.removedDirectories.sort(), ['empty', 'new', 'new/deep']);
+	assert.equal(await fs.readFile(path.join(workspaceRoot, 'a.txt'), 'utf8'), 'original');
+	assert.deepEqual(await fs.readdir(workspaceRoot), ['a.txt']);
+});
+
+test('restore refuses to overwrite later changes unless forced', async () => {
+	const store = new CheckpointStore();
+	const checkpoint = await runTurn(store);
+	await fs.writeFile(path.join(workspaceRoot, 'a.txt'), 'user edit');
+
+	const refused = await store.restore(checkpoint.id);
+	assert.deepEqual(refused.conflicts, ['a.txt']);
+	assert.deepEqual(refused.restored, []);
+	assert.equal(await fs.readFile(path.join(workspaceRoot, 'a.txt'), 'utf8'), 'user edit');
+
+	const forced = await store.restore(checkpoint.id, { force: true });
+	assert.deepEqual(forced.restored, ['a.txt']);
+	assert.equal(await fs.readFile(path.join(workspaceRoot, 'a.txt'), 'utf8'), 'original');
+});
+
+test('restore keeps created folders that now hold other files', async () => {
+	const store = new CheckpointStore();
+	const checkpoint = await runTurn(store);
+	await fs.writeFile(path.join(workspaceRoot, 'new', 'user.txt'), 'mine');
+
+	const report = await store.restore(checkpoint.id);
+
+	assert.deepEqual(report.keptDirectories, ['new']);
+	assert.match(formatRestoreReport(report), /Kept folder `new` \(created by the agent, but it now holds other files\)/);
+	assert.equal(await fs.readFile(path.join(workspaceRoot, 'new', 'user.txt'), 'utf8'), 'mine');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommandLine, validateCommand, isCommandAllowlisted } = require('../src/utils/commandPolicy');
+
+const ALLOWED_COMMANDS = ['npm test **', 'npm run lint', 'node /^[a-z]+\\.js$/', 'echo *'];
+
+test('parseCommandLine tokenizes quotes, escapes and operators like a shell', () => {
+	assert.deepEqual(parseCommandLine('a "b c" d\\ e | f; g && h || i'), {
+		segments: [['a', 'b c', 'd e'], ['f'], ['g'], ['h'], ['i']],
+		operators: ['|', ';', '&&', '||']
+	});
+	assert.deepEqual(parseCommandLine('echo \'a"b\' "x\\"y"').segments, [['echo', 'a"b', 'x"y']]);
+	assert.throws(() => parseCommandLine('echo "abc'), /unterminated double quote/);
+});
+
+test('isCommandAllowlisted matches literal words, *, /regex/ and trailing **', () => {
+	assert.equal(isCommandAllowlisted(['npm', 'test', '--', '--grep', 'a b'], ALLOWED_COMMANDS), true);
+	assert.equal(isCommandAllowlisted(['npm', 'run', 'lint'], ALLOWED_COMMANDS), true);
+	assert.equal(isCommandAllowlisted(['npm', 'run', 'lint', '--fix'], ALLOWED_COMMANDS), false);
+	assert.equal(isCommandAllowlisted(['node', 'a.js'], ALLOWED_COMMANDS), true);
+	assert.equal(isCommandAllowlisted(['node', '../a.js'], ALLOWED_COMMANDS), false);
+	assert.equal(isCommandAllowlisted(['echo', 'hi there'], ALLOWED_COMMANDS), true);
+	assert.equal(isCommandAllowlisted(['echo', 'a', 'b'], ALLOWED_COMMANDS), false);
+});
+
+test('validateCommand rejects shell operators unless they are enabled', () => {
+	const settings = { allowedCommands: ALLOWED_COMMANDS, allowShellOperators: false };
+
+	assert.deepEqual(validateCommand('npm test -- --grep "a b"', settings), { argv: ['npm', 'test', '--', '--grep', 'a b'], useShell: false });
+	assert.throws(() => validateCommand('npm test && npm run lint', settings), /not allowed: `&&`/);
+	assert.throws(() => validateCommand('npm run lint --fix', settings), /not allowlisted/);
+});
+
+test('validateCommand with shell operators checks every chained command', () => {
+	const settings = { allowedCommands: ALLOWED_COMMANDS, allowShellOperators: true };
+
+	assert.deepEqual(validateCommand('npm test && npm run lint', settings), { argv: ['npm', 'test'], useShell: true });
+	assert.throws(() => validateCommand('npm test && rm -rf /', settings), /not allowlisted: rm -rf \//);
+});
+
+test('validateCommand never allows command substitution or subshells', () => {
+	const settings = { allowedCommands: ALLOWED_COMMANDS, allowShellOperators: true };
+
+	assert.throws(() => validateCommand('echo $(whoami)', settings), /never allowed/);
+	assert.throws(() => validateCommand('echo `id`', settings), /never allowed/);
+	assert.throws(() => validateCommand('(npm test)', settings), /never allowed/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { ContextBudget } = require('../src/agent/contextBudget');
+
+const LONG_TEXT = 'x'.repeat(1600);
+
+/**
+ * Returns the text of a message, including text inside tool results.
+ *
+ * @param {any} message
+ * @returns {string}
+ */
+function textOf(message) {
+	return message.content.map((part) => (part.content ? part.content.map((inner) => inner.value).join('') : part.value)).join('');
+}
+
+test('fit leaves messages alone when the model window is unknown or not exceeded', async () => {
+	const messages = [vscode.LanguageModelChatMessage.User(LONG_TEXT)];
+
+	assert.equal(await new ContextBudget({ model: {}, settings: { contextBudgetPercent: 50 } }).fit(messages), null);
+	assert.equal(await new ContextBudget({ model: { maxInputTokens: 10000 }, settings: { contextBudgetPercent: 50 } }).fit(messages), null);
+});
+
+test('fit shrinks observations, drops old history and keeps pinned messages', async () => {
+	const budget = new ContextBudget({ model: { maxInputTokens: 1000 }, settings: { contextBudgetPercent: 50 } });
+	const toolResult = new vscode.LanguageModelToolResultPart('call-1', [new vscode.LanguageModelTextPart(`obs1 ${LONG_TEXT}`)]);
+	const messages = [
+		budget.track(vscode.LanguageModelChatMessage.User('system'), 'pinned'),
+		budget.track(vscode.LanguageModelChatMessage.User(`h1 ${LONG_TEXT}`), 'history'),
+		budget.track(vscode.LanguageModelChatMessage.Assistant(`h2 ${LONG_TEXT}`), 'history'),
+		budget.track(vscode.LanguageModelChatMessage.User('task'), 'pinned'),
+		budget.track(vscode.LanguageModelChatMessage.User([toolResult]), 'observation'),
+		budget.track(vscode.LanguageModelChatMessage.User(`obs2 ${LONG_TEXT}`), 'observation')
+	];
+
+	const report = await budget.fit(messages);
+
+	assert.equal(report.limit, 500);
+	assert.equal(report.dropped, 2);
+	assert.ok(report.after <= report.limit);
+	assert.deepEqual([textOf(messages[0]), textOf(messages[2])], ['system', 'task']);
+	assert.match(textOf(messages[1]), /^\[2 earlier conversation message\(s\) omitted/);
+	assert.equal(messages[3].content[0].callId, 'call-1');
+	assert.match(textOf(messages[3]), /chars omitted to fit the model context window/);
+	assert.ok(textOf(messages[4]).length < LONG_TEXT.length);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { EditApprovalService, RESOLVE_EDIT_APPROVAL_COMMAND, SHOW_PROPOSED_EDIT_COMMAND } = require('../src/edits/editApprovals');
+
+/**
+ * Creates a chat stream that records the buttons it receives.
+ *
+ * @returns {{buttons:Array<object>,markdown:function,button:function,progress:function}}
+ */
+function createStream() {
+	const buttons = [];
+	return {
+		buttons,
+		markdown() {},
+		button: (button) => buttons.push(button),
+		progress() {}
+	};
+}
+
+test('stage serves original and proposed content for diff URIs', () => {
+	const approvals = new EditApprovalService();
+	const proposal = approvals.stage({ filePath: '/ws/a.js', displayPath: 'a.js', originalContent: null, proposedContent: 'new\n' });
+
+	assert.equal(proposal.isDeletion, false);
+	assert.equal(approvals.provideTextDocumentContent({ query: `${proposal.id}&original` }), '');
+	assert.equal(approvals.provideTextDocumentContent({ query: `${proposal.id}&proposed` }), 'new\n');
+	assert.equal(approvals.provideTextDocumentContent({ query: 'unknown&proposed' }), '');
+});
+
+test('requestApproval opens the diff, posts Apply/Reject buttons and waits for the decision', async () => {
+	const approvals = new EditApprovalService();
+	const stream = createStream();
+	const proposal = approvals.stage({ filePath: '/ws/a.js', displayPath: 'a.js', originalContent: 'old\n', proposedContent: 'new\n' });
+	vscode.calls.length = 0;
+
+	const decision = approvals.requestApproval(proposal, stream);
+	await new Promise((resolve) => setImmediate(resolve));
+
+	assert.deepEqual(stream.buttons.map((button) => [button.command, button.title, button.arguments]), [
+		[RESOLVE_EDIT_APPROVAL_COMMAND, 'Apply', [proposal.id, true]],
+		[RESOLVE_EDIT_APPROVAL_COMMAND, 'Reject', [proposal.id, false]],
+		[SHOW_PROPOSED_EDIT_COMMAND, 'Show diff', [proposal.id]]
+	]);
+	assert.equal(vscode.calls[0].args[0], 'vscode.diff');
+	assert.equal(vscode.calls[0].args[3], 'a.js (proposed)');
+
+	assert.equal(approvals.resolve(proposal.id, true), true);
+	assert.equal(await decision, true);
+	assert.equal(approvals.resolve(proposal.id, true), false);
+	assert.equal(approvals.provideTextDocumentContent({ query: `${proposal.id}&proposed` }), '');
+});
+
+test('requestApproval treats a cancelled request as a rejection', async () => {
+	const approvals = new EditApprovalService();
+	let cancel;
+	const token = {
+		onCancellationRequested: (listener) => {
+			cancel = listener;
+			return { dispose() {} };
+		}
+	};
+	const proposal = approvals.stage({ filePath: '/ws/a.js', displayPath: 'a.js', originalContent: 'old\n', proposedContent: null });
+
+	const decision = approvals.requestApproval(proposal, createStream(), token);
+	cancel();
+
+	assert.equal(await decision, false);
+});
+
+test('dispose rejects pending decisions', async () => {
+	const approvals = new EditApprovalService();
+	const proposal = approvals.stage({ filePath: '/ws/a.js', displayPath: 'a.js', originalContent: 'old\n', proposedContent: 'new\n' });
+
+	const decision = approvals.requestApproval(proposal, createStream());
+	approvals.dispose();
+
+	assert.equal(await decision, false);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { createEditFileTool } = require('../src/tools/editFileTool');
+const { applyFileChanges } = require('../src/edits/fileChanges');
+
+const CONTEXT = { settings: { editApprovalMode: 'auto', editWriteMode: 'fs', staleEditHandling: 'off' } };
+
+let workspaceRoot;
+
+/**
+ * Reads a workspace file, or null when it does not exist.
+ *
+ * @param {string} name
+ * @returns {Promise<string|null>}
+ */
+async function readWorkspaceFile(name) {
+	return fs.readFile(path.join(workspaceRoot, name), 'utf8').catch(() => null);
+}
+
+test.beforeEach(async () => {
+	workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'edit-file-'));
+	vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(workspaceRoot) }];
+	vscode.window.visibleTextEditors = [];
+	await fs.writeFile(path.join(workspaceRoot, 'a.txt'), 'alpha\n');
+	await fs.writeFile(path.join(workspaceRoot, 'b.txt'), 'beta\n');
+});
+
+test.afterEach(async () => {
+	vscode.workspace.workspaceFolders = undefined;
+	delete vscode.window.visibleTextEditors;
+	await fs.rm(workspaceRoot, { recursive: true, force: true });
+});
+
+test('edit_file writes a multi-file batch only when every edit matches', async () => {
+	const tool = createEditFileTool({ maxWriteChars: 10000 });
+
+	await assert.rejects(tool.execute({
+		files: [
+			{ path: 'a.txt', edits: [{ oldString: 'alpha', newString: 'ALPHA' }] },
+			{ path: 'b.txt', edits: [{ oldString: 'gamma', newString: 'GAMMA' }] }
+		]
+	}, CONTEXT), /edit_file made no changes; 1 edit\(s\) could not be applied/);
+	assert.deepEqual([await readWorkspaceFile('a.txt'), await readWorkspaceFile('b.txt')], ['alpha\n', 'beta\n']);
+
+	const result = await tool.execute({
+		files: [
+			{ path: 'a.txt', edits: [{ oldString: 'alpha', newString: 'ALPHA' }] },
+			{ path: 'b.txt', edits: [{ oldString: 'beta', newString: 'BETA' }] }
+		]
+	}, CONTEXT);
+	assert.match(result.output, /^Edited 2 file\(s\) \(2 replacements\)/);
+	assert.deepEqual([await readWorkspaceFile('a.txt'), await readWorkspaceFile('b.txt')], ['ALPHA\n', 'BETA\n']);
+});
+
+test('a write failure restores the files the batch already wrote', async () => {
+	const change = (name, originalContent, newContent) => ({ filePath: path.join(workspaceRoot, name), displayPath: name, originalContent, newContent });
+
+	// a.txt is a file, so a.txt/c.txt cannot be written.
+	await assert.rejects(applyFileChanges([
+		change('b.txt', 'beta\n', 'BETA\n'),
+		change('new.txt', null, 'created\n'),
+		change('a.txt/c.txt', null, 'blocked\n')
+	], CONTEXT), /^Error: Failed to write a.txt\/c.txt: .* 2 file\(s\) already written in this batch were restored\.$/);
+
+	assert.equal(await readWorkspaceFile('b.txt'), 'beta\n');
+	assert.equal(await readWorkspaceFile('new.txt'), null);
+	assert.equal(await readWorkspaceFile('a.txt'), 'alpha\n');
+});
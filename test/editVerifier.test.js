@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { EditVerifier } = require('../src/agent/editVerifier');
+const { collectDiagnostics } = require('../src/utils/diagnostics');
+
+// Ends the diagnostics wait right away instead of waiting for the quiet period.
+const SETTLED_TOKEN = {
+	isCancellationRequested: false,
+	onCancellationRequested: (listener) => {
+		setImmediate(listener);
+		return { dispose: () => { } };
+	}
+};
+
+let workspaceRoot;
+let diagnostics;
+
+/**
+ * Creates a Problems panel entry.
+ *
+ * @param {number} line - 0-based line.
+ * @param {number} severity - 0 error, 1 warning, 2 info, 3 hint.
+ * @param {string} message
+ * @param {any} [code]
+ * @returns {object}
+ */
+function diagnostic(line, severity, message, code) {
+	return { range: { start: { line, character: 4 } }, severity, message, source: 'ts', code };
+}
+
+test.beforeEach(async () => {
+	workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'edit-verifier-'));
+	await fs.writeFile(path.join(workspaceRoot, 'a.ts'), '');
+	await fs.writeFile(path.join(workspaceRoot, 'b.ts'), '');
+	diagnostics = [];
+	vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(workspaceRoot) }];
+	vscode.workspace.openTextDocument = async () => ({});
+	vscode.languages = {
+		getDiagnostics: () => diagnostics,
+		onDidChangeDiagnostics: () => ({ dispose: () => { } })
+	};
+});
+
+test.afterEach(async () => {
+	vscode.workspace.workspaceFolders = undefined;
+	delete vscode.workspace.openTextDocument;
+	delete vscode.workspace.textDocuments;
+	delete vscode.languages;
+	await fs.rm(workspaceRoot, { recursive: true, force: true });
+});
+
+test('collectDiagnostics filters by severity and sorts the most severe first', () => {
+	const uri = vscode.Uri.file(path.join(workspaceRoot, 'a.ts'));
+	diagnostics = [[uri, [diagnostic(5, 1, 'unused'), diagnostic(2, 0, 'missing name', { value: 2304 }), diagnostic(0, 3, 'hint')]]];
+
+	assert.deepEqual(collectDiagnostics({ minSeverity: 'warning' }).map((entry) => [entry.file, entry.line, entry.severity, entry.code]), [
+		['a.ts', 3, 'error', '2304'],
+		['a.ts', 6, 'warning', '']
+	]);
+});
+
+test('EditVerifier reports only errors the turn introduced and flags files that were not open', async () => {
+	const aUri = vscode.Uri.file(path.join(workspaceRoot, 'a.ts'));
+	const bUri = vscode.Uri.file(path.join(workspaceRoot, 'b.ts'));
+	vscode.workspace.textDocuments = [{ uri: aUri }];
+	diagnostics = [[aUri, [diagnostic(0, 0, 'already broken')]]];
+	const verifier = new EditVerifier();
+
+	// The old error moved down a line; one new error each in a.ts and b.ts.
+	diagnostics = [
+		[aUri, [diagnostic(1, 0, 'already broken'), diagnostic(4, 0, 'missing name', 2304)]],
+		[bUri, [diagnostic(0, 0, 'bad import'), diagnostic(1, 1, 'just a warning')]]
+	];
+	const checkpoint = { revision: 1, getFilePaths: () => [aUri.fsPath, bUri.fsPath, path.join(workspaceRoot, 'deleted.ts')] };
+	assert.equal(verifier.hasUnverifiedEdits(checkpoint), true);
+
+	const report = await verifier.verify(checkpoint, SETTLED_TOKEN);
+
+	assert.equal(verifier.hasUnverifiedEdits(checkpoint), false);
+	assert.deepEqual({ newErrors: report.newErrors, files: report.files }, { newErrors: 2, files: 2 });
+	assert.deepEqual(report.message.split('\n').slice(1), [
+		'a.ts:5:5 error: missing name (ts 2304)',
+		'b.ts:1:5 error: bad import (ts) [file was not open before; may be pre-existing]'
+	]);
+});
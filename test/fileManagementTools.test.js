@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { createFileManagementTools } = require('../src/tools/fileManagementTools');
+
+const CONTEXT = { settings: { editApprovalMode: 'auto', editWriteMode: 'fs', staleEditHandling: 'off' } };
+const [deleteFileTool, , createDirectoryTool] = createFileManagementTools();
+
+let workspaceRoot;
+
+test.beforeEach(async () => {
+	workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'file-management-'));
+	vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(workspaceRoot) }];
+	await fs.mkdir(path.join(workspaceRoot, 'old', 'nested'), { recursive: true });
+	await fs.writeFile(path.join(workspaceRoot, 'old', 'a.txt'), 'a');
+	await fs.writeFile(path.join(workspaceRoot, 'old', 'nested', 'b.txt'), 'b');
+});
+
+test.afterEach(async () => {
+	vscode.workspace.workspaceFolders = undefined;
+	await fs.rm(workspaceRoot, { recursive: true, force: true });
+});
+
+test('delete_file removes a directory only with recursive and reports every file', async () => {
+	await assert.rejects(deleteFileTool.execute({ path: 'old' }, CONTEXT), /old is a directory\. Pass "recursive": true/);
+
+	const result = await deleteFileTool.execute({ path: 'old', recursive: true }, CONTEXT);
+	assert.equal(result.output, 'Deleted directory: old/ (2 file(s))');
+	assert.deepEqual(result.metadata.paths, ['old/a.txt', 'old/nested/b.txt']);
+	assert.deepEqual(await fs.readdir(workspaceRoot), []);
+});
+
+test('file management tools refuse the workspace root and .git', async () => {
+	await assert.rejects(deleteFileTool.execute({ path: '.', recursive: true }, CONTEXT), /delete_file cannot operate on the workspace root/);
+	await assert.rejects(createDirectoryTool.execute({ path: '.git/hooks' }, CONTEXT), /create_directory cannot change \.git\/hooks/);
+});
+
+test('create_directory creates missing parents and accepts existing directories', async () => {
+	assert.equal((await createDirectoryTool.execute({ path: 'new/deep' }, CONTEXT)).output, 'Created directory: new/deep/');
+	assert.equal((await createDirectoryTool.execute({ path: 'old' }, CONTEXT)).output, 'Directory already exists: old/');
+	await assert.rejects(createDirectoryTool.execute({ path: 'old/a.txt' }, CONTEXT), /old\/a\.txt already exists and is a file/);
+	assert.equal((await fs.stat(path.join(workspaceRoot, 'new', 'deep'))).isDirectory(), true);
+});
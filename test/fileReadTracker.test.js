@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { FileReadTracker, formatStaleConflict } = require('../src/edits/fileReadTracker');
+
+let tempDir;
+
+test.before(async () => {
+	tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-read-tracker-'));
+});
+
+test.after(async () => {
+	await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('check ignores files the agent never read', async () => {
+	const tracker = new FileReadTracker();
+
+	assert.equal(await tracker.check(path.join(tempDir, 'unread.txt'), 'anything'), null);
+});
+
+test('check accepts unchanged content and describes changed content', async () => {
+	const tracker = new FileReadTracker();
+	const filePath = path.join(tempDir, 'a.txt');
+	tracker.recordRead(filePath, 'one\ntwo\nthree\n');
+
+	assert.equal(await tracker.check(filePath, 'one\ntwo\nthree\n'), null);
+	const conflict = await tracker.check(filePath, 'one\nTWO\nthree\nfour\n');
+	assert.equal(conflict.summary, '+2/-1 lines in 2 region(s), near line 2, 4');
+	assert.match(formatStaleConflict('a.txt', conflict), /^a\.txt changed since the agent last read it at .+ \(\+2\/-1 lines/);
+});
+
+test('check reports a deleted file', async () => {
+	const tracker = new FileReadTracker();
+	const filePath = path.join(tempDir, 'deleted.txt');
+	tracker.recordRead(filePath, 'x\n');
+
+	assert.equal((await tracker.check(filePath, null)).summary, 'the file was deleted');
+});
+
+test('recordWrite records the content now on disk', async () => {
+	const tracker = new FileReadTracker();
+	const filePath = path.join(tempDir, 'written.txt');
+	tracker.recordRead(filePath, 'before\n');
+	await fs.writeFile(filePath, 'after\n', 'utf8');
+	await tracker.recordWrite(filePath);
+
+	assert.equal(await tracker.check(filePath, 'after\n'), null);
+	assert.notEqual(await tracker.check(filePath, 'before\n'), null);
+});
+
+test('recordMove keeps records for renamed files and directories', async () => {
+	const tracker = new FileReadTracker();
+	const oldDir = path.join(tempDir, 'old');
+	const newDir = path.join(tempDir, 'new');
+	tracker.recordRead(path.join(oldDir, 'b.txt'), 'b\n');
+	tracker.recordMove(oldDir, newDir);
+
+	assert.equal(await tracker.check(path.join(oldDir, 'b.txt'), 'changed\n'), null);
+	assert.notEqual(await tracker.check(path.join(newDir, 'b.txt'), 'changed\n'), null);
+});
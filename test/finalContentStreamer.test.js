@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinalContentStreamer } = require('../src/agent/finalContentStreamer');
+
+/**
+ * Feeds text to a new streamer in fixed-size chunks.
+ *
+ * @param {string} text
+ * @param {number} chunkSize
+ * @returns {{emitted:string,streamed:boolean}}
+ */
+function streamInChunks(text, chunkSize) {
+	const streamer = new FinalContentStreamer();
+	let emitted = '';
+	for (let index = 0; index < text.length; index += chunkSize) {
+		emitted += streamer.push(text.slice(index, index + chunkSize));
+	}
+	return { emitted, streamed: streamer.hasStreamedContent() };
+}
+
+test('streams decoded final content across chunk boundaries, including a json fence', () => {
+	const text = '```json\n{"type":"final","content":"Hi \\"there\\"\\n\\u00e9\\ud83d\\ude00 done"}\n```';
+
+	for (const chunkSize of [1, 3, 7]) {
+		assert.deepEqual(streamInChunks(text, chunkSize), { emitted: 'Hi "there"\né😀 done', streamed: true });
+	}
+});
+
+test('skips nested values that come before the final content', () => {
+	assert.equal(streamInChunks('{"meta":{"a":"}"},"type":"final","content":"ok"}', 1).emitted, 'ok');
+});
+
+test('leaves tool actions, content before type and leading prose to the buffered parser', () => {
+	for (const text of [
+		'{"type":"tool","tool":"read_file","input":{}}',
+		'{"content":"x","type":"final"}',
+		'Sure! {"type":"final","content":"x"}'
+	]) {
+		assert.deepEqual(streamInChunks(text, 2), { emitted: '', streamed: false });
+	}
+});
@@ -0,0 +1,140 @@
+const Module = require('module');
+
+const FAKE_MODULE_ID = 'fake-vscode';
+
+const LanguageModelChatMessageRole = { User: 1, Assistant: 2 };
+
+class LanguageModelTextPart {
+	constructor(value) {
+		this.value = value;
+	}
+}
+
+class LanguageModelToolCallPart {
+	constructor(callId, name, input) {
+		this.callId = callId;
+		this.name = name;
+		this.input = input;
+	}
+}
+
+class LanguageModelToolResultPart {
+	constructor(callId, content) {
+		this.callId = callId;
+		this.content = content;
+	}
+}
+
+class LanguageModelChatMessage {
+	constructor(role, content, name) {
+		this.role = role;
+		this.content = typeof content === 'string' ? [new LanguageModelTextPart(content)] : content;
+		this.name = name;
+	}
+
+	static User(content, name) {
+		return new LanguageModelChatMessage(LanguageModelChatMessageRole.User, content, name);
+	}
+
+	static Assistant(content, name) {
+		return new LanguageModelChatMessage(LanguageModelChatMessageRole.Assistant, content, name);
+	}
+}
+
+class Position {
+	constructor(line, character) {
+		this.line = line;
+		this.character = character;
+	}
+}
+
+class Range {
+	constructor(startLine, startCharacter, endLine, endCharacter) {
+		this.start = new Position(startLine, startCharacter);
+		this.end = new Position(endLine, endCharacter);
+	}
+}
+
+class WorkspaceEdit {
+	constructor() {
+		this.operations = [];
+	}
+
+	replace(uri, range, newText) {
+		this.operations.push({ type: 'replace', uri, range, newText });
+	}
+
+	insert(uri, position, newText) {
+		this.operations.push({ type: 'insert', uri, position, newText });
+	}
+
+	createFile(uri, options) {
+		this.operations.push({ type: 'createFile', uri, options });
+	}
+
+	deleteFile(uri, options) {
+		this.operations.push({ type: 'deleteFile', uri, options });
+	}
+
+	set(uri, edits) {
+		this.operations.push({ type: 'set', uri, edits });
+	}
+}
+
+/**
+ * Makes `require('vscode')` return a minimal stand-in for the extension host
+ * API, so modules that only touch a few VS Code calls can be unit tested.
+ *
+ * The fake records executed commands and shown messages in `calls`.
+ *
+ * @returns {object} The fake module; `calls` lists `{api, args}` entries.
+ */
+function installFakeVscode() {
+	if (require.cache[FAKE_MODULE_ID]) {
+		return require.cache[FAKE_MODULE_ID].exports;
+	}
+
+	const calls = [];
+	const fake = {
+		calls,
+		LanguageModelChatMessageRole,
+		LanguageModelChatMessage,
+		LanguageModelTextPart,
+		LanguageModelToolCallPart,
+		LanguageModelToolResultPart,
+		Position,
+		Range,
+		WorkspaceEdit,
+		Uri: {
+			file: (fsPath) => ({ scheme: 'file', path: fsPath, fsPath, query: '', toString: () => `file://${fsPath}` }),
+			from: ({ scheme, path, query = '' }) => ({ scheme, path, query, toString: () => `${scheme}:${path}?${query}` })
+		},
+		commands: {
+			executeCommand: async (...args) => {
+				calls.push({ api: 'commands.executeCommand', args });
+			}
+		},
+		workspace: {
+			workspaceFolders: undefined
+		},
+		window: {
+			showWarningMessage: (...args) => {
+				calls.push({ api: 'window.showWarningMessage', args });
+			}
+		}
+	};
+
+	const resolveFilename = Module._resolveFilename;
+	Module._resolveFilename = function resolveFakeVscode(request, ...rest) {
+		return request === 'vscode' ? FAKE_MODULE_ID : resolveFilename.call(this, request, ...rest);
+	};
+	const fakeModule = new Module(FAKE_MODULE_ID);
+	fakeModule.exports = fake;
+	fakeModule.loaded = true;
+	require.cache[FAKE_MODULE_ID] = fakeModule;
+	return fake;
+}
+
+module.exports = {
+	installFakeVscode
+};
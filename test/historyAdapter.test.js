@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { toModelMessages, toTranscript, findLatestCompaction, createCompaction, describeCompaction } = require('../src/agent/historyAdapter');
+
+/**
+ * Builds a response history turn with markdown text and optional result metadata.
+ *
+ * @param {string} text
+ * @param {object} [metadata]
+ * @returns {object}
+ */
+function responseTurn(text, metadata) {
+	return { response: [{ value: { value: text } }], result: metadata ? { metadata } : {} };
+}
+
+test('toModelMessages converts request and response turns', () => {
+	const messages = toModelMessages([{ prompt: ' hello ' }, responseTurn('hi there')]);
+
+	assert.deepEqual(messages.map((message) => [message.role, message.content[0].value]), [
+		[vscode.LanguageModelChatMessageRole.User, 'hello'],
+		[vscode.LanguageModelChatMessageRole.Assistant, 'hi there']
+	]);
+});
+
+test('a /compact turn replaces the covered turns and is itself skipped', () => {
+	const history = [{ prompt: 'one' }, responseTurn('first answer'), { prompt: '/compact' }];
+	const compaction = createCompaction(history.slice(0, 2), 'Worked on one.', 'command');
+	history.push(responseTurn('Compacted.', { compaction }), { prompt: 'two' }, responseTurn('second answer'));
+
+	assert.deepEqual(findLatestCompaction(history), {
+		summary: 'Worked on one.',
+		coveredTurns: 2,
+		coveredRequests: 1,
+		source: 'command',
+		resumeIndex: 4
+	});
+	assert.equal(toTranscript(history), [
+		'Summary of earlier conversation (1 compacted turn(s)):\nWorked on one.',
+		'User: two',
+		'Assistant: second answer'
+	].join('\n\n'));
+	assert.equal(describeCompaction(compaction), 'Compacted turn 1 of this conversation into a summary. Later requests use the summary instead of those turns.');
+});
+
+test('an automatic compaction keeps the turn that produced it', () => {
+	const history = [{ prompt: 'one' }, responseTurn('first answer'), { prompt: 'two' }];
+	const compaction = createCompaction(history.slice(0, 2), 'Worked on one.', 'auto');
+	history.push(responseTurn('second answer', { compaction }));
+
+	const messages = toModelMessages(history);
+
+	assert.deepEqual(messages.map((message) => message.content[0].value), [
+		'Summary of earlier conversation (1 compacted turn(s)):\nWorked on one.',
+		'two',
+		'second answer'
+	]);
+});
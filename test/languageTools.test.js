@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { createLanguageTools, createRenameSymbolTool } = require('../src/tools/languageTools');
+
+const WORKSPACE_ROOT = '/ws';
+
+/**
+ * Creates a minimal text document over fixed text.
+ *
+ * @param {string} filePath
+ * @param {string} text
+ * @returns {object}
+ */
+function createDocument(filePath, text) {
+	const lines = text.split('\n');
+	const offsetAt = (position) => lines.slice(0, position.line).reduce((total, line) => total + line.length + 1, 0) + position.character;
+	return {
+		uri: vscode.Uri.file(filePath),
+		lineCount: lines.length,
+		getText: (range) => (range ? text.slice(offsetAt(range.start), offsetAt(range.end)) : text),
+		offsetAt,
+		lineAt: (line) => ({ text: lines[line], firstNonWhitespaceCharacterIndex: lines[line].search(/\S|$/) }),
+		validatePosition: (position) => position,
+		getWordRangeAtPosition: (position) => {
+			const match = Array.from(lines[position.line].matchAll(/\w+/g))
+				.find((candidate) => candidate.index <= position.character && position.character <= candidate.index + candidate[0].length);
+			return match ? new vscode.Range(position.line, match.index, position.line, match.index + match[0].length) : undefined;
+		}
+	};
+}
+
+test('rename_symbol applies provider edits in document order whatever order they arrive in', async (t) => {
+	const document = createDocument(`${WORKSPACE_ROOT}/a.js`, 'const total = 1;\nconsole.log(total, total);\n');
+	const textEdit = (line, start, end) => ({ range: new vscode.Range(line, start, line, end), newText: 'sum' });
+	const renameEdit = { entries: () => [[document.uri, [textEdit(1, 19, 24), textEdit(0, 6, 11), textEdit(1, 12, 17)]]] };
+	const executeCommand = vscode.commands.executeCommand;
+	vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(WORKSPACE_ROOT) }];
+	vscode.workspace.openTextDocument = async () => document;
+	vscode.commands.executeCommand = async (command) => (command === 'vscode.executeDocumentRenameProvider' ? renameEdit : undefined);
+	t.after(() => {
+		vscode.workspace.workspaceFolders = undefined;
+		delete vscode.workspace.openTextDocument;
+		vscode.commands.executeCommand = executeCommand;
+	});
+
+	const staged = [];
+	const result = await createRenameSymbolTool().execute({ path: 'a.js', symbol: 'total', newName: 'sum' }, {
+		settings: { editApprovalMode: 'dryRun' },
+		stream: { button: () => { } },
+		editApprovals: {
+			stage: (proposal) => {
+				staged.push(proposal);
+				return { id: String(staged.length) };
+			}
+		}
+	});
+
+	assert.equal(staged[0].proposedContent, 'const sum = 1;\nconsole.log(sum, sum);\n');
+	assert.equal(result.output, 'Dry run, not applied: would rename "total" to "sum": 3 edit(s) in 1 file(s):\na.js: 1:7-1:12, 2:13-2:18, 2:20-2:25');
+});
+
+test('find_definition resolves the symbol occurrence nearest the column and shows the full definition', async (t) => {
+	const documents = new Map([
+		[`${WORKSPACE_ROOT}/a.js`, createDocument(`${WORKSPACE_ROOT}/a.js`, 'function total(a, b) {\n\treturn a + b;\n}\n')],
+		[`${WORKSPACE_ROOT}/b.js`, createDocument(`${WORKSPACE_ROOT}/b.js`, 'const { total } = require("./a");\nlog(total(1, 2) + total(3, 4));\n')]
+	]);
+	const requested = [];
+	const executeCommand = vscode.commands.executeCommand;
+	vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(WORKSPACE_ROOT) }];
+	vscode.workspace.openTextDocument = async (uri) => documents.get(uri.fsPath);
+	vscode.commands.executeCommand = async (command, uri, position) => {
+		requested.push([command, uri.fsPath, position.line, position.character]);
+		return [{
+			targetUri: vscode.Uri.file(`${WORKSPACE_ROOT}/a.js`),
+			targetRange: new vscode.Range(0, 0, 2, 1),
+			targetSelectionRange: new vscode.Range(0, 9, 0, 14)
+		}];
+	};
+	t.after(() => {
+		vscode.workspace.workspaceFolders = undefined;
+		delete vscode.workspace.openTextDocument;
+		vscode.commands.executeCommand = executeCommand;
+	});
+
+	const [findDefinitionTool] = createLanguageTools({ maxSearchResults: 20 });
+	const result = await findDefinitionTool.execute({ path: 'b.js', line: 2, character: 20, symbol: 'total' });
+
+	assert.deepEqual(requested, [['vscode.executeDefinitionProvider', `${WORKSPACE_ROOT}/b.js`, 1, 18]]);
+	assert.equal(result.output, [
+		'Definition(s) of "total" at b.js:2:19:',
+		'a.js:1:10',
+		'    function total(a, b) {',
+		'    return a + b;',
+		'    }'
+	].join('\n'));
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PlanTracker, findUnfinishedPlan, isPlanningCommand } = require('../src/agent/planTracker');
+
+test('PlanTracker applies status updates and renders a checklist', () => {
+	const tracker = new PlanTracker();
+	tracker.setPlan(['Read the code', { title: 'Change it', status: 'todo' }, 'Run tests']);
+	tracker.applyUpdates([{ step: 1, status: 'completed' }, { step: 2, status: 'active', title: 'Change the parser' }]);
+
+	assert.equal(tracker.toMarkdown(), [
+		'**Plan** (1/3 done)',
+		'- [x] 1. Read the code',
+		'- [ ] 2. Change the parser _(in progress)_',
+		'- [ ] 3. Run tests'
+	].join('\n'));
+	assert.equal(tracker.isComplete(), false);
+	assert.throws(() => tracker.applyUpdates([{ step: 4, status: 'done' }]), /Plan step 4 does not exist \(plan has 3 steps\)/);
+});
+
+test('PlanTracker is complete when every step is done or skipped', () => {
+	const tracker = new PlanTracker([{ title: 'a', status: 'done' }, { title: 'b', status: 'skipped' }]);
+
+	assert.equal(tracker.isComplete(), true);
+	assert.throws(() => new PlanTracker().applyUpdates([{ step: 1, status: 'done' }]), /No plan exists yet/);
+	assert.throws(() => tracker.setPlan([]), /non-empty "steps"/);
+});
+
+test('findUnfinishedPlan resumes the plan of the latest response only', () => {
+	const unfinished = { plan: { steps: [{ title: 'a', status: 'done' }, { title: 'b', status: 'pending' }] } };
+	const finished = { plan: { steps: [{ title: 'a', status: 'done' }] } };
+
+	assert.deepEqual(findUnfinishedPlan([{ prompt: 'x' }, { result: { metadata: unfinished } }]), unfinished.plan.steps);
+	assert.equal(findUnfinishedPlan([{ result: { metadata: unfinished } }, { result: { metadata: finished } }]), null);
+	assert.equal(findUnfinishedPlan([{ result: { metadata: unfinished } }, { result: { metadata: {} } }]), null);
+	assert.equal(findUnfinishedPlan(undefined), null);
+});
+
+test('isPlanningCommand accepts /new, /edit and /fix', () => {
+	assert.deepEqual(['new', ' Edit ', 'fix', 'explain', undefined].map(isPlanningCommand), [true, true, true, false, false]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runProcess } = require('../src/utils/processRunner');
+
+// Starts a grandchild process, prints its pid and keeps running until killed.
+const TREE_SCRIPT = [
+	'const { spawn } = require("child_process");',
+	'const child = spawn(process.execPath, ["-e", "setInterval(() => {}, 1000)"], { stdio: "ignore" });',
+	'console.log("grandchild " + child.pid);',
+	'setInterval(() => {}, 1000);'
+].join('\n');
+
+/**
+ * Checks whether a process id is still running.
+ *
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Waits until a process id has exited, up to a deadline.
+ *
+ * @param {number} pid
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} True when the process exited.
+ */
+async function waitForExit(pid, timeoutMs) {
+	const deadline = Date.now() + timeoutMs;
+	while (isRunning(pid) && Date.now() < deadline) {
+		await new Promise((resolve) => setTimeout(resolve, 50));
+	}
+	return !isRunning(pid);
+}
+
+test('runProcess captures and streams output with the exit code', async () => {
+	const chunks = [];
+	const result = await runProcess({
+		file: process.execPath,
+		args: ['-e', 'console.log("out"); console.error("err"); process.exit(3)'],
+		shell: false,
+		cwd: __dirname,
+		timeoutMs: 10000,
+		onOutput: (text) => chunks.push(text)
+	});
+
+	assert.equal(result.exitCode, 3);
+	assert.equal(result.timedOut, false);
+	assert.equal(result.cancelled, false);
+	assert.match(result.output, /out/);
+	assert.match(result.output, /err/);
+	assert.equal(chunks.join(''), result.output);
+});
+
+test('runProcess stops the whole process tree on timeout', async () => {
+	const result = await runProcess({
+		file: process.execPath,
+		args: ['-e', TREE_SCRIPT],
+		shell: false,
+		cwd: __dirname,
+		timeoutMs: 500
+	});
+
+	assert.equal(result.timedOut, true);
+	const grandchildPid = Number(/grandchild (\d+)/.exec(result.output)[1]);
+	assert.equal(await waitForExit(grandchildPid, 5000), true);
+});
+
+test('runProcess stops the process tree when the token is cancelled', async () => {
+	const listeners = [];
+	const token = {
+		isCancellationRequested: false,
+		onCancellationRequested: (listener) => {
+			listeners.push(listener);
+			return { dispose() {} };
+		}
+	};
+	const result = await runProcess({
+		file: process.execPath,
+		args: ['-e', TREE_SCRIPT],
+		shell: false,
+		cwd: __dirname,
+		timeoutMs: 10000,
+		token,
+		onOutput: () => {
+			token.isCancellationRequested = true;
+			listeners.forEach((listener) => listener());
+		}
+	});
+
+	assert.equal(result.cancelled, true);
+	assert.equal(result.timedOut, false);
+	const grandchildPid = Number(/grandchild (\d+)/.exec(result.output)[1]);
+	assert.equal(await waitForExit(grandchildPid, 5000), true);
+});
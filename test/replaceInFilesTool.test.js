@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { FILE_SCAN_LIMIT } = require('../src/utils/textSearch');
+const { createReplaceInFilesTool } = require('../src/tools/replaceInFilesTool');
+
+let workspaceRoot;
+let fileNames;
+
+test.before(async () => {
+	workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'replace-in-files-'));
+	await fs.writeFile(path.join(workspaceRoot, 'a.js'), 'const foo = 1;\nfoo();\n');
+	vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(workspaceRoot) }];
+	vscode.workspace.getConfiguration = () => ({ get: () => undefined });
+	vscode.workspace.findFiles = async (include, exclude, maxResults) => fileNames.slice(0, maxResults)
+		.map((name) => vscode.Uri.file(path.join(workspaceRoot, name)));
+});
+
+test.after(async () => {
+	for (const key of ['workspaceFolders', 'getConfiguration', 'findFiles']) {
+		delete vscode.workspace[key];
+	}
+	await fs.rm(workspaceRoot, { recursive: true, force: true });
+});
+
+test('preview counts every match when all files were scanned', async () => {
+	fileNames = ['a.js'];
+	const tool = createReplaceInFilesTool({ maxReplaceFiles: 10 });
+	const result = await tool.execute({ query: 'foo', replacement: 'bar', matchWord: true }, {});
+
+	assert.equal(result.ok, true);
+	assert.deepEqual(result.metadata, { mode: 'preview', files: [{ path: 'a.js', matches: 2 }], totalMatches: 2, complete: true });
+	assert.match(result.output, /^Preview \(nothing written\): 2 match\(es\) in 1 file\(s\)/);
+});
+
+test('an incomplete file scan is reported in preview and refused in apply', async () => {
+	// Files missing on disk are skipped, so only a.js has matches.
+	fileNames = ['a.js', ...Array.from({ length: FILE_SCAN_LIMIT }, (unused, index) => `missing/${index}.js`)];
+	const tool = createReplaceInFilesTool({ maxReplaceFiles: 10 });
+
+	const preview = await tool.execute({ query: 'foo', replacement: 'bar' }, {});
+	assert.equal(preview.metadata.complete, false);
+	assert.match(preview.output, new RegExp(`At least 2 match\\(es\\) in 1 file\\(s\\) for .* \\(only the first ${FILE_SCAN_LIMIT} files were scanned`));
+
+	const applied = await tool.execute({ query: 'foo', replacement: 'bar', mode: 'apply' }, {});
+	assert.equal(applied.ok, false);
+	assert.match(applied.error, /scanned only the first 5000 files .*nothing was written\. Narrow "include" or "exclude"/);
+	assert.equal(await fs.readFile(path.join(workspaceRoot, 'a.js'), 'utf8'), 'const foo = 1;\nfoo();\n');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+installFakeVscode();
+const { buildScriptCommands, findWorkspaceDirectories, deriveScriptCommands } = require('../src/utils/scriptAllowlist');
+
+let workspaceRoot;
+
+/**
+ * Writes a JSON or text file below the workspace root, creating its folders.
+ *
+ * @param {string} relativePath
+ * @param {object|string} content
+ * @returns {Promise<void>}
+ */
+async function writeWorkspaceFile(relativePath, content) {
+	const filePath = path.join(workspaceRoot, relativePath);
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+	await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+test.beforeEach(async () => {
+	workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'script-allowlist-'));
+	await writeWorkspaceFile('packages/api/package.json', { name: '@app/api', scripts: { lint: 'eslint .', 'has space': 'x' } });
+	await writeWorkspaceFile('packages/internal/package.json', { scripts: { build: 'tsc' } });
+	await writeWorkspaceFile('tools/gen/cli/package.json', { scripts: { build: 'node build.js' } });
+	await writeWorkspaceFile('docs/readme.txt', 'not a package');
+});
+
+test.afterEach(async () => {
+	await fs.rm(workspaceRoot, { recursive: true, force: true });
+});
+
+test('buildScriptCommands uses each package manager\'s syntax for root and workspace scripts', () => {
+	assert.deepEqual(buildScriptCommands('npm', 'test', null), ['npm run test', 'npm test']);
+	assert.deepEqual(buildScriptCommands('yarn', 'build', null), ['yarn run build']);
+	assert.deepEqual(buildScriptCommands('npm', 'lint', '@app/api'), ['npm run lint --workspace @app/api']);
+	assert.deepEqual(buildScriptCommands('pnpm', 'lint', './tools/cli'), ['pnpm --filter ./tools/cli run lint']);
+	assert.deepEqual(buildScriptCommands('bun', 'lint', '@app/api'), ['bun run --filter @app/api lint']);
+	assert.deepEqual(buildScriptCommands('yarn', 'lint', './tools/cli'), []);
+});
+
+test('findWorkspaceDirectories expands workspaces and pnpm-workspace.yaml patterns and applies negations', async () => {
+	await writeWorkspaceFile('pnpm-workspace.yaml', 'packages:\n  - "tools/**/cli"\n  - ../outside\nonlyBuiltDependencies:\n  - esbuild\n');
+	const directories = await findWorkspaceDirectories(workspaceRoot, { workspaces: { packages: ['./packages/*', '!packages/internal', 'missing/*'] } });
+
+	assert.deepEqual(directories.map((directory) => path.relative(workspaceRoot, directory).split(path.sep).join('/')), ['packages/api', 'tools/gen/cli']);
+});
+
+test('deriveScriptCommands detects the package manager from the lockfile and names workspaces', async () => {
+	await writeWorkspaceFile('package.json', { packageManager: 'yarn@4.0.0', workspaces: ['packages/*'], scripts: { test: 'node --test', '*': 'x' } });
+	await writeWorkspaceFile('pnpm-lock.yaml', '');
+	const derived = await deriveScriptCommands(workspaceRoot);
+
+	assert.equal(derived.packageManager, 'pnpm');
+	assert.equal(derived.lockfile, 'pnpm-lock.yaml');
+	assert.deepEqual(derived.entries.map((entry) => [entry.command, entry.source]), [
+		['pnpm run test', 'package.json'],
+		['pnpm test', 'package.json'],
+		['pnpm --filter @app/api run lint', 'packages/api/package.json'],
+		['pnpm --filter ./packages/internal run build', 'packages/internal/package.json']
+	]);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { createSearchTextTool } = require('../src/tools/searchTextTool');
+
+let workspaceRoot;
+let findFilesCalls;
+
+test.before(async () => {
+	workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'search-text-'));
+	await fs.writeFile(path.join(workspaceRoot, 'a.js'), 'function foo() {\n  return 1;\n}\r\nfoo(); foo();\n');
+	await fs.writeFile(path.join(workspaceRoot, 'image.png'), 'foo\0binary');
+	findFilesCalls = [];
+	vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(workspaceRoot) }];
+	vscode.workspace.textDocuments = [];
+	vscode.workspace.getConfiguration = () => ({ get: () => ({ '**/coverage': true }) });
+	// Without the findTextInFiles proposal, search_text scans the files itself.
+	vscode.workspace.findFiles = async (include, exclude) => {
+		findFilesCalls.push({ include, exclude });
+		return ['a.js', 'image.png'].map((name) => vscode.Uri.file(path.join(workspaceRoot, name)));
+	};
+});
+
+test.after(async () => {
+	for (const key of ['workspaceFolders', 'textDocuments', 'getConfiguration', 'findFiles']) {
+		delete vscode.workspace[key];
+	}
+	await fs.rm(workspaceRoot, { recursive: true, force: true });
+});
+
+test('the fallback search matches multiline regexes over the whole file text', async () => {
+	const tool = createSearchTextTool({ maxSearchResults: 20 });
+	const result = await tool.execute({ query: 'foo\\(\\) \\{\\n\\s+return', isRegex: true }, {});
+
+	assert.equal(result.metadata.totalMatches, 1);
+	assert.match(result.output, /^  1:10-2:8  function foo\(\) \{$/m);
+});
+
+test('the fallback search reports every match per line and skips binary files', async () => {
+	const tool = createSearchTextTool({ maxSearchResults: 20 });
+	const result = await tool.execute({ query: 'foo', matchWord: true, exclude: 'docs/**' }, {});
+
+	assert.deepEqual(result.metadata.files, [{ path: 'a.js', lines: [1, 4] }]);
+	assert.match(result.output, /^  4:1-3,8-10  foo\(\); foo\(\);$/m);
+	assert.equal(findFilesCalls[findFilesCalls.length - 1].exclude, '{**/node_modules/**,**/.git/**,**/dist/**,**/out/**,**/coverage,docs/**}');
+});
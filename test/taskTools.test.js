@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+installFakeVscode();
+const { findTask, isTaskAllowlisted, toLabelPattern } = require('../src/tools/taskTools');
+const { ToolRegistry } = require('../src/tools/toolRegistry');
+const { DEFAULT_SETTINGS } = require('../src/config/agentSettings');
+
+const TASKS = [
+	{ name: 'build', source: 'Workspace' },
+	{ name: 'test', source: 'npm' },
+	{ name: 'test', source: 'gulp' },
+	{ name: 'deploy', source: 'Workspace' }
+];
+
+test('findTask accepts the full label or an unambiguous bare name', () => {
+	assert.equal(findTask(TASKS, 'BUILD'), TASKS[0]);
+	assert.equal(findTask(TASKS, 'npm: test'), TASKS[1]);
+	assert.throws(() => findTask(TASKS, 'test'), /Task label "test" is ambiguous: npm: test, gulp: test/);
+	assert.throws(() => findTask(TASKS, 'lint'), /No task labelled "lint"\. Use list_tasks/);
+});
+
+test('toLabelPattern matches whole labels with * wildcards or /regex/ entries', () => {
+	assert.equal(toLabelPattern('npm: *').test('NPM: test'), true);
+	assert.equal(toLabelPattern('build').test('build:watch'), false);
+	assert.equal(toLabelPattern('a.b').test('axb'), false);
+	assert.equal(toLabelPattern('/(lint|test)(:.*)?/').test('test:unit'), true);
+	assert.equal(toLabelPattern('/(/'), null);
+});
+
+test('isTaskAllowlisted checks the label and the bare task name', () => {
+	assert.equal(isTaskAllowlisted(TASKS[1], ['test']), true);
+	assert.equal(isTaskAllowlisted(TASKS[1], ['gulp: *']), false);
+	assert.equal(isTaskAllowlisted(TASKS[3], DEFAULT_SETTINGS.allowedTasks), false);
+	assert.equal(isTaskAllowlisted(TASKS[0], undefined), false);
+});
+
+test('task tools are registered only while the command tools are enabled', () => {
+	const names = (settings) => new ToolRegistry({ ...DEFAULT_SETTINGS, ...settings }).getToolNames();
+
+	assert.deepEqual(names({}).filter((name) => name.endsWith('_task') || name.endsWith('_tasks')), ['list_tasks', 'run_task']);
+	assert.equal(names({ enableCommandTool: false }).includes('run_task'), false);
+	assert.equal(names({ enableTaskTool: false }).includes('list_tasks'), false);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTestOutput, formatTestSummary } = require('../src/utils/testOutputParser');
+
+const JEST_OUTPUT = [
+	'FAIL src/sum.test.js',
+	'  ● sum › adds numbers',
+	'',
+	'    expect(received).toBe(expected) // Object.is equality',
+	'',
+	'    Expected: 3',
+	'    Received: 4',
+	'',
+	'      at Object.<anonymous> (/repo/src/sum.test.js:5:17)',
+	'',
+	'PASS src/other.test.js',
+	'',
+	'Tests:       1 failed, 1 skipped, 3 passed, 5 total',
+	'Time:        1.2 s'
+].join('\n');
+
+const TAP_OUTPUT = [
+	'TAP version 13',
+	'# Subtest: adds',
+	'ok 1 - adds',
+	'  ---',
+	'  duration_ms: 1',
+	'  ...',
+	'# Subtest: subtracts',
+	'not ok 2 - subtracts',
+	'  ---',
+	'  duration_ms: 2',
+	'  location: \'/repo/test/math.test.js:10:1\'',
+	'  failureType: \'testCodeFailure\'',
+	'  error: \'Expected 1 to equal 2\'',
+	'  code: \'ERR_ASSERTION\'',
+	'  ...',
+	'1..2',
+	'# tests 2',
+	'# pass 1',
+	'# fail 1',
+	'# skipped 0'
+].join('\n');
+
+const MOCHA_OUTPUT = [
+	'',
+	'  math',
+	'    ✔ adds',
+	'    1) subtracts',
+	'',
+	'  1 passing (5ms)',
+	'  1 failing',
+	'',
+	'  1) math',
+	'       subtracts:',
+	'     AssertionError: expected 1 to equal 2',
+	'      at Context.<anonymous> (test/math.spec.js:8:12)'
+].join('\n');
+
+const JUNIT_OUTPUT = '<?xml version="1.0"?><testsuites><testsuite name="s" tests="2" failures="1" skipped="0"><testcase name="a" classname="x"/><testcase name="b &amp; c" classname="x" file="t.js"><failure message="boom">stack</failure></testcase></testsuite></testsuites>';
+
+test('parseTestOutput reads Jest totals and failures with workspace-relative locations', () => {
+	const result = parseTestOutput(`\u001b[31m${JEST_OUTPUT}\u001b[0m`, { cwd: '/repo' });
+
+	assert.equal(result.framework, 'jest');
+	assert.deepEqual([result.passed, result.failed, result.skipped, result.total], [3, 1, 1, 5]);
+	assert.equal(result.failures[0].name, 'sum › adds numbers');
+	assert.equal(result.failures[0].file, 'src/sum.test.js');
+	assert.equal(result.failures[0].line, 5);
+	assert.match(result.failures[0].message, /Expected: 3\nReceived: 4/);
+	assert.equal(formatTestSummary(result), 'Tests (jest): 1 failed, 3 passed, 1 skipped, 5 total');
+});
+
+test('parseTestOutput reads node:test TAP output', () => {
+	const result = parseTestOutput(TAP_OUTPUT, { cwd: '/repo' });
+
+	assert.equal(result.framework, 'tap');
+	assert.deepEqual([result.passed, result.failed, result.total], [1, 1, 2]);
+	assert.deepEqual(result.failures, [{ name: 'subtracts', file: 'test/math.test.js', line: 10, message: 'Expected 1 to equal 2', stack: '' }]);
+});
+
+test('parseTestOutput reads Mocha output', () => {
+	const result = parseTestOutput(MOCHA_OUTPUT);
+
+	assert.equal(result.framework, 'mocha');
+	assert.deepEqual([result.passed, result.failed, result.total], [1, 1, 2]);
+	assert.equal(result.failures[0].name, 'math › subtracts');
+	assert.equal(result.failures[0].file, 'test/math.spec.js');
+	assert.equal(result.failures[0].line, 8);
+});
+
+test('parseTestOutput reads JUnit XML and decodes entities', () => {
+	const result = parseTestOutput(JUNIT_OUTPUT);
+
+	assert.equal(result.framework, 'junit');
+	assert.deepEqual([result.passed, result.failed, result.total], [1, 1, 2]);
+	assert.deepEqual(result.failures, [{ name: 'x › b & c', file: 't.js', line: null, message: 'boom', stack: 'stack' }]);
+});
+
+test('parseTestOutput returns null for unrecognized output', () => {
+	assert.equal(parseTestOutput('hello world'), null);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findEditMatches } = require('../src/edits/textMatching');
+
+test('findEditMatches prefers exact matches and returns every occurrence', () => {
+	const result = findEditMatches('x x x', 'x', 'y');
+
+	assert.equal(result.strategy, 'exact');
+	assert.deepEqual(result.matches.map((match) => [match.start, match.end]), [[0, 1], [2, 3], [4, 5]]);
+});
+
+test('findEditMatches converts the replacement to the file line endings', () => {
+	const result = findEditMatches('a\r\nb\r\nc\r\n', 'a\nb\n', 'x\ny\n');
+
+	assert.equal(result.strategy, 'lineEndings');
+	assert.deepEqual(result.matches, [{ start: 0, end: 6, newText: 'x\r\ny\r\n' }]);
+});
+
+test('findEditMatches ignores trailing whitespace before ignoring indentation', () => {
+	const result = findEditMatches('a  \nb\t\nc\n', 'a\nb\n', 'x\n');
+
+	assert.equal(result.strategy, 'trailingWhitespace');
+	assert.deepEqual(result.matches, [{ start: 0, end: 7, newText: 'x\n' }]);
+});
+
+test('findEditMatches re-indents with the indent unit of the whole file', () => {
+	const file = 'class A {\n    run() {\n        if (x) {\n            a();\n        }\n        foo();\n    }\n}\n';
+	const result = findEditMatches(file, '\tfoo();\n', '\tif (y) {\n\t\tfoo();\n\t}\n');
+
+	assert.equal(result.strategy, 'indentation');
+	assert.equal(result.matches[0].newText, '        if (y) {\n            foo();\n        }\n');
+});
+
+test('findEditMatches re-indents a tab-indented file with tabs', () => {
+	const result = findEditMatches('a\n\tb\n\t\tfoo();\n', '    foo();\n', '    if (y) {\n        foo();\n    }\n');
+
+	assert.equal(result.matches[0].newText, '\t\tif (y) {\n\t\t\tfoo();\n\t\t}\n');
+});
+
+test('findEditMatches falls back to the editor indentation when the file is inconclusive', () => {
+	const result = findEditMatches('        foo();\n', '\tfoo();\n', '\tif (y) {\n\t\tfoo();\n\t}\n', {
+		indentation: { insertSpaces: true, tabSize: 2 }
+	});
+
+	assert.equal(result.matches[0].newText, '        if (y) {\n          foo();\n        }\n');
+});
+
+test('findEditMatches reports no match', () => {
+	assert.deepEqual(findEditMatches('abc', 'zzz', 'y'), { strategy: 'none', label: 'not found', matches: [] });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { createSearchRegExp, getWorkspaceExcludes, buildExcludeGlob, expandBraces, escapeRegExp, isSearchableText } = require('../src/utils/textSearch');
+
+/**
+ * Lists the matched texts of a search over text.
+ *
+ * @param {string} text
+ * @param {object} options
+ * @returns {string[]}
+ */
+function matchAll(text, options) {
+	return Array.from(text.matchAll(createSearchRegExp({ isRegex: false, isCaseSensitive: false, matchWord: false, ...options }, 'search_text')), (match) => match[0]);
+}
+
+test('createSearchRegExp matches plain text literally and case-insensitively by default', () => {
+	assert.deepEqual(matchAll('a.b axb A.B', { query: 'a.b' }), ['a.b', 'A.B']);
+	assert.deepEqual(matchAll('a.b axb A.B', { query: 'a.b', isCaseSensitive: true }), ['a.b']);
+	assert.equal(escapeRegExp('a+b(c)'), 'a\\+b\\(c\\)');
+});
+
+test('createSearchRegExp matches whole words for plain text and regex queries', () => {
+	assert.deepEqual(matchAll('foo foobar foo_x (foo)', { query: 'foo', matchWord: true }), ['foo', 'foo']);
+	assert.deepEqual(matchAll('get set getter', { query: 'get|set', isRegex: true, matchWord: true }), ['get', 'set']);
+});
+
+test('createSearchRegExp makes ^ and $ match at line breaks for regex queries', () => {
+	assert.deepEqual(matchAll('}\nfoo }\n}', { query: '^}$', isRegex: true }), ['}', '}']);
+	assert.throws(() => createSearchRegExp({ query: '(', isRegex: true }, 'replace_in_files'), /^Error: replace_in_files invalid regex:/);
+});
+
+test('buildExcludeGlob adds the caller exclude to the defaults with braces expanded', () => {
+	assert.deepEqual(expandBraces('src/{a,b/{c,d}}/*.js'), ['src/a/*.js', 'src/b/c/*.js', 'src/b/d/*.js']);
+	assert.equal(buildExcludeGlob(''), '{**/node_modules/**,**/.git/**,**/dist/**,**/out/**}');
+	assert.equal(buildExcludeGlob('**/*.{md,txt}'), '{**/node_modules/**,**/.git/**,**/dist/**,**/out/**,**/*.md,**/*.txt}');
+});
+
+test('isSearchableText skips missing, binary and oversized content', () => {
+	assert.deepEqual([isSearchableText('text'), isSearchableText(null), isSearchableText('a\0b'), isSearchableText('x'.repeat(1000001))], [true, false, false, false]);
+});
+
+test('getWorkspaceExcludes keeps enabled files.exclude and search.exclude globs', (t) => {
+	const settings = {
+		files: { '**/.DS_Store': true, '**/*.js': { when: '$(basename).ts' }, '**/tmp': false },
+		search: { '**/coverage': true, '**/.DS_Store': true }
+	};
+	vscode.workspace.getConfiguration = (section) => ({ get: (key) => (key === 'exclude' ? settings[section] : undefined) });
+	t.after(() => {
+		delete vscode.workspace.getConfiguration;
+	});
+
+	assert.deepEqual(getWorkspaceExcludes(), ['**/.DS_Store', '**/coverage']);
+	assert.equal(
+		buildExcludeGlob('docs/**', ['**/{tmp,cache}', '**/.git/**']),
+		'{**/node_modules/**,**/.git/**,**/dist/**,**/out/**,**/tmp,**/cache,docs/**}'
+	);
+});
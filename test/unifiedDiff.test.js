@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePatch, applyHunks, buildAddedContent, createHunks } = require('../src/edits/unifiedDiff');
+
+/**
+ * Parses a single-file patch and applies its hunks to content.
+ *
+ * @param {string} content
+ * @param {string} patch
+ * @param {{fuzz?:number,ignoreWhitespace?:boolean}} [options]
+ * @returns {{content:string,results:Array<object>}}
+ */
+function applyPatchText(content, patch, { fuzz = 0, ignoreWhitespace = false } = {}) {
+	const [filePatch] = parsePatch(patch);
+	return applyHunks(content, filePatch.hunks, { fuzz, ignoreWhitespace });
+}
+
+test('parsePatch splits a git diff into file patches', () => {
+	const patches = parsePatch([
+		'diff --git a/x.js b/x.js',
+		'--- a/x.js',
+		'+++ b/x.js',
+		'@@ -1 +1 @@',
+		'-a',
+		'+b',
+		'diff --git a/old.js b/new.js',
+		'similarity index 100%',
+		'rename from old.js',
+		'rename to new.js',
+		'diff --git a/added.txt b/added.txt',
+		'new file mode 100644',
+		'--- /dev/null',
+		'+++ b/added.txt',
+		'@@ -0,0 +1,2 @@',
+		'+x',
+		'+y',
+		''
+	].join('\n'));
+
+	assert.deepEqual(patches.map((patch) => [patch.type, patch.oldPath, patch.newPath]), [
+		['modify', 'x.js', 'x.js'],
+		['rename', 'old.js', 'new.js'],
+		['add', null, 'added.txt']
+	]);
+	assert.equal(buildAddedContent(patches[2].hunks), 'x\ny\n');
+});
+
+test('parsePatch reads ---/+++ lines inside a counted hunk as hunk lines', () => {
+	const patches = parsePatch('--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n--- b\n+++ c\n d\n');
+
+	assert.equal(patches.length, 1);
+	assert.deepEqual(patches[0].hunks[0].lines.map((line) => line.type + line.text), [' a', '--- b', '+++ c', ' d']);
+});
+
+test('applyHunks inserts a zero-context hunk after the given old line', () => {
+	assert.equal(applyPatchText('a\nb\nc\n', '--- a/x\n+++ b/x\n@@ -1,0 +2 @@\n+inserted\n').content, 'a\ninserted\nb\nc\n');
+	assert.equal(applyPatchText('a\nb\nc\n', '--- a/x\n+++ b/x\n@@ -0,0 +1 @@\n+top\n').content, 'top\na\nb\nc\n');
+});
+
+test('applyHunks finds a hunk away from its expected line and reports the offset', () => {
+	const { content, results } = applyPatchText('z\nz\na\nb\nc\n', '--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+
+	assert.equal(content, 'z\nz\na\nB\nc\n');
+	assert.equal(results[0].ok, true);
+	assert.equal(results[0].line, 3);
+	assert.equal(results[0].offset, 2);
+});
+
+test('applyHunks tolerates a hunk header that undercounts its lines', () => {
+	assert.equal(applyPatchText('a\nb\nc\n', '--- a/x\n+++ b/x\n@@ -1,1 +1,1 @@\n a\n-b\n+B\n c\n').content, 'a\nB\nc\n');
+});
+
+test('applyHunks with fuzz ignores mismatched outer context lines', () => {
+	const patch = '--- a/x\n+++ b/x\n@@ -1,4 +1,4 @@\n changed\n b\n-c\n+C\n d\n';
+
+	assert.equal(applyPatchText('a\nb\nc\nd\n', patch).results[0].ok, false);
+	const fuzzy = applyPatchText('a\nb\nc\nd\n', patch, { fuzz: 1 });
+	assert.equal(fuzzy.content, 'a\nb\nC\nd\n');
+	assert.equal(fuzzy.results[0].fuzz, 1);
+});
+
+test('applyHunks never drops every context line while fuzzing', () => {
+	const { content, results } = applyPatchText('x\ny\n', '--- a/x\n+++ b/x\n@@ -1,2 +1,3 @@\n p\n+ins\n q\n', { fuzz: 3 });
+
+	assert.equal(content, 'x\ny\n');
+	assert.equal(results[0].ok, false);
+});
+
+test('applyHunks can ignore whitespace differences in context and removed lines', () => {
+	const patch = '--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n';
+
+	assert.equal(applyPatchText('a\n  b\nc\n', patch).results[0].ok, false);
+	assert.equal(applyPatchText('a\n  b\nc\n', patch, { ignoreWhitespace: true }).content, 'a\nB\nc\n');
+});
+
+test('applyHunks keeps the file text of context lines whose whitespace differs from the patch', () => {
+	const patch = '--- a/x\n+++ b/x\n@@ -1,4 +1,4 @@\n if (a) {\n   one();\n-  two();\n+  TWO();\n }\n';
+
+	assert.equal(
+		applyPatchText('if (a) {\n\tone();\n\ttwo();\n}\n', patch, { ignoreWhitespace: true }).content,
+		'if (a) {\n\tone();\n  TWO();\n}\n'
+	);
+	assert.equal(
+		applyPatchText('if (a) { \n  one();  \n  two();\n}\t\n', patch).content,
+		'if (a) { \n  one();  \n  TWO();\n}\t\n'
+	);
+});
+
+test('createHunks produces hunks that applyHunks applies back', () => {
+	const oldText = 'a\nb\nc\nd\n';
+	const newText = 'a\nB\nc\nd\ne\n';
+	const { content, results } = applyHunks(oldText, createHunks(oldText, newText, 1), { fuzz: 0, ignoreWhitespace: false });
+
+	assert.equal(content, newText);
+	assert.ok(results.every((result) => result.ok));
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeVscode } = require('./helpers/fakeVscode');
+
+const vscode = installFakeVscode();
+const { applyChangesWithWorkspaceEdit } = require('../src/edits/workspaceEditWriter');
+
+const SETTINGS = { formatAfterEdit: false, saveAfterEdit: false, dirtyFileHandling: 'merge' };
+
+/**
+ * Opens a fake dirty editor buffer for filePath and captures applied workspace edits.
+ *
+ * @param {object} t - Test context.
+ * @param {string} filePath
+ * @param {string} text - Unsaved buffer content.
+ * @returns {object[]} Applied workspace edits.
+ */
+function openDirtyDocument(t, filePath, text) {
+	const applied = [];
+	const document = {
+		uri: vscode.Uri.file(filePath),
+		isDirty: true,
+		lineCount: text.split('\n').length,
+		getText: () => text,
+		validateRange: (range) => range
+	};
+	vscode.workspace.textDocuments = [document];
+	vscode.workspace.openTextDocument = async () => document;
+	vscode.workspace.applyEdit = async (edit) => {
+		applied.push(edit);
+		return true;
+	};
+	t.after(() => {
+		delete vscode.workspace.textDocuments;
+		delete vscode.workspace.openTextDocument;
+		delete vscode.workspace.applyEdit;
+	});
+	return applied;
+}
+
+test('merging into a dirty buffer keeps its context lines that differ from disk', async (t) => {
+	const filePath = '/ws/src/a.js';
+	const applied = openDirtyDocument(t, filePath, 'function f() {  \n\treturn 1;\n}\n\n// tail edited by user\n');
+
+	const { notes } = await applyChangesWithWorkspaceEdit([{
+		filePath,
+		displayPath: 'src/a.js',
+		originalContent: 'function f() {\n\treturn 1;\n}\n\n// tail\n',
+		newContent: 'function f() {\n\treturn 2;\n}\n\n// tail\n'
+	}], SETTINGS);
+
+	assert.equal(applied[0].operations[0].newText, 'function f() {  \n\treturn 2;\n}\n\n// tail edited by user\n');
+	assert.match(notes[0], /merged into unsaved editor changes/);
+});
+
+test('merging refuses changes that overlap unsaved edits', async (t) => {
+	const filePath = '/ws/src/a.js';
+	const applied = openDirtyDocument(t, filePath, 'function f() {\n\treturn 3;\n}\n');
+
+	await assert.rejects(applyChangesWithWorkspaceEdit([{
+		filePath,
+		displayPath: 'src/a.js',
+		originalContent: 'function f() {\n\treturn 1;\n}\n',
+		newContent: 'function f() {\n\treturn 2;\n}\n'
+	}], SETTINGS), /conflict with 1 of 1 changed region\(s\)/);
+	assert.equal(applied.length, 0);
+});